@@ -65,9 +65,12 @@ export const getCertificateById = async (certificateId) => {
  * @param {number} data.jumlah_sertifikat - Number of certificates
  * @param {number} data.jumlah_medali - Number of medals
  * @param {string} data.branch_code - Head branch code (for admin)
+ * @param {Object} options - { showToast } (bulk imports report per row instead)
  * @returns {Promise} API response
  */
-export const createCertificate = async (data) => {
+export const createCertificate = async (data, options = {}) => {
+  const { showToast = true } = options;
+
   try {
     const response = await api.post("/certificates", {
       certificate_id: data.certificate_id,
@@ -76,11 +79,13 @@ export const createCertificate = async (data) => {
       branch_code: data.branch_code, // Send selected head branch
     });
 
-    toast.success(response.data?.message || "Certificate batch created successfully");
+    if (showToast) {
+      toast.success(response.data?.message || "Certificate batch created successfully");
+    }
 
     return response.data;
   } catch (error) {
-    handleApiError(error, { showToast: true });
+    handleApiError(error, { showToast });
     throw error;
   }
 };
@@ -112,6 +117,100 @@ export const migrateCertificate = async (data) => {
   }
 };
 
+/**
+ * Distribute a batch from the head branch to several branches in one
+ * operation. The server applies the plan in a single transaction: either
+ * every migration is posted or none is, and the per-branch results say
+ * which branches failed. No success toast here - the caller reports the
+ * outcome from the per-branch results.
+ * @param {Object} data - Distribution plan
+ * @param {string} data.certificate_id - Batch ID to distribute
+ * @param {Array} data.allocations - [{ destination_branch, certificate_amount, medal_amount }]
+ * @returns {Promise} API response ({ results: [{ destination_branch, success, message }] })
+ */
+export const distributeCertificate = async (data) => {
+  try {
+    const response = await api.post("/certificates/distribute", {
+      certificate_id: data.certificate_id,
+      allocations: data.allocations.map((allocation) => ({
+        destination_branch: allocation.destination_branch,
+        certificate_amount: parseInt(allocation.certificate_amount) || 0,
+        medal_amount: parseInt(allocation.medal_amount) || 0,
+      })),
+    });
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
+/**
+ * Transfer certificate stock between branches (return, branch-to-branch, cross-hub).
+ * Head branch -> branch transfers keep using migrateCertificate. Each type is
+ * logged as its own action (TRANSFER_RETURN, TRANSFER_BRANCH, TRANSFER_CROSS_HUB).
+ * @param {Object} data - Transfer data
+ * @param {string} data.transfer_type - One of TRANSFER_TYPES (return, branch_to_branch, cross_hub)
+ * @param {string} data.certificate_id - Batch ID to transfer
+ * @param {string} data.source_branch - Branch code the stock leaves
+ * @param {string} data.destination_branch - Branch code the stock goes to
+ * @param {number} data.certificate_amount - Number of certificates to transfer
+ * @param {number} data.medal_amount - Number of medals to transfer
+ * @returns {Promise} API response
+ */
+export const transferCertificateStock = async (data) => {
+  try {
+    const response = await api.post("/certificates/transfer", {
+      transfer_type: data.transfer_type,
+      certificate_id: data.certificate_id,
+      source_branch: data.source_branch,
+      destination_branch: data.destination_branch,
+      certificate_amount: parseInt(data.certificate_amount) || 0,
+      medal_amount: parseInt(data.medal_amount) || 0,
+    });
+
+    toast.success(response.data?.message || "Stock transferred successfully");
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
+/**
+ * Adjust the stock of a batch at one branch (write-off or correction).
+ * Logged as STOCK_ADJUSTED with the reason and note.
+ * @param {Object} data - Adjustment data
+ * @param {string} data.certificate_id - Batch ID
+ * @param {string} data.branch_code - Branch whose stock is adjusted
+ * @param {number} data.certificate_amount - Signed change (negative removes stock)
+ * @param {number} data.medal_amount - Signed change (negative removes stock)
+ * @param {string} data.reason - One of ADJUSTMENT_REASONS
+ * @param {string} data.notes - Free-text explanation
+ * @returns {Promise} API response
+ */
+export const adjustCertificateStock = async (data) => {
+  try {
+    const response = await api.post("/certificates/adjust", {
+      certificate_id: data.certificate_id,
+      branch_code: data.branch_code,
+      certificate_amount: parseInt(data.certificate_amount) || 0,
+      medal_amount: parseInt(data.medal_amount) || 0,
+      reason: data.reason,
+      notes: data.notes?.trim(),
+    });
+
+    toast.success(response.data?.message || "Stock adjusted successfully");
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
 /**
  * Get stock summary across all branches
  * @returns {Promise} API response with stock summary
@@ -129,16 +228,20 @@ export const getStockSummary = async () => {
 
 /**
  * Get transaction history with filters
+ * Stock adjustments (STOCK_ADJUSTED) carry branch_code, reason and notes,
+ * with signed certificate_amount / medal_amount
  * @param {Object} params - Query parameters
  * @param {number} params.limit - Number of items per page
  * @param {number} params.offset - Offset for pagination
  * @param {string} params.from_date - Start date (YYYY-MM-DD)
  * @param {string} params.to_date - End date (YYYY-MM-DD)
+ * @param {string} params.action_type - Comma-separated action types (optional)
+ * @param {string} params.regional_hub - Regional hub code for filtering (optional)
  * @returns {Promise} API response
  */
 export const getTransactionHistory = async (params = {}) => {
   try {
-    const { limit = 50, offset = 0, from_date = "", to_date = "" } = params;
+    const { limit = 50, offset = 0, from_date = "", to_date = "", action_type = "", regional_hub = "" } = params;
 
     const queryParams = new URLSearchParams({
       limit: limit.toString(),
@@ -153,6 +256,14 @@ export const getTransactionHistory = async (params = {}) => {
       queryParams.append("to_date", to_date.trim());
     }
 
+    if (action_type && action_type.trim()) {
+      queryParams.append("action_type", action_type.trim());
+    }
+
+    if (regional_hub && regional_hub.trim()) {
+      queryParams.append("regional_hub", regional_hub.trim());
+    }
+
     const response = await api.get(`/certificates/history?${queryParams.toString()}`);
 
     return response.data;
@@ -163,14 +274,105 @@ export const getTransactionHistory = async (params = {}) => {
 };
 
 /**
- * Clear all certificate batches (DANGER)
+ * Archive all certificate batches created in a year (replaces clear-all)
+ * The batches leave the active list but can be restored until the
+ * archive expires
+ * @param {Object} data - Archive data
+ * @param {number} data.year - Year whose batches are archived
+ * @param {string} data.confirmation - Confirmation phrase typed by the user
+ * @returns {Promise} API response ({ id, year, batch_count, archived_at, expires_at })
+ */
+export const archiveCertificates = async (data) => {
+  try {
+    const response = await api.post("/certificates/archives", {
+      year: data.year,
+      confirmation: data.confirmation,
+    });
+
+    toast.success(response.data?.message || `${data.year} batches archived successfully`);
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
+/**
+ * Get certificate archives (newest first)
+ * @returns {Promise} API response ([{ id, year, batch_count, archived_by, archived_at, expires_at, restored_at }])
+ */
+export const getCertificateArchives = async () => {
+  try {
+    const response = await api.get("/certificates/archives");
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Get one archive with its batches
+ * @param {number} archiveId - Archive ID
+ * @returns {Promise} API response ({ ...archive, batches: [{ certificate_id, regional_hub, jumlah_sertifikat, jumlah_medali, created_at }] })
+ */
+export const getCertificateArchiveById = async (archiveId) => {
+  try {
+    const response = await api.get(`/certificates/archives/${archiveId}`);
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
+/**
+ * Restore an archive - its batches return to the active list with the
+ * stock they had when archived
+ * @param {number} archiveId - Archive ID
+ * @returns {Promise} API response
+ */
+export const restoreCertificateArchive = async (archiveId) => {
+  try {
+    const response = await api.post(`/certificates/archives/${archiveId}/restore`);
+
+    toast.success(response.data?.message || "Archive restored successfully");
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: true });
+    throw error;
+  }
+};
+
+/**
+ * Get the batch ID pattern and the per-hub sequence counters
+ * @returns {Promise} API response ({ pattern, counters: { [scope]: last sequence }, updated_by, updated_at })
+ */
+export const getBatchIdPattern = async () => {
+  try {
+    const response = await api.get("/certificates/id-pattern");
+
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Save the batch ID pattern
+ * @param {string} pattern - e.g. "{HUB}-{YYYY}-{SEQ:4}"
  * @returns {Promise} API response
  */
-export const clearAllCertificates = async () => {
+export const updateBatchIdPattern = async (pattern) => {
   try {
-    const response = await api.post("/certificates/clear-all");
+    const response = await api.put("/certificates/id-pattern", { pattern });
 
-    toast.success(response.data?.message || "All certificates cleared successfully");
+    toast.success(response.data?.message || "Batch ID pattern saved");
 
     return response.data;
   } catch (error) {
@@ -184,7 +386,15 @@ export default {
   getCertificateById,
   createCertificate,
   migrateCertificate,
+  distributeCertificate,
+  transferCertificateStock,
+  adjustCertificateStock,
   getStockSummary,
   getTransactionHistory,
-  clearAllCertificates,
+  archiveCertificates,
+  getCertificateArchives,
+  getCertificateArchiveById,
+  restoreCertificateArchive,
+  getBatchIdPattern,
+  updateBatchIdPattern,
 };
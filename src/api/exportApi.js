@@ -191,6 +191,28 @@ export const exportStudentTransfers = async () => {
   }
 };
 
+/**
+ * Export the variance report of a stock-take session (expected vs counted per batch)
+ * @param {number} stockTakeId
+ * @param {string} branchCode - Used in the filename
+ * @returns {Promise} Excel file download
+ */
+export const exportStockTakeVariance = async (stockTakeId, branchCode = "") => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.EXPORT_STOCK_TAKE(stockTakeId), {
+      responseType: "blob",
+    });
+
+    const filename = `stock_take_${branchCode ? `${branchCode}_` : ""}${stockTakeId}_${new Date().toISOString().split("T")[0]}.xlsx`;
+    downloadFile(response.data, filename);
+
+    return { success: true };
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
 /**
  * Export all data (multi-sheet)
  * @returns {Promise} Excel file download
@@ -220,5 +242,6 @@ export default {
   exportStudents,
   exportStudentsByBranch,
   exportStudentTransfers,
+  exportStockTakeVariance,
   exportAllData,
 };
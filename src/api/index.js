@@ -24,6 +24,15 @@ export * from "./branchApi";
 // Printed Certificate
 export * from "./printedCertApi";
 
+// Stock Requests
+export * from "./stockRequestApi";
+
+// Stock-Takes
+export * from "./stockTakeApi";
+
+// Certificate Templates
+export * from "./templateApi";
+
 // Logs
 export * from "./logsApi";
 
@@ -5,7 +5,7 @@ import { handleOperationSuccess } from "../utils/successHandler";
 
 /**
  * Get modules for dropdown (teacher use)
- * @returns {Promise} Modules list
+ * @returns {Promise} Modules list ({ id, name, division, module_name_translations, certificate_language })
  */
 export const getModulesForPrint = async () => {
   try {
@@ -19,7 +19,10 @@ export const getModulesForPrint = async () => {
 
 /**
  * Save printed certificate record
- * @param {Object} data - { certificate_id, student_name, module_id, ptc_date }
+ * Passing reservation_id commits that reservation instead of deducting fresh stock.
+ * A second award for the same student + module needs duplicate_override
+ * ({ existing_record_id, reason, notes }), which is logged as PRINT_DUPLICATE
+ * @param {Object} data - { certificate_id, student_name, module_id, ptc_date, serial_number, language, reservation_id, duplicate_override }
  * @returns {Promise} Saved record
  */
 export const savePrintRecord = async (data) => {
@@ -38,19 +41,105 @@ export const savePrintRecord = async (data) => {
   }
 };
 
+/**
+ * Replay a print record that was queued while offline
+ * Same endpoint as savePrintRecord, but errors are reported by the
+ * print queue instead of toasts (a replay may run in the background).
+ * The server answers DUPLICATE_REQUEST for a client_request_id it already saved.
+ * @param {Object} data - savePrintRecord payload + { queued_at, client_request_id }
+ * @returns {Promise} Saved record
+ */
+export const replayPrintRecord = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERTS, data);
+
+    if (response.data.success) {
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Save failed");
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Reserve stock for a print job before printing
+ * Reserved units are held for the teacher until confirmed, released or expired
+ * @param {Object} data - { certificate_id, branch_code, quantity }
+ * @returns {Promise} Reservation { id, certificate_id, branch_code, quantity, expires_at }
+ */
+export const reserveStock = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_RESERVATIONS, data);
+
+    if (response.data.success) {
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Reservation failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Release a reservation (print cancelled or failed)
+ * Reserved units go back to the available branch stock
+ * @param {number} reservationId
+ * @returns {Promise} Release result
+ */
+export const releaseReservation = async (reservationId) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_RESERVATION_RELEASE(reservationId));
+    return response.data;
+  } catch (error) {
+    // Expired reservations are already released by the backend
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Save printed certificate records for a whole batch print job
+ * Each student deducts 1 certificate and 1 medal from the branch stock
+ * Passing reservation_id commits that reservation; units of failed students are released
+ * @param {Object} data - { certificate_id, module_id, ptc_date, language, reservation_id, students: [{ student_name, student_id, serial_number }] }
+ * @returns {Promise} Per-student save results
+ */
+export const saveBatchPrintRecords = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_BATCH, data);
+
+    if (response.data.success) {
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Batch save failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
 /**
  * Get print history with filters
- * @param {Object} params - { page, limit, search, module_id, start_date, end_date }
+ * @param {Object} params - { page, limit, search, module_id, certificate_id, branch_code, start_date, end_date }
+ * @param {Object} options - { showToast } (background callers report errors themselves)
  * @returns {Promise} Print history with pagination
  */
-export const getPrintHistory = async (params = {}) => {
+export const getPrintHistory = async (params = {}, options = {}) => {
+  const { showToast = true } = options;
+
   try {
     const response = await axiosInstance.get(ENDPOINTS.PRINTED_CERT_HISTORY, {
       params,
     });
     return response.data;
   } catch (error) {
-    handleApiError(error);
+    handleApiError(error, { showToast });
     throw error;
   }
 };
@@ -72,6 +161,92 @@ export const getPrintRecordById = async (recordId) => {
   }
 };
 
+/**
+ * Void a print record (misprint, typo, damaged)
+ * The deducted certificate + medal is returned to the branch or booked as waste
+ * @param {number} recordId
+ * @param {Object} data - { reason, notes, stock_action: "return" | "waste" }
+ * @returns {Promise} Voided record
+ */
+export const voidPrintRecord = async (recordId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_VOID(recordId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("update", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Void failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Save the replacement print for a voided record
+ * Deducts 1 certificate + 1 medal again and links the new record to the original
+ * @param {number} recordId - ID of the voided record
+ * @param {Object} data - { student_name, ptc_date, serial_number, reservation_id }
+ * @returns {Promise} New print record
+ */
+export const reprintPrintRecord = async (recordId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_REPRINT(recordId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("save", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Reprint failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Log an identical-copy reprint of an active record
+ * Commits 1 certificate of the reservation (the copy reuses the awarded
+ * medal, so the held medal is released); the reason is kept in the
+ * activity log (PRINT_REPRINTED)
+ * @param {number} recordId
+ * @param {Object} data - { reason, notes, reservation_id }
+ * @returns {Promise} Log result
+ */
+export const logPrintRecordReprint = async (recordId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.PRINTED_CERT_REPRINT_LOG(recordId), data);
+
+    if (response.data.success) {
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Failed to log reprint");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Verify a printed certificate by its serial number (public, no login)
+ * @param {string} serial - Serial number printed on the certificate
+ * @returns {Promise} { status, serial_number, student_name, module_name, branch_name, ptc_date, revoked_reason }
+ */
+export const verifyCertificateSerial = async (serial) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.PRINTED_CERT_VERIFY(serial));
+    return response.data;
+  } catch (error) {
+    // Unknown serials are an expected outcome, the page reports them itself
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
 /**
  * Search students for autocomplete in print form
  * @param {string} query - Search query
@@ -0,0 +1,108 @@
+import axiosInstance from "./axiosConfig";
+import { ENDPOINTS } from "../utils/constants";
+import { handleApiError } from "../utils/errorHandler";
+import { handleOperationSuccess } from "../utils/successHandler";
+
+// =====================================================
+// STOCK REQUEST API
+// =====================================================
+
+/**
+ * Create a stock request (teacher)
+ * The request goes to the admin inbox of the branch's regional hub
+ * @param {Object} data - { branch_code, certificate_amount, medal_amount, batch_preference, note }
+ * @returns {Promise} Created request
+ */
+export const createStockRequest = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_REQUESTS, {
+      branch_code: data.branch_code,
+      certificate_amount: parseInt(data.certificate_amount) || 0,
+      medal_amount: parseInt(data.medal_amount) || 0,
+      batch_preference: data.batch_preference?.trim() || null,
+      note: data.note?.trim() || null,
+    });
+
+    if (response.data.success) {
+      handleOperationSuccess("send", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Failed to send stock request");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Get stock requests
+ * Teachers only receive their own requests; admins can filter by hub and status
+ * @param {Object} params - { status, regional_hub, branch_code, limit, offset }
+ * @returns {Promise} Requests ({ id, branch_code, branch_name, teacher_name, certificate_amount, medal_amount, batch_preference, note, status, certificate_id, approved_certificate_amount, approved_medal_amount, admin_note, created_at, processed_at })
+ */
+export const getStockRequests = async (params = {}) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.STOCK_REQUESTS, {
+      params,
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Approve a stock request (admin)
+ * Migrates the approved amounts from the head branch to the requesting
+ * branch (logged as MIGRATE). Amounts below the requested ones mark the
+ * request as partially approved.
+ * @param {number} requestId
+ * @param {Object} data - { certificate_id, certificate_amount, medal_amount, admin_note }
+ * @returns {Promise} Updated request
+ */
+export const approveStockRequest = async (requestId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_REQUEST_APPROVE(requestId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("migrate", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Approval failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Reject a stock request (admin)
+ * @param {number} requestId
+ * @param {Object} data - { admin_note }
+ * @returns {Promise} Updated request
+ */
+export const rejectStockRequest = async (requestId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_REQUEST_REJECT(requestId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("update", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Rejection failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+export default {
+  createStockRequest,
+  getStockRequests,
+  approveStockRequest,
+  rejectStockRequest,
+};
@@ -0,0 +1,135 @@
+import axiosInstance from "./axiosConfig";
+import { ENDPOINTS } from "../utils/constants";
+import { handleApiError } from "../utils/errorHandler";
+import { handleOperationSuccess } from "../utils/successHandler";
+
+// =====================================================
+// STOCK-TAKE API
+// =====================================================
+
+/**
+ * Start a stock-take session for one branch
+ * The expected quantities are the frozen snapshot taken when the session starts
+ * @param {Object} data - { branch_code, regional_hub, snapshot: { certificates, medals }, lines: [{ certificate_id, expected_certificates, expected_medals }] }
+ * @returns {Promise} Created session
+ */
+export const createStockTake = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_TAKES, data);
+
+    if (response.data.success) {
+      handleOperationSuccess("create", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Failed to start stock-take");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Get stock-take sessions
+ * @param {Object} params - { regional_hub, branch_code, status, limit }
+ * @returns {Promise} Sessions ({ id, branch_code, status, created_at, created_by, approved_at })
+ */
+export const getStockTakes = async (params = {}) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.STOCK_TAKES, { params });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Get a stock-take session with its lines
+ * @param {number} stockTakeId
+ * @returns {Promise} Session ({ ...session, snapshot, lines: [{ certificate_id, expected_certificates, expected_medals, counted_certificates, counted_medals }] })
+ */
+export const getStockTakeById = async (stockTakeId) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.STOCK_TAKE_BY_ID(stockTakeId));
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Save counted quantities (can be saved several times while counting)
+ * @param {number} stockTakeId
+ * @param {Object} data - { lines: [{ certificate_id, counted_certificates, counted_medals }] }
+ * @returns {Promise} Updated session
+ */
+export const saveStockTakeCounts = async (stockTakeId, data) => {
+  try {
+    const response = await axiosInstance.put(ENDPOINTS.STOCK_TAKE_COUNTS(stockTakeId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("save", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Failed to save counts");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Approve a stock-take
+ * Posts every difference as a count-correction stock adjustment (STOCK_ADJUSTED)
+ * and closes the session
+ * @param {number} stockTakeId
+ * @param {Object} data - { adjustments: [{ certificate_id, branch_code, certificate_amount, medal_amount, reason, notes }] }
+ * @returns {Promise} Approved session
+ */
+export const approveStockTake = async (stockTakeId, data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_TAKE_APPROVE(stockTakeId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("update", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Approval failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an open stock-take without posting adjustments
+ * @param {number} stockTakeId
+ * @returns {Promise} Cancelled session
+ */
+export const cancelStockTake = async (stockTakeId) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.STOCK_TAKE_CANCEL(stockTakeId));
+
+    if (response.data.success) {
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Failed to cancel stock-take");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+export default {
+  createStockTake,
+  getStockTakes,
+  getStockTakeById,
+  saveStockTakeCounts,
+  approveStockTake,
+  cancelStockTake,
+};
@@ -1,6 +1,8 @@
 import { getStockSummary } from "./certificateApi";
 import { getPrintHistory } from "./printedCertApi";
 import { handleApiError } from "@utils/errorHandler";
+import { buildBranchForecast, sortForecasts } from "@utils/stockForecast";
+import { STOCK_FORECAST } from "@utils/constants";
 
 /**
  * Teacher Stats API Helper
@@ -240,6 +242,84 @@ export const getStockAlerts = async (teacherInfo, lowStockThreshold = 50) => {
   }
 };
 
+/**
+ * Count prints per branch over the last days
+ * Each count is the print history total (limit 1), so this costs one small
+ * request per branch. The history is what the caller may see - for a
+ * teacher only their own prints, so a branch rate is a lower bound there.
+ * A branch whose request fails is listed in `failed` (no toast) and has no
+ * count - it must not be read as "no prints".
+ * @param {Array<string>} branchCodes
+ * @param {number} days - Period length, ending today
+ * @returns {Promise<{counts: Object, failed: Array<string>}>} counts: { [branch_code]: prints }
+ */
+export const getBranchPrintCounts = async (branchCodes, days) => {
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+  const printRes = await Promise.allSettled(branchCodes.map((code) => getPrintHistory({ branch_code: code, start_date: startDate, page: 1, limit: 1 }, { showToast: false })));
+
+  return branchCodes.reduce(
+    (result, code, index) => {
+      const response = printRes[index];
+
+      if (response.status === "rejected") {
+        result.failed.push(code);
+      } else {
+        const pagination = response.value?.pagination || response.value?.meta?.pagination || {};
+        result.counts[code] = pagination.total || 0;
+      }
+
+      return result;
+    },
+    { counts: {}, failed: [] },
+  );
+};
+
+/**
+ * Get depletion forecasts from each branch's recent print rate
+ * (see getBranchPrintCounts for how prints are counted). Branches whose
+ * print count could not be loaded get a forecast with `printed: null`.
+ * @param {Array<string>|null} branchCodes - Branches to forecast (null: every branch with stock data)
+ * @param {Object} options - { windowDays, leadTimeDays, coverDays }
+ * @returns {Promise<Object>} Forecasts, soonest to run out first
+ */
+export const getStockForecast = async (branchCodes = null, options = {}) => {
+  try {
+    const windowDays = options.windowDays || STOCK_FORECAST.WINDOW_DAYS;
+    const stockRes = await getStockSummary();
+    const stockByBranch = stockRes?.data?.stock_by_branch || {};
+
+    const codes = (branchCodes || Object.keys(stockByBranch)).filter((code) => stockByBranch[code]);
+
+    const { counts, failed } = await getBranchPrintCounts(codes, windowDays);
+
+    const forecasts = codes.map((code) =>
+      buildBranchForecast(
+        {
+          branchCode: code,
+          branchName: stockByBranch[code].branch_name || code,
+          certificates: stockByBranch[code].certificates || 0,
+          medals: stockByBranch[code].medals || 0,
+          printed: failed.includes(code) ? null : counts[code],
+        },
+        { ...options, windowDays },
+      ),
+    );
+
+    return {
+      success: true,
+      data: {
+        forecasts: sortForecasts(forecasts),
+        failedBranches: failed,
+        windowDays,
+      },
+    };
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
 /**
  * Get division statistics for teacher
  * @param {Object} teacherInfo - Teacher information
@@ -289,5 +369,7 @@ export const getDivisionStats = async (teacherInfo) => {
 export default {
   getTeacherDashboardStats,
   getStockAlerts,
+  getBranchPrintCounts,
+  getStockForecast,
   getDivisionStats,
 };
@@ -0,0 +1,130 @@
+import axiosInstance from "./axiosConfig";
+import { ENDPOINTS } from "../utils/constants";
+import { handleApiError } from "../utils/errorHandler";
+import { handleOperationSuccess } from "../utils/successHandler";
+
+/**
+ * Certificate Template API Service
+ * Handles certificate layout templates per division or module
+ */
+
+/**
+ * Get all certificate templates
+ * @param {Object} params - { scope, division, module_id }
+ * @returns {Promise} Templates list
+ */
+export const getTemplates = async (params = {}) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.TEMPLATES, { params });
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Get template by ID
+ * @param {number} templateId
+ * @returns {Promise} Template data
+ */
+export const getTemplateById = async (templateId) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.TEMPLATE_BY_ID(templateId));
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Resolve the template to print a module with
+ * Backend picks the module template, then the division template, then the default
+ * @param {Object} params - { module_id, division }
+ * @returns {Promise} Resolved template (data may be null when none is saved)
+ */
+export const resolveTemplate = async (params = {}) => {
+  try {
+    const response = await axiosInstance.get(ENDPOINTS.TEMPLATE_RESOLVE, {
+      params,
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, { showToast: false });
+    throw error;
+  }
+};
+
+/**
+ * Create new template
+ * @param {Object} data - { template_name, scope, division, module_id, layout }
+ * @returns {Promise} Created template
+ */
+export const createTemplate = async (data) => {
+  try {
+    const response = await axiosInstance.post(ENDPOINTS.TEMPLATES, data);
+
+    if (response.data.success) {
+      handleOperationSuccess("create", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Create failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Update template
+ * @param {number} templateId
+ * @param {Object} data - { template_name, scope, division, module_id, layout }
+ * @returns {Promise} Updated template
+ */
+export const updateTemplate = async (templateId, data) => {
+  try {
+    const response = await axiosInstance.put(ENDPOINTS.TEMPLATE_BY_ID(templateId), data);
+
+    if (response.data.success) {
+      handleOperationSuccess("update", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Update failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Delete template
+ * @param {number} templateId
+ * @returns {Promise} Delete result
+ */
+export const deleteTemplate = async (templateId) => {
+  try {
+    const response = await axiosInstance.delete(ENDPOINTS.TEMPLATE_BY_ID(templateId));
+
+    if (response.data.success) {
+      handleOperationSuccess("delete", response.data.data);
+      return response.data;
+    }
+
+    throw new Error(response.data.message || "Delete failed");
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+export default {
+  getTemplates,
+  getTemplateById,
+  resolveTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
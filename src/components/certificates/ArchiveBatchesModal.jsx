@@ -0,0 +1,137 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Archive, Download, AlertTriangle } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import { archiveCertificates } from "@api/certificateApi";
+import { exportAllData } from "@api/exportApi";
+import { ARCHIVE_RETENTION_DAYS, getArchiveConfirmPhrase } from "@utils/constants";
+
+const inputClass =
+  "w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary font-mono focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * ArchiveBatchesModal Component
+ * Archives every batch created in a year (replaces "Clear All").
+ * A full data export is downloaded first; archiving only starts when the
+ * export succeeded and the confirmation phrase was typed exactly.
+ */
+const ArchiveBatchesModal = ({ isOpen, onClose, year, onArchived }) => {
+  const [confirmation, setConfirmation] = useState("");
+  const [step, setStep] = useState("");
+  const [error, setError] = useState("");
+
+  const phrase = getArchiveConfirmPhrase(year);
+  const isSubmitting = step !== "";
+
+  useEffect(() => {
+    if (isOpen) {
+      setConfirmation("");
+      setStep("");
+      setError("");
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (confirmation !== phrase) {
+      setError(`Type "${phrase}" exactly to confirm`);
+      return;
+    }
+
+    setError("");
+
+    try {
+      setStep("export");
+      await exportAllData();
+    } catch (err) {
+      console.error("Snapshot export failed:", err);
+      setError("The snapshot export failed, so nothing was archived. Please try again.");
+      setStep("");
+      return;
+    }
+
+    try {
+      setStep("archive");
+      await archiveCertificates({ year, confirmation });
+      onClose();
+      onArchived?.();
+    } catch (err) {
+      console.error("Failed to archive certificates:", err);
+    } finally {
+      setStep("");
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={isSubmitting ? () => {} : onClose} title={`Archive ${year} Batches`} size="medium">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex items-start gap-3 p-4 rounded-xl bg-red-500/10 border border-red-500/30">
+          <AlertTriangle className="w-5 h-5 text-status-error flex-shrink-0 mt-0.5" />
+          <div className="text-sm text-primary space-y-1">
+            <p>
+              All certificate batches created in <strong>{year}</strong>, in every regional hub, are moved to an archive together with their branch stock.
+            </p>
+            <p>They can be browsed and restored for {ARCHIVE_RETENTION_DAYS} days. After that the archive is deleted for good.</p>
+          </div>
+        </div>
+
+        <div className="flex items-start gap-3 p-4 rounded-xl backdrop-blur-sm bg-white/20 dark:bg-white/5 border border-gray-200/30 dark:border-white/5">
+          <Download className="w-5 h-5 text-primary flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-secondary">A full export of all data is downloaded automatically before anything is archived. Keep that file - it is the snapshot if the archive has expired.</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">
+            Type <span className="font-mono font-semibold">{phrase}</span> to confirm
+          </label>
+          <input
+            type="text"
+            value={confirmation}
+            onChange={(e) => {
+              setConfirmation(e.target.value);
+              setError("");
+            }}
+            placeholder={phrase}
+            autoComplete="off"
+            className={inputClass}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {error && <p className="text-sm text-status-error">{error}</p>}
+
+        <div className="flex items-center gap-3 pt-4">
+          <Button type="button" variant="ghost" size="medium" onClick={onClose} disabled={isSubmitting} className="flex-1">
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="danger"
+            size="medium"
+            icon={<Archive className="w-4 h-4" />}
+            disabled={isSubmitting || confirmation !== phrase}
+            loading={isSubmitting}
+            className="flex-1"
+          >
+            {step === "export" ? "Exporting Snapshot..." : step === "archive" ? "Archiving..." : "Export & Archive"}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+ArchiveBatchesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  year: PropTypes.number.isRequired,
+  onArchived: PropTypes.func,
+};
+
+ArchiveBatchesModal.defaultProps = {
+  onArchived: null,
+};
+
+export default ArchiveBatchesModal;
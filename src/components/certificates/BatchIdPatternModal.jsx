@@ -0,0 +1,180 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Save, SearchCheck, CheckCircle } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { validateBatchIdPattern, formatBatchId, BATCH_ID_TOKENS } from "@utils/batchIdPattern";
+import { formatNumber } from "@utils/formatters";
+
+const inputClass =
+  "w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary font-mono focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * BatchIdPatternModal Component
+ * Edit the batch ID pattern with a live preview, and check the IDs of
+ * existing batches against it.
+ */
+const BatchIdPatternModal = ({ isOpen, onClose, pattern, headBranches, onSave, onCheck }) => {
+  const [draft, setDraft] = useState(pattern);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(pattern);
+      setReport(null);
+    }
+  }, [isOpen, pattern]);
+
+  const trimmed = draft.trim();
+  const validationError = validateBatchIdPattern(trimmed);
+  const previewHubs = headBranches.slice(0, 3).map((branch) => branch.branch_code);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (validationError) return;
+
+    setIsSaving(true);
+    try {
+      await onSave(trimmed);
+      setReport(null);
+    } catch (err) {
+      console.error("Failed to save batch ID pattern:", err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCheck = async () => {
+    setIsChecking(true);
+    setReport(null);
+    try {
+      // Check against what is being edited, so a pattern can be tried before saving
+      const checkPattern = validationError ? pattern : trimmed;
+      const result = await onCheck(
+        headBranches.map((branch) => branch.branch_code),
+        checkPattern,
+      );
+      setReport({ ...result, pattern: checkPattern });
+    } catch (err) {
+      console.error("Failed to check batch IDs:", err);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={isSaving || isChecking ? () => {} : onClose} title="Batch ID Pattern" size="large">
+      <div className="space-y-5">
+        <form onSubmit={handleSave} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">Pattern</label>
+            <input type="text" value={draft} onChange={(e) => setDraft(e.target.value)} placeholder="{HUB}-{YYYY}-{SEQ:4}" className={inputClass} />
+            {validationError && <p className="text-sm text-status-error mt-1">{validationError}</p>}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+              <h4 className="text-sm font-semibold text-primary mb-2">Tokens</h4>
+              <ul className="text-xs text-secondary space-y-1">
+                {BATCH_ID_TOKENS.map(({ token, description }) => (
+                  <li key={token}>
+                    <span className="font-mono text-primary">{token}</span> - {description}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+              <h4 className="text-sm font-semibold text-primary mb-2">Preview</h4>
+              {validationError ? (
+                <p className="text-xs text-secondary">Fix the pattern to see example IDs</p>
+              ) : (
+                <ul className="text-sm font-mono text-primary space-y-1">
+                  {previewHubs.map((hub) => (
+                    <li key={hub}>{formatBatchId(trimmed, { hub, seq: 1 })}</li>
+                  ))}
+                </ul>
+              )}
+              <p className="text-xs text-secondary mt-2">Each hub has its own sequence; with a year or month in the pattern it restarts at 1 every period.</p>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3">
+            <Button type="button" variant="secondary" size="medium" icon={<SearchCheck className="w-4 h-4" />} onClick={handleCheck} disabled={isChecking || isSaving || headBranches.length === 0} loading={isChecking}>
+              Check Existing IDs
+            </Button>
+            <div className="flex-1" />
+            <Button type="button" variant="ghost" size="medium" onClick={onClose} disabled={isSaving || isChecking}>
+              Close
+            </Button>
+            <Button type="submit" variant="primary" size="medium" icon={<Save className="w-4 h-4" />} disabled={!!validationError || trimmed === pattern || isSaving} loading={isSaving}>
+              Save Pattern
+            </Button>
+          </div>
+        </form>
+
+        {isChecking && (
+          <div className="flex items-center justify-center py-6">
+            <Spinner size="medium" />
+          </div>
+        )}
+
+        {report && (
+          <div className="space-y-3 border-t border-gray-200/30 dark:border-white/5 pt-4">
+            <p className="text-sm text-secondary">
+              Checked {formatNumber(report.checked)} batch ID(s) against <span className="font-mono text-primary">{report.pattern}</span>
+            </p>
+
+            {report.issues.length === 0 ? (
+              <p className="flex items-center gap-2 text-sm text-green-600 dark:text-green-400">
+                <CheckCircle className="w-4 h-4" /> All batch IDs follow the pattern
+              </p>
+            ) : (
+              <>
+                <p className="text-sm font-semibold text-status-error">{formatNumber(report.issues.length)} batch ID(s) do not follow the pattern</p>
+                <div className="max-h-72 overflow-y-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+                  <table className="w-full">
+                    <thead className="sticky top-0 bg-white/90 dark:bg-gray-900/90 border-b border-gray-200/30 dark:border-white/5">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Batch ID</th>
+                        <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Regional Hub</th>
+                        <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Issue</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                      {report.issues.map((issue) => (
+                        <tr key={issue.certificate_id}>
+                          <td className="px-4 py-2 text-sm font-medium text-primary">{issue.certificate_id}</td>
+                          <td className="px-4 py-2 text-sm text-secondary">{issue.regional_hub || "-"}</td>
+                          <td className="px-4 py-2 text-sm text-secondary">{issue.reason}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-secondary">Existing IDs are not renamed; the pattern only applies to new batches.</p>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+BatchIdPatternModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  pattern: PropTypes.string.isRequired,
+  headBranches: PropTypes.arrayOf(
+    PropTypes.shape({
+      branch_code: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCheck: PropTypes.func.isRequired,
+};
+
+export default BatchIdPatternModal;
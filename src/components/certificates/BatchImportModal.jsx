@@ -0,0 +1,279 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Upload, Download, CheckCircle, XCircle, ArrowLeft } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import { createCertificate } from "@api/certificateApi";
+import { readSpreadsheet, SPREADSHEET_ACCEPT } from "@utils/spreadsheetReader";
+import { buildBatchImportRows, BATCH_IMPORT_COLUMNS, BATCH_IMPORT_TEMPLATE } from "@utils/batchImport";
+import { getErrorMessage } from "@utils/errorHandler";
+import { formatNumber } from "@utils/formatters";
+
+const STEPS = {
+  UPLOAD: "upload",
+  PREVIEW: "preview",
+  RESULTS: "results",
+};
+
+const downloadTemplate = () => {
+  const url = window.URL.createObjectURL(new Blob([BATCH_IMPORT_TEMPLATE], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "batch_import_template.csv";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * BatchImportModal Component
+ * Upload wizard for creating many batches at once from a .csv or .xlsx
+ * sheet: upload, preview with per-row errors, then create the valid rows
+ * one by one and show the result of each.
+ */
+const BatchImportModal = ({ isOpen, onClose, headBranches, onImported }) => {
+  const [step, setStep] = useState(STEPS.UPLOAD);
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]);
+  const [results, setResults] = useState({});
+  const [progress, setProgress] = useState(0);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      setStep(STEPS.UPLOAD);
+      setFileName("");
+      setRows([]);
+      setResults({});
+      setProgress(0);
+      setError("");
+    }
+  }, [isOpen]);
+
+  const validRows = rows.filter((row) => row.errors.length === 0);
+  const invalidCount = rows.length - validRows.length;
+  const createdCount = Object.values(results).filter((result) => result.success).length;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setError("");
+    setFileName(file.name);
+
+    try {
+      const sheetRows = await readSpreadsheet(file);
+      const { rows: importRows, missing } = buildBatchImportRows(sheetRows, headBranches);
+
+      if (missing.length > 0) {
+        setError(`Missing column(s): ${missing.join(", ")}`);
+        return;
+      }
+
+      if (importRows.length === 0) {
+        setError("The sheet has no batch rows");
+        return;
+      }
+
+      setRows(importRows);
+      setStep(STEPS.PREVIEW);
+    } catch (err) {
+      console.error("Failed to read spreadsheet:", err);
+      setError(err.message || "Failed to read the file");
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setResults({});
+    setProgress(0);
+
+    // One at a time so each row gets its own result
+    for (const row of validRows) {
+      try {
+        await createCertificate(row, { showToast: false });
+        setResults((prev) => ({ ...prev, [row.rowNumber]: { success: true } }));
+      } catch (err) {
+        setResults((prev) => ({ ...prev, [row.rowNumber]: { success: false, message: getErrorMessage(err) } }));
+      }
+      setProgress((prev) => prev + 1);
+    }
+
+    setIsCreating(false);
+    setStep(STEPS.RESULTS);
+    onImported?.();
+  };
+
+  const renderStatus = (row) => {
+    if (step === STEPS.RESULTS && results[row.rowNumber]) {
+      const result = results[row.rowNumber];
+      return result.success ? (
+        <span className="inline-flex items-center gap-1 text-xs text-green-600 dark:text-green-400">
+          <CheckCircle className="w-4 h-4" /> Created
+        </span>
+      ) : (
+        <span className="inline-flex items-center gap-1 text-xs text-status-error">
+          <XCircle className="w-4 h-4" /> {result.message}
+        </span>
+      );
+    }
+
+    if (row.errors.length > 0) {
+      return (
+        <ul className="text-xs text-status-error space-y-0.5">
+          {row.errors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      );
+    }
+
+    return <span className="text-xs text-secondary">{step === STEPS.RESULTS ? "Skipped" : "Ready"}</span>;
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={isCreating ? () => {} : onClose} title="Import Batches" size={step === STEPS.UPLOAD ? "medium" : "xlarge"}>
+      {step === STEPS.UPLOAD ? (
+        <div className="space-y-4">
+          <p className="text-sm text-secondary">
+            Upload a .csv or .xlsx file with one batch per row. The first row must contain the column names; the first sheet of a workbook is used.
+          </p>
+
+          <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+            <h4 className="text-sm font-semibold text-primary mb-2">Columns</h4>
+            <ul className="text-xs text-secondary space-y-1">
+              <li>
+                <span className="font-mono text-primary">{BATCH_IMPORT_COLUMNS.certificate_id[0]}</span> - batch ID (letters, numbers, dashes, underscores)
+              </li>
+              <li>
+                <span className="font-mono text-primary">{BATCH_IMPORT_COLUMNS.branch_code[0]}</span> - head branch code: {headBranches.map((branch) => branch.branch_code).join(", ")}
+              </li>
+              <li>
+                <span className="font-mono text-primary">{BATCH_IMPORT_COLUMNS.jumlah_sertifikat[0]}</span>, <span className="font-mono text-primary">{BATCH_IMPORT_COLUMNS.jumlah_medali[0]}</span> - counts (empty counts as 0)
+              </li>
+            </ul>
+          </div>
+
+          <label className="flex flex-col items-center justify-center gap-2 p-8 rounded-xl border-2 border-dashed border-gray-300 dark:border-white/20 cursor-pointer hover:border-primary/50 transition-colors">
+            <Upload className="w-8 h-8 text-secondary" />
+            <span className="text-sm font-medium text-primary">{fileName || "Choose a file"}</span>
+            <span className="text-xs text-secondary">.csv or .xlsx</span>
+            <input type="file" accept={SPREADSHEET_ACCEPT} onChange={handleFileChange} className="hidden" />
+          </label>
+
+          {error && <p className="text-sm text-status-error">{error}</p>}
+
+          <div className="flex items-center gap-3 pt-2">
+            <Button type="button" variant="ghost" size="medium" icon={<Download className="w-4 h-4" />} onClick={downloadTemplate}>
+              Download Template
+            </Button>
+            <div className="flex-1" />
+            <Button type="button" variant="ghost" size="medium" onClick={onClose}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="text-secondary">{fileName}</span>
+            {step === STEPS.PREVIEW ? (
+              <>
+                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-500/10 text-green-700 dark:text-green-400">{validRows.length} ready</span>
+                {invalidCount > 0 && <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-500/10 text-status-error">{invalidCount} with errors</span>}
+              </>
+            ) : (
+              <>
+                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-green-500/10 text-green-700 dark:text-green-400">{createdCount} created</span>
+                {validRows.length - createdCount > 0 && (
+                  <span className="px-2 py-1 rounded-full text-xs font-semibold bg-red-500/10 text-status-error">{validRows.length - createdCount} failed</span>
+                )}
+                {invalidCount > 0 && <span className="px-2 py-1 rounded-full text-xs font-semibold bg-gray-500/10 text-secondary">{invalidCount} skipped</span>}
+              </>
+            )}
+          </div>
+
+          <div className="max-h-[50vh] overflow-y-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+            <table className="w-full">
+              <thead className="sticky top-0 bg-white/90 dark:bg-gray-900/90 border-b border-gray-200/30 dark:border-white/5">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Row</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Batch ID</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Head Branch</th>
+                  <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Certificates</th>
+                  <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Medals</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                {rows.map((row) => (
+                  <tr key={row.rowNumber} className={row.errors.length > 0 ? "bg-red-500/5" : ""}>
+                    <td className="px-4 py-2 text-sm text-secondary">{row.rowNumber}</td>
+                    <td className="px-4 py-2 text-sm font-medium text-primary">{row.certificate_id || "-"}</td>
+                    <td className="px-4 py-2 text-sm text-primary">{row.branch_code || "-"}</td>
+                    <td className="px-4 py-2 text-sm text-primary text-right">{formatNumber(row.jumlah_sertifikat)}</td>
+                    <td className="px-4 py-2 text-sm text-primary text-right">{formatNumber(row.jumlah_medali)}</td>
+                    <td className="px-4 py-2">{renderStatus(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {step === STEPS.PREVIEW && invalidCount > 0 && (
+            <p className="text-xs text-secondary">Rows with errors are skipped. Fix them in the file and upload again to include them.</p>
+          )}
+
+          <div className="flex items-center gap-3 pt-2">
+            {step === STEPS.PREVIEW ? (
+              <>
+                <Button type="button" variant="ghost" size="medium" icon={<ArrowLeft className="w-4 h-4" />} onClick={() => setStep(STEPS.UPLOAD)} disabled={isCreating}>
+                  Back
+                </Button>
+                <div className="flex-1" />
+                <Button
+                  type="button"
+                  variant="primary"
+                  size="medium"
+                  icon={<Upload className="w-4 h-4" />}
+                  onClick={handleCreate}
+                  disabled={isCreating || validRows.length === 0}
+                  loading={isCreating}
+                >
+                  {isCreating ? `Creating ${Math.min(progress + 1, validRows.length)} of ${validRows.length}...` : `Create ${validRows.length} Batch(es)`}
+                </Button>
+              </>
+            ) : (
+              <>
+                <div className="flex-1" />
+                <Button type="button" variant="primary" size="medium" onClick={onClose}>
+                  Done
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+BatchImportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  headBranches: PropTypes.arrayOf(
+    PropTypes.shape({
+      branch_code: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+  onImported: PropTypes.func,
+};
+
+BatchImportModal.defaultProps = {
+  onImported: null,
+};
+
+export default BatchImportModal;
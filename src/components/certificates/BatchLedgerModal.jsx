@@ -0,0 +1,215 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { RefreshCw } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { getLogsByCertificate } from "@api/logsApi";
+import { getPrintHistory } from "@api/printedCertApi";
+import { buildBatchLedger } from "@utils/batchLedger";
+import { formatNumber, formatDateTime } from "@utils/formatters";
+
+// Print records loaded per batch
+const PRINT_LIMIT = 1000;
+
+const formatChange = (value) => (value > 0 ? `+${formatNumber(value)}` : formatNumber(value));
+
+/**
+ * BatchLedgerModal Component
+ * Movement ledger of one batch: creation, migrations and transfers,
+ * prints, adjustments and voids in time order, with the running
+ * certificate and medal balance of every branch after each entry.
+ */
+const BatchLedgerModal = ({ isOpen, onClose, batch, headBranch, branchOrder }) => {
+  const [ledger, setLedger] = useState(null);
+  const [printsTruncated, setPrintsTruncated] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const certificateId = batch?.certificate_id;
+
+  const fetchLedger = useCallback(async () => {
+    if (!certificateId) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const [logsResponse, printsResponse] = await Promise.all([
+        getLogsByCertificate(certificateId),
+        getPrintHistory({ certificate_id: certificateId, page: 1, limit: PRINT_LIMIT }),
+      ]);
+
+      // The history filter matches partially; keep this batch only
+      const prints = (printsResponse.data || []).filter((record) => record.certificate_id === certificateId);
+      const totalPrints = (printsResponse.pagination || printsResponse.meta?.pagination || {}).total || 0;
+
+      setLedger(buildBatchLedger(logsResponse.data || [], prints, headBranch));
+      setPrintsTruncated(totalPrints > PRINT_LIMIT);
+    } catch (err) {
+      console.error("Failed to load batch ledger:", err);
+      setError("Failed to load the batch ledger. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [certificateId, headBranch]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setLedger(null);
+      fetchLedger();
+    }
+  }, [isOpen, fetchLedger]);
+
+  // Branch columns follow the Certificates table; branches outside it go last
+  const columns = ledger ? [...branchOrder.filter((code) => ledger.branches.includes(code)), ...ledger.branches.filter((code) => !branchOrder.includes(code))] : [];
+
+  const getCurrentStock = (branchCode) => {
+    const stock = batch?.stock_by_branch?.find((s) => s.branch_code === branchCode);
+    return {
+      certificates: stock?.certificates || 0,
+      medals: stock?.medals || 0,
+      reservedCertificates: stock?.reserved_certificates || 0,
+      reservedMedals: stock?.reserved_medals || 0,
+    };
+  };
+
+  const renderBalanceCell = (entry, branchCode) => {
+    const change = entry.changes.find((item) => item.branch_code === branchCode);
+    const balance = entry.balances[branchCode];
+
+    if (!balance) {
+      return <span className="text-secondary">-</span>;
+    }
+
+    return (
+      <div className={change ? "" : "opacity-50"}>
+        <p className="text-sm font-semibold text-primary">
+          {formatNumber(balance.certificates)} / {formatNumber(balance.medals)}
+        </p>
+        {change && (
+          <p className="text-xs">
+            <span className={change.certificates < 0 ? "text-red-600 dark:text-red-400" : "text-green-600 dark:text-green-400"}>{formatChange(change.certificates)}</span>
+            {" / "}
+            <span className={change.medals < 0 ? "text-red-600 dark:text-red-400" : "text-green-600 dark:text-green-400"}>{formatChange(change.medals)}</span>
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Batch Ledger - ${certificateId || ""}`} size="full">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-secondary">Balances per branch are shown as certificates / medals after each entry; the change is shown underneath.</p>
+          <Button variant="ghost" size="small" onClick={fetchLedger} icon={<RefreshCw className="w-4 h-4" />} disabled={isLoading}>
+            Refresh
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Spinner size="large" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-status-error text-center py-8">{error}</p>
+        ) : (
+          ledger && (
+            <>
+              {printsTruncated && <p className="text-xs text-status-warning">Only the first {formatNumber(PRINT_LIMIT)} prints of this batch are included.</p>}
+
+              <div className="overflow-x-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+                <table className="w-full">
+                  <thead className="bg-white/20 dark:bg-white/5 border-b border-gray-200/30 dark:border-white/5">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-semibold text-secondary uppercase">Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold text-secondary uppercase">Entry</th>
+                      <th className="px-4 py-3 text-left text-xs font-semibold text-secondary uppercase">Description</th>
+                      {columns.map((code) => (
+                        <th key={code} className="px-4 py-3 text-center text-xs font-semibold text-secondary uppercase">
+                          {code}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                    {ledger.entries.length === 0 ? (
+                      <tr>
+                        <td colSpan={3 + columns.length} className="px-4 py-6 text-sm text-secondary text-center">
+                          No movements recorded for this batch
+                        </td>
+                      </tr>
+                    ) : (
+                      ledger.entries.map((entry) => (
+                        <tr key={entry.key} className={entry.changes.length === 0 ? "bg-white/10 dark:bg-white/[0.02]" : ""}>
+                          <td className="px-4 py-2 text-sm text-secondary whitespace-nowrap">{formatDateTime(entry.date)}</td>
+                          <td className="px-4 py-2 text-sm font-medium text-primary whitespace-nowrap">{entry.label}</td>
+                          <td className="px-4 py-2 text-sm text-primary">
+                            <span className="line-clamp-2">{entry.description || "-"}</span>
+                            {entry.performed_by && <span className="block text-xs text-secondary">by {entry.performed_by}</span>}
+                          </td>
+                          {columns.map((code) => (
+                            <td key={code} className="px-4 py-2 text-center">
+                              {renderBalanceCell(entry, code)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* RECONCILIATION WITH THE CERTIFICATES PAGE */}
+              <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+                <h4 className="text-sm font-semibold text-primary mb-3">Ledger vs Certificates Page</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {columns.map((code) => {
+                    const balance = ledger.balances[code] || { certificates: 0, medals: 0 };
+                    const current = getCurrentStock(code);
+                    const matches = balance.certificates === current.certificates + current.reservedCertificates && balance.medals === current.medals + current.reservedMedals;
+
+                    return (
+                      <div key={code} className="p-3 rounded-lg border border-gray-200/50 dark:border-white/10">
+                        <p className="text-sm font-semibold text-primary">{code}</p>
+                        <p className="text-xs text-secondary">
+                          Ledger: {formatNumber(balance.certificates)} certs, {formatNumber(balance.medals)} medals
+                        </p>
+                        <p className="text-xs text-secondary">
+                          On page: {formatNumber(current.certificates)} certs{current.reservedCertificates > 0 && ` (+${formatNumber(current.reservedCertificates)} reserved)`}, {formatNumber(current.medals)} medals
+                          {current.reservedMedals > 0 && ` (+${formatNumber(current.reservedMedals)} reserved)`}
+                        </p>
+                        {!matches && <p className="text-xs text-status-warning mt-1">Does not match - check for movements outside the log</p>}
+                      </div>
+                    );
+                  })}
+                </div>
+                <p className="text-xs text-secondary mt-3">Stock on the Certificates page excludes units reserved by print jobs that are still in progress.</p>
+              </div>
+            </>
+          )
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+BatchLedgerModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  batch: PropTypes.shape({
+    certificate_id: PropTypes.string,
+    stock_by_branch: PropTypes.arrayOf(PropTypes.object),
+  }),
+  headBranch: PropTypes.string,
+  branchOrder: PropTypes.arrayOf(PropTypes.string),
+};
+
+BatchLedgerModal.defaultProps = {
+  batch: null,
+  headBranch: "",
+  branchOrder: [],
+};
+
+export default BatchLedgerModal;
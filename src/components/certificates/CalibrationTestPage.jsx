@@ -0,0 +1,119 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { CALIBRATION_TARGETS, getCalibrationStyle, getCalibrationPrintCss, normalizeCalibration } from "@utils/printerCalibration";
+
+const PAGE_WIDTH_MM = 297;
+const PAGE_HEIGHT_MM = 210;
+const CROSSHAIR_MM = 8;
+
+/**
+ * Ruler ticks every millimetre: long every 10mm, medium every 5mm
+ * @param {number} length - Ruler length in mm
+ * @returns {Array<{at: number, size: number, label: string|null}>}
+ */
+const buildTicks = (length) => {
+  const ticks = [];
+  for (let at = 0; at <= length; at += 1) {
+    const isTen = at % 10 === 0;
+    ticks.push({ at, size: isTen ? 6 : at % 5 === 0 ? 4 : 2, label: isTen && at > 0 ? String(at) : null });
+  }
+  return ticks;
+};
+
+/**
+ * CalibrationTestPage Component
+ * A4 landscape test sheet with millimetre rulers along the top and left
+ * edges and crosshairs at known positions. Printed on the stationery, it
+ * shows how far the branch printer shifts the page: the ruler reading at
+ * the paper edge (or the distance between a crosshair and its intended
+ * position) is the offset to enter. The current calibration is applied,
+ * so printing again verifies the correction.
+ */
+const CalibrationTestPage = React.forwardRef(({ calibration, branchCode }, ref) => {
+  const current = normalizeCalibration(calibration);
+
+  return (
+    <div ref={ref} className="calibration-test-page" style={{ width: `${PAGE_WIDTH_MM}mm`, height: `${PAGE_HEIGHT_MM}mm`, background: "white", position: "relative", overflow: "hidden" }}>
+      <style>
+        {`
+          @media print {
+            @page {
+              size: A4 landscape;
+              margin: 0;
+            }
+
+            body {
+              margin: 0;
+              padding: 0;
+            }
+          }
+          ${getCalibrationPrintCss(".calibration-test-sheet")}
+        `}
+      </style>
+
+      <svg className="calibration-test-sheet" width={`${PAGE_WIDTH_MM}mm`} height={`${PAGE_HEIGHT_MM}mm`} viewBox={`0 0 ${PAGE_WIDTH_MM} ${PAGE_HEIGHT_MM}`} style={getCalibrationStyle(calibration)}>
+        {/* Top ruler */}
+        {buildTicks(PAGE_WIDTH_MM).map((tick) => (
+          <g key={`x-${tick.at}`}>
+            <line x1={tick.at} y1={0} x2={tick.at} y2={tick.size} stroke="#000" strokeWidth={0.15} />
+            {tick.label && (
+              <text x={tick.at} y={9} fontSize={2.5} textAnchor="middle" fontFamily="sans-serif">
+                {tick.label}
+              </text>
+            )}
+          </g>
+        ))}
+
+        {/* Left ruler */}
+        {buildTicks(PAGE_HEIGHT_MM).map((tick) => (
+          <g key={`y-${tick.at}`}>
+            <line x1={0} y1={tick.at} x2={tick.size} y2={tick.at} stroke="#000" strokeWidth={0.15} />
+            {tick.label && (
+              <text x={8} y={tick.at + 0.9} fontSize={2.5} fontFamily="sans-serif">
+                {tick.label}
+              </text>
+            )}
+          </g>
+        ))}
+
+        {/* Crosshairs */}
+        {CALIBRATION_TARGETS.map((target) => (
+          <g key={`${target.x_mm}-${target.y_mm}`} stroke="#DC2626" strokeWidth={0.2} fill="none">
+            <line x1={target.x_mm - CROSSHAIR_MM} y1={target.y_mm} x2={target.x_mm + CROSSHAIR_MM} y2={target.y_mm} />
+            <line x1={target.x_mm} y1={target.y_mm - CROSSHAIR_MM} x2={target.x_mm} y2={target.y_mm + CROSSHAIR_MM} />
+            <circle cx={target.x_mm} cy={target.y_mm} r={CROSSHAIR_MM / 2} />
+            <text x={target.x_mm + 1.5} y={target.y_mm - 1.5} fontSize={2.5} fill="#DC2626" stroke="none" fontFamily="sans-serif">
+              {target.x_mm},{target.y_mm}
+            </text>
+          </g>
+        ))}
+
+        {/* Current profile */}
+        <text x={PAGE_WIDTH_MM / 2} y={125} fontSize={4} textAnchor="middle" fontFamily="sans-serif">
+          Printer calibration test{branchCode ? ` - ${branchCode}` : ""}
+        </text>
+        <text x={PAGE_WIDTH_MM / 2} y={132} fontSize={3} textAnchor="middle" fontFamily="sans-serif" fill="#555">
+          X offset {current.offset_x_mm} mm • Y offset {current.offset_y_mm} mm • Scale {current.scale}
+        </text>
+      </svg>
+    </div>
+  );
+});
+
+CalibrationTestPage.displayName = "CalibrationTestPage";
+
+CalibrationTestPage.propTypes = {
+  calibration: PropTypes.shape({
+    offset_x_mm: PropTypes.number,
+    offset_y_mm: PropTypes.number,
+    scale: PropTypes.number,
+  }),
+  branchCode: PropTypes.string,
+};
+
+CalibrationTestPage.defaultProps = {
+  calibration: null,
+  branchCode: "",
+};
+
+export default CalibrationTestPage;
@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { RotateCcw, ChevronDown, ChevronUp, RefreshCw } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { getCertificateArchives, getCertificateArchiveById, restoreCertificateArchive } from "@api/certificateApi";
+import { formatNumber, formatDate, formatDateTime } from "@utils/formatters";
+import { ARCHIVE_RETENTION_DAYS, DATE_FORMATS } from "@utils/constants";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Older archives may not carry expires_at; fall back to the retention window
+const getExpiryDate = (archive) => new Date(archive.expires_at || new Date(archive.archived_at).getTime() + ARCHIVE_RETENTION_DAYS * DAY_MS);
+
+const getArchiveState = (archive) => {
+  if (archive.restored_at) {
+    return { key: "restored", label: `Restored ${formatDate(archive.restored_at, DATE_FORMATS.DISPLAY)}`, className: "bg-blue-500/10 text-blue-700 dark:text-blue-400 border-blue-500/30" };
+  }
+
+  const daysLeft = Math.ceil((getExpiryDate(archive) - new Date()) / DAY_MS);
+  if (daysLeft <= 0) {
+    return { key: "expired", label: "Expired", className: "bg-gray-500/10 text-secondary border-gray-500/30" };
+  }
+
+  return {
+    key: "restorable",
+    label: `Restorable for ${daysLeft} day(s)`,
+    className: daysLeft <= 7 ? "bg-yellow-500/10 text-yellow-700 dark:text-yellow-400 border-yellow-500/30" : "bg-green-500/10 text-green-700 dark:text-green-400 border-green-500/30",
+  };
+};
+
+/**
+ * CertificateArchivesModal Component
+ * Browse archived years and their batches, and restore an archive while
+ * it is inside the retention window.
+ */
+const CertificateArchivesModal = ({ isOpen, onClose, onRestored }) => {
+  const [archives, setArchives] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [loadingBatches, setLoadingBatches] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+
+  const fetchArchives = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await getCertificateArchives();
+      if (response.success) {
+        setArchives(response.data || []);
+      }
+    } catch (err) {
+      console.error("Failed to load archives:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      setExpandedId(null);
+      setBatches([]);
+      fetchArchives();
+    }
+  }, [isOpen, fetchArchives]);
+
+  const handleToggle = async (archiveId) => {
+    if (expandedId === archiveId) {
+      setExpandedId(null);
+      return;
+    }
+
+    setExpandedId(archiveId);
+    setBatches([]);
+    setLoadingBatches(true);
+    try {
+      const response = await getCertificateArchiveById(archiveId);
+      if (response.success) {
+        setBatches(response.data?.batches || []);
+      }
+    } catch (err) {
+      console.error("Failed to load archived batches:", err);
+    } finally {
+      setLoadingBatches(false);
+    }
+  };
+
+  const handleRestore = async (archive) => {
+    if (
+      !window.confirm(
+        `Restore ${formatNumber(archive.batch_count || 0)} batch(es) from ${archive.year}?\n\nThey return to the active list with the stock they had when archived.`,
+      )
+    ) {
+      return;
+    }
+
+    setRestoringId(archive.id);
+    try {
+      await restoreCertificateArchive(archive.id);
+      await fetchArchives();
+      onRestored?.();
+    } catch (err) {
+      console.error("Failed to restore archive:", err);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Certificate Archives" size="large">
+      <div className="space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-secondary">Archives can be restored for {ARCHIVE_RETENTION_DAYS} days after archiving.</p>
+          <Button variant="ghost" size="small" onClick={fetchArchives} icon={<RefreshCw className="w-4 h-4" />} disabled={isLoading}>
+            Refresh
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Spinner size="large" />
+          </div>
+        ) : archives.length === 0 ? (
+          <p className="text-sm text-secondary text-center py-8">No archives yet</p>
+        ) : (
+          <div className="space-y-3">
+            {archives.map((archive) => {
+              const state = getArchiveState(archive);
+              const isExpanded = expandedId === archive.id;
+
+              return (
+                <div key={archive.id} className="rounded-xl border border-gray-200/50 dark:border-white/10 bg-white/20 dark:bg-white/5">
+                  <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <p className="text-base font-semibold text-primary">{archive.year}</p>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold border ${state.className}`}>{state.label}</span>
+                      </div>
+                      <p className="text-xs text-secondary">
+                        {formatNumber(archive.batch_count || 0)} batch(es) - archived {formatDateTime(archive.archived_at)}
+                        {archive.archived_by ? ` by ${archive.archived_by}` : ""}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Button
+                        variant="ghost"
+                        size="small"
+                        onClick={() => handleToggle(archive.id)}
+                        icon={isExpanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                        disabled={state.key === "expired"}
+                      >
+                        Batches
+                      </Button>
+                      <Button
+                        variant="secondary"
+                        size="small"
+                        onClick={() => handleRestore(archive)}
+                        icon={<RotateCcw className="w-4 h-4" />}
+                        disabled={state.key !== "restorable" || restoringId !== null}
+                        loading={restoringId === archive.id}
+                      >
+                        Restore
+                      </Button>
+                    </div>
+                  </div>
+
+                  {isExpanded && (
+                    <div className="border-t border-gray-200/30 dark:border-white/5 p-4">
+                      {loadingBatches ? (
+                        <div className="flex items-center justify-center py-4">
+                          <Spinner size="medium" />
+                        </div>
+                      ) : batches.length === 0 ? (
+                        <p className="text-sm text-secondary text-center">No batches in this archive</p>
+                      ) : (
+                        <div className="max-h-72 overflow-y-auto">
+                          <table className="w-full">
+                            <thead>
+                              <tr>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-secondary uppercase">Batch ID</th>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-secondary uppercase">Regional Hub</th>
+                                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Certificates</th>
+                                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Medals</th>
+                                <th className="px-3 py-2 text-left text-xs font-semibold text-secondary uppercase">Created</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                              {batches.map((batch) => (
+                                <tr key={batch.certificate_id}>
+                                  <td className="px-3 py-2 text-sm font-medium text-primary">{batch.certificate_id}</td>
+                                  <td className="px-3 py-2 text-sm text-secondary">{batch.regional_hub || "-"}</td>
+                                  <td className="px-3 py-2 text-sm text-primary text-right">{formatNumber(batch.jumlah_sertifikat || 0)}</td>
+                                  <td className="px-3 py-2 text-sm text-primary text-right">{formatNumber(batch.jumlah_medali || 0)}</td>
+                                  <td className="px-3 py-2 text-sm text-secondary">{formatDate(batch.created_at, DATE_FORMATS.DISPLAY)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+CertificateArchivesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func,
+};
+
+CertificateArchivesModal.defaultProps = {
+  onRestored: null,
+};
+
+export default CertificateArchivesModal;
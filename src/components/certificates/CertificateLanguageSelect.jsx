@@ -0,0 +1,51 @@
+import PropTypes from "prop-types";
+import { Languages } from "lucide-react";
+import { CERTIFICATE_LANGUAGES, CERTIFICATE_LANGUAGE_LABELS, isMissingTranslation } from "@utils/certificateLanguage";
+
+/**
+ * CertificateLanguageSelect Component
+ * Language picker for the print forms. Defaults come from the module /
+ * template; warns when the module has no Indonesian name yet.
+ */
+const CertificateLanguageSelect = ({ value, onChange, module, disabled }) => {
+  const missingTranslation = module && isMissingTranslation(module.module_name_translations, value);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-primary mb-2">
+        <Languages className="inline mr-1 w-4 h-4" />
+        Certificate Language
+      </label>
+      <select
+        name="certificateLanguage"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary/50"
+      >
+        {Object.values(CERTIFICATE_LANGUAGES).map((language) => (
+          <option key={language} value={language}>
+            {CERTIFICATE_LANGUAGE_LABELS[language]}
+          </option>
+        ))}
+      </select>
+      {missingTranslation && <p className="text-xs text-yellow-600 dark:text-yellow-400 mt-1">This module has no Indonesian name yet - the English name will be printed</p>}
+    </div>
+  );
+};
+
+CertificateLanguageSelect.propTypes = {
+  value: PropTypes.oneOf(Object.values(CERTIFICATE_LANGUAGES)).isRequired,
+  onChange: PropTypes.func.isRequired,
+  module: PropTypes.shape({
+    module_name_translations: PropTypes.object,
+  }),
+  disabled: PropTypes.bool,
+};
+
+CertificateLanguageSelect.defaultProps = {
+  module: null,
+  disabled: false,
+};
+
+export default CertificateLanguageSelect;
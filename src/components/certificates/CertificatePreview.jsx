@@ -1,42 +1,82 @@
-import React from "react";
+import React, { useState, useCallback, useMemo } from "react";
 import PropTypes from "prop-types";
+import { QRCodeSVG } from "qrcode.react";
+import {
+  TEMPLATE_FIELDS,
+  TEMPLATE_QR_CODE,
+  PAPER_SIZES,
+  normalizeTemplateLayout,
+  applyPaperSize,
+  getFieldStyle,
+  getQrCodeStyle,
+} from "@utils/certificateTemplate";
+import { getVerificationUrl } from "@utils/certificateSerial";
+import { getCalibrationStyle, getCalibrationPrintCss } from "@utils/printerCalibration";
+import { getCertificateTexts, CERTIFICATE_LANGUAGES } from "@utils/certificateLanguage";
+import { getMissingTemplateFonts } from "@utils/certificateFonts";
+import StationeryOverlay from "./StationeryOverlay";
+import FitText from "./FitText";
 
 /**
  * CertificatePreview Component
- * Renders a printable certificate in A4 Landscape format
- * Matches the DOCX template layout with exact font styling
+ * Renders a printable certificate in landscape format - A4 unless the
+ * template or the branch (paperSize, which wins) uses F4 or Letter paper
+ * Field positions, fonts and colours come from the saved certificate
+ * template (see utils/certificateTemplate); without one the default
+ * DOCX layout is used. When a serial number is given it is printed
+ * together with a QR code linking to the public verification page.
+ *
+ * Module name and date follow the certificate language (English,
+ * Indonesian or bilingual - the English text then goes underneath).
+ *
+ * The branch printer calibration (offsets + scale) is applied only when
+ * printing; showStationery draws the stationery outline on screen.
+ *
+ * Long student and module names shrink to fit their field (see
+ * FitText); a warning is shown on screen when a name hits the minimum size.
+ * Fonts are bundled with the app (utils/certificateFonts); a template
+ * using a font that is not available is flagged the same way.
  */
 const CertificatePreview = React.forwardRef(
-  ({ studentName, moduleName, moduleCode, division, ptcDate }, ref) => {
-    // Format date to readable format (e.g., "10 February 2026")
-    const formatDate = (dateString) => {
-      const date = new Date(dateString);
-      const options = { day: "numeric", month: "long", year: "numeric" };
-      return date.toLocaleDateString("en-GB", options);
-    };
-
-    // Determine module color based on division
-    const getModuleColor = (div) => {
-      switch (div?.toUpperCase()) {
-        case "JK":
-          return "#FF00FF"; // Magenta (as per template)
-        case "LK":
-          return "#0066CC"; // Blue
-        default:
-          return "#000000"; // Black fallback
-      }
-    };
+  ({ studentName, moduleName, moduleCode, moduleNameTranslations, division, ptcDate, serialNumber, layout, language, calibration, showStationery, paperSize }, ref) => {
+    const template = applyPaperSize(normalizeTemplateLayout(layout), paperSize);
+    const { fields, page } = template;
+
+    // Module name + date (e.g., "10 February 2026" / "10 Februari 2026")
+    const texts = getCertificateTexts({
+      moduleName: moduleName || moduleCode,
+      translations: moduleNameTranslations,
+      ptcDate,
+      language,
+    });
+
+    const secondaryStyle = { fontSize: "0.55em", fontStyle: "italic", fontWeight: 400 };
+
+    // Fields that had to stop shrinking at their minimum font size
+    const [fitWarnings, setFitWarnings] = useState({});
+    const handleStudentNameFit = useCallback((fit) => setFitWarnings((prev) => ({ ...prev, [TEMPLATE_FIELDS.STUDENT_NAME]: fit })), []);
+    const handleModuleNameFit = useCallback((fit) => setFitWarnings((prev) => ({ ...prev, [TEMPLATE_FIELDS.MODULE_NAME]: fit })), []);
+
+    const missingFonts = useMemo(() => getMissingTemplateFonts(layout), [layout]);
+
+    const warnings = [
+      ...missingFonts.map((font) => `Font "${font}" is not available - a fallback font will be printed`),
+      ...Object.entries(fitWarnings)
+        .filter(([, fit]) => fit.atMinimum || fit.overflowing)
+        .map(([key, fit]) => {
+          const label = key === TEMPLATE_FIELDS.STUDENT_NAME ? "Student name" : "Module name";
+          return fit.overflowing ? `${label} does not fit even at ${fit.fontSizePt}pt - shorten it` : `${label} reduced to the minimum size (${fit.fontSizePt}pt)`;
+        }),
+    ];
 
     return (
       <div ref={ref} className="certificate-container">
         {/* Print-specific styles */}
         <style>
           {`
-            @import url('https://fonts.googleapis.com/css2?family=Playfair+Display:wght@700&family=Montserrat:wght@400;600;700&display=swap');
-            
             @media print {
               @page {
-                size: A4 landscape;
+                size: ${page.width_mm}mm ${page.height_mm}mm;
                 margin: 0;
               }
               
@@ -46,8 +86,8 @@ const CertificatePreview = React.forwardRef(
               }
               
               .certificate-container {
-                width: 297mm;
-                height: 210mm;
+                width: ${page.width_mm}mm;
+                height: ${page.height_mm}mm;
                 page-break-after: always;
                 page-break-inside: avoid;
               }
@@ -56,60 +96,17 @@ const CertificatePreview = React.forwardRef(
                 display: none !important;
               }
             }
+            ${getCalibrationPrintCss(".certificate-background")}
 
-            /* A4 Landscape dimensions: 297mm x 210mm */
+            /* Paper dimensions, e.g. A4 Landscape: 297mm x 210mm */
             .certificate-container {
-              width: 297mm;
-              height: 210mm;
+              width: ${page.width_mm}mm;
+              height: ${page.height_mm}mm;
               background: white;
               position: relative;
               overflow: hidden;
             }
 
-            /* Student Name - Playfair Display 34pt Bold, Centered */
-            .student-name {
-              font-family: 'Playfair Display', serif;
-              font-size: 34pt;
-              font-weight: 700;
-              text-align: center;
-              color: #000000;
-              position: absolute;
-              width: 100%;
-              /* Positioning based on template analysis - adjust if needed */
-              top: 95mm;
-              left: 0;
-              right: 0;
-              padding: 0 25.4mm; /* Match template margins */
-            }
-
-            /* Module Name - Montserrat 28pt Bold, Centered, Color by Division */
-            .module-name {
-              font-family: 'Montserrat', sans-serif;
-              font-size: 28pt;
-              font-weight: 700;
-              text-align: center;
-              position: absolute;
-              width: 100%;
-              /* Positioning based on template analysis - adjust if needed */
-              top: 130mm;
-              left: 0;
-              right: 0;
-              padding: 0 25.4mm; /* Match template margins */
-            }
-
-            /* PTC Date - Montserrat 18pt Regular, Left-aligned */
-            .ptc-date {
-              font-family: 'Montserrat', sans-serif;
-              font-size: 18pt;
-              font-weight: 400;
-              text-align: left;
-              color: #000000;
-              position: absolute;
-              /* Positioning based on template analysis - adjust if needed */
-              top: 170mm;
-              left: 25.4mm; /* Match template left margin */
-            }
-
             /* Optional: Background template placeholder */
             .certificate-background {
               width: 100%;
@@ -124,21 +121,90 @@ const CertificatePreview = React.forwardRef(
         </style>
 
         {/* Certificate Content */}
-        <div className="certificate-background">
+        <div className="certificate-background" style={getCalibrationStyle(calibration)}>
           {/* Student Name */}
-          <div className="student-name">{studentName}</div>
+          <FitText
+            className="student-name"
+            style={getFieldStyle(
+              fields[TEMPLATE_FIELDS.STUDENT_NAME],
+              template,
+              division,
+            )}
+            fontSizePt={fields[TEMPLATE_FIELDS.STUDENT_NAME].font_size_pt}
+            minFontSizePt={fields[TEMPLATE_FIELDS.STUDENT_NAME].min_font_size_pt}
+            maxLines={fields[TEMPLATE_FIELDS.STUDENT_NAME].max_lines}
+            onFit={handleStudentNameFit}
+          >
+            {studentName}
+          </FitText>
 
-          {/* Module Name with Division Color */}
-          <div
+          {/* Module Name - colour falls back to the division colour */}
+          <FitText
             className="module-name"
-            style={{ color: getModuleColor(division) }}
+            style={getFieldStyle(
+              fields[TEMPLATE_FIELDS.MODULE_NAME],
+              template,
+              division,
+            )}
+            fontSizePt={fields[TEMPLATE_FIELDS.MODULE_NAME].font_size_pt}
+            minFontSizePt={fields[TEMPLATE_FIELDS.MODULE_NAME].min_font_size_pt}
+            maxLines={fields[TEMPLATE_FIELDS.MODULE_NAME].max_lines}
+            extraLines={texts.moduleName.secondary ? 0.55 : 0}
+            onFit={handleModuleNameFit}
           >
-            {moduleName || moduleCode}
-          </div>
+            {texts.moduleName.primary}
+            {texts.moduleName.secondary && <div style={secondaryStyle}>{texts.moduleName.secondary}</div>}
+          </FitText>
 
           {/* PTC Date */}
-          <div className="ptc-date">{formatDate(ptcDate)}</div>
+          <div
+            className="ptc-date"
+            style={getFieldStyle(
+              fields[TEMPLATE_FIELDS.PTC_DATE],
+              template,
+              division,
+            )}
+          >
+            {texts.ptcDate.primary}
+            {texts.ptcDate.secondary && <div style={secondaryStyle}>{texts.ptcDate.secondary}</div>}
+          </div>
+
+          {/* Serial Number + Verification QR */}
+          {serialNumber && (
+            <>
+              <div
+                className="serial-number"
+                style={getFieldStyle(
+                  fields[TEMPLATE_FIELDS.SERIAL_NUMBER],
+                  template,
+                  division,
+                )}
+              >
+                {serialNumber}
+              </div>
+              <div
+                className="qr-code"
+                style={getQrCodeStyle(template[TEMPLATE_QR_CODE])}
+              >
+                <QRCodeSVG
+                  value={getVerificationUrl(serialNumber)}
+                  level="M"
+                  style={{ width: "100%", height: "100%" }}
+                />
+              </div>
+            </>
+          )}
         </div>
+
+        {showStationery && <StationeryOverlay page={template.page} />}
+
+        {warnings.length > 0 && (
+          <div className="no-print" style={{ position: "absolute", top: "4mm", left: "4mm", right: "4mm", padding: "2mm 3mm", borderRadius: "2mm", background: "rgba(234, 179, 8, 0.9)", color: "#1f2937", fontFamily: "sans-serif", fontSize: "9pt", lineHeight: 1.4 }}>
+            {warnings.map((warning) => (
+              <div key={warning}>⚠️ {warning}</div>
+            ))}
+          </div>
+        )}
       </div>
     );
   },
@@ -150,13 +216,36 @@ CertificatePreview.propTypes = {
   studentName: PropTypes.string.isRequired,
   moduleName: PropTypes.string,
   moduleCode: PropTypes.string,
+  moduleNameTranslations: PropTypes.object,
   division: PropTypes.oneOf(["JK", "LK"]).isRequired,
   ptcDate: PropTypes.string.isRequired,
+  serialNumber: PropTypes.string,
+  language: PropTypes.oneOf(Object.values(CERTIFICATE_LANGUAGES)),
+  layout: PropTypes.shape({
+    page: PropTypes.object,
+    division_colors: PropTypes.object,
+    fields: PropTypes.object,
+    qr_code: PropTypes.object,
+  }),
+  calibration: PropTypes.shape({
+    offset_x_mm: PropTypes.number,
+    offset_y_mm: PropTypes.number,
+    scale: PropTypes.number,
+  }),
+  showStationery: PropTypes.bool,
+  paperSize: PropTypes.oneOf(Object.values(PAPER_SIZES)),
 };
 
 CertificatePreview.defaultProps = {
   moduleName: "",
   moduleCode: "",
+  moduleNameTranslations: null,
+  serialNumber: "",
+  language: CERTIFICATE_LANGUAGES.EN,
+  layout: null,
+  calibration: null,
+  showStationery: false,
+  paperSize: null,
 };
 
 export default CertificatePreview;
@@ -0,0 +1,361 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { toast } from "react-hot-toast";
+import { Share2, CheckCircle, XCircle, Sparkles } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import { distributeCertificate } from "@api/certificateApi";
+import { getBranchPrintCounts } from "@api/teacherStatsApi";
+import { getTransferDestinations, getBranchBatchStock, validateDistributionPlan } from "@utils/stockTransfer";
+import { suggestAllocation } from "@utils/stockAllocation";
+import { getErrorMessage } from "@utils/errorHandler";
+import { formatNumber } from "@utils/formatters";
+import { TRANSFER_TYPES, STOCK_ALLOCATION } from "@utils/constants";
+
+const inputClass =
+  "w-full px-3 py-1.5 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary text-right placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * Per-branch results of a plan, keyed by branch code
+ * Branches the server did not report on get `fallback` (skipped when null)
+ */
+const getPlanResults = (allocations, results, fallback) =>
+  allocations.reduce((map, allocation) => {
+    const result = results?.find((r) => r.destination_branch === allocation.destination_branch);
+
+    if (result) {
+      map[allocation.destination_branch] = { success: !!result.success, message: result.message || "" };
+    } else if (fallback) {
+      map[allocation.destination_branch] = fallback;
+    }
+    return map;
+  }, {});
+
+/**
+ * DistributionPlanModal Component
+ * Distribute one batch from the head branch to every branch of the
+ * regional hub at once: amounts per branch in one grid, live totals
+ * against the head-branch stock, sent as a single operation. "Suggest"
+ * fills the grid in proportion to each branch's recent prints.
+ */
+const DistributionPlanModal = ({ isOpen, onClose, headBranch, branches, certificates, onDistributed }) => {
+  const [certificateId, setCertificateId] = useState("");
+  const [amounts, setAmounts] = useState({});
+  const [results, setResults] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState("");
+  const [periodDays, setPeriodDays] = useState(STOCK_ALLOCATION.DEFAULT_PERIOD_DAYS);
+  const [reservePercent, setReservePercent] = useState(STOCK_ALLOCATION.HEAD_RESERVE_PERCENT);
+  const [prints, setPrints] = useState(null);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [suggestNote, setSuggestNote] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      setCertificateId("");
+      setAmounts({});
+      setResults(null);
+      setSubmitError("");
+      setPrints(null);
+      setSuggestNote("");
+    }
+  }, [isOpen]);
+
+  const hubBranches = getTransferDestinations(TRANSFER_TYPES.MIGRATE, headBranch, branches);
+  const batches = certificates.filter((cert) => {
+    const stock = getBranchBatchStock(cert, headBranch?.branch_code);
+    return stock.certificates > 0 || stock.medals > 0;
+  });
+  const certificate = batches.find((cert) => cert.certificate_id === certificateId) || null;
+
+  const { allocations, totals, available, rowErrors, error } = validateDistributionPlan({ certificate, headBranch, amounts });
+  const remaining = {
+    certificates: available.certificates - totals.certificates,
+    medals: available.medals - totals.medals,
+  };
+
+  const handleBatchChange = (e) => {
+    setCertificateId(e.target.value);
+    setResults(null);
+    setSubmitError("");
+  };
+
+  const handleAmountChange = (branchCode, field, value) => {
+    setAmounts((prev) => ({
+      ...prev,
+      [branchCode]: { ...prev[branchCode], [field]: value },
+    }));
+    setResults(null);
+    setSubmitError("");
+  };
+
+  const handleSuggest = async () => {
+    setIsSuggesting(true);
+    setSuggestNote("");
+
+    try {
+      const { counts, failed } = await getBranchPrintCounts(
+        hubBranches.map((branch) => branch.branch_code),
+        periodDays,
+      );
+
+      setPrints(counts);
+      setResults(null);
+      setSubmitError("");
+
+      // A branch without a count would get nothing, so do not split at all
+      if (failed.length > 0) {
+        setSuggestNote(`Could not load print history for ${failed.join(", ")}. Try again or enter the amounts yourself.`);
+        return;
+      }
+
+      const suggestion = suggestAllocation({ available, printsByBranch: counts, reservePercent: parseInt(reservePercent) || 0 });
+
+      if (suggestion.totalPrints === 0) {
+        setSuggestNote(`No branch printed in the last ${periodDays} days, so there is nothing to split by.`);
+        return;
+      }
+
+      setAmounts(suggestion.amounts);
+      setSuggestNote(
+        `Split by ${formatNumber(suggestion.totalPrints)} print(s), keeping ${formatNumber(suggestion.reserve.certificates)} certificates and ${formatNumber(suggestion.reserve.medals)} medals at ${headBranch?.branch_code}. Adjust any amount before distributing.`,
+      );
+    } catch (err) {
+      console.error("Failed to suggest allocation:", err);
+      setSuggestNote("Could not load print history. Please try again.");
+    } finally {
+      setIsSuggesting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (error) return;
+
+    setIsSubmitting(true);
+    setSubmitError("");
+
+    try {
+      const response = await distributeCertificate({ certificate_id: certificateId, allocations });
+      // The plan was posted - a branch is only failed when its result says so
+      const planResults = getPlanResults(allocations, response.data?.results, { success: true, message: "" });
+      const failed = Object.values(planResults).filter((result) => !result.success).length;
+      setResults(planResults);
+      onDistributed?.();
+
+      if (failed === 0) {
+        toast.success(response.message || `Stock distributed to ${allocations.length} branch(es)`);
+        onClose();
+      } else {
+        toast.error(`${failed} of ${allocations.length} branch(es) could not be sent - see the plan`);
+      }
+    } catch (err) {
+      console.error("Failed to distribute stock:", err);
+      const message = getErrorMessage(err);
+      // Nothing was posted; only mark the branches the server blamed
+      const failedResults = err.response?.data?.data?.results?.filter((result) => !result.success) || [];
+      setResults(failedResults.length > 0 ? getPlanResults(allocations, failedResults, null) : null);
+      setSubmitError(`Nothing was distributed: ${message}`);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderResult = (branchCode) => {
+    const result = results?.[branchCode];
+    if (!result) return null;
+
+    return result.success ? (
+      <span className="inline-flex items-center gap-1 text-xs text-green-600 dark:text-green-400">
+        <CheckCircle className="w-4 h-4" /> Sent
+      </span>
+    ) : (
+      <span className="inline-flex items-center gap-1 text-xs text-status-error">
+        <XCircle className="w-4 h-4 flex-shrink-0" /> {result.message || "Failed"}
+      </span>
+    );
+  };
+
+  const remainingClass = (value) => (value < 0 ? "text-status-error" : "text-primary");
+
+  return (
+    <Modal isOpen={isOpen} onClose={isSubmitting ? () => {} : onClose} title="Distribute Batch" size="xlarge">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Batch <span className="text-status-error">*</span>
+            </label>
+            <select value={certificateId} onChange={handleBatchChange} className={selectClass} disabled={isSubmitting}>
+              <option value="">{batches.length === 0 ? `No stock at ${headBranch?.branch_code}` : "Choose a batch..."}</option>
+              {batches.map((cert) => (
+                <option key={cert.id} value={cert.certificate_id}>
+                  {cert.certificate_id}
+                </option>
+              ))}
+            </select>
+          </div>
+          {certificate && (
+            <p className="text-sm text-secondary">
+              {headBranch?.branch_code} stock: {formatNumber(available.certificates)} certificates, {formatNumber(available.medals)} medals
+            </p>
+          )}
+        </div>
+
+        {certificate && hubBranches.length > 0 && (
+          <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5 space-y-2">
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-xs text-secondary mb-1">Split by prints in the last</label>
+                <select value={periodDays} onChange={(e) => setPeriodDays(parseInt(e.target.value))} className={selectClass} disabled={isSuggesting || isSubmitting}>
+                  {STOCK_ALLOCATION.PERIOD_OPTIONS.map((days) => (
+                    <option key={days} value={days}>
+                      {days} days
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="w-36">
+                <label className="block text-xs text-secondary mb-1">Keep at {headBranch?.branch_code} (%)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={reservePercent}
+                  onChange={(e) => setReservePercent(e.target.value)}
+                  disabled={isSuggesting || isSubmitting}
+                  className={inputClass}
+                />
+              </div>
+              <Button type="button" variant="secondary" size="medium" icon={<Sparkles className="w-4 h-4" />} onClick={handleSuggest} disabled={isSuggesting || isSubmitting} loading={isSuggesting}>
+                Suggest
+              </Button>
+            </div>
+            {suggestNote && <p className="text-xs text-secondary">{suggestNote}</p>}
+          </div>
+        )}
+
+        {hubBranches.length === 0 ? (
+          <p className="text-sm text-secondary text-center py-6">This regional hub has no active branches</p>
+        ) : (
+          <div className="max-h-[50vh] overflow-y-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+            <table className="w-full">
+              <thead className="sticky top-0 bg-white/90 dark:bg-gray-900/90 border-b border-gray-200/30 dark:border-white/5">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Branch</th>
+                  <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Current Stock</th>
+                  {prints && <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Prints ({periodDays}d)</th>}
+                  <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase w-36">Certificates</th>
+                  <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase w-36">Medals</th>
+                  <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                {hubBranches.map((branch) => {
+                  const stock = getBranchBatchStock(certificate, branch.branch_code);
+                  const amount = amounts[branch.branch_code] || {};
+                  const rowError = rowErrors[branch.branch_code];
+
+                  return (
+                    <tr key={branch.branch_code} className={rowError ? "bg-red-500/5" : ""}>
+                      <td className="px-4 py-2">
+                        <p className="text-sm font-medium text-primary">{branch.branch_code}</p>
+                        <p className="text-xs text-secondary">{branch.branch_name}</p>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-secondary text-right">
+                        {certificate ? `${formatNumber(stock.certificates)} / ${formatNumber(stock.medals)}` : "-"}
+                      </td>
+                      {prints && <td className="px-4 py-2 text-sm text-secondary text-right">{prints[branch.branch_code] === undefined ? "-" : formatNumber(prints[branch.branch_code])}</td>}
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={amount.certificates ?? ""}
+                          onChange={(e) => handleAmountChange(branch.branch_code, "certificates", e.target.value)}
+                          placeholder="0"
+                          disabled={!certificate || isSubmitting}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={amount.medals ?? ""}
+                          onChange={(e) => handleAmountChange(branch.branch_code, "medals", e.target.value)}
+                          placeholder="0"
+                          disabled={!certificate || isSubmitting}
+                          className={inputClass}
+                        />
+                      </td>
+                      <td className="px-4 py-2">{rowError ? <span className="text-xs text-status-error">{rowError}</span> : renderResult(branch.branch_code)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              {certificate && (
+                <tfoot className="border-t border-gray-200/30 dark:border-white/5 text-sm">
+                  <tr>
+                    <td className="px-4 py-2 font-semibold text-primary" colSpan={prints ? 3 : 2}>
+                      Total planned
+                    </td>
+                    <td className="px-4 py-2 text-right font-semibold text-primary">{formatNumber(totals.certificates)}</td>
+                    <td className="px-4 py-2 text-right font-semibold text-primary">{formatNumber(totals.medals)}</td>
+                    <td />
+                  </tr>
+                  <tr>
+                    <td className="px-4 py-2 text-secondary" colSpan={prints ? 3 : 2}>
+                      Left at {headBranch?.branch_code}
+                    </td>
+                    <td className={`px-4 py-2 text-right font-semibold ${remainingClass(remaining.certificates)}`}>{formatNumber(remaining.certificates)}</td>
+                    <td className={`px-4 py-2 text-right font-semibold ${remainingClass(remaining.medals)}`}>{formatNumber(remaining.medals)}</td>
+                    <td />
+                  </tr>
+                </tfoot>
+              )}
+            </table>
+          </div>
+        )}
+
+        {submitError ? (
+          <p className="text-sm text-status-error">{submitError}</p>
+        ) : (
+          certificate && error && <p className="text-sm text-secondary">{error}</p>
+        )}
+
+        <div className="flex items-center gap-3 pt-2">
+          <p className="text-xs text-secondary">All branches are sent together; if one fails, none of the stock moves.</p>
+          <div className="flex-1" />
+          <Button type="button" variant="ghost" size="medium" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" size="medium" icon={<Share2 className="w-4 h-4" />} disabled={!!error || isSubmitting} loading={isSubmitting}>
+            {allocations.length > 0 ? `Distribute to ${allocations.length} Branch(es)` : "Distribute"}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+DistributionPlanModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  headBranch: PropTypes.shape({
+    branch_code: PropTypes.string.isRequired,
+    branch_name: PropTypes.string,
+  }),
+  branches: PropTypes.arrayOf(PropTypes.object).isRequired,
+  certificates: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onDistributed: PropTypes.func,
+};
+
+DistributionPlanModal.defaultProps = {
+  headBranch: null,
+  onDistributed: null,
+};
+
+export default DistributionPlanModal;
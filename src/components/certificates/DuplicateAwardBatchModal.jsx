@@ -0,0 +1,118 @@
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { AlertTriangle, UserMinus, Printer } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import ReprintReasonFields from "@components/certificates/ReprintReasonFields";
+import { validateReprintReason } from "@utils/validators";
+import { formatDate } from "@utils/formatters";
+
+const EMPTY_REASON = { reason: "", notes: "" };
+
+/**
+ * DuplicateAwardBatchModal Component
+ * Batch counterpart of DuplicateAwardModal: lists the roster students who
+ * already have a certificate for the module. They are either taken off the
+ * batch or printed again with one logged reason. Mounted per check, so
+ * the reason starts empty each time.
+ */
+const DuplicateAwardBatchModal = ({ isOpen, duplicates, moduleName, onCancel, onRemove, onConfirm }) => {
+  const [value, setValue] = useState(EMPTY_REASON);
+  const [error, setError] = useState("");
+
+  const handleConfirm = () => {
+    const reasonValidation = validateReprintReason(value);
+    if (!reasonValidation.valid) {
+      setError(reasonValidation.message);
+      return;
+    }
+
+    onConfirm({ reason: value.reason, notes: value.notes.trim() });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onCancel} title="Certificates Already Awarded" size="large" closeOnBackdrop={false}>
+      <div className="space-y-4">
+        <div className="flex items-start gap-3 p-3 bg-yellow-500/10 border border-yellow-500/30 rounded-xl">
+          <AlertTriangle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-primary">
+            {duplicates.length} student(s) already received a certificate for {moduleName || "this module"}. Printing them again uses new stock and is logged as a duplicate award.
+          </p>
+        </div>
+
+        <div className="max-h-64 overflow-y-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-white/90 dark:bg-gray-900/90 border-b border-gray-200/30 dark:border-white/5">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Student</th>
+                <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Certificate ID</th>
+                <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Printed</th>
+                <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Branch</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+              {duplicates.map(({ student_name, existingRecord }) => {
+                const printedAt = existingRecord.printed_at || existingRecord.created_at || existingRecord.ptc_date;
+
+                return (
+                  <tr key={student_name}>
+                    <td className="px-4 py-2 text-sm font-medium text-primary">{student_name}</td>
+                    <td className="px-4 py-2 text-sm text-secondary">{existingRecord.certificate_id || "-"}</td>
+                    <td className="px-4 py-2 text-sm text-secondary">{printedAt ? formatDate(printedAt) : "-"}</td>
+                    <td className="px-4 py-2 text-sm text-secondary">{existingRecord.branch_code || "-"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <ReprintReasonFields
+          value={value}
+          onChange={(next) => {
+            setValue(next);
+            setError("");
+          }}
+          error={error}
+        />
+
+        <div className="flex gap-3 pt-2">
+          <Button variant="ghost" size="medium" icon={<UserMinus className="w-4 h-4" />} onClick={onRemove} className="flex-1">
+            Remove From Batch
+          </Button>
+          <Button variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={handleConfirm} className="flex-1">
+            Print Again
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+DuplicateAwardBatchModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  duplicates: PropTypes.arrayOf(
+    PropTypes.shape({
+      student_name: PropTypes.string.isRequired,
+      existingRecord: PropTypes.shape({
+        id: PropTypes.number,
+        certificate_id: PropTypes.string,
+        ptc_date: PropTypes.string,
+        printed_at: PropTypes.string,
+        created_at: PropTypes.string,
+        branch_code: PropTypes.string,
+      }).isRequired,
+    }),
+  ),
+  moduleName: PropTypes.string,
+  onCancel: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+};
+
+DuplicateAwardBatchModal.defaultProps = {
+  duplicates: [],
+  moduleName: "",
+};
+
+export default DuplicateAwardBatchModal;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { AlertTriangle, XCircle, Printer } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import ReprintReasonFields from "@components/certificates/ReprintReasonFields";
+import { validateReprintReason } from "@utils/validators";
+import { formatDate, formatDateTime } from "@utils/formatters";
+
+const EMPTY_REASON = { reason: "", notes: "" };
+
+/**
+ * DuplicateAwardModal Component
+ * Shown before preview when the student already has a certificate for the
+ * module. Printing again is blocked unless the teacher gives a reason.
+ */
+const DuplicateAwardModal = ({ isOpen, existingRecord, moduleName, onCancel, onConfirm }) => {
+  const [value, setValue] = useState(EMPTY_REASON);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      setValue(EMPTY_REASON);
+      setError("");
+    }
+  }, [isOpen]);
+
+  const handleConfirm = () => {
+    const reasonValidation = validateReprintReason(value);
+    if (!reasonValidation.valid) {
+      setError(reasonValidation.message);
+      return;
+    }
+
+    onConfirm({ reason: value.reason, notes: value.notes.trim() });
+  };
+
+  if (!existingRecord) return null;
+
+  const details = [
+    { label: "Student", value: existingRecord.student_name },
+    { label: "Module", value: existingRecord.module_name || moduleName },
+    { label: "Certificate ID", value: existingRecord.certificate_id },
+    { label: "Serial", value: existingRecord.serial_number },
+    { label: "PTC Date", value: existingRecord.ptc_date && formatDate(existingRecord.ptc_date) },
+    { label: "Printed At", value: (existingRecord.printed_at || existingRecord.created_at) && formatDateTime(existingRecord.printed_at || existingRecord.created_at) },
+    { label: "Printed By", value: existingRecord.teacher_name },
+    { label: "Branch", value: existingRecord.branch_code },
+  ].filter((row) => row.value);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onCancel} title="Certificate Already Awarded" size="medium" closeOnBackdrop={false}>
+      <div className="space-y-4">
+        <div className="flex items-start gap-3 p-3 bg-yellow-500/10 border border-yellow-500/30 rounded-xl">
+          <AlertTriangle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-primary">This student already received a certificate for this module. Printing another one uses new stock and is logged as a duplicate award.</p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 p-4 bg-white/30 dark:bg-white/5 rounded-xl border border-gray-200/50 dark:border-white/10">
+          {details.map((row) => (
+            <div key={row.label}>
+              <p className="text-xs text-secondary">{row.label}</p>
+              <p className="text-sm font-medium text-primary">{row.value}</p>
+            </div>
+          ))}
+          {existingRecord.id && (
+            <div>
+              <p className="text-xs text-secondary">Record</p>
+              <p className="text-sm font-medium text-primary">#{existingRecord.id}</p>
+            </div>
+          )}
+        </div>
+
+        <ReprintReasonFields
+          value={value}
+          onChange={(next) => {
+            setValue(next);
+            setError("");
+          }}
+          error={error}
+        />
+
+        <div className="flex gap-3 pt-2">
+          <Button variant="ghost" size="medium" icon={<XCircle className="w-4 h-4" />} onClick={onCancel} className="flex-1">
+            Don&apos;t Print
+          </Button>
+          <Button variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={handleConfirm} className="flex-1">
+            Print Again
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+DuplicateAwardModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  existingRecord: PropTypes.shape({
+    id: PropTypes.number,
+    student_name: PropTypes.string,
+    module_name: PropTypes.string,
+    certificate_id: PropTypes.string,
+    serial_number: PropTypes.string,
+    ptc_date: PropTypes.string,
+    printed_at: PropTypes.string,
+    created_at: PropTypes.string,
+    teacher_name: PropTypes.string,
+    branch_code: PropTypes.string,
+  }),
+  moduleName: PropTypes.string,
+  onCancel: PropTypes.func.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+};
+
+DuplicateAwardModal.defaultProps = {
+  existingRecord: null,
+  moduleName: "",
+};
+
+export default DuplicateAwardModal;
@@ -0,0 +1,104 @@
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from "react";
+import PropTypes from "prop-types";
+
+const PT_TO_PX = 96 / 72;
+const LINE_HEIGHT = 1.2;
+const FIT_STEP_PT = 0.5;
+
+/**
+ * FitText Component
+ * Absolutely positioned template field that shrinks its font, in 0.5pt
+ * steps, until the text fits the field width within maxLines lines. It
+ * never goes below minFontSizePt; onFit reports the final size and
+ * whether the text had to stop at the minimum (and still overflows).
+ *
+ * extraLines reserves room for content below the main text (e.g. the
+ * smaller English line of a bilingual certificate).
+ */
+const FitText = ({ className, style, fontSizePt, minFontSizePt, maxLines, extraLines, onFit, children }) => {
+  const ref = useRef(null);
+  const [fit, setFit] = useState({ fontSizePt, atMinimum: false, overflowing: false });
+
+  const measure = useCallback(() => {
+    const el = ref.current;
+    if (!el) return;
+
+    const minimum = Math.min(minFontSizePt, fontSizePt);
+    const overflows = (sizePt) => {
+      el.style.fontSize = `${sizePt}pt`;
+      const maxHeightPx = sizePt * PT_TO_PX * LINE_HEIGHT * (maxLines + extraLines);
+      return el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > maxHeightPx + 1;
+    };
+
+    let size = fontSizePt;
+    while (size > minimum && overflows(size)) {
+      size = Math.max(minimum, size - FIT_STEP_PT);
+    }
+
+    const next = {
+      fontSizePt: size,
+      atMinimum: size < fontSizePt && size === minimum,
+      overflowing: overflows(size),
+    };
+
+    setFit((prev) => (prev.fontSizePt === next.fontSizePt && prev.atMinimum === next.atMinimum && prev.overflowing === next.overflowing ? prev : next));
+  }, [fontSizePt, minFontSizePt, maxLines, extraLines]);
+
+  // Measure after every render - the text or the template may have changed
+  useLayoutEffect(() => {
+    measure();
+  });
+
+  // Web fonts change the text width once they have loaded
+  useEffect(() => {
+    let cancelled = false;
+    document.fonts?.ready.then(() => {
+      if (!cancelled) measure();
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [measure]);
+
+  useEffect(() => {
+    onFit?.(fit);
+  }, [fit, onFit]);
+
+  return (
+    <div
+      ref={ref}
+      className={className}
+      style={{
+        ...style,
+        fontSize: `${fit.fontSizePt}pt`,
+        lineHeight: LINE_HEIGHT,
+        whiteSpace: maxLines === 1 ? "nowrap" : "normal",
+        overflowWrap: "normal",
+      }}
+    >
+      {children}
+    </div>
+  );
+};
+
+FitText.propTypes = {
+  className: PropTypes.string,
+  style: PropTypes.object,
+  fontSizePt: PropTypes.number.isRequired,
+  minFontSizePt: PropTypes.number.isRequired,
+  maxLines: PropTypes.number,
+  extraLines: PropTypes.number,
+  onFit: PropTypes.func,
+  children: PropTypes.node,
+};
+
+FitText.defaultProps = {
+  className: "",
+  style: {},
+  maxLines: 1,
+  extraLines: 0,
+  onFit: null,
+  children: null,
+};
+
+export default FitText;
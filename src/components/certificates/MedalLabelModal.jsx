@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef } from "react";
+import PropTypes from "prop-types";
+import { useReactToPrint } from "react-to-print";
+import { toast } from "react-hot-toast";
+import { Printer, Tag } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import MedalLabelSheet from "./MedalLabelSheet";
+import { loadCertificateFonts } from "@utils/certificateFonts";
+import { LABEL_SHEET_PRESETS, LABEL_SHEET_LIMITS, CUSTOM_LABEL_PRESET, applyLabelPreset, getLabelSheet, saveLabelSheet, getLabelSize, validateLabelSheet } from "@utils/labelSheet";
+
+const inputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const GRID_FIELDS = [
+  { name: "rows", label: "Rows", step: 1, min: 1, max: LABEL_SHEET_LIMITS.MAX_ROWS },
+  { name: "columns", label: "Columns", step: 1, min: 1, max: LABEL_SHEET_LIMITS.MAX_COLUMNS },
+  { name: "margin_top_mm", label: "Top margin (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_MARGIN_MM },
+  { name: "margin_bottom_mm", label: "Bottom margin (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_MARGIN_MM },
+  { name: "margin_left_mm", label: "Left margin (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_MARGIN_MM },
+  { name: "margin_right_mm", label: "Right margin (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_MARGIN_MM },
+  { name: "gap_x_mm", label: "Column gap (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_GAP_MM },
+  { name: "gap_y_mm", label: "Row gap (mm)", step: 0.1, min: 0, max: LABEL_SHEET_LIMITS.MAX_GAP_MM },
+];
+
+/**
+ * MedalLabelModal Component
+ * Prints medal stickers for a print session (or records picked from the
+ * history). The sheet layout is remembered in this browser.
+ */
+const MedalLabelModal = ({ isOpen, onClose, entries, title }) => {
+  const printRef = useRef(null);
+  const [sheet, setSheet] = useState(getLabelSheet);
+  const [startPosition, setStartPosition] = useState(1);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSheet(getLabelSheet());
+      setStartPosition(1);
+    }
+  }, [isOpen]);
+
+  const sheetError = validateLabelSheet(sheet);
+  const { width_mm, height_mm } = getLabelSize(sheet);
+  const perPage = (Number(sheet.rows) || 1) * (Number(sheet.columns) || 1);
+  const pageCount = Math.ceil((entries.length + startPosition - 1) / perPage);
+
+  // =====================================================
+  // HANDLERS
+  // =====================================================
+  const handlePresetChange = (e) => {
+    setSheet((prev) => applyLabelPreset(e.target.value, prev));
+  };
+
+  const handleGridChange = (e) => {
+    const { name, value } = e.target;
+    setSheet((prev) => ({ ...prev, preset: CUSTOM_LABEL_PRESET, [name]: value === "" ? "" : parseFloat(value) }));
+  };
+
+  const handleStartChange = (e) => {
+    const value = parseInt(e.target.value, 10);
+    setStartPosition(Number.isNaN(value) ? 1 : Math.min(Math.max(value, 1), perPage));
+  };
+
+  const handlePrint = useReactToPrint({
+    contentRef: printRef,
+    documentTitle: `Medal_Labels_${entries.length}`,
+    onBeforePrint: async () => {
+      if (sheetError) {
+        toast.error(sheetError);
+        throw new Error("Invalid label sheet");
+      }
+      if (!(await loadCertificateFonts(null))) {
+        toast.error("Label fonts are not loaded yet - check the connection and try again");
+        throw new Error("Fonts not ready");
+      }
+      setSheet(saveLabelSheet(sheet));
+    },
+    onPrintError: (location, error) => {
+      console.error("Print error:", location, error);
+      toast.error("Print cancelled or failed");
+    },
+  });
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={title}
+      size="full"
+      footer={
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-secondary">
+            {entries.length} label(s) on {pageCount} sheet(s). Set the browser print scale to 100% (&quot;Actual size&quot;).
+          </p>
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="medium" onClick={onClose}>
+              Close
+            </Button>
+            <Button variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={() => handlePrint()} disabled={entries.length === 0 || !!sheetError}>
+              Print Labels
+            </Button>
+          </div>
+        </div>
+      }
+    >
+      <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Sheet Layout */}
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              <Tag className="inline mr-1 w-4 h-4" />
+              Sticker Sheet
+            </label>
+            <select value={sheet.preset} onChange={handlePresetChange} className={selectClass}>
+              {Object.entries(LABEL_SHEET_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>
+                  {preset.label}
+                </option>
+              ))}
+              <option value={CUSTOM_LABEL_PRESET}>Custom</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            {GRID_FIELDS.map((field) => (
+              <div key={field.name}>
+                <label className="block text-sm text-secondary mb-1">{field.label}</label>
+                <input type="number" name={field.name} value={sheet[field.name]} onChange={handleGridChange} step={field.step} min={field.min} max={field.max} className={inputClass} />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm text-secondary mb-1">Start at label</label>
+            <input type="number" value={startPosition} onChange={handleStartChange} min={1} max={perPage} className={inputClass} />
+            <p className="text-xs text-secondary mt-1">Skip stickers already used on the first sheet (counted row by row)</p>
+          </div>
+
+          {sheetError ? (
+            <p className="text-sm text-status-error">{sheetError}</p>
+          ) : (
+            <p className="text-xs text-secondary">
+              Label size: {width_mm.toFixed(1)} x {height_mm.toFixed(1)} mm, {perPage} per sheet
+            </p>
+          )}
+        </div>
+
+        {/* Preview */}
+        <div className="xl:col-span-2 max-h-[70vh] overflow-auto border-2 border-gray-200/50 dark:border-white/10 rounded-xl bg-white/20 dark:bg-white/5 p-4">
+          {entries.length > 0 ? (
+            <MedalLabelSheet ref={printRef} entries={entries} sheet={sheet} startPosition={startPosition} />
+          ) : (
+            <p className="text-center text-secondary py-12">No labels to print</p>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+MedalLabelModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      student_name: PropTypes.string.isRequired,
+      module_name: PropTypes.string,
+      ptc_date: PropTypes.string,
+    }),
+  ).isRequired,
+  title: PropTypes.string,
+};
+
+MedalLabelModal.defaultProps = {
+  title: "Print Medal Labels",
+};
+
+export default MedalLabelModal;
@@ -0,0 +1,124 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { LABEL_PAGE, buildLabelPages, getLabelPosition, getLabelSize } from "@utils/labelSheet";
+import { formatDate } from "@utils/formatters";
+
+/**
+ * MedalLabelSheet Component
+ * A4 portrait sticker sheets with one label per medal: student name,
+ * module and PTC date. The grid comes from the label sheet layout (see
+ * utils/labelSheet); startPosition leaves already-used stickers on the
+ * first sheet empty. Label outlines are drawn on screen only.
+ */
+const MedalLabelSheet = React.forwardRef(({ entries, sheet, startPosition }, ref) => {
+  const pages = buildLabelPages(entries, sheet, startPosition);
+  const { width_mm, height_mm } = getLabelSize(sheet);
+
+  // Scale the text with the label so small stickers stay readable
+  const nameSize = Math.min(height_mm * 0.22, width_mm * 0.09);
+  const detailSize = nameSize * 0.7;
+
+  return (
+    <div ref={ref} className="medal-label-sheets">
+      <style>
+        {`
+          @media print {
+            @page {
+              size: A4 portrait;
+              margin: 0;
+            }
+
+            body {
+              margin: 0;
+              padding: 0;
+            }
+
+            .medal-label-page {
+              margin: 0 !important;
+              box-shadow: none !important;
+            }
+
+            .medal-label {
+              outline: none !important;
+            }
+          }
+        `}
+      </style>
+
+      {pages.map((slots, pageIndex) => (
+        <div
+          key={pageIndex}
+          className="medal-label-page"
+          style={{
+            width: `${LABEL_PAGE.WIDTH_MM}mm`,
+            height: `${LABEL_PAGE.HEIGHT_MM}mm`,
+            position: "relative",
+            overflow: "hidden",
+            background: "white",
+            margin: "0 auto 16px",
+            breakAfter: pageIndex < pages.length - 1 ? "page" : "auto",
+            pageBreakAfter: pageIndex < pages.length - 1 ? "always" : "auto",
+          }}
+        >
+          {slots.map((entry, index) => {
+            const { left_mm, top_mm } = getLabelPosition(sheet, index);
+
+            return (
+              <div
+                key={index}
+                className="medal-label"
+                style={{
+                  position: "absolute",
+                  left: `${left_mm}mm`,
+                  top: `${top_mm}mm`,
+                  width: `${width_mm}mm`,
+                  height: `${height_mm}mm`,
+                  outline: "0.2mm dashed #cbd5e1",
+                  outlineOffset: "-0.2mm",
+                  display: "flex",
+                  flexDirection: "column",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  textAlign: "center",
+                  padding: "2mm",
+                  boxSizing: "border-box",
+                  fontFamily: "'Montserrat', sans-serif",
+                  color: "#111827",
+                  overflow: "hidden",
+                }}
+              >
+                {entry && (
+                  <>
+                    <div style={{ fontSize: `${nameSize}mm`, fontWeight: 700, lineHeight: 1.15 }}>{entry.student_name}</div>
+                    <div style={{ fontSize: `${detailSize}mm`, marginTop: "1mm", lineHeight: 1.2 }}>{entry.module_name}</div>
+                    {entry.ptc_date && <div style={{ fontSize: `${detailSize}mm`, lineHeight: 1.2, color: "#4b5563" }}>{formatDate(entry.ptc_date)}</div>}
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+MedalLabelSheet.displayName = "MedalLabelSheet";
+
+MedalLabelSheet.propTypes = {
+  entries: PropTypes.arrayOf(
+    PropTypes.shape({
+      student_name: PropTypes.string.isRequired,
+      module_name: PropTypes.string,
+      ptc_date: PropTypes.string,
+    }),
+  ).isRequired,
+  sheet: PropTypes.object.isRequired,
+  startPosition: PropTypes.number,
+};
+
+MedalLabelSheet.defaultProps = {
+  startPosition: 1,
+};
+
+export default MedalLabelSheet;
@@ -0,0 +1,27 @@
+import PropTypes from "prop-types";
+
+/**
+ * NameCaseOption Component
+ * Checkbox for fixing the capitalisation of names typed in all lowercase
+ * or ALL CAPS (see normalizeNameCase). The choice is remembered per browser.
+ */
+const NameCaseOption = ({ checked, onChange, disabled }) => {
+  return (
+    <label className="flex items-center gap-2 text-xs text-secondary mt-2 cursor-pointer">
+      <input type="checkbox" checked={checked} onChange={(e) => onChange(e.target.checked)} disabled={disabled} className="rounded" />
+      Fix capitalisation of names typed in lowercase or ALL CAPS
+    </label>
+  );
+};
+
+NameCaseOption.propTypes = {
+  checked: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+NameCaseOption.defaultProps = {
+  disabled: false,
+};
+
+export default NameCaseOption;
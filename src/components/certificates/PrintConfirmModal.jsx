@@ -0,0 +1,59 @@
+import PropTypes from "prop-types";
+import { CheckCircle, XCircle, Printer } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import ReservationBadge from "@components/certificates/ReservationBadge";
+
+/**
+ * PrintConfirmModal Component
+ * Asked after the browser print dialog closes - the dialog also closes
+ * when printing is cancelled, so the teacher confirms whether the
+ * certificates really came out before the reserved stock is committed
+ */
+const PrintConfirmModal = ({ isOpen, quantity, secondsLeft, description, onConfirm, onRelease, onPrintAgain, loading }) => {
+  const expired = secondsLeft === 0;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onRelease} title="Did the print succeed?" size="small" closeOnBackdrop={false} showCloseButton={false}>
+      <div className="space-y-4">
+        <p className="text-sm text-secondary">
+          {description ||
+            `Confirm only if ${quantity > 1 ? `all ${quantity} certificates were` : "the certificate was"} printed correctly. The reserved stock is then deducted; otherwise it goes back to your branch.`}
+        </p>
+
+        {secondsLeft !== null && (
+          <div className="flex justify-center">
+            <ReservationBadge quantity={quantity} secondsLeft={secondsLeft} />
+          </div>
+        )}
+
+        {expired && <p className="text-sm text-status-error">The reservation expired, so the stock is no longer held. Cancel and preview again to reserve it before saving.</p>}
+
+        <div className="space-y-2">
+          <Button variant="success" size="medium" fullWidth icon={<CheckCircle className="w-4 h-4" />} onClick={onConfirm} loading={loading} disabled={loading || expired}>
+            Yes, printed correctly
+          </Button>
+          <Button variant="outline" size="medium" fullWidth icon={<Printer className="w-4 h-4" />} onClick={onPrintAgain} disabled={loading || expired}>
+            Print again
+          </Button>
+          <Button variant="ghost" size="medium" fullWidth icon={<XCircle className="w-4 h-4" />} onClick={onRelease} disabled={loading}>
+            No, cancel and release stock
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+PrintConfirmModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  quantity: PropTypes.number.isRequired,
+  secondsLeft: PropTypes.number,
+  description: PropTypes.string,
+  onConfirm: PropTypes.func.isRequired,
+  onRelease: PropTypes.func.isRequired,
+  onPrintAgain: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+};
+
+export default PrintConfirmModal;
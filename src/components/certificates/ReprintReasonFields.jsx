@@ -0,0 +1,59 @@
+import PropTypes from "prop-types";
+import { REPRINT_REASONS, REPRINT_REASON_LABELS } from "@utils/constants";
+
+/**
+ * ReprintReasonFields Component
+ * Reason + notes for printing a certificate that was already awarded.
+ * The reason is stored in the activity log.
+ */
+const ReprintReasonFields = ({ value, onChange, error, disabled }) => {
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-sm font-medium text-primary mb-2">
+          Reprint Reason <span className="text-status-error">*</span>
+        </label>
+        <div className="space-y-2">
+          {Object.values(REPRINT_REASONS).map((reason) => (
+            <label key={reason} className="flex items-center gap-2 text-sm text-primary cursor-pointer">
+              <input type="radio" name="reprintReason" value={reason} checked={value.reason === reason} onChange={() => onChange({ ...value, reason })} disabled={disabled} />
+              {REPRINT_REASON_LABELS[reason]}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-primary mb-2">Notes</label>
+        <textarea
+          name="reprintNotes"
+          rows={2}
+          value={value.notes}
+          onChange={(e) => onChange({ ...value, notes: e.target.value })}
+          disabled={disabled}
+          placeholder="Optional details for the log"
+          className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+        />
+      </div>
+
+      {error && <p className="text-sm text-status-error mt-1">{error}</p>}
+    </div>
+  );
+};
+
+ReprintReasonFields.propTypes = {
+  value: PropTypes.shape({
+    reason: PropTypes.string,
+    notes: PropTypes.string,
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+  disabled: PropTypes.bool,
+};
+
+ReprintReasonFields.defaultProps = {
+  error: "",
+  disabled: false,
+};
+
+export default ReprintReasonFields;
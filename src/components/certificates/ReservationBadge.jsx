@@ -0,0 +1,30 @@
+import PropTypes from "prop-types";
+import { Clock } from "lucide-react";
+import { formatCountdown } from "@utils/formatters";
+import { STOCK_RESERVATION } from "@utils/constants";
+
+/**
+ * ReservationBadge Component
+ * Shows how many units are held for the current print job and when the hold expires
+ */
+const ReservationBadge = ({ quantity, secondsLeft }) => {
+  const expiringSoon = secondsLeft !== null && secondsLeft <= STOCK_RESERVATION.EXPIRY_WARNING_SECONDS;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium border ${
+        expiringSoon ? "bg-red-500/10 border-red-500/30 text-status-error" : "bg-blue-500/10 border-blue-500/30 text-blue-600 dark:text-blue-400"
+      }`}
+    >
+      <Clock className="w-3 h-3" />
+      {secondsLeft === 0 ? `Reservation of ${quantity} expired` : `${quantity} reserved • ${formatCountdown(secondsLeft)}`}
+    </span>
+  );
+};
+
+ReservationBadge.propTypes = {
+  quantity: PropTypes.number.isRequired,
+  secondsLeft: PropTypes.number,
+};
+
+export default ReservationBadge;
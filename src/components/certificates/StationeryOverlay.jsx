@@ -0,0 +1,39 @@
+import PropTypes from "prop-types";
+
+/**
+ * StationeryOverlay Component
+ * Screen-only outline of the pre-printed stationery (decorative border
+ * and, when the template has one, a scan of the paper) drawn over a
+ * certificate page, so text running into the border is visible before
+ * any paper is used. Never printed.
+ */
+const StationeryOverlay = ({ page }) => {
+  const border = page.border_mm || 0;
+
+  return (
+    <div className="no-print" style={{ position: "absolute", inset: 0, pointerEvents: "none" }}>
+      {page.stationery_url && <img src={page.stationery_url} alt="" style={{ position: "absolute", inset: 0, width: "100%", height: "100%", objectFit: "fill", opacity: 0.35 }} />}
+
+      {border > 0 && (
+        <div
+          style={{
+            position: "absolute",
+            inset: 0,
+            border: `${border}mm solid rgba(234, 179, 8, 0.18)`,
+            outline: "0.3mm dashed rgba(234, 179, 8, 0.9)",
+            outlineOffset: `-${border}mm`,
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+StationeryOverlay.propTypes = {
+  page: PropTypes.shape({
+    stationery_url: PropTypes.string,
+    border_mm: PropTypes.number,
+  }).isRequired,
+};
+
+export default StationeryOverlay;
@@ -0,0 +1,250 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { SlidersHorizontal, MinusCircle, PlusCircle } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import { adjustCertificateStock } from "@api/certificateApi";
+import { getBranchBatchStock } from "@utils/stockTransfer";
+import { ADJUSTMENT_DIRECTIONS, ADJUSTMENT_DIRECTION_REASONS, validateStockAdjustment, toSignedAmount } from "@utils/stockAdjustment";
+import { ADJUSTMENT_REASON_LABELS } from "@utils/constants";
+
+const inputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const EMPTY_ADJUSTMENT = {
+  certificate_id: "",
+  branch_code: "",
+  direction: ADJUSTMENT_DIRECTIONS.REMOVE,
+  reason: "",
+  certificate_amount: "",
+  medal_amount: "",
+  notes: "",
+};
+
+/**
+ * StockAdjustmentModal Component
+ * Records damaged, lost or found stock (or a count correction) for one
+ * batch at one branch of the regional hub.
+ */
+const StockAdjustmentModal = ({ isOpen, onClose, certificates, branches, onAdjusted }) => {
+  const [values, setValues] = useState(EMPTY_ADJUSTMENT);
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setValues(EMPTY_ADJUSTMENT);
+      setError("");
+    }
+  }, [isOpen]);
+
+  const selectedBatch = certificates.find((cert) => cert.certificate_id === values.certificate_id);
+  const available = getBranchBatchStock(selectedBatch, values.branch_code);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setError("");
+  };
+
+  const handleDirectionChange = (direction) => {
+    setValues((prev) => ({
+      ...prev,
+      direction,
+      // Keep the reason only when it is valid for the new direction
+      reason: ADJUSTMENT_DIRECTION_REASONS[direction].includes(prev.reason) ? prev.reason : "",
+    }));
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!selectedBatch || !values.branch_code) {
+      setError("Please choose a batch and a branch");
+      return;
+    }
+
+    const certificateAmount = parseInt(values.certificate_amount) || 0;
+    const medalAmount = parseInt(values.medal_amount) || 0;
+
+    const validationError = validateStockAdjustment({
+      direction: values.direction,
+      reason: values.reason,
+      notes: values.notes,
+      certificateAmount,
+      medalAmount,
+      available,
+    });
+
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await adjustCertificateStock({
+        certificate_id: values.certificate_id,
+        branch_code: values.branch_code,
+        certificate_amount: toSignedAmount(certificateAmount, values.direction),
+        medal_amount: toSignedAmount(medalAmount, values.direction),
+        reason: values.reason,
+        notes: values.notes,
+      });
+      onClose();
+      onAdjusted?.();
+    } catch (err) {
+      console.error("Failed to adjust stock:", err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Adjust Stock" size="medium">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Batch <span className="text-status-error">*</span>
+            </label>
+            <select name="certificate_id" value={values.certificate_id} onChange={handleChange} className={selectClass}>
+              <option value="">Choose a batch...</option>
+              {certificates.map((cert) => (
+                <option key={cert.id} value={cert.certificate_id}>
+                  {cert.certificate_id}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Branch <span className="text-status-error">*</span>
+            </label>
+            <select name="branch_code" value={values.branch_code} onChange={handleChange} className={selectClass}>
+              <option value="">Choose a branch...</option>
+              {branches.map((branch) => (
+                <option key={branch.branch_code} value={branch.branch_code}>
+                  {branch.branch_code} - {branch.branch_name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {selectedBatch && values.branch_code && (
+          <p className="text-xs text-secondary">
+            Current {values.branch_code} stock: {available.certificates} certificates, {available.medals} medals
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 gap-2">
+          {[
+            { direction: ADJUSTMENT_DIRECTIONS.REMOVE, label: "Remove / Write Off", icon: MinusCircle },
+            { direction: ADJUSTMENT_DIRECTIONS.ADD, label: "Add Back", icon: PlusCircle },
+          ].map(({ direction, label, icon }) => {
+            const Icon = icon;
+
+            return (
+              <button
+                key={direction}
+                type="button"
+                onClick={() => handleDirectionChange(direction)}
+                className={`inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl border-2 text-sm font-medium transition-all ${
+                  values.direction === direction ? "border-primary bg-primary/10 text-primary" : "border-gray-200 dark:border-white/10 text-secondary hover:border-primary/50"
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {label}
+              </button>
+            );
+          })}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">
+            Reason <span className="text-status-error">*</span>
+          </label>
+          <div className="flex flex-wrap gap-4">
+            {ADJUSTMENT_DIRECTION_REASONS[values.direction].map((reason) => (
+              <label key={reason} className="flex items-center gap-2 text-sm text-primary cursor-pointer">
+                <input type="radio" name="reason" value={reason} checked={values.reason === reason} onChange={handleChange} />
+                {ADJUSTMENT_REASON_LABELS[reason]}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+          <h4 className="text-sm font-semibold text-primary mb-3">{values.direction === ADJUSTMENT_DIRECTIONS.REMOVE ? "Amount to Remove" : "Amount to Add"}</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-secondary mb-1">Certificates</label>
+              <input type="number" name="certificate_amount" value={values.certificate_amount} onChange={handleChange} min="0" placeholder="0" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-secondary mb-1">Medals</label>
+              <input type="number" name="medal_amount" value={values.medal_amount} onChange={handleChange} min="0" placeholder="0" className={inputClass} />
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">
+            Note <span className="text-status-error">*</span>
+          </label>
+          <textarea
+            name="notes"
+            rows={2}
+            value={values.notes}
+            onChange={handleChange}
+            placeholder="e.g., Water damage in storage cupboard"
+            className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+          />
+        </div>
+
+        {error && <p className="text-sm text-status-error">{error}</p>}
+
+        <div className="flex items-center gap-3 pt-4">
+          <Button type="button" variant="ghost" size="medium" onClick={onClose} className="flex-1">
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant={values.direction === ADJUSTMENT_DIRECTIONS.REMOVE ? "warning" : "primary"}
+            size="medium"
+            icon={<SlidersHorizontal className="w-4 h-4" />}
+            disabled={isSubmitting}
+            loading={isSubmitting}
+            className="flex-1"
+          >
+            Save Adjustment
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+StockAdjustmentModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  certificates: PropTypes.arrayOf(PropTypes.object).isRequired,
+  branches: PropTypes.arrayOf(
+    PropTypes.shape({
+      branch_code: PropTypes.string.isRequired,
+      branch_name: PropTypes.string,
+    }),
+  ).isRequired,
+  onAdjusted: PropTypes.func,
+};
+
+StockAdjustmentModal.defaultProps = {
+  onAdjusted: null,
+};
+
+export default StockAdjustmentModal;
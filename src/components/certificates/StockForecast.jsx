@@ -0,0 +1,162 @@
+import PropTypes from "prop-types";
+import { TrendingDown, RefreshCw, Send, AlertCircle } from "lucide-react";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { formatNumber } from "@utils/formatters";
+import { STOCK_FORECAST } from "@utils/constants";
+
+const LEVEL_BADGES = {
+  ok: { label: "OK", className: "bg-green-500/10 text-green-700 dark:text-green-400 border-green-500/30" },
+  warning: { label: "Reorder Soon", className: "bg-yellow-500/10 text-yellow-700 dark:text-yellow-400 border-yellow-500/30" },
+  critical: { label: "Critical", className: "bg-red-500/10 text-red-700 dark:text-red-400 border-red-500/30" },
+  unknown: { label: "No Data", className: "bg-gray-500/10 text-gray-700 dark:text-gray-300 border-gray-500/30" },
+};
+
+const formatDays = (days) => (days === null ? "-" : `${formatNumber(days)} d`);
+
+/**
+ * StockForecast Component
+ * Days until each branch runs out of certificates and medals at its
+ * recent print rate, with a suggested reorder quantity. Flags branches
+ * that run out before a head-branch migration could arrive.
+ * onRequestStock(branchCode) adds a "Request Stock" action per branch.
+ * failedBranches are branches whose print history could not be loaded.
+ */
+const StockForecast = ({ forecasts, failedBranches, windowDays, isLoading, onRefresh, onRequestStock, title, className }) => {
+  const atRisk = forecasts.filter((forecast) => forecast.leadTimeExceeded || forecast.daysLeft === 0);
+
+  return (
+    <div className={`backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-gradient-to-br from-indigo-500 to-blue-500 shadow-md">
+            <TrendingDown className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-primary">{title}</h2>
+            <p className="text-xs text-secondary">
+              Based on prints in the last {windowDays || STOCK_FORECAST.WINDOW_DAYS} days. Migration lead time: {STOCK_FORECAST.LEAD_TIME_DAYS} days.
+            </p>
+          </div>
+        </div>
+        {onRefresh && (
+          <Button variant="ghost" size="small" onClick={onRefresh} icon={<RefreshCw className="w-4 h-4" />} disabled={isLoading}>
+            Refresh
+          </Button>
+        )}
+      </div>
+
+      {atRisk.length > 0 && (
+        <div className="flex items-start gap-2 p-3 mb-4 rounded-xl bg-red-500/10 border border-red-500/30">
+          <AlertCircle className="w-4 h-4 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />
+          <div className="text-sm text-red-700 dark:text-red-300 space-y-1">
+            {atRisk.map((forecast) => (
+              <p key={forecast.branchCode}>{forecast.message}</p>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!isLoading && failedBranches.length > 0 && (
+        <div className="flex items-start gap-2 p-3 mb-4 rounded-xl bg-yellow-500/10 border border-yellow-500/30">
+          <AlertCircle className="w-4 h-4 text-yellow-600 dark:text-yellow-400 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-yellow-700 dark:text-yellow-300">Print history could not be loaded for {failedBranches.join(", ")}, so there is no forecast for them. Refresh to try again.</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Spinner size="medium" />
+        </div>
+      ) : forecasts.length === 0 ? (
+        <p className="text-sm text-secondary text-center py-6">No branch stock to forecast</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="border-b border-gray-200/30 dark:border-white/5">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-semibold text-secondary uppercase">Branch</th>
+                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Stock (cert / medal)</th>
+                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Prints / Day</th>
+                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Days Left (cert / medal)</th>
+                <th className="px-3 py-2 text-right text-xs font-semibold text-secondary uppercase">Suggested Reorder</th>
+                <th className="px-3 py-2 text-center text-xs font-semibold text-secondary uppercase">Status</th>
+                {onRequestStock && <th className="px-3 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+              {forecasts.map((forecast) => {
+                const badge = LEVEL_BADGES[forecast.level] || LEVEL_BADGES.ok;
+                const needsReorder = forecast.reorderCertificates > 0 || forecast.reorderMedals > 0;
+
+                return (
+                  <tr key={forecast.branchCode} title={forecast.message}>
+                    <td className="px-3 py-2">
+                      <p className="text-sm font-semibold text-primary">{forecast.branchCode}</p>
+                      <p className="text-xs text-secondary">{forecast.branchName}</p>
+                    </td>
+                    <td className="px-3 py-2 text-sm text-primary text-right">
+                      {formatNumber(forecast.certificates)} / {formatNumber(forecast.medals)}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-primary text-right">{forecast.dailyRate === null ? "-" : forecast.dailyRate ? forecast.dailyRate.toFixed(1) : "0"}</td>
+                    <td className="px-3 py-2 text-sm text-primary text-right">
+                      {formatDays(forecast.daysLeftCertificates)} / {formatDays(forecast.daysLeftMedals)}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-right">
+                      {needsReorder ? (
+                        <span className="text-primary">
+                          {formatNumber(forecast.reorderCertificates)} cert, {formatNumber(forecast.reorderMedals)} medal
+                        </span>
+                      ) : (
+                        <span className="text-secondary">-</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-center">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold border ${badge.className}`}>{badge.label}</span>
+                    </td>
+                    {onRequestStock && (
+                      <td className="px-3 py-2 text-right">
+                        {forecast.level !== "ok" && (
+                          <Button variant="secondary" size="small" icon={<Send className="w-3 h-3" />} onClick={() => onRequestStock(forecast.branchCode)}>
+                            Request
+                          </Button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-secondary mt-3">
+        Suggested reorder covers the lead time plus {STOCK_FORECAST.COVER_DAYS} days at the current rate. Branches without recent prints have no forecast.
+      </p>
+    </div>
+  );
+};
+
+StockForecast.propTypes = {
+  forecasts: PropTypes.arrayOf(PropTypes.object).isRequired,
+  failedBranches: PropTypes.arrayOf(PropTypes.string),
+  windowDays: PropTypes.number,
+  isLoading: PropTypes.bool,
+  onRefresh: PropTypes.func,
+  onRequestStock: PropTypes.func,
+  title: PropTypes.string,
+  className: PropTypes.string,
+};
+
+StockForecast.defaultProps = {
+  failedBranches: [],
+  windowDays: null,
+  isLoading: false,
+  onRefresh: null,
+  onRequestStock: null,
+  title: "Stock Forecast",
+  className: "",
+};
+
+export default StockForecast;
@@ -0,0 +1,347 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Inbox, RefreshCw, Check, XCircle } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { useStockRequests } from "@hooks/useStockRequests";
+import { getCertificates } from "@api/certificateApi";
+import { approveStockRequest, rejectStockRequest } from "@api/stockRequestApi";
+import { getBranchBatchStock } from "@utils/stockTransfer";
+import { formatNumber, formatDateTime } from "@utils/formatters";
+import { STOCK_REQUEST_STATUS } from "@utils/constants";
+
+const inputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const textareaClass =
+  "w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * StockRequestInbox Component
+ * Pending teacher stock requests for the branches of a regional hub.
+ * Approving migrates stock from the head branch to the requesting branch;
+ * sending less than requested marks the request as partially approved.
+ */
+const StockRequestInbox = ({ headBranch, onProcessed }) => {
+  const { requests, isLoading, refresh } = useStockRequests(
+    { status: STOCK_REQUEST_STATUS.PENDING, regional_hub: headBranch?.branch_code || "", limit: 50 },
+    { autoFetch: !!headBranch },
+  );
+
+  const [approving, setApproving] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [loadingBatches, setLoadingBatches] = useState(false);
+  const [approval, setApproval] = useState({ certificate_id: "", certificate_amount: "", medal_amount: "", admin_note: "" });
+  const [rejectNote, setRejectNote] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // =====================================================
+  // LOAD HEAD BRANCH BATCHES FOR APPROVAL
+  // =====================================================
+  useEffect(() => {
+    if (!approving || !headBranch) return;
+
+    let cancelled = false;
+    const loadBatches = async () => {
+      setLoadingBatches(true);
+      try {
+        const response = await getCertificates({ regional_hub: headBranch.branch_code, limit: 100 });
+        if (cancelled || !response.success) return;
+
+        const withStock = (response.data || []).filter((cert) => {
+          const stock = getBranchBatchStock(cert, headBranch.branch_code);
+          return stock.certificates > 0 || stock.medals > 0;
+        });
+        setBatches(withStock);
+
+        // Pre-select the teacher's preferred batch when the head branch has it
+        const preferred = withStock.find((cert) => cert.certificate_id.toLowerCase() === approving.batch_preference?.toLowerCase());
+        if (preferred) {
+          setApproval((prev) => ({ ...prev, certificate_id: preferred.certificate_id }));
+        }
+      } catch (err) {
+        console.error("Failed to load batches:", err);
+      } finally {
+        if (!cancelled) setLoadingBatches(false);
+      }
+    };
+
+    loadBatches();
+    return () => {
+      cancelled = true;
+    };
+  }, [approving, headBranch]);
+
+  // =====================================================
+  // HANDLERS
+  // =====================================================
+  const openApprove = (request) => {
+    setApproval({
+      certificate_id: "",
+      certificate_amount: String(request.certificate_amount || 0),
+      medal_amount: String(request.medal_amount || 0),
+      admin_note: "",
+    });
+    setBatches([]);
+    setError("");
+    setApproving(request);
+  };
+
+  const openReject = (request) => {
+    setRejectNote("");
+    setError("");
+    setRejecting(request);
+  };
+
+  const closeModals = () => {
+    setApproving(null);
+    setRejecting(null);
+  };
+
+  const handleApprovalChange = (e) => {
+    const { name, value } = e.target;
+    setApproval((prev) => ({ ...prev, [name]: value }));
+    setError("");
+  };
+
+  const selectedBatch = batches.find((cert) => cert.certificate_id === approval.certificate_id);
+  const headStock = getBranchBatchStock(selectedBatch, headBranch?.branch_code);
+  const approvedCerts = parseInt(approval.certificate_amount) || 0;
+  const approvedMedals = parseInt(approval.medal_amount) || 0;
+  const isPartial = !!approving && (approvedCerts < approving.certificate_amount || approvedMedals < approving.medal_amount);
+
+  const validateApproval = () => {
+    if (!selectedBatch) return "Please choose a batch";
+    if (approvedCerts < 0 || approvedMedals < 0) return "Amounts cannot be negative";
+    if (approvedCerts === 0 && approvedMedals === 0) return "Send at least one certificate or medal, or reject the request";
+    if (approvedCerts > approving.certificate_amount || approvedMedals > approving.medal_amount) return "Cannot send more than requested";
+    if (approvedCerts > headStock.certificates) return `Insufficient ${headBranch.branch_name} certificates. Available: ${headStock.certificates}`;
+    if (approvedMedals > headStock.medals) return `Insufficient ${headBranch.branch_name} medals. Available: ${headStock.medals}`;
+    if (isPartial && !approval.admin_note.trim()) return "Please tell the teacher why less stock is sent";
+    return "";
+  };
+
+  const handleApprove = async () => {
+    const validationError = validateApproval();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await approveStockRequest(approving.id, {
+        certificate_id: approval.certificate_id,
+        certificate_amount: approvedCerts,
+        medal_amount: approvedMedals,
+        admin_note: approval.admin_note.trim() || null,
+      });
+      closeModals();
+      await refresh();
+      onProcessed?.();
+    } catch (err) {
+      console.error("Failed to approve stock request:", err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (rejectNote.trim().length < 3) {
+      setError("Please give the teacher a reason");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await rejectStockRequest(rejecting.id, { admin_note: rejectNote.trim() });
+      closeModals();
+      await refresh();
+    } catch (err) {
+      console.error("Failed to reject stock request:", err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+  if (!headBranch) return null;
+
+  return (
+    <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-primary flex items-center gap-2">
+          <Inbox className="w-5 h-5" />
+          Stock Requests
+          {requests.length > 0 && <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-500/20 text-yellow-700 dark:text-yellow-400">{requests.length} pending</span>}
+        </h2>
+        <Button variant="ghost" size="small" onClick={refresh} icon={<RefreshCw className="w-4 h-4" />}>
+          Refresh
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-6">
+          <Spinner size="medium" />
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="text-sm text-secondary text-center py-4">No pending requests from {headBranch.branch_code} regional hub</p>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => (
+            <div key={request.id} className="backdrop-blur-sm bg-white/20 dark:bg-white/5 rounded-xl p-4 border border-gray-200/30 dark:border-white/5 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-primary">
+                  {request.branch_code} · {formatNumber(request.certificate_amount)} certs, {formatNumber(request.medal_amount)} medals
+                </p>
+                <p className="text-xs text-secondary">
+                  {request.teacher_name || "Teacher"} • {formatDateTime(request.created_at)}
+                  {request.batch_preference && ` • Prefers ${request.batch_preference}`}
+                </p>
+                {request.note && <p className="text-xs text-secondary mt-1 italic">&quot;{request.note}&quot;</p>}
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <Button variant="danger" size="small" icon={<XCircle className="w-4 h-4" />} onClick={() => openReject(request)}>
+                  Reject
+                </Button>
+                <Button variant="success" size="small" icon={<Check className="w-4 h-4" />} onClick={() => openApprove(request)}>
+                  Approve
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* APPROVE MODAL */}
+      <Modal
+        isOpen={!!approving}
+        onClose={closeModals}
+        title={`Approve Request from ${approving?.branch_code || ""}`}
+        size="medium"
+        footer={
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="medium" onClick={closeModals} className="flex-1">
+              Cancel
+            </Button>
+            <Button variant="primary" size="medium" icon={<Check className="w-4 h-4" />} onClick={handleApprove} disabled={isSubmitting || loadingBatches} loading={isSubmitting} className="flex-1">
+              {isPartial ? "Approve Partially" : "Approve & Migrate"}
+            </Button>
+          </div>
+        }
+      >
+        {approving && (
+          <div className="space-y-4">
+            <p className="text-sm text-secondary">
+              Requested: {formatNumber(approving.certificate_amount)} certificates, {formatNumber(approving.medal_amount)} medals
+              {approving.batch_preference && ` (prefers ${approving.batch_preference})`}
+            </p>
+
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                Batch from {headBranch.branch_code} <span className="text-status-error">*</span>
+              </label>
+              <select name="certificate_id" value={approval.certificate_id} onChange={handleApprovalChange} disabled={loadingBatches} className={selectClass}>
+                <option value="">{loadingBatches ? "Loading batches..." : "Choose a batch..."}</option>
+                {batches.map((cert) => {
+                  const stock = getBranchBatchStock(cert, headBranch.branch_code);
+                  return (
+                    <option key={cert.id} value={cert.certificate_id}>
+                      {cert.certificate_id} - {headBranch.branch_code}: {stock.certificates} certs, {stock.medals} medals
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+
+            <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+              <h4 className="text-sm font-semibold text-primary mb-3">Amount to Send</h4>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-secondary mb-1">Certificates</label>
+                  <input type="number" name="certificate_amount" value={approval.certificate_amount} onChange={handleApprovalChange} min="0" max={approving.certificate_amount} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm text-secondary mb-1">Medals</label>
+                  <input type="number" name="medal_amount" value={approval.medal_amount} onChange={handleApprovalChange} min="0" max={approving.medal_amount} className={inputClass} />
+                </div>
+              </div>
+              {selectedBatch && (
+                <p className="text-xs text-secondary mt-2">
+                  Available at {headBranch.branch_code}: {headStock.certificates} certificates, {headStock.medals} medals
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                Note to Teacher {isPartial && <span className="text-status-error">*</span>}
+              </label>
+              <textarea name="admin_note" rows={2} value={approval.admin_note} onChange={handleApprovalChange} placeholder={isPartial ? "Why less stock is sent" : "Optional"} className={textareaClass} />
+            </div>
+
+            {error && <p className="text-sm text-status-error">{error}</p>}
+          </div>
+        )}
+      </Modal>
+
+      {/* REJECT MODAL */}
+      <Modal
+        isOpen={!!rejecting}
+        onClose={closeModals}
+        title={`Reject Request from ${rejecting?.branch_code || ""}`}
+        size="small"
+        footer={
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="medium" onClick={closeModals} className="flex-1">
+              Cancel
+            </Button>
+            <Button variant="danger" size="medium" icon={<XCircle className="w-4 h-4" />} onClick={handleReject} disabled={isSubmitting} loading={isSubmitting} className="flex-1">
+              Reject
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-3">
+          <label className="block text-sm font-medium text-primary">
+            Reason <span className="text-status-error">*</span>
+          </label>
+          <textarea
+            rows={3}
+            value={rejectNote}
+            onChange={(e) => {
+              setRejectNote(e.target.value);
+              setError("");
+            }}
+            placeholder="Shown to the teacher"
+            className={textareaClass}
+          />
+          {error && <p className="text-sm text-status-error">{error}</p>}
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+StockRequestInbox.propTypes = {
+  headBranch: PropTypes.shape({
+    branch_code: PropTypes.string.isRequired,
+    branch_name: PropTypes.string,
+  }),
+  onProcessed: PropTypes.func,
+};
+
+StockRequestInbox.defaultProps = {
+  headBranch: null,
+  onProcessed: null,
+};
+
+export default StockRequestInbox;
@@ -0,0 +1,473 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { ClipboardCheck, Download, Save, ArrowLeft, XCircle, AlertTriangle } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { getCertificates, getStockSummary } from "@api/certificateApi";
+import { createStockTake, getStockTakes, getStockTakeById, saveStockTakeCounts, approveStockTake, cancelStockTake } from "@api/stockTakeApi";
+import { exportStockTakeVariance } from "@api/exportApi";
+import { buildStockTakeSnapshot, getLineVariance, summarizeStockTake, buildCountAdjustments } from "@utils/stockTake";
+import { formatNumber, formatDateTime } from "@utils/formatters";
+import { STOCK_TAKE_STATUS } from "@utils/constants";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const countInputClass =
+  "w-24 px-2 py-1 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary text-right text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const toCountValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+const VarianceCell = ({ value }) => {
+  if (value === null) {
+    return <span className="text-secondary">-</span>;
+  }
+
+  const className = value < 0 ? "text-red-600 dark:text-red-400" : value > 0 ? "text-green-600 dark:text-green-400" : "text-secondary";
+  return <span className={`font-semibold ${className}`}>{value > 0 ? `+${formatNumber(value)}` : formatNumber(value)}</span>;
+};
+
+VarianceCell.propTypes = {
+  value: PropTypes.number,
+};
+
+VarianceCell.defaultProps = {
+  value: null,
+};
+
+/**
+ * StockTakeModal Component
+ * Physical stock-take per branch: start a session (freezes the branch
+ * stock), enter counted quantities per batch, review the variance and
+ * approve it to post the differences as count-correction adjustments.
+ */
+const StockTakeModal = ({ isOpen, onClose, regionalHub, branches, onApproved }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loadingSessions, setLoadingSessions] = useState(false);
+  const [branchCode, setBranchCode] = useState("");
+  const [session, setSession] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [isDirty, setIsDirty] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  // =====================================================
+  // OPEN SESSIONS
+  // =====================================================
+  const fetchSessions = useCallback(async () => {
+    if (!regionalHub) return;
+
+    setLoadingSessions(true);
+    try {
+      const response = await getStockTakes({ regional_hub: regionalHub, status: STOCK_TAKE_STATUS.OPEN });
+      if (response.success) {
+        setSessions(response.data || []);
+      }
+    } catch (err) {
+      console.error("Failed to load stock-takes:", err);
+    } finally {
+      setLoadingSessions(false);
+    }
+  }, [regionalHub]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSession(null);
+      setLines([]);
+      setBranchCode("");
+      setIsDirty(false);
+      setError("");
+      fetchSessions();
+    }
+  }, [isOpen, fetchSessions]);
+
+  const openSession = async (stockTakeId) => {
+    setIsWorking(true);
+    setError("");
+    try {
+      const response = await getStockTakeById(stockTakeId);
+      if (response.success) {
+        const { lines: sessionLines = [], ...rest } = response.data;
+        setSession(rest);
+        setLines(
+          sessionLines.map((line) => ({
+            ...line,
+            counted_certificates: toCountValue(line.counted_certificates),
+            counted_medals: toCountValue(line.counted_medals),
+          })),
+        );
+        setIsDirty(false);
+      }
+    } catch (err) {
+      console.error("Failed to open stock-take:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleStart = async () => {
+    if (!branchCode) {
+      setError("Please choose a branch to count");
+      return;
+    }
+
+    setIsWorking(true);
+    setError("");
+    try {
+      const [summaryResponse, batchResponse] = await Promise.all([getStockSummary(), getCertificates({ regional_hub: regionalHub, limit: 100 })]);
+
+      const { snapshot, lines: snapshotLines } = buildStockTakeSnapshot(summaryResponse.data, batchResponse.data || [], branchCode);
+
+      if (snapshotLines.length === 0) {
+        setError(`${branchCode} has no stock to count`);
+        return;
+      }
+
+      const response = await createStockTake({
+        branch_code: branchCode,
+        regional_hub: regionalHub,
+        snapshot,
+        lines: snapshotLines,
+      });
+
+      await fetchSessions();
+      await openSession(response.data.id);
+    } catch (err) {
+      console.error("Failed to start stock-take:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // =====================================================
+  // COUNTING
+  // =====================================================
+  const handleCountChange = (certificateId, field, value) => {
+    setLines((prev) => prev.map((line) => (line.certificate_id === certificateId ? { ...line, [field]: value } : line)));
+    setIsDirty(true);
+    setError("");
+  };
+
+  const saveCounts = async () => {
+    await saveStockTakeCounts(session.id, {
+      lines: lines.map((line) => ({
+        certificate_id: line.certificate_id,
+        counted_certificates: line.counted_certificates === "" ? null : parseInt(line.counted_certificates),
+        counted_medals: line.counted_medals === "" ? null : parseInt(line.counted_medals),
+      })),
+    });
+    setIsDirty(false);
+  };
+
+  const handleSave = async () => {
+    setIsWorking(true);
+    try {
+      await saveCounts();
+    } catch (err) {
+      console.error("Failed to save counts:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setIsWorking(true);
+    try {
+      // The export is built from the saved counts
+      if (isDirty) {
+        await saveCounts();
+      }
+      await exportStockTakeVariance(session.id, session.branch_code);
+    } catch (err) {
+      console.error("Failed to export variance:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const summary = summarizeStockTake(lines);
+
+  const handleApprove = async () => {
+    if (summary.uncounted > 0) {
+      setError(`${summary.uncounted} batch(es) have not been counted yet`);
+      return;
+    }
+
+    const adjustments = buildCountAdjustments(lines, session.branch_code, session.id);
+    const message =
+      adjustments.length === 0
+        ? `Counts for ${session.branch_code} match the snapshot. Approve the stock-take?`
+        : `Approve the stock-take for ${session.branch_code}?\n\n${adjustments.length} adjustment(s) will be posted:\nCertificates: ${summary.variance.certificates > 0 ? "+" : ""}${summary.variance.certificates}\nMedals: ${summary.variance.medals > 0 ? "+" : ""}${summary.variance.medals}`;
+
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      if (isDirty) {
+        await saveCounts();
+      }
+      await approveStockTake(session.id, { adjustments });
+      setSession(null);
+      setLines([]);
+      fetchSessions();
+      onApproved?.();
+    } catch (err) {
+      console.error("Failed to approve stock-take:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCancelSession = async () => {
+    if (!window.confirm(`Cancel the stock-take for ${session.branch_code}? Entered counts will be discarded and no adjustments are posted.`)) {
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      await cancelStockTake(session.id);
+      setSession(null);
+      setLines([]);
+      fetchSessions();
+    } catch (err) {
+      console.error("Failed to cancel stock-take:", err);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleBack = () => {
+    if (isDirty && !window.confirm("You have unsaved counts. Leave without saving?")) {
+      return;
+    }
+    setSession(null);
+    setLines([]);
+    setIsDirty(false);
+    setError("");
+  };
+
+  const openBranches = sessions.map((item) => item.branch_code);
+  const batchTotal = summary.expected;
+  const snapshotMismatch =
+    session?.snapshot && (session.snapshot.certificates !== batchTotal.certificates || session.snapshot.medals !== batchTotal.medals);
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+  const renderSessionList = () => (
+    <div className="space-y-4">
+      <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+        <h4 className="text-sm font-semibold text-primary mb-3">Start a Stock-Take</h4>
+        <div className="flex flex-col md:flex-row gap-3">
+          <select
+            value={branchCode}
+            onChange={(e) => {
+              setBranchCode(e.target.value);
+              setError("");
+            }}
+            className={selectClass}
+          >
+            <option value="">Choose a branch...</option>
+            {branches.map((branch) => (
+              <option key={branch.branch_code} value={branch.branch_code} disabled={openBranches.includes(branch.branch_code)}>
+                {branch.branch_code} - {branch.branch_name}
+                {openBranches.includes(branch.branch_code) ? " (counting)" : ""}
+              </option>
+            ))}
+          </select>
+          <Button variant="primary" size="medium" icon={<ClipboardCheck className="w-4 h-4" />} onClick={handleStart} disabled={isWorking || !branchCode} loading={isWorking}>
+            Start Count
+          </Button>
+        </div>
+        <p className="text-xs text-secondary mt-2">The current stock of the branch is frozen as the expected quantity when the count starts.</p>
+      </div>
+
+      {error && <p className="text-sm text-status-error">{error}</p>}
+
+      <div>
+        <h4 className="text-sm font-semibold text-primary mb-2">Open Stock-Takes</h4>
+        {loadingSessions ? (
+          <div className="flex items-center justify-center py-6">
+            <Spinner size="medium" />
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-secondary py-4 text-center">No stock-take in progress</p>
+        ) : (
+          <div className="space-y-2">
+            {sessions.map((item) => (
+              <div
+                key={item.id}
+                className="flex items-center justify-between p-3 rounded-xl border border-gray-200/50 dark:border-white/10 bg-white/20 dark:bg-white/5"
+              >
+                <div>
+                  <p className="text-sm font-semibold text-primary">{item.branch_code}</p>
+                  <p className="text-xs text-secondary">
+                    Started {formatDateTime(item.created_at)}
+                    {item.created_by ? ` by ${item.created_by}` : ""}
+                  </p>
+                </div>
+                <Button variant="secondary" size="small" onClick={() => openSession(item.id)} disabled={isWorking}>
+                  Continue
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderCounting = () => (
+    <div className="space-y-4">
+      <div className="flex items-start gap-2 p-3 rounded-xl bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800/40">
+        <AlertTriangle className="w-4 h-4 text-yellow-600 dark:text-yellow-400 flex-shrink-0 mt-0.5" />
+        <p className="text-xs text-yellow-800 dark:text-yellow-300">
+          Expected quantities were frozen on {formatDateTime(session.created_at)}. Pause printing and transfers at {session.branch_code} until the count is approved,
+          otherwise they show up as variance.
+        </p>
+      </div>
+
+      {snapshotMismatch && (
+        <p className="text-xs text-secondary">
+          Branch total at snapshot: {formatNumber(session.snapshot.certificates)} certificates, {formatNumber(session.snapshot.medals)} medals. Batches listed below add up to{" "}
+          {formatNumber(batchTotal.certificates)} certificates, {formatNumber(batchTotal.medals)} medals.
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-xl border border-gray-200/30 dark:border-white/5">
+        <table className="w-full">
+          <thead className="bg-white/20 dark:bg-white/5 border-b border-gray-200/30 dark:border-white/5">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">Batch</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Cert Expected</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Cert Counted</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Variance</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Medal Expected</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Medal Counted</th>
+              <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Variance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+            {lines.map((line) => {
+              const variance = getLineVariance(line);
+              return (
+                <tr key={line.certificate_id}>
+                  <td className="px-4 py-2 text-sm font-medium text-primary">{line.certificate_id}</td>
+                  <td className="px-4 py-2 text-sm text-secondary text-right">{formatNumber(line.expected_certificates)}</td>
+                  <td className="px-4 py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      value={line.counted_certificates}
+                      onChange={(e) => handleCountChange(line.certificate_id, "counted_certificates", e.target.value)}
+                      className={countInputClass}
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    <VarianceCell value={variance.certificates} />
+                  </td>
+                  <td className="px-4 py-2 text-sm text-secondary text-right">{formatNumber(line.expected_medals)}</td>
+                  <td className="px-4 py-2 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      value={line.counted_medals}
+                      onChange={(e) => handleCountChange(line.certificate_id, "counted_medals", e.target.value)}
+                      className={countInputClass}
+                    />
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    <VarianceCell value={variance.medals} />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+          <tfoot className="bg-white/20 dark:bg-white/5 border-t border-gray-200/30 dark:border-white/5">
+            <tr>
+              <td className="px-4 py-2 text-sm font-semibold text-primary">Total</td>
+              <td className="px-4 py-2 text-sm font-semibold text-primary text-right">{formatNumber(summary.expected.certificates)}</td>
+              <td className="px-4 py-2 text-sm font-semibold text-primary text-right">{formatNumber(summary.counted.certificates)}</td>
+              <td className="px-4 py-2 text-sm text-right">
+                <VarianceCell value={summary.variance.certificates} />
+              </td>
+              <td className="px-4 py-2 text-sm font-semibold text-primary text-right">{formatNumber(summary.expected.medals)}</td>
+              <td className="px-4 py-2 text-sm font-semibold text-primary text-right">{formatNumber(summary.counted.medals)}</td>
+              <td className="px-4 py-2 text-sm text-right">
+                <VarianceCell value={summary.variance.medals} />
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <p className="text-xs text-secondary">
+        {summary.uncounted > 0
+          ? `${summary.uncounted} of ${lines.length} batch(es) not counted yet. Totals and variance cover counted batches only.`
+          : `All ${lines.length} batch(es) counted, ${summary.withVariance} with a variance.`}
+      </p>
+
+      {error && <p className="text-sm text-status-error">{error}</p>}
+
+      <div className="flex flex-wrap items-center gap-3 pt-2">
+        <Button variant="ghost" size="medium" icon={<ArrowLeft className="w-4 h-4" />} onClick={handleBack} disabled={isWorking}>
+          Back
+        </Button>
+        <Button variant="danger" size="medium" icon={<XCircle className="w-4 h-4" />} onClick={handleCancelSession} disabled={isWorking}>
+          Cancel Count
+        </Button>
+        <div className="flex-1" />
+        <Button variant="secondary" size="medium" icon={<Download className="w-4 h-4" />} onClick={handleExport} disabled={isWorking}>
+          Export Variance
+        </Button>
+        <Button variant="secondary" size="medium" icon={<Save className="w-4 h-4" />} onClick={handleSave} disabled={isWorking || !isDirty}>
+          Save Counts
+        </Button>
+        <Button
+          variant="primary"
+          size="medium"
+          icon={<ClipboardCheck className="w-4 h-4" />}
+          onClick={handleApprove}
+          disabled={isWorking || summary.uncounted > 0}
+          loading={isWorking}
+        >
+          Approve &amp; Post
+        </Button>
+      </div>
+    </div>
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={session ? `Stock-Take - ${session.branch_code}` : `Stock-Take${regionalHub ? ` (${regionalHub})` : ""}`}
+      size={session ? "xlarge" : "medium"}
+    >
+      {session ? renderCounting() : renderSessionList()}
+    </Modal>
+  );
+};
+
+StockTakeModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  regionalHub: PropTypes.string,
+  branches: PropTypes.arrayOf(
+    PropTypes.shape({
+      branch_code: PropTypes.string.isRequired,
+      branch_name: PropTypes.string,
+    }),
+  ).isRequired,
+  onApproved: PropTypes.func,
+};
+
+StockTakeModal.defaultProps = {
+  regionalHub: "",
+  onApproved: null,
+};
+
+export default StockTakeModal;
@@ -0,0 +1,429 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import PropTypes from "prop-types";
+import { Move, RotateCcw, QrCode } from "lucide-react";
+import Button from "@components/common/Button";
+import StationeryOverlay from "./StationeryOverlay";
+import { CERTIFICATE_LANGUAGES, CERTIFICATE_LANGUAGE_LABELS } from "@utils/certificateLanguage";
+import {
+  TEMPLATE_FIELDS,
+  TEMPLATE_FIELD_LABELS,
+  TEMPLATE_FONTS,
+  TEMPLATE_ALIGNMENTS,
+  TEMPLATE_FIT_FIELDS,
+  TEMPLATE_QR_CODE,
+  PAPER_SIZES,
+  PAPER_SIZE_DIMENSIONS,
+  PAPER_SIZE_LABELS,
+  DEFAULT_TEMPLATE,
+  normalizeTemplateLayout,
+  applyPaperSize,
+  getFieldStyle,
+  getQrCodeStyle,
+  clampFieldToPage,
+} from "@utils/certificateTemplate";
+
+// CSS pixels per millimetre (96dpi)
+const PX_PER_MM = 96 / 25.4;
+
+const SAMPLE_TEXT = {
+  [TEMPLATE_FIELDS.STUDENT_NAME]: "Student Name",
+  [TEMPLATE_FIELDS.MODULE_NAME]: "Module Name",
+  [TEMPLATE_FIELDS.PTC_DATE]: "10 February 2026",
+  [TEMPLATE_FIELDS.SERIAL_NUMBER]: "CRT-XXXX-XXXX-XXXX",
+};
+
+const inputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * TemplateDesigner Component
+ * Visual editor for a certificate template layout.
+ * Fields are dragged on a scaled page canvas; exact values are
+ * edited in the property panel. All values are stored in mm / pt.
+ * The verification QR code block is positioned the same way.
+ */
+const TemplateDesigner = ({ layout, onChange, division }) => {
+  // Memoized so updateField only changes with the layout
+  const template = useMemo(() => normalizeTemplateLayout(layout), [layout]);
+  const { page, fields } = template;
+
+  // =====================================================
+  // STATE
+  // =====================================================
+
+  const canvasRef = useRef(null);
+  const [scale, setScale] = useState(0.5);
+  const [selectedField, setSelectedField] = useState(TEMPLATE_FIELDS.STUDENT_NAME);
+  const [dragging, setDragging] = useState(null);
+
+  // =====================================================
+  // CANVAS SCALE - fit page width into the container
+  // =====================================================
+
+  useEffect(() => {
+    const updateScale = () => {
+      if (!canvasRef.current) return;
+      const width = canvasRef.current.clientWidth;
+      setScale(width / (page.width_mm * PX_PER_MM));
+    };
+
+    updateScale();
+    window.addEventListener("resize", updateScale);
+    return () => window.removeEventListener("resize", updateScale);
+  }, [page.width_mm]);
+
+  // =====================================================
+  // UPDATE HELPERS
+  // =====================================================
+
+  const updateField = useCallback(
+    (key, changes) => {
+      if (key === TEMPLATE_QR_CODE) {
+        onChange({
+          ...template,
+          [TEMPLATE_QR_CODE]: clampFieldToPage({ ...template[TEMPLATE_QR_CODE], ...changes }, template.page),
+        });
+        return;
+      }
+
+      const nextField = clampFieldToPage({ ...template.fields[key], ...changes }, template.page);
+      onChange({
+        ...template,
+        fields: { ...template.fields, [key]: nextField },
+      });
+    },
+    [template, onChange],
+  );
+
+  const updateDivisionColor = (divisionCode, color) => {
+    onChange({
+      ...template,
+      division_colors: { ...template.division_colors, [divisionCode]: color },
+    });
+  };
+
+  const updatePage = (changes) => {
+    onChange({
+      ...template,
+      page: { ...template.page, ...changes },
+    });
+  };
+
+  // Switching paper moves every field proportionally
+  const updatePaperSize = (paperSize) => {
+    onChange(applyPaperSize(template, paperSize));
+  };
+
+  const resetField = (key) => {
+    // Default positions are for A4 - scale them to this template's paper
+    const defaults = applyPaperSize(normalizeTemplateLayout(DEFAULT_TEMPLATE), page.paper_size);
+
+    if (key === TEMPLATE_QR_CODE) {
+      onChange({ ...template, [TEMPLATE_QR_CODE]: { ...defaults[TEMPLATE_QR_CODE] } });
+      return;
+    }
+
+    onChange({
+      ...template,
+      fields: { ...template.fields, [key]: { ...defaults.fields[key] } },
+    });
+  };
+
+  // =====================================================
+  // DRAG HANDLING
+  // =====================================================
+
+  const handleMouseDown = (e, key) => {
+    e.preventDefault();
+    const origin = key === TEMPLATE_QR_CODE ? template[TEMPLATE_QR_CODE] : fields[key];
+    setSelectedField(key);
+    setDragging({
+      key,
+      startX: e.clientX,
+      startY: e.clientY,
+      originX: origin.x_mm,
+      originY: origin.y_mm,
+    });
+  };
+
+  // Latest updateField for the drag listeners - every move changes the
+  // layout, which must not re-register the listeners
+  const updateFieldRef = useRef(updateField);
+  useEffect(() => {
+    updateFieldRef.current = updateField;
+  }, [updateField]);
+
+  useEffect(() => {
+    if (!dragging) return;
+
+    const mmPerScreenPx = 1 / (PX_PER_MM * scale);
+
+    const handleMouseMove = (e) => {
+      updateFieldRef.current(dragging.key, {
+        x_mm: dragging.originX + (e.clientX - dragging.startX) * mmPerScreenPx,
+        y_mm: dragging.originY + (e.clientY - dragging.startY) * mmPerScreenPx,
+      });
+    };
+
+    const handleMouseUp = () => setDragging(null);
+
+    window.addEventListener("mousemove", handleMouseMove);
+    window.addEventListener("mouseup", handleMouseUp);
+    return () => {
+      window.removeEventListener("mousemove", handleMouseMove);
+      window.removeEventListener("mouseup", handleMouseUp);
+    };
+  }, [dragging, scale]);
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+
+  const isQrCode = selectedField === TEMPLATE_QR_CODE;
+  const field = isQrCode ? template[TEMPLATE_QR_CODE] : fields[selectedField];
+
+  const handleNumberChange = (prop) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isNaN(value)) return;
+    updateField(selectedField, { [prop]: value });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      {/* Canvas */}
+      <div className="lg:col-span-2">
+        <div
+          ref={canvasRef}
+          className="relative w-full overflow-hidden rounded-xl border border-gray-200 dark:border-white/10 bg-gray-100 dark:bg-gray-900 select-none"
+          style={{ height: `${page.height_mm * PX_PER_MM * scale}px` }}
+        >
+          <div
+            className="absolute top-0 left-0 bg-white shadow"
+            style={{
+              width: `${page.width_mm}mm`,
+              height: `${page.height_mm}mm`,
+              transform: `scale(${scale})`,
+              transformOrigin: "top left",
+            }}
+          >
+            {Object.keys(fields).map((key) => (
+              <div
+                key={key}
+                onMouseDown={(e) => handleMouseDown(e, key)}
+                className={`cursor-move outline-dashed ${selectedField === key ? "outline-2 outline-blue-500" : "outline-1 outline-gray-300"}`}
+                style={getFieldStyle(fields[key], template, division)}
+              >
+                {SAMPLE_TEXT[key]}
+              </div>
+            ))}
+            <div
+              onMouseDown={(e) => handleMouseDown(e, TEMPLATE_QR_CODE)}
+              className={`flex items-center justify-center bg-gray-100 cursor-move outline-dashed ${isQrCode ? "outline-2 outline-blue-500" : "outline-1 outline-gray-300"}`}
+              style={getQrCodeStyle(template[TEMPLATE_QR_CODE])}
+            >
+              <QrCode className="w-1/2 h-1/2 text-gray-400" />
+            </div>
+            <StationeryOverlay page={page} />
+          </div>
+        </div>
+        <p className="flex items-center gap-1 text-xs text-secondary mt-2">
+          <Move className="w-3 h-3" />
+          Drag a field to move it, or set exact values in the panel
+        </p>
+      </div>
+
+      {/* Property Panel */}
+      <div className="space-y-3">
+        <div>
+          <label className="block text-sm font-medium text-primary mb-1">Field</label>
+          <select value={selectedField} onChange={(e) => setSelectedField(e.target.value)} className={inputClass}>
+            {Object.keys(fields).map((key) => (
+              <option key={key} value={key}>
+                {TEMPLATE_FIELD_LABELS[key]}
+              </option>
+            ))}
+            <option value={TEMPLATE_QR_CODE}>QR Code</option>
+          </select>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label className="block text-xs text-secondary mb-1">X (mm)</label>
+            <input type="number" step="0.1" value={field.x_mm} onChange={handleNumberChange("x_mm")} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-xs text-secondary mb-1">Y (mm)</label>
+            <input type="number" step="0.1" value={field.y_mm} onChange={handleNumberChange("y_mm")} className={inputClass} />
+          </div>
+          {isQrCode ? (
+            <div>
+              <label className="block text-xs text-secondary mb-1">Size (mm)</label>
+              <input type="number" step="0.1" min="10" max="60" value={field.size_mm} onChange={handleNumberChange("size_mm")} className={inputClass} />
+            </div>
+          ) : (
+            <div>
+              <label className="block text-xs text-secondary mb-1">Width (mm)</label>
+              <input type="number" step="0.1" min="10" max={page.width_mm} value={field.width_mm} onChange={handleNumberChange("width_mm")} className={inputClass} />
+            </div>
+          )}
+        </div>
+
+        {!isQrCode && (
+          <>
+            <div>
+              <label className="block text-xs text-secondary mb-1">Font</label>
+              <select value={field.font_family} onChange={(e) => updateField(selectedField, { font_family: e.target.value })} className={inputClass}>
+                {TEMPLATE_FONTS.map((font) => (
+                  <option key={font} value={font}>
+                    {font}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-xs text-secondary mb-1">Size (pt)</label>
+                <input type="number" min="6" max="96" value={field.font_size_pt} onChange={handleNumberChange("font_size_pt")} className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-xs text-secondary mb-1">Weight</label>
+                <select value={field.font_weight} onChange={(e) => updateField(selectedField, { font_weight: Number(e.target.value) })} className={inputClass}>
+                  <option value={400}>Regular</option>
+                  <option value={600}>Semi Bold</option>
+                  <option value={700}>Bold</option>
+                </select>
+              </div>
+            </div>
+
+            {TEMPLATE_FIT_FIELDS.includes(selectedField) && (
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-xs text-secondary mb-1">Min size (pt)</label>
+                  <input type="number" min="6" max={field.font_size_pt} value={field.min_font_size_pt} onChange={handleNumberChange("min_font_size_pt")} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-xs text-secondary mb-1">Max lines</label>
+                  <input type="number" min="1" max="3" step="1" value={field.max_lines} onChange={handleNumberChange("max_lines")} className={inputClass} />
+                </div>
+                <p className="col-span-2 text-xs text-secondary">Long texts shrink down to the minimum size to fit the field width</p>
+              </div>
+            )}
+
+            <div>
+              <label className="block text-xs text-secondary mb-1">Alignment</label>
+              <div className="grid grid-cols-3 gap-2">
+                {TEMPLATE_ALIGNMENTS.map((align) => (
+                  <button
+                    key={align}
+                    type="button"
+                    onClick={() => updateField(selectedField, { align })}
+                    className={`px-3 py-2 rounded-xl text-sm capitalize border transition-colors ${
+                      field.align === align ? "border-primary bg-primary/10 text-primary" : "border-gray-200 dark:border-white/10 text-secondary hover:bg-white/30 dark:hover:bg-white/10"
+                    }`}
+                  >
+                    {align}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs text-secondary mb-1">Colour</label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="color"
+                  value={field.color || template.division_colors[division] || "#000000"}
+                  onChange={(e) => updateField(selectedField, { color: e.target.value })}
+                  className="h-9 w-12 rounded-lg border border-gray-200 dark:border-white/10 bg-transparent"
+                />
+                <label className="flex items-center gap-2 text-sm text-secondary">
+                  <input type="checkbox" checked={field.color === null} onChange={(e) => updateField(selectedField, { color: e.target.checked ? null : "#000000" })} />
+                  Use division colour
+                </label>
+              </div>
+            </div>
+          </>
+        )}
+
+        <div>
+          <label className="block text-xs text-secondary mb-1">Division Colours</label>
+          <div className="flex items-center gap-4">
+            {Object.keys(template.division_colors).map((divisionCode) => (
+              <label key={divisionCode} className="flex items-center gap-2 text-sm text-primary">
+                <input
+                  type="color"
+                  value={template.division_colors[divisionCode]}
+                  onChange={(e) => updateDivisionColor(divisionCode, e.target.value)}
+                  className="h-9 w-12 rounded-lg border border-gray-200 dark:border-white/10 bg-transparent"
+                />
+                {divisionCode}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-xs text-secondary mb-1">Certificate Language</label>
+          <select value={template.language || ""} onChange={(e) => onChange({ ...template, language: e.target.value || null })} className={inputClass}>
+            <option value="">English (default)</option>
+            {Object.values(CERTIFICATE_LANGUAGES)
+              .filter((language) => language !== CERTIFICATE_LANGUAGES.EN)
+              .map((language) => (
+                <option key={language} value={language}>
+                  {CERTIFICATE_LANGUAGE_LABELS[language]}
+                </option>
+              ))}
+          </select>
+          <p className="text-xs text-secondary mt-1">Modules with their own language override this</p>
+        </div>
+
+        <div>
+          <label className="block text-xs text-secondary mb-1">Paper Size (landscape)</label>
+          <select value={page.paper_size} onChange={(e) => updatePaperSize(e.target.value)} className={inputClass}>
+            {Object.values(PAPER_SIZES).map((paperSize) => (
+              <option key={paperSize} value={paperSize}>
+                {PAPER_SIZE_LABELS[paperSize]} ({PAPER_SIZE_DIMENSIONS[paperSize].width_mm} x {PAPER_SIZE_DIMENSIONS[paperSize].height_mm} mm)
+              </option>
+            ))}
+          </select>
+          <p className="text-xs text-secondary mt-1">Fields are scaled to the new size. Branches with their own paper size get the layout scaled again.</p>
+        </div>
+
+        <div>
+          <label className="block text-xs text-secondary mb-1">Stationery (preview overlay only)</label>
+          <div className="grid grid-cols-3 gap-2">
+            <input type="text" value={page.stationery_url} onChange={(e) => updatePage({ stationery_url: e.target.value.trim() })} placeholder="Scan image URL" className={`${inputClass} col-span-2`} />
+            <input
+              type="number"
+              step="0.5"
+              min="0"
+              max="50"
+              value={page.border_mm}
+              onChange={(e) => updatePage({ border_mm: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className={inputClass}
+              title="Decorative border width (mm)"
+            />
+          </div>
+        </div>
+
+        <Button type="button" variant="ghost" size="small" icon={<RotateCcw className="w-4 h-4" />} onClick={() => resetField(selectedField)}>
+          Reset Field
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+TemplateDesigner.propTypes = {
+  layout: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  division: PropTypes.oneOf(["JK", "LK"]),
+};
+
+TemplateDesigner.defaultProps = {
+  layout: null,
+  division: "JK",
+};
+
+export default TemplateDesigner;
@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { RefreshCw } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { getTransactionHistory } from "@api/certificateApi";
+import { buildWasteReport, WASTE_ACTION_TYPES, VOIDED_PRINT_WASTE } from "@utils/stockAdjustment";
+import { formatNumber } from "@utils/formatters";
+import { ADJUSTMENT_REASON_LABELS } from "@utils/constants";
+
+// Enough for a few months of write-offs in one hub
+const REPORT_LIMIT = 1000;
+
+const REASON_LABELS = {
+  ...ADJUSTMENT_REASON_LABELS,
+  [VOIDED_PRINT_WASTE]: "Voided Print (waste)",
+};
+
+const dateInputClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+/**
+ * WasteReportModal Component
+ * Certificates and medals written off in a period (stock adjustments and
+ * voided prints booked as waste), by reason and by branch.
+ */
+const WasteReportModal = ({ isOpen, onClose, regionalHub, fromDate, toDate }) => {
+  const [range, setRange] = useState({ from_date: fromDate, to_date: toDate });
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setRange({ from_date: fromDate, to_date: toDate });
+    }
+  }, [isOpen, fromDate, toDate]);
+
+  const fetchReport = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getTransactionHistory({
+        limit: REPORT_LIMIT,
+        action_type: WASTE_ACTION_TYPES.join(","),
+        from_date: range.from_date,
+        to_date: range.to_date,
+        regional_hub: regionalHub,
+      });
+
+      if (response.success) {
+        setReport(buildWasteReport(response.data || []));
+      }
+    } catch (err) {
+      console.error("Failed to load waste report:", err);
+      setError("Failed to load waste report. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [range.from_date, range.to_date, regionalHub]);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchReport();
+    }
+  }, [isOpen, fetchReport]);
+
+  const renderRows = (rows, getLabel) =>
+    rows.length === 0 ? (
+      <tr>
+        <td colSpan={4} className="px-4 py-3 text-sm text-secondary text-center">
+          Nothing written off
+        </td>
+      </tr>
+    ) : (
+      rows.map((row) => (
+        <tr key={row.key}>
+          <td className="px-4 py-2 text-sm text-primary">{getLabel(row.key)}</td>
+          <td className="px-4 py-2 text-sm text-primary text-right">{formatNumber(row.certificates)}</td>
+          <td className="px-4 py-2 text-sm text-primary text-right">{formatNumber(row.medals)}</td>
+          <td className="px-4 py-2 text-sm text-secondary text-right">{row.entries}</td>
+        </tr>
+      ))
+    );
+
+  const renderTable = (title, firstColumn, rows, getLabel) => (
+    <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 rounded-xl border border-gray-200/30 dark:border-white/5 overflow-hidden">
+      <h4 className="px-4 pt-3 text-sm font-semibold text-primary">{title}</h4>
+      <table className="w-full mt-2">
+        <thead className="border-b border-gray-200/30 dark:border-white/5">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-semibold text-secondary uppercase">{firstColumn}</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Certificates</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Medals</th>
+            <th className="px-4 py-2 text-right text-xs font-semibold text-secondary uppercase">Entries</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">{renderRows(rows, getLabel)}</tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Waste Report${regionalHub ? ` (${regionalHub})` : ""}`} size="large">
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+          <div>
+            <label className="block text-sm text-secondary mb-1">From</label>
+            <input type="date" value={range.from_date} onChange={(e) => setRange((prev) => ({ ...prev, from_date: e.target.value }))} className={dateInputClass} />
+          </div>
+          <div>
+            <label className="block text-sm text-secondary mb-1">To</label>
+            <input type="date" value={range.to_date} onChange={(e) => setRange((prev) => ({ ...prev, to_date: e.target.value }))} className={dateInputClass} />
+          </div>
+          <Button variant="ghost" size="medium" onClick={fetchReport} icon={<RefreshCw className="w-4 h-4" />} disabled={isLoading}>
+            Refresh
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Spinner size="large" />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-status-error text-center py-8">{error}</p>
+        ) : (
+          report && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  { label: "Certificates written off", value: report.totals.wasted_certificates, className: "text-red-600 dark:text-red-400" },
+                  { label: "Medals written off", value: report.totals.wasted_medals, className: "text-red-600 dark:text-red-400" },
+                  { label: "Certificates found", value: report.totals.recovered_certificates, className: "text-green-600 dark:text-green-400" },
+                  { label: "Medals found", value: report.totals.recovered_medals, className: "text-green-600 dark:text-green-400" },
+                ].map((card) => (
+                  <div key={card.label} className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+                    <p className="text-xs text-secondary">{card.label}</p>
+                    <p className={`text-2xl font-bold ${card.className}`}>{formatNumber(card.value)}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {renderTable("By Reason", "Reason", report.byReason, (key) => REASON_LABELS[key] || key)}
+                {renderTable("By Branch", "Branch", report.byBranch, (key) => key)}
+              </div>
+
+              <p className="text-xs text-secondary">Found stock and upward count corrections are shown separately and are not subtracted from the waste totals.</p>
+            </>
+          )
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+WasteReportModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  regionalHub: PropTypes.string,
+  fromDate: PropTypes.string,
+  toDate: PropTypes.string,
+};
+
+WasteReportModal.defaultProps = {
+  regionalHub: "",
+  fromDate: "",
+  toDate: "",
+};
+
+export default WasteReportModal;
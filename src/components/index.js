@@ -11,6 +11,7 @@ export { default as Button } from "./common/Button";
 export { default as Input } from "./common/Input";
 export { default as Card } from "./common/Card";
 export { default as Modal } from "./common/Modal";
+export { default as Drawer } from "./common/Drawer";
 export { default as Table } from "./common/Table";
 export { default as Spinner } from "./common/Spinner";
 export { default as ThemeToggle } from "./common/ThemeToggle";
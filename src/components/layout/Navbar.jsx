@@ -2,6 +2,7 @@ import { useState } from "react";
 import { Menu, User, LogOut } from "lucide-react";
 import { useNavigate } from "react-router-dom";
 import ThemeToggle from "../common/ThemeToggle";
+import NetworkIndicator from "./NetworkIndicator";
 import { useAuth } from "@hooks/useAuth";
 import { ENV } from "@config/env";
 
@@ -12,7 +13,7 @@ import { ENV } from "@config/env";
  */
 const Navbar = ({ onMenuClick }) => {
   const navigate = useNavigate();
-  const { user, logout, getUserDisplayName, getUserRoleLabel } = useAuth();
+  const { user, logout, isTeacher, getUserDisplayName, getUserRoleLabel } = useAuth();
   const [showUserMenu, setShowUserMenu] = useState(false);
 
   const handleLogout = () => {
@@ -43,8 +44,11 @@ const Navbar = ({ onMenuClick }) => {
             <h1 className="text-xl font-bold text-primary">{ENV.APP_NAME}</h1>
           </div>
 
-          {/* Right Section: Theme Toggle + User Menu */}
+          {/* Right Section: Network Status + Theme Toggle + User Menu */}
           <div className="flex items-center gap-4">
+            {/* Connection + offline print queue (teachers print) */}
+            {user && isTeacher() && <NetworkIndicator />}
+
             {/* Theme Toggle */}
             <ThemeToggle />
 
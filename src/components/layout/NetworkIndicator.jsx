@@ -0,0 +1,95 @@
+import { useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { toast } from "react-hot-toast";
+import { Wifi, WifiOff, RefreshCw } from "lucide-react";
+import { useAuth } from "@hooks/useAuth";
+import { useNetworkStatus } from "@utils/networkMonitor";
+import { usePrintQueueStore } from "@store/printQueueStore";
+import { PRINT_QUEUE_STATUS, ROUTES } from "@utils/constants";
+
+// Retry pending items while online, in case the backend itself was unreachable
+const RETRY_INTERVAL = 60000; // ms
+
+/**
+ * NetworkIndicator Component
+ * Connection status + offline print queue count for teachers.
+ * Also owns the queue replay: it loads the queue on login and
+ * syncs whenever the connection comes back.
+ */
+const NetworkIndicator = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const online = useNetworkStatus({ notify: false });
+
+  const items = usePrintQueueStore((state) => state.items);
+  const isSyncing = usePrintQueueStore((state) => state.isSyncing);
+  const loadQueue = usePrintQueueStore((state) => state.loadQueue);
+  const syncQueue = usePrintQueueStore((state) => state.syncQueue);
+
+  const username = user?.username;
+
+  // =====================================================
+  // LOAD + SYNC
+  // =====================================================
+
+  useEffect(() => {
+    if (username) {
+      loadQueue(username);
+    }
+  }, [username, loadQueue]);
+
+  useEffect(() => {
+    if (!online || !username) return;
+
+    const sync = async () => {
+      const { synced, rejected } = await syncQueue();
+
+      if (synced > 0) {
+        toast.success(`${synced} offline print record(s) synced`, { icon: "🔄" });
+      }
+      if (rejected > 0) {
+        toast.error(`${rejected} offline print record(s) need attention`, { duration: 6000 });
+      }
+    };
+
+    sync();
+    const interval = setInterval(sync, RETRY_INTERVAL);
+    return () => clearInterval(interval);
+  }, [online, username, items.length, syncQueue]);
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+
+  const pendingCount = items.filter((i) => i.status === PRINT_QUEUE_STATUS.PENDING).length;
+  const problemCount = items.length - pendingCount;
+
+  if (online && items.length === 0) {
+    return null;
+  }
+
+  return (
+    <button
+      onClick={() => navigate(ROUTES.TEACHER_PRINT_QUEUE)}
+      className={`flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-medium border transition-all ${
+        !online
+          ? "bg-red-500/10 border-red-500/30 text-status-error"
+          : problemCount > 0
+            ? "bg-yellow-500/10 border-yellow-500/30 text-yellow-600 dark:text-yellow-400"
+            : "bg-blue-500/10 border-blue-500/30 text-blue-600 dark:text-blue-400"
+      }`}
+      title="Open print queue"
+    >
+      {!online ? <WifiOff className="w-4 h-4" /> : isSyncing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Wifi className="w-4 h-4" />}
+      <span className="hidden sm:inline">{!online ? "Offline" : isSyncing ? "Syncing" : "Online"}</span>
+      {items.length > 0 && (
+        <span>
+          • {pendingCount} queued
+          {problemCount > 0 && `, ${problemCount} to review`}
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default NetworkIndicator;
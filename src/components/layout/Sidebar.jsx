@@ -9,6 +9,10 @@ import {
   Printer,
   Activity,
   MapPin,
+  Layers,
+  LayoutTemplate,
+  UploadCloud,
+  Crosshair,
 } from "lucide-react";
 import { useAuth } from "@hooks/useAuth";
 
@@ -50,6 +54,11 @@ const Sidebar = ({ isOpen, onClose }) => {
       icon: BookOpen,
       label: "Modules",
     },
+    {
+      path: "/admin/templates",
+      icon: LayoutTemplate,
+      label: "Templates",
+    },
     {
       path: "/admin/logs",
       icon: Activity,
@@ -68,11 +77,26 @@ const Sidebar = ({ isOpen, onClose }) => {
       icon: Printer,
       label: "Print Certificate",
     },
+    {
+      path: "/teacher/print/batch",
+      icon: Layers,
+      label: "Batch Print",
+    },
     {
       path: "/teacher/history",
       icon: History,
       label: "Print History",
     },
+    {
+      path: "/teacher/print/queue",
+      icon: UploadCloud,
+      label: "Print Queue",
+    },
+    {
+      path: "/teacher/print/calibration",
+      icon: Crosshair,
+      label: "Printer Calibration",
+    },
   ];
 
   const menuItems = isAdmin() ? adminMenuItems : teacherMenuItems;
@@ -84,6 +108,7 @@ const Sidebar = ({ isOpen, onClose }) => {
   const MenuItem = ({ item }) => (
     <NavLink
       to={item.path}
+      end
       onClick={() => onClose && onClose()}
       className={({ isActive }) => `
         flex items-center gap-3 px-4 py-3 rounded-lg
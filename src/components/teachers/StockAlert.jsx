@@ -1,4 +1,4 @@
-import { Award, FileText, AlertCircle, CheckCircle, RefreshCw } from "lucide-react";
+import { Award, FileText, AlertCircle, CheckCircle, RefreshCw, Send } from "lucide-react";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
 import { formatNumber } from "@utils/formatters";
@@ -6,8 +6,9 @@ import { formatNumber } from "@utils/formatters";
 /**
  * StockAlert Component
  * Displays stock availability alerts for teacher's branches
+ * onRequestStock(branchCode) adds a "Request Stock" action per branch
  */
-const StockAlert = ({ alerts, isLoading, onRefresh, className = "" }) => {
+const StockAlert = ({ alerts, isLoading, onRefresh, onRequestStock, className = "" }) => {
   // =====================================================
   // HELPERS
   // =====================================================
@@ -151,6 +152,14 @@ const StockAlert = ({ alerts, isLoading, onRefresh, className = "" }) => {
                 <p className="text-xs text-secondary">{alert.message}</p>
               </div>
             )}
+
+            {onRequestStock && (
+              <div className="mt-3">
+                <Button variant={alert.level === "ok" ? "ghost" : "outline"} size="small" fullWidth onClick={() => onRequestStock(alert.branchCode)} icon={<Send className="w-4 h-4" />}>
+                  Request Stock
+                </Button>
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -0,0 +1,98 @@
+import PropTypes from "prop-types";
+import { Inbox, RefreshCw } from "lucide-react";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import { formatNumber, formatDateTime } from "@utils/formatters";
+import { STOCK_REQUEST_STATUS, STOCK_REQUEST_STATUS_LABELS } from "@utils/constants";
+
+const STATUS_STYLES = {
+  [STOCK_REQUEST_STATUS.PENDING]: "bg-yellow-500/10 text-yellow-700 dark:text-yellow-400 border-yellow-500/30",
+  [STOCK_REQUEST_STATUS.APPROVED]: "bg-green-500/10 text-green-700 dark:text-green-400 border-green-500/30",
+  [STOCK_REQUEST_STATUS.PARTIALLY_APPROVED]: "bg-blue-500/10 text-blue-700 dark:text-blue-400 border-blue-500/30",
+  [STOCK_REQUEST_STATUS.REJECTED]: "bg-red-500/10 text-red-700 dark:text-red-400 border-red-500/30",
+};
+
+/**
+ * StockRequestList Component
+ * A teacher's stock requests with their status and, once processed, the
+ * amounts the admin sent and the admin's note.
+ */
+const StockRequestList = ({ requests, isLoading, onRefresh, className }) => {
+  return (
+    <div className={`backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-primary flex items-center gap-2">
+          <Inbox className="w-5 h-5" />
+          My Stock Requests
+        </h2>
+        {onRefresh && (
+          <Button variant="ghost" size="small" onClick={onRefresh} icon={<RefreshCw className="w-4 h-4" />}>
+            Refresh
+          </Button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Spinner size="medium" />
+        </div>
+      ) : requests.length === 0 ? (
+        <p className="text-center text-secondary py-8">No stock requests yet</p>
+      ) : (
+        <div className="space-y-3">
+          {requests.map((request) => {
+            const isProcessed = request.status !== STOCK_REQUEST_STATUS.PENDING;
+            const isSent = request.status === STOCK_REQUEST_STATUS.APPROVED || request.status === STOCK_REQUEST_STATUS.PARTIALLY_APPROVED;
+
+            return (
+              <div key={request.id} className="backdrop-blur-sm bg-white/20 dark:bg-white/5 rounded-xl p-4 border border-gray-200/30 dark:border-white/5">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-primary">
+                      {request.branch_code}: {formatNumber(request.certificate_amount)} certs, {formatNumber(request.medal_amount)} medals
+                    </p>
+                    <p className="text-xs text-secondary">
+                      Requested {formatDateTime(request.created_at)}
+                      {request.batch_preference && ` • Preferred batch ${request.batch_preference}`}
+                    </p>
+                    {request.note && <p className="text-xs text-secondary mt-1 italic">&quot;{request.note}&quot;</p>}
+                  </div>
+                  <span className={`flex-shrink-0 inline-flex items-center px-2 py-0.5 rounded-md text-xs font-medium border ${STATUS_STYLES[request.status] || STATUS_STYLES[STOCK_REQUEST_STATUS.PENDING]}`}>
+                    {STOCK_REQUEST_STATUS_LABELS[request.status] || request.status}
+                  </span>
+                </div>
+
+                {isProcessed && (
+                  <div className="mt-3 pt-3 border-t border-gray-200/30 dark:border-white/5 text-xs text-secondary space-y-1">
+                    {isSent && (
+                      <p>
+                        Sent {formatNumber(request.approved_certificate_amount || 0)} certs, {formatNumber(request.approved_medal_amount || 0)} medals from batch {request.certificate_id}
+                      </p>
+                    )}
+                    {request.admin_note && <p>Admin: {request.admin_note}</p>}
+                    {request.processed_at && <p>Processed {formatDateTime(request.processed_at)}</p>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+StockRequestList.propTypes = {
+  requests: PropTypes.arrayOf(PropTypes.object).isRequired,
+  isLoading: PropTypes.bool,
+  onRefresh: PropTypes.func,
+  className: PropTypes.string,
+};
+
+StockRequestList.defaultProps = {
+  isLoading: false,
+  onRefresh: null,
+  className: "",
+};
+
+export default StockRequestList;
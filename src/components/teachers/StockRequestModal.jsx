@@ -0,0 +1,166 @@
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+import { Send } from "lucide-react";
+import Modal from "@components/common/Modal";
+import Button from "@components/common/Button";
+import { createStockRequest } from "@api/stockRequestApi";
+import { STOCK_REQUEST_NOTE_MAX_LENGTH } from "@utils/constants";
+
+const inputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const emptyForm = (branchCode) => ({
+  branch_code: branchCode || "",
+  certificate_amount: "",
+  medal_amount: "",
+  batch_preference: "",
+  note: "",
+});
+
+/**
+ * Check a stock request before it is sent
+ * @param {Object} values - Form values
+ * @returns {string} Error message, empty when valid
+ */
+const validateStockRequest = (values) => {
+  const certificates = parseInt(values.certificate_amount) || 0;
+  const medals = parseInt(values.medal_amount) || 0;
+
+  if (!values.branch_code) return "Please choose a branch";
+  if (certificates < 0 || medals < 0) return "Amounts cannot be negative";
+  if (certificates === 0 && medals === 0) return "Request at least one certificate or medal";
+  if (values.note.length > STOCK_REQUEST_NOTE_MAX_LENGTH) return `Note must not exceed ${STOCK_REQUEST_NOTE_MAX_LENGTH} characters`;
+  return "";
+};
+
+/**
+ * StockRequestModal Component
+ * Lets a teacher ask the admin for more certificates and medals for one of
+ * their branches. The request lands in the admin inbox on the Certificates
+ * page.
+ */
+const StockRequestModal = ({ isOpen, onClose, branches, defaultBranch, onCreated }) => {
+  const [values, setValues] = useState(() => emptyForm(defaultBranch));
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setValues(emptyForm(defaultBranch));
+      setError("");
+    }
+  }, [isOpen, defaultBranch]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateStockRequest(values);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await createStockRequest(values);
+      onCreated?.(response.data);
+      onClose();
+    } catch (err) {
+      console.error("Failed to send stock request:", err);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Request Stock" size="medium">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">
+            Branch <span className="text-status-error">*</span>
+          </label>
+          <select name="branch_code" value={values.branch_code} onChange={handleChange} className={selectClass}>
+            {branches.map((branch) => (
+              <option key={branch.branch_code} value={branch.branch_code}>
+                {branch.branch_code} - {branch.branch_name || branch.branch_code}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
+          <h4 className="text-sm font-semibold text-primary mb-3">Requested Amount</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm text-secondary mb-1">Certificates</label>
+              <input type="number" name="certificate_amount" value={values.certificate_amount} onChange={handleChange} min="0" placeholder="0" className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-secondary mb-1">Medals</label>
+              <input type="number" name="medal_amount" value={values.medal_amount} onChange={handleChange} min="0" placeholder="0" className={inputClass} />
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">Batch Preference</label>
+          <input type="text" name="batch_preference" value={values.batch_preference} onChange={handleChange} placeholder="e.g., BATCH-2026-001 (optional)" className={inputClass} />
+          <p className="text-xs text-secondary mt-1">Leave empty if any batch is fine</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-primary mb-2">Note</label>
+          <textarea
+            name="note"
+            rows={3}
+            value={values.note}
+            onChange={handleChange}
+            maxLength={STOCK_REQUEST_NOTE_MAX_LENGTH}
+            placeholder="e.g., 30 students graduating next week"
+            className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+          />
+        </div>
+
+        {error && <p className="text-sm text-status-error">{error}</p>}
+
+        <div className="flex items-center gap-3 pt-4">
+          <Button type="button" variant="ghost" size="medium" onClick={onClose} className="flex-1">
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" size="medium" icon={<Send className="w-4 h-4" />} disabled={isSubmitting} loading={isSubmitting} className="flex-1">
+            Send Request
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+StockRequestModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  branches: PropTypes.arrayOf(
+    PropTypes.shape({
+      branch_code: PropTypes.string.isRequired,
+      branch_name: PropTypes.string,
+    }),
+  ).isRequired,
+  defaultBranch: PropTypes.string,
+  onCreated: PropTypes.func,
+};
+
+StockRequestModal.defaultProps = {
+  defaultBranch: "",
+  onCreated: null,
+};
+
+export default StockRequestModal;
@@ -29,3 +29,39 @@ export {
   useStockAlert,
   default as useStockAlertDefault,
 } from "./useStockAlert";
+export {
+  useCertificateTemplate,
+  default as useCertificateTemplateDefault,
+} from "./useCertificateTemplate";
+export {
+  useStockReservation,
+  default as useStockReservationDefault,
+} from "./useStockReservation";
+export {
+  usePrinterCalibration,
+  default as usePrinterCalibrationDefault,
+} from "./usePrinterCalibration";
+export {
+  useDuplicateAwardCheck,
+  default as useDuplicateAwardCheckDefault,
+} from "./useDuplicateAwardCheck";
+export {
+  useBranchPaperSize,
+  default as useBranchPaperSizeDefault,
+} from "./useBranchPaperSize";
+export {
+  useCertificateFonts,
+  default as useCertificateFontsDefault,
+} from "./useCertificateFonts";
+export {
+  useStockRequests,
+  default as useStockRequestsDefault,
+} from "./useStockRequests";
+export {
+  useStockForecast,
+  default as useStockForecastDefault,
+} from "./useStockForecast";
+export {
+  useBatchIdPattern,
+  default as useBatchIdPatternDefault,
+} from "./useBatchIdPattern";
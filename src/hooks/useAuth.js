@@ -1,6 +1,7 @@
 import { useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuthStore } from "@store/authStore";
+import { usePrintQueueStore } from "@store/printQueueStore";
 import {
   loginUser,
   getUserProfile,
@@ -81,6 +82,8 @@ export const useAuth = () => {
 
     cancelAllRequests("User logged out");
     storeLogout();
+    // The queue stays in IndexedDB; drop it from memory on a shared browser
+    usePrintQueueStore.getState().reset();
     navigate(ROUTES.LOGIN, { replace: true });
   }, [navigate, storeLogout, user?.username]);
 
@@ -0,0 +1,134 @@
+import { useState, useEffect, useCallback } from "react";
+import { getBatchIdPattern, updateBatchIdPattern, getCertificates } from "@api/certificateApi";
+import { getNextBatchId, getSequenceScope, findNonConformingIds } from "@utils/batchIdPattern";
+import { DEFAULT_BATCH_ID_PATTERN } from "@utils/constants";
+
+const PAGE_SIZE = 100;
+
+/**
+ * Load every batch of a hub, page by page
+ * @param {string} hub - Head branch code
+ * @param {string} search - Optional search term
+ * @returns {Promise<Array>} Batches
+ */
+const fetchHubBatches = async (hub, search = "") => {
+  const batches = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const response = await getCertificates({ regional_hub: hub, search, limit: PAGE_SIZE, offset });
+    const page = response.success ? response.data || [] : [];
+    batches.push(...page);
+
+    if (page.length < PAGE_SIZE) break;
+  }
+
+  return batches;
+};
+
+/**
+ * useBatchIdPattern Hook
+ * The configured batch ID pattern with its per-hub sequence counters,
+ * next-ID suggestions, and a conformance check of existing IDs.
+ *
+ * @param {Object} options - { autoFetch }
+ * @returns {Object} { pattern, counters, isLoading, error, refresh, savePattern, suggestNextId, findNonConforming }
+ */
+export const useBatchIdPattern = (options = {}) => {
+  const { autoFetch = true } = options;
+
+  const [pattern, setPattern] = useState(DEFAULT_BATCH_ID_PATTERN);
+  const [counters, setCounters] = useState({});
+  const [isLoading, setIsLoading] = useState(autoFetch);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await getBatchIdPattern();
+
+      if (response.success) {
+        setPattern(response.data?.pattern || DEFAULT_BATCH_ID_PATTERN);
+        setCounters(response.data?.counters || {});
+      }
+    } catch (err) {
+      // Keep the default pattern so suggestions still work
+      console.error("Failed to load batch ID pattern:", err);
+      setError(err.message || "Failed to load batch ID pattern");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (autoFetch) {
+      refresh();
+    }
+  }, [autoFetch, refresh]);
+
+  const savePattern = useCallback(async (newPattern) => {
+    const response = await updateBatchIdPattern(newPattern);
+    setPattern(response.data?.pattern || newPattern);
+    return response;
+  }, []);
+
+  /**
+   * Next free batch ID for a hub
+   * Only batches sharing the ID prefix are loaded ("SND-2026-" for
+   * "{HUB}-{YYYY}-{SEQ:4}")
+   */
+  const suggestNextId = useCallback(
+    async (hub, date = new Date()) => {
+      const prefix = getSequenceScope(pattern, hub, date).split("*")[0];
+      const batches = await fetchHubBatches(hub, prefix);
+
+      return getNextBatchId(
+        pattern,
+        hub,
+        batches.map((batch) => batch.certificate_id),
+        { date, counters },
+      );
+    },
+    [pattern, counters],
+  );
+
+  /**
+   * Batches of the given hubs whose ID does not follow the pattern
+   * @param {Array<string>} hubs - Head branch codes
+   * @returns {Promise<{checked: number, issues: Array}>}
+   */
+  const findNonConforming = useCallback(
+    async (hubs, checkPattern = pattern) => {
+      let checked = 0;
+      const issues = [];
+
+      for (const hub of hubs) {
+        const batches = await fetchHubBatches(hub);
+        checked += batches.length;
+        issues.push(
+          ...findNonConformingIds(
+            checkPattern,
+            batches.map((batch) => ({ certificate_id: batch.certificate_id, regional_hub: batch.regional_hub || hub })),
+          ),
+        );
+      }
+
+      return { checked, issues };
+    },
+    [pattern],
+  );
+
+  return {
+    pattern,
+    counters,
+    isLoading,
+    error,
+    refresh,
+    savePattern,
+    suggestNextId,
+    findNonConforming,
+  };
+};
+
+export default useBatchIdPattern;
@@ -0,0 +1,23 @@
+import { useMemo } from "react";
+import { useAuth } from "@hooks/useAuth";
+import { PAPER_SIZE_DIMENSIONS } from "@utils/certificateTemplate";
+
+/**
+ * useBranchPaperSize Hook
+ * Paper size set by the admin for a branch (branches in the login
+ * response carry paper_size). null means the branch prints on the
+ * template's own paper size.
+ *
+ * @param {string} branchCode
+ * @returns {string|null} PAPER_SIZES key or null
+ */
+export const useBranchPaperSize = (branchCode) => {
+  const { getUserBranches } = useAuth();
+
+  return useMemo(() => {
+    const branch = getUserBranches().find((b) => b.branch_code === branchCode);
+    return PAPER_SIZE_DIMENSIONS[branch?.paper_size] ? branch.paper_size : null;
+  }, [getUserBranches, branchCode]);
+};
+
+export default useBranchPaperSize;
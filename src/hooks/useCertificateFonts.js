@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { getMissingTemplateFonts, loadCertificateFonts } from "@utils/certificateFonts";
+
+/**
+ * useCertificateFonts Hook
+ * Loads the fonts of a certificate template (see utils/certificateFonts).
+ * Print handlers await waitForFonts() and stop when it resolves false.
+ *
+ * @param {Object|null} layout - Template layout
+ * @returns {Object} { fontsReady, missingFonts, waitForFonts }
+ */
+export const useCertificateFonts = (layout) => {
+  const [fontsReady, setFontsReady] = useState(false);
+  const missingFonts = useMemo(() => getMissingTemplateFonts(layout), [layout]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFontsReady(false);
+
+    loadCertificateFonts(layout).then((ready) => {
+      if (!cancelled) setFontsReady(ready);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [layout]);
+
+  /**
+   * Load (or re-check) the fonts right before printing
+   * @returns {Promise<boolean>} Whether printing can go ahead
+   */
+  const waitForFonts = useCallback(async () => {
+    const ready = await loadCertificateFonts(layout);
+    setFontsReady(ready);
+    return ready;
+  }, [layout]);
+
+  return {
+    fontsReady,
+    missingFonts,
+    waitForFonts,
+  };
+};
+
+export default useCertificateFonts;
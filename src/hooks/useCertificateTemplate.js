@@ -0,0 +1,84 @@
+import { useState, useEffect, useMemo } from "react";
+import { resolveTemplate } from "@api/templateApi";
+import { normalizeTemplateLayout } from "@utils/certificateTemplate";
+import { ENV } from "@config/env";
+
+/**
+ * useCertificateTemplate Hook
+ * Resolves the saved certificate template for a module
+ * (module template → division template → built-in default)
+ *
+ * @param {Object|null} module - Selected module ({ id, division })
+ * @returns {Object} { template, layout, isLoading, error }
+ */
+export const useCertificateTemplate = (module) => {
+  const moduleId = module?.id || null;
+  const division = module?.division || null;
+
+  // =====================================================
+  // STATE
+  // =====================================================
+
+  const [template, setTemplate] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // =====================================================
+  // FETCH TEMPLATE WHEN MODULE CHANGES
+  // =====================================================
+
+  useEffect(() => {
+    if (!moduleId) {
+      setTemplate(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchTemplate = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await resolveTemplate({
+          module_id: moduleId,
+          division,
+        });
+
+        if (!cancelled) {
+          setTemplate(response.success ? response.data || null : null);
+        }
+      } catch (err) {
+        // Printing must keep working with the default layout
+        ENV.ENABLE_LOGGING &&
+          console.warn("⚠️ Failed to resolve certificate template:", err);
+        if (!cancelled) {
+          setTemplate(null);
+          setError(err.message || "Failed to load certificate template");
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchTemplate();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [moduleId, division]);
+
+  // Stable reference so pages can derive state from the layout
+  const layout = useMemo(() => normalizeTemplateLayout(template?.layout), [template]);
+
+  return {
+    template,
+    layout,
+    isLoading,
+    error,
+  };
+};
+
+export default useCertificateTemplate;
@@ -0,0 +1,60 @@
+import { useState, useCallback } from "react";
+import { getStudentModules } from "@api/studentsApi";
+import { getPrintHistory } from "@api/printedCertApi";
+import { PRINT_STATUS } from "@utils/constants";
+import { ENV } from "@config/env";
+
+/**
+ * useDuplicateAwardCheck Hook
+ * Finds an existing certificate of a student for a module before printing.
+ * Linked students are checked through their module history; names typed
+ * without a student record are matched exactly in the print history.
+ * Voided prints do not count as awards.
+ *
+ * @returns {Object} { checkDuplicate, isChecking }
+ */
+export const useDuplicateAwardCheck = () => {
+  const [isChecking, setIsChecking] = useState(false);
+
+  /**
+   * @param {Object} params - { studentId, studentName, moduleId }
+   * @returns {Promise<Object|null>} Existing award, or null
+   */
+  const checkDuplicate = useCallback(async ({ studentId, studentName, moduleId }) => {
+    setIsChecking(true);
+
+    try {
+      if (studentId) {
+        const response = await getStudentModules(studentId);
+        const modules = response.data?.modules || response.data || [];
+
+        const existing = modules.find((m) => (m.module_id ?? m.id) === moduleId && m.status !== PRINT_STATUS.VOIDED);
+        if (existing) {
+          return {
+            ...existing,
+            id: existing.print_record_id || existing.printed_certificate_id || null,
+            student_name: existing.student_name || studentName,
+          };
+        }
+      }
+
+      const history = await getPrintHistory({ search: studentName.trim(), module_id: moduleId, limit: 20 });
+      const normalizedName = studentName.trim().toLowerCase();
+
+      return (history.data || []).find((record) => record.student_name?.trim().toLowerCase() === normalizedName && record.status !== PRINT_STATUS.VOIDED) || null;
+    } catch (error) {
+      // Never block printing because the check itself failed (e.g. offline)
+      ENV.ENABLE_LOGGING && console.warn("⚠️ Duplicate award check failed:", error);
+      return null;
+    } finally {
+      setIsChecking(false);
+    }
+  }, []);
+
+  return {
+    checkDuplicate,
+    isChecking,
+  };
+};
+
+export default useDuplicateAwardCheck;
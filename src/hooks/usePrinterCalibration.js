@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "react-hot-toast";
+import { DEFAULT_CALIBRATION, getCalibration, saveCalibration } from "@utils/printerCalibration";
+
+/**
+ * usePrinterCalibration Hook
+ * Printer calibration profile of a branch in this browser
+ * (see utils/printerCalibration).
+ *
+ * @param {string} branchCode - Branch whose printer is used
+ * @returns {Object} { calibration, save, reset }
+ */
+export const usePrinterCalibration = (branchCode) => {
+  const [calibration, setCalibration] = useState(() => getCalibration(branchCode));
+
+  // Reload when switching branch
+  useEffect(() => {
+    setCalibration(getCalibration(branchCode));
+  }, [branchCode]);
+
+  /**
+   * Save a new profile for the branch
+   * @param {Object} values - { offset_x_mm, offset_y_mm, scale }
+   */
+  const save = useCallback(
+    (values) => {
+      if (!branchCode) return;
+
+      const profile = saveCalibration(branchCode, values);
+      setCalibration(profile);
+      toast.success(`Printer calibration saved for ${branchCode}`);
+    },
+    [branchCode],
+  );
+
+  /**
+   * Reset the branch to no correction
+   */
+  const reset = useCallback(() => {
+    if (!branchCode) return;
+
+    const profile = saveCalibration(branchCode, DEFAULT_CALIBRATION);
+    setCalibration(profile);
+    toast.success(`Printer calibration reset for ${branchCode}`);
+  }, [branchCode]);
+
+  return {
+    calibration,
+    save,
+    reset,
+  };
+};
+
+export default usePrinterCalibration;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from "react";
+import { getStockForecast } from "@api/teacherStatsApi";
+
+/**
+ * useStockForecast Hook
+ * Depletion forecast per branch from the recent print rate - days until
+ * certificates and medals run out and a suggested reorder quantity.
+ *
+ * @param {Object} options - { branchCodes (null: all branches), autoFetch, windowDays, leadTimeDays, coverDays }
+ * @returns {Object} { forecasts, failedBranches, windowDays, isLoading, error, refresh }
+ */
+export const useStockForecast = (options = {}) => {
+  const { branchCodes = null, autoFetch = true, windowDays, leadTimeDays, coverDays } = options;
+
+  // Callers usually build the code list on every render
+  const branchKey = branchCodes ? branchCodes.join(",") : "";
+
+  const [forecasts, setForecasts] = useState([]);
+  const [failedBranches, setFailedBranches] = useState([]);
+  const [forecastWindow, setForecastWindow] = useState(null);
+  const [isLoading, setIsLoading] = useState(autoFetch);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const codes = branchKey ? branchKey.split(",") : null;
+      const response = await getStockForecast(codes, { windowDays, leadTimeDays, coverDays });
+
+      if (response.success) {
+        setForecasts(response.data.forecasts || []);
+        setFailedBranches(response.data.failedBranches || []);
+        setForecastWindow(response.data.windowDays);
+      } else {
+        throw new Error(response.message || "Failed to load stock forecast");
+      }
+    } catch (err) {
+      console.error("Failed to fetch stock forecast:", err);
+      setError(err.message || "Failed to load stock forecast");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [branchKey, windowDays, leadTimeDays, coverDays]);
+
+  useEffect(() => {
+    if (autoFetch) {
+      refresh();
+    }
+  }, [autoFetch, refresh]);
+
+  return {
+    forecasts,
+    failedBranches,
+    windowDays: forecastWindow,
+    isLoading,
+    error,
+    refresh,
+  };
+};
+
+export default useStockForecast;
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from "react";
+import { getStockRequests } from "@api/stockRequestApi";
+
+/**
+ * useStockRequests Hook
+ * Loads stock requests - a teacher's own requests, or the admin inbox of
+ * a regional hub (filter by regional_hub / status).
+ *
+ * @param {Object} filters - { status, regional_hub, limit }
+ * @param {Object} options - { autoFetch }
+ * @returns {Object} { requests, isLoading, error, refresh }
+ */
+export const useStockRequests = (filters = {}, options = {}) => {
+  const { autoFetch = true } = options;
+  const { status = "", regional_hub = "", limit = 20 } = filters;
+
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(autoFetch);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const params = { limit };
+      if (status) params.status = status;
+      if (regional_hub) params.regional_hub = regional_hub;
+
+      const response = await getStockRequests(params);
+
+      if (response.success) {
+        setRequests(response.data || []);
+      } else {
+        throw new Error(response.message || "Failed to load stock requests");
+      }
+    } catch (err) {
+      console.error("Failed to fetch stock requests:", err);
+      setError(err.message || "Failed to load stock requests");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, regional_hub, limit]);
+
+  useEffect(() => {
+    if (autoFetch) {
+      refresh();
+    }
+  }, [autoFetch, refresh]);
+
+  return {
+    requests,
+    isLoading,
+    error,
+    refresh,
+  };
+};
+
+export default useStockRequests;
@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { reserveStock, releaseReservation } from "@api/printedCertApi";
+import { ENV } from "@config/env";
+
+/**
+ * useStockReservation Hook
+ * Two-phase stock handling for printing: stock is reserved when the
+ * preview opens, then committed (by saving the print records with the
+ * reservation_id) or released when the print did not succeed.
+ *
+ * Open reservations are released when the page unmounts; the backend
+ * also releases them on expiry.
+ *
+ * @returns {Object} { reservation, secondsLeft, isExpired, isReserving, reserve, release, clear }
+ */
+export const useStockReservation = () => {
+  // =====================================================
+  // STATE
+  // =====================================================
+
+  const [reservation, setReservation] = useState(null);
+  const [isReserving, setIsReserving] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  // Latest reservation for the unmount cleanup
+  const reservationRef = useRef(null);
+  useEffect(() => {
+    reservationRef.current = reservation;
+  }, [reservation]);
+
+  // =====================================================
+  // COUNTDOWN
+  // =====================================================
+
+  useEffect(() => {
+    if (!reservation?.expires_at) {
+      setSecondsLeft(null);
+      return;
+    }
+
+    const expiresAt = new Date(reservation.expires_at).getTime();
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.round((expiresAt - Date.now()) / 1000)));
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [reservation]);
+
+  const isExpired = secondsLeft === 0;
+
+  // =====================================================
+  // ACTIONS
+  // =====================================================
+
+  /**
+   * Release the current reservation (print cancelled or failed)
+   */
+  const release = useCallback(async () => {
+    const current = reservationRef.current;
+    if (!current) return;
+
+    setReservation(null);
+
+    try {
+      await releaseReservation(current.id);
+      ENV.ENABLE_LOGGING && console.log(`🔓 Reservation ${current.id} released`);
+    } catch (err) {
+      // Already expired or committed - nothing left to release
+      ENV.ENABLE_LOGGING && console.warn("⚠️ Failed to release reservation:", err);
+    }
+  }, []);
+
+  /**
+   * Reserve stock, replacing any reservation still held
+   * @param {Object} data - { certificate_id, branch_code, quantity }
+   * @returns {Promise<Object>} Reservation
+   */
+  const reserve = useCallback(
+    async (data) => {
+      setIsReserving(true);
+
+      try {
+        await release();
+
+        const response = await reserveStock(data);
+        setReservation(response.data);
+        return response.data;
+      } finally {
+        setIsReserving(false);
+      }
+    },
+    [release],
+  );
+
+  /**
+   * Forget the reservation after it was committed by a save
+   */
+  const clear = useCallback(() => {
+    setReservation(null);
+  }, []);
+
+  // =====================================================
+  // RELEASE ON UNMOUNT
+  // =====================================================
+
+  useEffect(() => {
+    return () => {
+      const current = reservationRef.current;
+      if (current) {
+        releaseReservation(current.id).catch(() => {});
+      }
+    };
+  }, []);
+
+  return {
+    reservation,
+    secondsLeft,
+    isExpired,
+    isReserving,
+    reserve,
+    release,
+    clear,
+  };
+};
+
+export default useStockReservation;
@@ -39,6 +39,7 @@ import {
 } from "@api/branchApi";
 import { formatDate } from "@utils/formatters";
 import { DATE_FORMATS } from "@utils/constants";
+import { PAPER_SIZES, PAPER_SIZE_LABELS, PAPER_SIZE_DIMENSIONS } from "@utils/certificateTemplate";
 import { toast } from "react-hot-toast";
 
 const Branches = () => {
@@ -155,6 +156,8 @@ const Branches = () => {
   const editForm = useForm(
     {
       branch_name: "",
+      // "" = print on the certificate template's paper size
+      paper_size: "",
     },
     {
       validationSchema: editValidationSchema,
@@ -395,6 +398,7 @@ const Branches = () => {
 
       const payload = {
         branch_name: values.branch_name.trim(),
+        paper_size: values.paper_size || null,
       };
 
       await updateBranch(selectedBranch.id, payload);
@@ -475,6 +479,7 @@ const Branches = () => {
     // Set form values
     setTimeout(() => {
       editForm.setFieldValue("branch_name", branch.branch_name);
+      editForm.setFieldValue("paper_size", branch.paper_size || "");
     }, 0);
 
     setShowEditModal(true);
@@ -1404,6 +1409,32 @@ const Branches = () => {
             )}
           </div>
 
+          {/* Certificate Paper Size */}
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Certificate Paper Size
+            </label>
+            <select
+              name="paper_size"
+              value={editForm.values.paper_size}
+              onChange={editForm.handleChange}
+              className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary/50"
+            >
+              <option value="">Same as certificate template</option>
+              {Object.values(PAPER_SIZES).map((paperSize) => (
+                <option key={paperSize} value={paperSize}>
+                  {PAPER_SIZE_LABELS[paperSize]} (
+                  {PAPER_SIZE_DIMENSIONS[paperSize].width_mm} x{" "}
+                  {PAPER_SIZE_DIMENSIONS[paperSize].height_mm} mm)
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-secondary mt-1">
+              Stationery bought by this branch - certificate layouts are
+              scaled to fit
+            </p>
+          </div>
+
           {/* Actions */}
           <div className="flex items-center gap-3 pt-4">
             <Button
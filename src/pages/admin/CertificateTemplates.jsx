@@ -0,0 +1,491 @@
+import { useEffect, useState, useCallback } from "react";
+import { Plus, Trash2, Edit2, LayoutTemplate, AlertCircle, Check, Calendar } from "lucide-react";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import Modal from "@components/common/Modal";
+import TemplateDesigner from "@components/certificates/TemplateDesigner";
+import CertificatePreview from "@components/certificates/CertificatePreview";
+import { getTemplates, createTemplate, updateTemplate, deleteTemplate } from "@api/templateApi";
+import { getModules } from "@api/moduleApi";
+import { TEMPLATE_SCOPES, TEMPLATE_SCOPE_LABELS, DEFAULT_TEMPLATE, normalizeTemplateLayout } from "@utils/certificateTemplate";
+import { formatDate } from "@utils/formatters";
+import { DATE_FORMATS } from "@utils/constants";
+import { toast } from "react-hot-toast";
+
+const EMPTY_FORM = {
+  template_name: "",
+  scope: TEMPLATE_SCOPES.DEFAULT,
+  division: "",
+  module_id: "",
+  layout: DEFAULT_TEMPLATE,
+};
+
+const CertificateTemplates = () => {
+  // =====================================================
+  // STATE MANAGEMENT
+  // =====================================================
+  const [templates, setTemplates] = useState([]);
+  const [modules, setModules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Editor modal state
+  const [showEditor, setShowEditor] = useState(false);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Preview modal state
+  const [previewTemplate, setPreviewTemplate] = useState(null);
+
+  // =====================================================
+  // DATA FETCHING
+  // =====================================================
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await getTemplates();
+
+      if (response.success) {
+        setTemplates(response.data || []);
+      }
+    } catch (err) {
+      console.error("Failed to fetch templates:", err);
+      setError("Failed to load certificate templates. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchModules = useCallback(async () => {
+    try {
+      const response = await getModules({ limit: 1000, offset: 0 });
+
+      if (response.success) {
+        setModules(response.data || []);
+      }
+    } catch (err) {
+      console.error("Failed to fetch modules:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchModules();
+  }, [fetchTemplates, fetchModules]);
+
+  // =====================================================
+  // FORM HELPERS
+  // =====================================================
+
+  const setFormValue = (name, value) => {
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setFormErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  const handleScopeChange = (scope) => {
+    setForm((prev) => ({ ...prev, scope, division: "", module_id: "" }));
+    setFormErrors({});
+  };
+
+  const validateForm = () => {
+    const errors = {};
+
+    if (!form.template_name.trim()) {
+      errors.template_name = "Template name is required";
+    } else if (form.template_name.trim().length < 3) {
+      errors.template_name = "Template name must be at least 3 characters";
+    }
+
+    if (form.scope === TEMPLATE_SCOPES.DIVISION && !form.division) {
+      errors.division = "Division is required";
+    }
+
+    if (form.scope === TEMPLATE_SCOPES.MODULE && !form.module_id) {
+      errors.module_id = "Module is required";
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  // Division used to preview the module colour in the designer
+  const getPreviewDivision = () => {
+    if (form.scope === TEMPLATE_SCOPES.DIVISION && form.division) return form.division;
+    if (form.scope === TEMPLATE_SCOPES.MODULE && form.module_id) {
+      const module = modules.find((m) => String(m.id) === String(form.module_id));
+      if (module) return module.division;
+    }
+    return "JK";
+  };
+
+  // =====================================================
+  // HANDLERS - OPEN EDITOR
+  // =====================================================
+
+  const openCreateEditor = () => {
+    setEditingTemplate(null);
+    setForm(EMPTY_FORM);
+    setFormErrors({});
+    setShowEditor(true);
+  };
+
+  const openEditEditor = (template) => {
+    setEditingTemplate(template);
+    setForm({
+      template_name: template.template_name || "",
+      scope: template.scope || TEMPLATE_SCOPES.DEFAULT,
+      division: template.division || "",
+      module_id: template.module_id ? String(template.module_id) : "",
+      layout: normalizeTemplateLayout(template.layout),
+    });
+    setFormErrors({});
+    setShowEditor(true);
+  };
+
+  const closeEditor = () => {
+    setShowEditor(false);
+    setEditingTemplate(null);
+    setForm(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  // =====================================================
+  // HANDLERS - SAVE
+  // =====================================================
+
+  const handleSave = async () => {
+    if (!validateForm()) return;
+
+    const payload = {
+      template_name: form.template_name.trim(),
+      scope: form.scope,
+      division: form.scope === TEMPLATE_SCOPES.DIVISION ? form.division : null,
+      module_id: form.scope === TEMPLATE_SCOPES.MODULE ? parseInt(form.module_id) : null,
+      layout: normalizeTemplateLayout(form.layout),
+    };
+
+    setSaving(true);
+
+    try {
+      const response = editingTemplate ? await updateTemplate(editingTemplate.id, payload) : await createTemplate(payload);
+
+      if (response.success) {
+        closeEditor();
+        await fetchTemplates();
+      }
+    } catch (err) {
+      console.error("Failed to save template:", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // =====================================================
+  // HANDLERS - DELETE
+  // =====================================================
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Are you sure you want to delete template "${template.template_name}"?\n\nCertificates will fall back to the next matching template.`)) {
+      return;
+    }
+
+    try {
+      await deleteTemplate(template.id);
+      await fetchTemplates();
+    } catch (err) {
+      console.error("Failed to delete template:", err);
+      toast.error(err.response?.data?.message || "Failed to delete template");
+    }
+  };
+
+  // =====================================================
+  // HELPER FUNCTIONS
+  // =====================================================
+
+  const getScopeTarget = (template) => {
+    if (template.scope === TEMPLATE_SCOPES.DIVISION) return template.division;
+    if (template.scope === TEMPLATE_SCOPES.MODULE) {
+      const module = modules.find((m) => m.id === template.module_id);
+      return template.module_name || module?.module_name || `Module #${template.module_id}`;
+    }
+    return "All certificates";
+  };
+
+  const getScopeBadge = (scope) => {
+    const badges = {
+      [TEMPLATE_SCOPES.DEFAULT]: "from-gray-500 to-gray-600",
+      [TEMPLATE_SCOPES.DIVISION]: "from-blue-500 to-cyan-500",
+      [TEMPLATE_SCOPES.MODULE]: "from-indigo-500 to-purple-500",
+    };
+    return badges[scope] || badges[TEMPLATE_SCOPES.DEFAULT];
+  };
+
+  // =====================================================
+  // LOADING STATE
+  // =====================================================
+
+  if (loading && templates.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Spinner size="large" />
+      </div>
+    );
+  }
+
+  // =====================================================
+  // ERROR STATE
+  // =====================================================
+
+  if (error && templates.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center max-w-md">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-status-error/10 rounded-full mb-4">
+            <AlertCircle className="w-8 h-8 text-status-error" />
+          </div>
+          <h3 className="text-lg font-semibold text-primary mb-2">Failed to Load Templates</h3>
+          <p className="text-secondary mb-4">{error}</p>
+          <Button variant="primary" onClick={fetchTemplates} size="medium">
+            Retry
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  // =====================================================
+  // MAIN RENDER
+  // =====================================================
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-primary">Certificate Templates</h1>
+            <p className="text-secondary mt-1">Design certificate layouts per division or module</p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="primary" size="medium" icon={<Plus className="w-4 h-4" />} onClick={openCreateEditor}>
+              New Template
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {/* Resolution Info */}
+      <div className="flex items-start gap-2 p-4 bg-blue-500/10 rounded-2xl">
+        <AlertCircle className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-secondary">A module template is used first, then the template for the module's division, then the default template. Without any saved template the built-in layout is printed.</p>
+      </div>
+
+      {/* Templates Table */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl border border-gray-200/50 dark:border-white/10 shadow-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          {templates.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-16 px-4">
+              <div className="inline-flex items-center justify-center w-16 h-16 bg-primary/10 rounded-full mb-4">
+                <LayoutTemplate className="w-8 h-8 text-primary" />
+              </div>
+              <h3 className="text-lg font-semibold text-primary mb-2">No Templates Yet</h3>
+              <p className="text-secondary text-center mb-6 max-w-md">Certificates are printed with the built-in layout until a template is saved</p>
+              <Button variant="primary" size="medium" icon={<Plus className="w-4 h-4" />} onClick={openCreateEditor}>
+                Create First Template
+              </Button>
+            </div>
+          ) : (
+            <table className="w-full">
+              <thead className="bg-white/20 dark:bg-white/5 border-b border-gray-200/30 dark:border-white/5">
+                <tr>
+                  <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Template</th>
+                  <th className="px-6 py-4 text-center text-sm font-semibold text-primary uppercase">Scope</th>
+                  <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Applies To</th>
+                  <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Updated</th>
+                  <th className="px-6 py-4 text-center text-sm font-semibold text-primary uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
+                {templates.map((template) => (
+                  <tr key={template.id} className="hover:bg-white/30 dark:hover:bg-white/10 transition-colors">
+                    {/* Template Name */}
+                    <td className="px-6 py-4">
+                      <button onClick={() => setPreviewTemplate(template)} className="flex items-center gap-3 text-left">
+                        <div className="p-2 rounded-lg bg-gradient-to-br from-indigo-500 to-purple-500 shadow-md">
+                          <LayoutTemplate className="w-4 h-4 text-white" />
+                        </div>
+                        <span className="text-sm font-semibold text-primary hover:underline">{template.template_name}</span>
+                      </button>
+                    </td>
+
+                    {/* Scope */}
+                    <td className="px-6 py-4">
+                      <div className="flex justify-center">
+                        <span className={`px-3 py-1 rounded-full text-xs font-semibold text-white bg-gradient-to-br ${getScopeBadge(template.scope)} shadow-md`}>{TEMPLATE_SCOPE_LABELS[template.scope] || template.scope}</span>
+                      </div>
+                    </td>
+
+                    {/* Applies To */}
+                    <td className="px-6 py-4">
+                      <span className="text-sm text-primary">{getScopeTarget(template)}</span>
+                    </td>
+
+                    {/* Updated */}
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-2">
+                        <Calendar className="w-4 h-4 text-secondary" />
+                        <span className="text-sm text-secondary">{formatDate(template.updated_at || template.created_at, DATE_FORMATS.DISPLAY)}</span>
+                      </div>
+                    </td>
+
+                    {/* Actions */}
+                    <td className="px-6 py-4">
+                      <div className="flex items-center justify-center gap-2">
+                        <button onClick={() => openEditEditor(template)} className="p-2 rounded-lg text-primary hover:bg-white/30 dark:hover:bg-white/10 transition-colors" title="Edit template">
+                          <Edit2 className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => handleDelete(template)} className="p-2 rounded-lg text-status-error hover:bg-status-error/10 transition-colors" title="Delete template">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* ===================================================== */}
+      {/* TEMPLATE EDITOR MODAL */}
+      {/* ===================================================== */}
+
+      <Modal
+        isOpen={showEditor}
+        onClose={closeEditor}
+        title={editingTemplate ? "Edit Template" : "New Template"}
+        size="full"
+        footer={
+          <div className="flex items-center justify-end gap-3">
+            <Button type="button" variant="ghost" size="medium" onClick={closeEditor}>
+              Cancel
+            </Button>
+            <Button type="button" variant="primary" size="medium" icon={<Check className="w-4 h-4" />} onClick={handleSave} loading={saving} disabled={saving}>
+              {editingTemplate ? "Save Changes" : "Create Template"}
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {/* Template Name */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                Template Name <span className="text-status-error">*</span>
+              </label>
+              <input
+                type="text"
+                value={form.template_name}
+                onChange={(e) => setFormValue("template_name", e.target.value)}
+                placeholder="e.g., JK Certificate 2026"
+                className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+              />
+              {formErrors.template_name && <p className="text-sm text-status-error mt-1">{formErrors.template_name}</p>}
+            </div>
+
+            {/* Scope */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                Scope <span className="text-status-error">*</span>
+              </label>
+              <select
+                value={form.scope}
+                onChange={(e) => handleScopeChange(e.target.value)}
+                className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50"
+              >
+                {Object.values(TEMPLATE_SCOPES).map((scope) => (
+                  <option key={scope} value={scope}>
+                    {TEMPLATE_SCOPE_LABELS[scope]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Division / Module Target */}
+            {form.scope === TEMPLATE_SCOPES.DIVISION && (
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Division <span className="text-status-error">*</span>
+                </label>
+                <select
+                  value={form.division}
+                  onChange={(e) => setFormValue("division", e.target.value)}
+                  className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50"
+                >
+                  <option value="">Select division</option>
+                  <option value="JK">JK - Junior Koders</option>
+                  <option value="LK">LK - Little Koders</option>
+                </select>
+                {formErrors.division && <p className="text-sm text-status-error mt-1">{formErrors.division}</p>}
+              </div>
+            )}
+
+            {form.scope === TEMPLATE_SCOPES.MODULE && (
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Module <span className="text-status-error">*</span>
+                </label>
+                <select
+                  value={form.module_id}
+                  onChange={(e) => setFormValue("module_id", e.target.value)}
+                  className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50"
+                >
+                  <option value="">Select module</option>
+                  {modules.map((module) => (
+                    <option key={module.id} value={module.id}>
+                      {module.module_code} - {module.module_name} ({module.division})
+                    </option>
+                  ))}
+                </select>
+                {formErrors.module_id && <p className="text-sm text-status-error mt-1">{formErrors.module_id}</p>}
+              </div>
+            )}
+          </div>
+
+          {/* Designer */}
+          <TemplateDesigner layout={form.layout} onChange={(layout) => setFormValue("layout", layout)} division={getPreviewDivision()} />
+        </div>
+      </Modal>
+
+      {/* ===================================================== */}
+      {/* PREVIEW MODAL */}
+      {/* ===================================================== */}
+
+      <Modal isOpen={!!previewTemplate} onClose={() => setPreviewTemplate(null)} title={previewTemplate?.template_name || "Template Preview"} size="full">
+        {previewTemplate && (
+          <div className="overflow-auto">
+            <div className="inline-block border border-gray-200 dark:border-white/10 shadow-lg">
+              <CertificatePreview
+                studentName="Student Name"
+                moduleName="Module Name"
+                division={previewTemplate.division || modules.find((m) => m.id === previewTemplate.module_id)?.division || "JK"}
+                ptcDate={new Date().toISOString().split("T")[0]}
+                serialNumber="CRT-0000-0000-0000"
+                layout={previewTemplate.layout}
+                language={previewTemplate.layout?.language || undefined}
+              />
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default CertificateTemplates;
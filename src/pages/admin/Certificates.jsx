@@ -1,8 +1,7 @@
-import { useEffect, useState, useCallback, useMemo } from "react";
+import { useEffect, useState, useCallback, useMemo, useRef } from "react";
 import {
   Plus,
   Search,
-  Trash2,
   FileText,
   AlertCircle,
   ChevronLeft,
@@ -14,22 +13,52 @@ import {
   Check,
   ArrowRightLeft,
   Building2,
+  SlidersHorizontal,
+  ClipboardCheck,
+  Archive,
+  History,
+  Upload,
+  Hash,
+  Sparkles,
+  Share2,
 } from "lucide-react";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
 import Modal from "@components/common/Modal";
 import Input from "@components/common/Input";
+import StockRequestInbox from "@components/certificates/StockRequestInbox";
+import StockAdjustmentModal from "@components/certificates/StockAdjustmentModal";
+import StockTakeModal from "@components/certificates/StockTakeModal";
+import BatchLedgerModal from "@components/certificates/BatchLedgerModal";
+import ArchiveBatchesModal from "@components/certificates/ArchiveBatchesModal";
+import CertificateArchivesModal from "@components/certificates/CertificateArchivesModal";
+import BatchImportModal from "@components/certificates/BatchImportModal";
+import BatchIdPatternModal from "@components/certificates/BatchIdPatternModal";
+import DistributionPlanModal from "@components/certificates/DistributionPlanModal";
 import { useForm } from "@hooks/useForm";
 import { useDebounce } from "@hooks/useDebounce";
 import { useHeadBranches, useBranches } from "@hooks/useBranches";
+import { useBatchIdPattern } from "@hooks/useBatchIdPattern";
 import {
   getCertificates,
   createCertificate,
-  clearAllCertificates,
   migrateCertificate,
+  transferCertificateStock,
 } from "@api/certificateApi";
 import { formatNumber, formatDate } from "@utils/formatters";
-import { DATE_FORMATS } from "@utils/constants";
+import {
+  DATE_FORMATS,
+  TRANSFER_TYPES,
+  TRANSFER_TYPE_LABELS,
+  ARCHIVE_RETENTION_DAYS,
+} from "@utils/constants";
+import {
+  getTransferSources,
+  getTransferDestinations,
+  getBranchBatchStock,
+  validateStockTransfer,
+} from "@utils/stockTransfer";
+import { getBatchIdRegex } from "@utils/batchIdPattern";
 import { toast } from "react-hot-toast";
 
 const Certificates = () => {
@@ -46,6 +75,12 @@ const Certificates = () => {
     loading: allBranchesLoading,
     error: allBranchesError,
   } = useBranches();
+  const {
+    pattern: batchIdPattern,
+    savePattern: saveBatchIdPattern,
+    suggestNextId,
+    findNonConforming,
+  } = useBatchIdPattern();
 
   // =====================================================
   // STATE MANAGEMENT
@@ -77,7 +112,16 @@ const Certificates = () => {
 
   // Modal states
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [showMigrateModal, setShowMigrateModal] = useState(false);
+  const [showDistributeModal, setShowDistributeModal] = useState(false);
+  const [showAdjustModal, setShowAdjustModal] = useState(false);
+  const [showStockTakeModal, setShowStockTakeModal] = useState(false);
+  const [ledgerBatch, setLedgerBatch] = useState(null);
+  const [showArchiveModal, setShowArchiveModal] = useState(false);
+  const [showArchivesModal, setShowArchivesModal] = useState(false);
+  const [showPatternModal, setShowPatternModal] = useState(false);
+  const [suggestedBatchId, setSuggestedBatchId] = useState("");
 
   // =====================================================
   // AUTO-SELECT FIRST HEAD BRANCH
@@ -106,22 +150,6 @@ const Certificates = () => {
     }
   }, [selectedHeadBranch?.branch_code]);
 
-  // =====================================================
-  // GET DESTINATION BRANCHES (same regional hub)
-  // =====================================================
-  const destinationBranches = useMemo(() => {
-    if (!selectedHeadBranch || !allBranches.length) return [];
-
-    return allBranches.filter((branch) => {
-      return (
-        branch.regional_hub === selectedHeadBranch.branch_code &&
-        branch.branch_code !== selectedHeadBranch.branch_code &&
-        !branch.is_head_branch &&
-        branch.is_active
-      );
-    });
-  }, [selectedHeadBranch, allBranches]);
-
   // =====================================================
   // FORM VALIDATION - ADD CERTIFICATE (HEAD BRANCH ONLY)
   // =====================================================
@@ -152,8 +180,57 @@ const Certificates = () => {
     },
   );
 
+  // Propose the next free batch ID when the Add modal opens
+  const { setFormValues: setAddFormValues } = addForm;
+
+  // Read when a suggestion arrives, so a typed ID is not overwritten
+  const addBatchIdRef = useRef(addForm.values.certificate_id);
+  const lastSuggestedIdRef = useRef("");
+  useEffect(() => {
+    addBatchIdRef.current = addForm.values.certificate_id;
+  }, [addForm.values.certificate_id]);
+
+  useEffect(() => {
+    if (!showAddModal || !selectedHeadBranch?.branch_code) return;
+
+    let cancelled = false;
+    setSuggestedBatchId("");
+
+    suggestNextId(selectedHeadBranch.branch_code)
+      .then((nextId) => {
+        if (cancelled) return;
+        setSuggestedBatchId(nextId);
+
+        // Only fill an empty field or replace the earlier suggestion
+        const currentId = addBatchIdRef.current.trim();
+        if (!currentId || currentId === lastSuggestedIdRef.current) {
+          setAddFormValues({ certificate_id: nextId });
+        }
+        lastSuggestedIdRef.current = nextId;
+      })
+      .catch((err) => console.error("Failed to suggest batch ID:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    showAddModal,
+    selectedHeadBranch?.branch_code,
+    suggestNextId,
+    setAddFormValues,
+  ]);
+
+  const selectedHubCode = selectedHeadBranch?.branch_code;
+  const addBatchIdMatchesPattern = useMemo(() => {
+    const value = addForm.values.certificate_id.trim();
+    if (!value || !selectedHubCode) return true;
+    return getBatchIdRegex(batchIdPattern, { hub: selectedHubCode }).test(
+      value,
+    );
+  }, [addForm.values.certificate_id, batchIdPattern, selectedHubCode]);
+
   // =====================================================
-  // FORM VALIDATION - MIGRATE CERTIFICATE
+  // FORM VALIDATION - TRANSFER STOCK (MIGRATE, RETURN, BRANCH, CROSS-HUB)
   // =====================================================
 
   const migrateValidationSchema = {
@@ -169,6 +246,8 @@ const Certificates = () => {
 
   const migrateForm = useForm(
     {
+      transfer_type: TRANSFER_TYPES.MIGRATE,
+      source_branch: "",
       certificate_id: "",
       destination_branch: "",
       certificate_amount: "",
@@ -409,46 +488,37 @@ const Certificates = () => {
   }
 
   // =====================================================
-  // HANDLERS - MIGRATE
+  // HANDLERS - TRANSFER (MIGRATE, RETURN, BRANCH, CROSS-HUB)
   // =====================================================
 
   async function handleMigrateCertificate(values) {
     try {
       const certAmount = parseInt(values.certificate_amount) || 0;
       const medalAmount = parseInt(values.medal_amount) || 0;
+      const sourceBranch = getSourceBranchCode(values);
 
-      if (certAmount === 0 && medalAmount === 0) {
-        toast.error(
-          "At least one certificate or medal amount must be greater than 0",
-        );
+      if (!sourceBranch) {
+        toast.error("Please select a source branch");
         return;
       }
 
       const cert = certificates.find(
         (c) => c.certificate_id === values.certificate_id,
       );
-      if (!cert) {
-        toast.error("Certificate batch not found");
-        return;
-      }
-
-      const headStock = cert.stock_by_branch?.find(
-        (s) => s.branch_code === selectedHeadBranch?.branch_code,
-      );
-      const availableCerts = headStock?.certificates || 0;
-      const availableMedals = headStock?.medals || 0;
 
-      if (certAmount > availableCerts) {
-        toast.error(
-          `Insufficient ${selectedHeadBranch?.branch_name} certificates. Available: ${availableCerts}`,
-        );
-        return;
-      }
-
-      if (medalAmount > availableMedals) {
-        toast.error(
-          `Insufficient ${selectedHeadBranch?.branch_name} medals. Available: ${availableMedals}`,
-        );
+      const validationError = validateStockTransfer({
+        transferType: values.transfer_type,
+        certificate: cert,
+        headBranch: selectedHeadBranch,
+        branches: allBranches,
+        sourceBranch,
+        destinationBranch: values.destination_branch,
+        certificateAmount: certAmount,
+        medalAmount,
+      });
+
+      if (validationError) {
+        toast.error(validationError);
         return;
       }
 
@@ -459,51 +529,47 @@ const Certificates = () => {
         medal_amount: medalAmount,
       };
 
-      await migrateCertificate(payload);
+      if (values.transfer_type === TRANSFER_TYPES.MIGRATE) {
+        await migrateCertificate(payload);
+      } else {
+        await transferCertificateStock({
+          ...payload,
+          transfer_type: values.transfer_type,
+          source_branch: sourceBranch,
+        });
+      }
 
       setShowMigrateModal(false);
       migrateForm.resetForm();
       await fetchCertificates();
     } catch (err) {
-      console.error("Failed to migrate certificate:", err);
+      console.error("Failed to transfer certificate stock:", err);
     }
   }
 
-  // =====================================================
-  // HANDLERS - CLEAR ALL
-  // =====================================================
-
-  const handleClearAll = async () => {
+  // Migrations and cross-hub transfers always leave from the head branch
+  function getSourceBranchCode(values) {
     if (
-      !window.confirm(
-        "Are you sure you want to clear ALL certificate batches?\n\nThis action CANNOT be undone!",
-      )
+      values.transfer_type === TRANSFER_TYPES.MIGRATE ||
+      values.transfer_type === TRANSFER_TYPES.CROSS_HUB
     ) {
-      return;
+      return selectedHeadBranch?.branch_code || "";
     }
+    return values.source_branch;
+  }
 
-    if (
-      !window.confirm(
-        "FINAL WARNING: This will permanently delete ALL certificate records.\n\nType 'DELETE' in the next prompt to confirm.",
-      )
-    ) {
-      return;
-    }
-
-    const confirmation = window.prompt(
-      'Type "DELETE" (in capital letters) to confirm:',
-    );
-
-    if (confirmation !== "DELETE") {
-      toast.error("Clear all cancelled - confirmation text did not match");
-      return;
-    }
+  const handleTransferTypeChange = (transferType) => {
+    migrateForm.setFieldValue("transfer_type", transferType, false);
+    migrateForm.setFieldValue("source_branch", "", false);
+    migrateForm.setFieldValue("certificate_id", "", false);
+    migrateForm.setFieldValue("destination_branch", "", false);
+  };
 
-    try {
-      await clearAllCertificates();
-      await fetchCertificates();
-    } catch (err) {
-      console.error("Failed to clear certificates:", err);
+  const handleSourceBranchChange = (branchCode) => {
+    migrateForm.setFieldValue("source_branch", branchCode, false);
+    migrateForm.setFieldValue("certificate_id", "", false);
+    if (migrateForm.values.destination_branch === branchCode) {
+      migrateForm.setFieldValue("destination_branch", "", false);
     }
   };
 
@@ -561,6 +627,9 @@ const Certificates = () => {
 
   const orderedBranches = getOrderedBranches();
 
+  // Archiving always covers the current year's batches
+  const archiveYear = new Date().getFullYear();
+
   // =====================================================
   // DYNAMIC BRANCH COLOR GENERATOR
   // =====================================================
@@ -693,16 +762,63 @@ const Certificates = () => {
     return {
       certificates: stock?.certificates || 0,
       medals: stock?.medals || 0,
+      reservedCertificates: stock?.reserved_certificates || 0,
+      reservedMedals: stock?.reserved_medals || 0,
     };
   };
 
-  const availableBatchesForMigration = certificates.filter((cert) => {
-    const headStock = cert.stock_by_branch?.find(
-      (s) => s.branch_code === selectedHeadBranch?.branch_code,
-    );
-    return (headStock?.certificates || 0) > 0 || (headStock?.medals || 0) > 0;
+  const hasTransferableStock = certificates.some((cert) => {
+    const total = getBatchTotal(cert);
+    return total.certificates > 0 || total.medals > 0;
   });
 
+  const transferType = migrateForm.values.transfer_type;
+  const transferSourceCode = getSourceBranchCode(migrateForm.values);
+  const isHeadBranchSource =
+    transferType === TRANSFER_TYPES.MIGRATE ||
+    transferType === TRANSFER_TYPES.CROSS_HUB;
+
+  const transferSources = getTransferSources(
+    transferType,
+    selectedHeadBranch,
+    allBranches,
+  );
+  const transferDestinations = getTransferDestinations(
+    transferType,
+    selectedHeadBranch,
+    allBranches,
+    transferSourceCode,
+  );
+  const transferSource = transferSources.find(
+    (branch) => branch.branch_code === transferSourceCode,
+  );
+
+  const availableBatchesForTransfer = transferSourceCode
+    ? certificates.filter((cert) => {
+        const stock = getBranchBatchStock(cert, transferSourceCode);
+        return stock.certificates > 0 || stock.medals > 0;
+      })
+    : [];
+
+  const TRANSFER_RULES = {
+    [TRANSFER_TYPES.MIGRATE]: [
+      `Stock is transferred from ${selectedHeadBranch?.branch_code} to the selected branch`,
+      "Can only migrate to branches in the same regional hub",
+    ],
+    [TRANSFER_TYPES.RETURN]: [
+      `Surplus stock goes back from a branch to ${selectedHeadBranch?.branch_code}`,
+      "Only branches of this regional hub can return stock here",
+    ],
+    [TRANSFER_TYPES.BRANCH]: [
+      "Stock moves directly between two branches of this regional hub",
+      "Source and destination must be different branches",
+    ],
+    [TRANSFER_TYPES.CROSS_HUB]: [
+      `Stock is sent from ${selectedHeadBranch?.branch_code} to the head branch of another regional hub`,
+      "The receiving head branch migrates it on to its own branches",
+    ],
+  };
+
   // =====================================================
   // LOADING STATE
   // =====================================================
@@ -771,11 +887,54 @@ const Certificates = () => {
               size="medium"
               icon={<ArrowRightLeft className="w-4 h-4" />}
               onClick={() => setShowMigrateModal(true)}
-              disabled={
-                !selectedHeadBranch || availableBatchesForMigration.length === 0
-              }
+              disabled={!selectedHeadBranch || !hasTransferableStock}
+            >
+              Transfer Stock
+            </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              icon={<Share2 className="w-4 h-4" />}
+              onClick={() => setShowDistributeModal(true)}
+              disabled={!selectedHeadBranch || !hasTransferableStock}
+            >
+              Distribute
+            </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              icon={<SlidersHorizontal className="w-4 h-4" />}
+              onClick={() => setShowAdjustModal(true)}
+              disabled={!selectedHeadBranch || certificates.length === 0}
+            >
+              Adjust Stock
+            </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              icon={<ClipboardCheck className="w-4 h-4" />}
+              onClick={() => setShowStockTakeModal(true)}
+              disabled={!selectedHeadBranch}
+            >
+              Stock-Take
+            </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              icon={<Hash className="w-4 h-4" />}
+              onClick={() => setShowPatternModal(true)}
+              disabled={headBranches.length === 0}
+            >
+              ID Pattern
+            </Button>
+            <Button
+              variant="secondary"
+              size="medium"
+              icon={<Upload className="w-4 h-4" />}
+              onClick={() => setShowImportModal(true)}
+              disabled={headBranches.length === 0}
             >
-              Migrate Stock
+              Import Batches
             </Button>
             <Button
               variant="primary"
@@ -829,6 +988,12 @@ const Certificates = () => {
         </div>
       )}
 
+      {/* Teacher Stock Requests */}
+      <StockRequestInbox
+        headBranch={selectedHeadBranch}
+        onProcessed={fetchCertificates}
+      />
+
       {/* Search Bar */}
       <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-4 border border-gray-200/50 dark:border-white/10 shadow-lg">
         <div className="flex gap-2">
@@ -936,9 +1101,14 @@ const Certificates = () => {
                             <div className="p-2 rounded-lg bg-gradient-to-br from-blue-500 to-cyan-500 shadow-md">
                               <FileText className="w-4 h-4 text-white" />
                             </div>
-                            <span className="text-sm font-semibold text-primary">
+                            <button
+                              type="button"
+                              onClick={() => setLedgerBatch(cert)}
+                              title="View movement ledger"
+                              className="text-sm font-semibold text-primary hover:underline"
+                            >
                               {cert.certificate_id}
-                            </span>
+                            </button>
                           </div>
                         </td>
 
@@ -953,9 +1123,21 @@ const Certificates = () => {
                                 <p className="text-sm font-semibold text-primary">
                                   {formatNumber(stock.certificates)} certs
                                 </p>
+                                {stock.reservedCertificates > 0 && (
+                                  <p className="text-xs text-blue-600 dark:text-blue-400">
+                                    {formatNumber(stock.reservedCertificates)}{" "}
+                                    certs reserved
+                                  </p>
+                                )}
                                 <p className="text-xs text-secondary">
                                   {formatNumber(stock.medals)} medals
                                 </p>
+                                {stock.reservedMedals > 0 && (
+                                  <p className="text-xs text-blue-600 dark:text-blue-400">
+                                    {formatNumber(stock.reservedMedals)} medals
+                                    reserved
+                                  </p>
+                                )}
                               </div>
                             </td>
                           );
@@ -1078,28 +1260,48 @@ const Certificates = () => {
       </div>
 
       {/* Danger Zone */}
-      {certificates.length > 0 && (
-        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-status-error/50 shadow-lg">
-          <div className="flex items-center justify-between">
-            <div>
-              <h3 className="text-lg font-semibold text-status-error mb-1">
-                Danger Zone
-              </h3>
-              <p className="text-sm text-secondary">
-                Permanently delete all certificate records
-              </p>
-            </div>
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-status-error/50 shadow-lg">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-status-error mb-1">
+              Danger Zone
+            </h3>
+            <p className="text-sm text-secondary">
+              Archive all batches created in {archiveYear}. Archives can be
+              restored for {ARCHIVE_RETENTION_DAYS} days.
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button
+              variant="ghost"
+              size="medium"
+              onClick={() => setShowArchivesModal(true)}
+              icon={<History className="w-4 h-4" />}
+            >
+              View Archives
+            </Button>
             <Button
               variant="danger"
               size="medium"
-              onClick={handleClearAll}
-              icon={<Trash2 className="w-4 h-4" />}
+              onClick={() => setShowArchiveModal(true)}
+              icon={<Archive className="w-4 h-4" />}
+              disabled={certificates.length === 0}
             >
-              Clear All
+              Archive {archiveYear}
             </Button>
           </div>
         </div>
-      )}
+      </div>
+
+      {/* BATCH ID PATTERN MODAL */}
+      <BatchIdPatternModal
+        isOpen={showPatternModal}
+        onClose={() => setShowPatternModal(false)}
+        pattern={batchIdPattern}
+        headBranches={headBranches}
+        onSave={saveBatchIdPattern}
+        onCheck={findNonConforming}
+      />
 
       {/* ADD MODAL */}
       <Modal
@@ -1122,7 +1324,7 @@ const Certificates = () => {
               value={addForm.values.certificate_id}
               onChange={addForm.handleChange}
               onBlur={addForm.handleBlur}
-              placeholder="e.g., BATCH-2026-001"
+              placeholder={suggestedBatchId || "e.g., SND-2026-0001"}
               className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
             />
             {addForm.touched.certificate_id &&
@@ -1131,6 +1333,25 @@ const Certificates = () => {
                   {addForm.errors.certificate_id}
                 </p>
               )}
+            {!addBatchIdMatchesPattern && (
+              <p className="text-sm text-yellow-700 dark:text-yellow-400 mt-1">
+                Does not follow the batch ID pattern{" "}
+                <span className="font-mono">{batchIdPattern}</span>
+              </p>
+            )}
+            {suggestedBatchId &&
+              addForm.values.certificate_id !== suggestedBatchId && (
+                <button
+                  type="button"
+                  onClick={() =>
+                    addForm.setFieldValue("certificate_id", suggestedBatchId)
+                  }
+                  className="inline-flex items-center gap-1 text-sm text-primary hover:underline mt-1"
+                >
+                  <Sparkles className="w-4 h-4" />
+                  Use next free ID {suggestedBatchId}
+                </button>
+              )}
           </div>
 
           {selectedHeadBranch && (
@@ -1182,8 +1403,8 @@ const Certificates = () => {
               </p>
               <p className="text-sm text-secondary">
                 New batches are added to {selectedHeadBranch?.branch_code} only.
-                Use "Migrate Stock" to transfer certificates and medals to other
-                branches in the same regional hub.
+                Use "Transfer Stock" to move certificates and medals to other
+                branches, back to the head branch, or to another regional hub.
               </p>
             </div>
           </div>
@@ -1216,17 +1437,146 @@ const Certificates = () => {
         </form>
       </Modal>
 
-      {/* MIGRATE MODAL - WITH COMPACT INLINE BRANCH SELECTION */}
+      {/* DISTRIBUTION PLAN MODAL */}
+      <DistributionPlanModal
+        isOpen={showDistributeModal}
+        onClose={() => setShowDistributeModal(false)}
+        headBranch={selectedHeadBranch}
+        branches={allBranches}
+        certificates={certificates}
+        onDistributed={fetchCertificates}
+      />
+
+      {/* IMPORT MODAL */}
+      <BatchImportModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        headBranches={headBranches}
+        onImported={fetchCertificates}
+      />
+
+      {/* ADJUST MODAL */}
+      <StockAdjustmentModal
+        isOpen={showAdjustModal}
+        onClose={() => setShowAdjustModal(false)}
+        certificates={certificates}
+        branches={orderedBranches}
+        onAdjusted={fetchCertificates}
+      />
+
+      {/* STOCK-TAKE MODAL */}
+      <StockTakeModal
+        isOpen={showStockTakeModal}
+        onClose={() => setShowStockTakeModal(false)}
+        regionalHub={selectedHeadBranch?.branch_code || ""}
+        branches={orderedBranches}
+        onApproved={fetchCertificates}
+      />
+
+      {/* ARCHIVE MODALS */}
+      <ArchiveBatchesModal
+        isOpen={showArchiveModal}
+        onClose={() => setShowArchiveModal(false)}
+        year={archiveYear}
+        onArchived={fetchCertificates}
+      />
+      <CertificateArchivesModal
+        isOpen={showArchivesModal}
+        onClose={() => setShowArchivesModal(false)}
+        onRestored={fetchCertificates}
+      />
+
+      {/* BATCH LEDGER MODAL */}
+      <BatchLedgerModal
+        isOpen={!!ledgerBatch}
+        onClose={() => setLedgerBatch(null)}
+        batch={ledgerBatch}
+        headBranch={selectedHeadBranch?.branch_code || ""}
+        branchOrder={orderedBranches.map((branch) => branch.branch_code)}
+      />
+
+      {/* TRANSFER MODAL - WITH COMPACT INLINE BRANCH SELECTION */}
       <Modal
         isOpen={showMigrateModal}
         onClose={() => {
           setShowMigrateModal(false);
           migrateForm.resetForm();
         }}
-        title={`Migrate Stock from ${selectedHeadBranch?.branch_code || "Head Branch"}`}
+        title={`Transfer Stock - ${selectedHeadBranch?.branch_code || "Head Branch"} Regional Hub`}
         size="medium"
       >
         <form onSubmit={migrateForm.handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Transfer Type <span className="text-status-error">*</span>
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {Object.values(TRANSFER_TYPES).map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  onClick={() => handleTransferTypeChange(type)}
+                  className={`px-3 py-2 rounded-xl border-2 text-sm font-medium transition-all ${
+                    transferType === type
+                      ? "border-primary bg-primary/10 text-primary"
+                      : "border-gray-200 dark:border-white/10 text-secondary hover:border-primary/50"
+                  }`}
+                >
+                  {TRANSFER_TYPE_LABELS[type]}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-primary mb-2">
+              Source Branch <span className="text-status-error">*</span>
+            </label>
+            {transferSources.length === 0 ? (
+              <div className="p-4 rounded-xl border-2 border-gray-200 dark:border-white/10 text-center">
+                <p className="text-sm text-secondary">
+                  No branches available in {selectedHeadBranch?.branch_code}{" "}
+                  regional hub
+                </p>
+              </div>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {transferSources.map((branch) => {
+                  const isSelected =
+                    transferSourceCode === branch.branch_code;
+                  return (
+                    <button
+                      key={branch.branch_code}
+                      type="button"
+                      onClick={() =>
+                        handleSourceBranchChange(branch.branch_code)
+                      }
+                      disabled={isHeadBranchSource}
+                      className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-full text-sm font-medium border transition-all ${
+                        isSelected
+                          ? `${getBranchBorderColor(branch.branch_code)} ${getBranchBgColor(branch.branch_code)} ${getBranchTextColor(branch.branch_code)}`
+                          : "border-gray-200 dark:border-white/10 text-secondary hover:border-primary/50 hover:text-primary"
+                      }`}
+                    >
+                      <span
+                        className={`w-2 h-2 rounded-full bg-gradient-to-br flex-shrink-0 ${getBranchColor(branch.branch_code)}`}
+                      />
+                      <span>{branch.branch_code}</span>
+                      <span
+                        className={`text-xs ${isSelected ? "opacity-80" : "opacity-50"}`}
+                      >
+                        · {branch.branch_name}
+                      </span>
+                      {isSelected && (
+                        <Check className="w-3.5 h-3.5 ml-0.5 flex-shrink-0" />
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-primary mb-2">
               Select Batch <span className="text-status-error">*</span>
@@ -1236,17 +1586,23 @@ const Certificates = () => {
               value={migrateForm.values.certificate_id}
               onChange={migrateForm.handleChange}
               onBlur={migrateForm.handleBlur}
+              disabled={!transferSourceCode}
               className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-primary focus:outline-none focus:ring-2 focus:ring-primary/50"
             >
               <option
                 value=""
                 className="bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
               >
-                Choose a batch...
+                {!transferSourceCode
+                  ? "Select a source branch first..."
+                  : availableBatchesForTransfer.length === 0
+                    ? `No ${transferSourceCode} stock to transfer`
+                    : "Choose a batch..."}
               </option>
-              {availableBatchesForMigration.map((cert) => {
-                const headStock = cert.stock_by_branch?.find(
-                  (s) => s.branch_code === selectedHeadBranch?.branch_code,
+              {availableBatchesForTransfer.map((cert) => {
+                const sourceStock = getBranchBatchStock(
+                  cert,
+                  transferSourceCode,
                 );
                 return (
                   <option
@@ -1254,9 +1610,9 @@ const Certificates = () => {
                     value={cert.certificate_id}
                     className="bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
                   >
-                    {cert.certificate_id} - {selectedHeadBranch?.branch_code}:{" "}
-                    {headStock?.certificates || 0} certs,{" "}
-                    {headStock?.medals || 0} medals
+                    {cert.certificate_id} - {transferSourceCode}:{" "}
+                    {sourceStock.certificates} certs, {sourceStock.medals}{" "}
+                    medals
                   </option>
                 );
               })}
@@ -1273,16 +1629,17 @@ const Certificates = () => {
             <label className="block text-sm font-medium text-primary mb-2">
               Destination Branch <span className="text-status-error">*</span>
             </label>
-            {destinationBranches.length === 0 ? (
+            {transferDestinations.length === 0 ? (
               <div className="p-4 rounded-xl border-2 border-gray-200 dark:border-white/10 text-center">
                 <p className="text-sm text-secondary">
-                  No destination branches available in{" "}
-                  {selectedHeadBranch?.branch_code} regional hub
+                  {transferType === TRANSFER_TYPES.CROSS_HUB
+                    ? "No other regional hubs available"
+                    : `No destination branches available in ${selectedHeadBranch?.branch_code} regional hub`}
                 </p>
               </div>
             ) : (
               <div className="flex flex-wrap gap-2">
-                {destinationBranches.map((branch) => {
+                {transferDestinations.map((branch) => {
                   const isSelected =
                     migrateForm.values.destination_branch ===
                     branch.branch_code;
@@ -1329,7 +1686,7 @@ const Certificates = () => {
 
           <div className="backdrop-blur-sm bg-white/20 dark:bg-white/5 p-4 rounded-xl border border-gray-200/30 dark:border-white/5">
             <h4 className="text-sm font-semibold text-primary mb-3">
-              Migration Amount
+              Transfer Amount
             </h4>
             <div className="grid grid-cols-2 gap-3">
               <div>
@@ -1363,12 +1720,12 @@ const Certificates = () => {
             </div>
           </div>
 
-          {migrateForm.values.certificate_id && selectedHeadBranch && (
+          {migrateForm.values.certificate_id && transferSource && (
             <div className="flex items-start gap-2 p-3 bg-green-500/10 rounded-lg">
               <AlertCircle className="w-5 h-5 text-green-500 flex-shrink-0 mt-0.5" />
               <div className="flex-1">
                 <p className="text-sm text-primary font-medium mb-1">
-                  Available {selectedHeadBranch.branch_code} Stock
+                  Available {transferSource.branch_code} Stock
                 </p>
                 <p className="text-sm text-secondary">
                   {(() => {
@@ -1377,10 +1734,11 @@ const Certificates = () => {
                         c.certificate_id === migrateForm.values.certificate_id,
                     );
                     if (!cert) return "Batch not found";
-                    const headStock = cert.stock_by_branch?.find(
-                      (s) => s.branch_code === selectedHeadBranch.branch_code,
+                    const sourceStock = getBranchBatchStock(
+                      cert,
+                      transferSource.branch_code,
                     );
-                    return `${headStock?.certificates || 0} certificates, ${headStock?.medals || 0} medals`;
+                    return `${sourceStock.certificates} certificates, ${sourceStock.medals} medals`;
                   })()}
                 </p>
               </div>
@@ -1391,19 +1749,17 @@ const Certificates = () => {
             <AlertCircle className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
             <div>
               <p className="text-sm text-primary font-medium mb-1">
-                Migration Rules
+                Transfer Rules
               </p>
               <ul className="text-sm text-secondary space-y-1">
+                {TRANSFER_RULES[transferType].map((rule) => (
+                  <li key={rule}>• {rule}</li>
+                ))}
+                <li>• At least one certificate or medal must be transferred</li>
                 <li>
-                  • Stock is transferred from {selectedHeadBranch?.branch_code}{" "}
-                  to the selected branch
-                </li>
-                <li>• At least one certificate or medal must be migrated</li>
-                <li>
-                  • Cannot exceed available {selectedHeadBranch?.branch_code}{" "}
-                  stock
+                  • Cannot exceed available{" "}
+                  {transferSource?.branch_code || "source branch"} stock
                 </li>
-                <li>• Can only migrate to branches in the same regional hub</li>
               </ul>
             </div>
           </div>
@@ -1430,7 +1786,7 @@ const Certificates = () => {
               loading={migrateForm.isSubmitting}
               className="flex-1"
             >
-              Migrate Stock
+              {TRANSFER_TYPE_LABELS[transferType]}
             </Button>
           </div>
         </form>
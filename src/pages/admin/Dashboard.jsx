@@ -3,8 +3,10 @@ import { useNavigate } from "react-router-dom";
 import { FileText, Users, BookOpen, TrendingUp, ArrowRight, AlertCircle, Package, Award, RefreshCw, Building2 } from "lucide-react";
 import { useAuth } from "@hooks/useAuth";
 import { useHeadBranches } from "@hooks/useBranches";
+import { useStockForecast } from "@hooks/useStockForecast";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
+import StockForecast from "@components/certificates/StockForecast";
 import { getCertificates, getStockSummary } from "@api/certificateApi";
 import { getTeachers } from "@api/teacherApi";
 import { getModules } from "@api/moduleApi";
@@ -29,6 +31,9 @@ const Dashboard = () => {
   });
   const [recentLogs, setRecentLogs] = useState([]);
 
+  // Forecast for every branch with stock
+  const { forecasts, failedBranches: forecastFailedBranches, windowDays: forecastWindowDays, isLoading: forecastLoading, refresh: refreshForecast } = useStockForecast();
+
   useEffect(() => {
     const fetchDashboardData = async () => {
       setLoading(true);
@@ -65,6 +70,8 @@ const Dashboard = () => {
                 processedStock[branchCode] = {
                   certificates: branchData.certificates || 0,
                   medals: branchData.medals || 0,
+                  reserved_certificates: branchData.reserved_certificates || 0,
+                  reserved_medals: branchData.reserved_medals || 0,
                   branch_name: branchData.branch_name || branchCode,
                 };
               }
@@ -157,6 +164,9 @@ const Dashboard = () => {
       case "CREATE":
         return <Package className="w-5 h-5 text-white" />;
       case "MIGRATE":
+      case "TRANSFER_RETURN":
+      case "TRANSFER_BRANCH":
+      case "TRANSFER_CROSS_HUB":
         return <RefreshCw className="w-5 h-5 text-white" />;
       case "UPDATE":
         return <FileText className="w-5 h-5 text-white" />;
@@ -171,6 +181,14 @@ const Dashboard = () => {
         return "from-green-500 to-emerald-500";
       case "MIGRATE":
         return "from-purple-500 to-pink-500";
+      case "TRANSFER_RETURN":
+        return "from-sky-500 to-blue-500";
+      case "TRANSFER_BRANCH":
+        return "from-violet-500 to-purple-500";
+      case "TRANSFER_CROSS_HUB":
+        return "from-fuchsia-500 to-pink-500";
+      case "STOCK_ADJUSTED":
+        return "from-amber-500 to-yellow-500";
       case "UPDATE":
         return "from-blue-500 to-cyan-500";
       default:
@@ -187,6 +205,24 @@ const Dashboard = () => {
       return `${amounts} migrated from ${log.from_branch} to ${log.to_branch}`;
     }
 
+    if (log.action_type === "TRANSFER_RETURN" && log.from_branch && log.to_branch) {
+      return `${amounts} returned from ${log.from_branch} to ${log.to_branch}`;
+    }
+
+    if ((log.action_type === "TRANSFER_BRANCH" || log.action_type === "TRANSFER_CROSS_HUB") && log.from_branch && log.to_branch) {
+      return `${amounts} transferred from ${log.from_branch} to ${log.to_branch}`;
+    }
+
+    if (log.action_type === "STOCK_ADJUSTED") {
+      const changes = [
+        log.certificate_amount ? `${log.certificate_amount > 0 ? "+" : ""}${log.certificate_amount} certificates` : "",
+        log.medal_amount ? `${log.medal_amount > 0 ? "+" : ""}${log.medal_amount} medals` : "",
+      ]
+        .filter(Boolean)
+        .join(" and ");
+      return `Stock adjusted at ${log.branch_code || "branch"}: ${changes}`;
+    }
+
     if (log.action_type === "CREATE") {
       let branch = "";
       if (log.new_values) {
@@ -296,15 +332,22 @@ const Dashboard = () => {
                       <FileText className="w-3 h-3 text-blue-500" />
                       <span className="text-sm text-secondary">Certificates</span>
                     </div>
-                    <span className="text-lg font-bold text-primary">{formatNumber(stock.certificates)}</span>
+                    <span className="text-lg font-bold text-primary">
+                      {formatNumber(stock.certificates)}
+                      {stock.reserved_certificates > 0 && <span className="text-xs font-normal text-blue-600 dark:text-blue-400"> ({formatNumber(stock.reserved_certificates)} reserved)</span>}
+                    </span>
                   </div>
                   <div className="flex items-center justify-between">
                     <div className="flex items-center gap-2">
                       <Award className="w-3 h-3 text-yellow-500" />
                       <span className="text-sm text-secondary">Medals</span>
                     </div>
-                    <span className="text-lg font-bold text-primary">{formatNumber(stock.medals)}</span>
+                    <span className="text-lg font-bold text-primary">
+                      {formatNumber(stock.medals)}
+                      {stock.reserved_medals > 0 && <span className="text-xs font-normal text-blue-600 dark:text-blue-400"> ({formatNumber(stock.reserved_medals)} reserved)</span>}
+                    </span>
                   </div>
+                  {(stock.reserved_certificates > 0 || stock.reserved_medals > 0) && <p className="text-xs text-secondary text-right">Reserved units are held by open print jobs</p>}
                 </div>
               </div>
             ))}
@@ -312,6 +355,9 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Stock Forecast */}
+      <StockForecast forecasts={forecasts} failedBranches={forecastFailedBranches} windowDays={forecastWindowDays} isLoading={forecastLoading} onRefresh={refreshForecast} title="Stock Forecast by Branch" />
+
       {/* Recent Activity */}
       <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
         <h2 className="text-lg font-semibold text-primary mb-4">Recent Activity</h2>
@@ -1,14 +1,15 @@
 import { useEffect, useState, useCallback, useMemo } from "react";
-import { Search, Download, FileText, AlertCircle, ChevronLeft, ChevronRight, Calendar, X, Package, Users, TrendingUp, ArrowRight, Building2 } from "lucide-react";
+import { Search, Download, FileText, AlertCircle, ChevronLeft, ChevronRight, Calendar, X, Package, Users, TrendingUp, ArrowRight, Building2, Trash2 } from "lucide-react";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
 import Input from "@components/common/Input";
+import WasteReportModal from "@components/certificates/WasteReportModal";
 import { useDebounce } from "@hooks/useDebounce";
 import { useHeadBranches } from "@hooks/useBranches";
 import { getLogs } from "@api/logsApi";
 import { exportLogs } from "@api/exportApi";
 import { formatDate } from "@utils/formatters";
-import { DATE_FORMATS } from "@utils/constants";
+import { DATE_FORMATS, ADJUSTMENT_REASON_LABELS } from "@utils/constants";
 
 const Logs = () => {
   // =====================================================
@@ -23,6 +24,7 @@ const Logs = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [exporting, setExporting] = useState(false);
+  const [showWasteReport, setShowWasteReport] = useState(false);
 
   // Selected regional hub for filtering
   const [selectedRegionalHub, setSelectedRegionalHub] = useState("");
@@ -50,6 +52,15 @@ const Logs = () => {
   const actionTypes = [
     { value: "CREATE", label: "Create", color: "from-green-500 to-emerald-500" },
     { value: "MIGRATE", label: "Migrate", color: "from-purple-500 to-pink-500" },
+    { value: "PRINT_VOIDED", label: "Print Voided", color: "from-red-500 to-rose-500" },
+    { value: "PRINT_REPRINTED", label: "Reprinted", color: "from-blue-500 to-cyan-500" },
+    { value: "PRINT_DUPLICATE", label: "Duplicate Award", color: "from-yellow-500 to-orange-500" },
+    { value: "STOCK_RETURNED", label: "Stock Returned", color: "from-teal-500 to-green-500" },
+    { value: "STOCK_WASTED", label: "Stock Wasted", color: "from-orange-500 to-amber-500" },
+    { value: "TRANSFER_RETURN", label: "Returned to Head Branch", color: "from-sky-500 to-blue-500" },
+    { value: "TRANSFER_BRANCH", label: "Branch Transfer", color: "from-violet-500 to-purple-500" },
+    { value: "TRANSFER_CROSS_HUB", label: "Cross-Hub Transfer", color: "from-fuchsia-500 to-pink-500" },
+    { value: "STOCK_ADJUSTED", label: "Stock Adjusted", color: "from-amber-500 to-yellow-500" },
   ];
 
   // =====================================================
@@ -252,6 +263,9 @@ const Logs = () => {
     return action || { label: actionType, color: "from-gray-500 to-gray-600" };
   };
 
+  // Adjustments are signed; other actions log unsigned amounts
+  const formatLogAmount = (log, amount) => (log.action_type === "STOCK_ADJUSTED" && amount > 0 ? `+${amount}` : `${amount}`);
+
   const getBranchBadge = (branch) => {
     const badges = {
       SND: { label: "SND", color: "bg-green-500" },
@@ -310,6 +324,9 @@ const Logs = () => {
             <p className="text-secondary mt-1">Track all certificate and medal transactions</p>
           </div>
           <div className="flex flex-wrap gap-2">
+            <Button variant="secondary" size="medium" icon={<Trash2 className="w-4 h-4" />} onClick={() => setShowWasteReport(true)}>
+              Waste Report
+            </Button>
             <Button variant="primary" size="medium" icon={<Download className="w-4 h-4" />} onClick={handleExportExcel} disabled={exporting} loading={exporting}>
               Export Excel {selectedRegionalHub && `(${selectedRegionalHub})`}
             </Button>
@@ -495,6 +512,9 @@ const Logs = () => {
                 <tbody className="divide-y divide-gray-200/30 dark:divide-white/5">
                   {logs.map((log) => {
                     const actionBadge = getActionBadge(log.action_type);
+                    // Logs without stock movement may carry null amounts
+                    const certificateAmount = Number(log.certificate_amount) || 0;
+                    const medalAmount = Number(log.medal_amount) || 0;
 
                     return (
                       <tr key={log.id} className="hover:bg-white/30 dark:hover:bg-white/10 transition-colors">
@@ -513,9 +533,19 @@ const Logs = () => {
                         </td>
                         <td className="px-6 py-4">
                           <span className="text-sm text-primary line-clamp-2">{log.description || "-"}</span>
+                          {log.action_type === "STOCK_ADJUSTED" && log.reason && (
+                            <span className="block text-xs text-secondary">
+                              {ADJUSTMENT_REASON_LABELS[log.reason] || log.reason}
+                              {log.notes && ` - ${log.notes}`}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4">
-                          {log.from_branch && log.to_branch ? (
+                          {log.action_type === "STOCK_ADJUSTED" && log.branch_code ? (
+                            <div className="flex justify-center">
+                              <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${getBranchBadge(log.branch_code).color}`}>{getBranchBadge(log.branch_code).label}</span>
+                            </div>
+                          ) : log.from_branch && log.to_branch ? (
                             <div className="flex items-center justify-center gap-2">
                               <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${getBranchBadge(log.from_branch).color}`}>{getBranchBadge(log.from_branch).label}</span>
                               <ArrowRight className="w-4 h-4 text-secondary" />
@@ -529,19 +559,19 @@ const Logs = () => {
                         </td>
                         <td className="px-6 py-4">
                           <div className="flex flex-col items-center gap-1">
-                            {log.certificate_amount > 0 && (
+                            {certificateAmount !== 0 && (
                               <div className="flex items-center gap-1">
                                 <FileText className="w-3 h-3 text-blue-500" />
-                                <span className="text-xs font-medium text-primary">{log.certificate_amount} cert</span>
+                                <span className={`text-xs font-medium ${certificateAmount < 0 ? "text-status-error" : "text-primary"}`}>{formatLogAmount(log, certificateAmount)} cert</span>
                               </div>
                             )}
-                            {log.medal_amount > 0 && (
+                            {medalAmount !== 0 && (
                               <div className="flex items-center gap-1">
                                 <TrendingUp className="w-3 h-3 text-yellow-500" />
-                                <span className="text-xs font-medium text-primary">{log.medal_amount} medal</span>
+                                <span className={`text-xs font-medium ${medalAmount < 0 ? "text-status-error" : "text-primary"}`}>{formatLogAmount(log, medalAmount)} medal</span>
                               </div>
                             )}
-                            {log.certificate_amount === 0 && log.medal_amount === 0 && <span className="text-sm text-secondary">-</span>}
+                            {certificateAmount === 0 && medalAmount === 0 && <span className="text-sm text-secondary">-</span>}
                           </div>
                         </td>
                         <td className="px-6 py-4">
@@ -619,6 +649,8 @@ const Logs = () => {
           )}
         </div>
       </div>
+
+      <WasteReportModal isOpen={showWasteReport} onClose={() => setShowWasteReport(false)} regionalHub={selectedRegionalHub} fromDate={filterFromDate} toDate={filterToDate} />
     </div>
   );
 };
@@ -9,6 +9,7 @@ import { useDebounce } from "@hooks/useDebounce";
 import { getModules, createModule, updateModule, deleteModule } from "@api/moduleApi";
 import { formatDate } from "@utils/formatters";
 import { DATE_FORMATS } from "@utils/constants";
+import { CERTIFICATE_LANGUAGES, CERTIFICATE_LANGUAGE_LABELS } from "@utils/certificateLanguage";
 import { toast } from "react-hot-toast";
 
 const Modules = () => {
@@ -93,6 +94,8 @@ const Modules = () => {
     {
       module_code: "",
       module_name: "",
+      module_name_id: "",
+      certificate_language: "",
       division: "",
       age_range: "",
     },
@@ -135,6 +138,8 @@ const Modules = () => {
     {
       module_code: "",
       module_name: "",
+      module_name_id: "",
+      certificate_language: "",
       division: "",
       age_range: "",
     },
@@ -283,6 +288,10 @@ const Modules = () => {
       const payload = {
         module_code: values.module_code.trim(),
         module_name: values.module_name.trim(),
+        module_name_translations: {
+          [CERTIFICATE_LANGUAGES.ID]: values.module_name_id.trim() || null,
+        },
+        certificate_language: values.certificate_language || null,
         division: values.division,
         min_age: selectedRange.min,
         max_age: selectedRange.max,
@@ -324,6 +333,10 @@ const Modules = () => {
       const payload = {
         module_code: values.module_code.trim(),
         module_name: values.module_name.trim(),
+        module_name_translations: {
+          [CERTIFICATE_LANGUAGES.ID]: values.module_name_id.trim() || null,
+        },
+        certificate_language: values.certificate_language || null,
         division: values.division,
         min_age: selectedRange.min,
         max_age: selectedRange.max,
@@ -380,6 +393,8 @@ const Modules = () => {
     setTimeout(() => {
       editForm.setFieldValue("module_code", module.module_code);
       editForm.setFieldValue("module_name", module.module_name);
+      editForm.setFieldValue("module_name_id", module.module_name_translations?.[CERTIFICATE_LANGUAGES.ID] || "");
+      editForm.setFieldValue("certificate_language", module.certificate_language || "");
       editForm.setFieldValue("division", module.division);
       editForm.setFieldValue("age_range", ageRangeLabel);
     }, 0);
@@ -657,6 +672,7 @@ const Modules = () => {
                         {/* Module Name */}
                         <td className="px-6 py-4">
                           <span className="text-sm text-primary">{module.module_name}</span>
+                          {module.module_name_translations?.[CERTIFICATE_LANGUAGES.ID] && <p className="text-xs text-secondary italic">{module.module_name_translations[CERTIFICATE_LANGUAGES.ID]}</p>}
                         </td>
 
                         {/* Division */}
@@ -802,6 +818,39 @@ const Modules = () => {
             {addForm.errors.module_name && <p className="text-sm text-status-error mt-1">{addForm.errors.module_name}</p>}
           </div>
 
+          {/* Indonesian Name + Certificate Language */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Indonesian Name</label>
+              <input
+                type="text"
+                name="module_name_id"
+                value={addForm.values.module_name_id}
+                onChange={addForm.handleChange}
+                placeholder="e.g., Pengenalan Pemrograman Scratch"
+                className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+              />
+              <p className="text-xs text-secondary mt-1">Used on Indonesian and bilingual certificates</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Certificate Language</label>
+              <select
+                name="certificate_language"
+                value={addForm.values.certificate_language}
+                onChange={addForm.handleChange}
+                className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary/50"
+              >
+                <option value="">Template default</option>
+                {Object.values(CERTIFICATE_LANGUAGES).map((language) => (
+                  <option key={language} value={language}>
+                    {CERTIFICATE_LANGUAGE_LABELS[language]}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-secondary mt-1">Teachers can still change it when printing</p>
+            </div>
+          </div>
+
           {/* Division */}
           <div>
             <label className="block text-sm font-medium text-primary mb-2">
@@ -946,6 +995,39 @@ const Modules = () => {
             {editForm.errors.module_name && <p className="text-sm text-status-error mt-1">{editForm.errors.module_name}</p>}
           </div>
 
+          {/* Indonesian Name + Certificate Language */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Indonesian Name</label>
+              <input
+                type="text"
+                name="module_name_id"
+                value={editForm.values.module_name_id}
+                onChange={editForm.handleChange}
+                placeholder="e.g., Pengenalan Pemrograman Scratch"
+                className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+              />
+              <p className="text-xs text-secondary mt-1">Used on Indonesian and bilingual certificates</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Certificate Language</label>
+              <select
+                name="certificate_language"
+                value={editForm.values.certificate_language}
+                onChange={editForm.handleChange}
+                className="w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary/50"
+              >
+                <option value="">Template default</option>
+                {Object.values(CERTIFICATE_LANGUAGES).map((language) => (
+                  <option key={language} value={language}>
+                    {CERTIFICATE_LANGUAGE_LABELS[language]}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-secondary mt-1">Teachers can still change it when printing</p>
+            </div>
+          </div>
+
           {/* Division */}
           <div>
             <label className="block text-sm font-medium text-primary mb-2">
@@ -0,0 +1,199 @@
+import { useEffect, useState, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import { ShieldCheck, ShieldX, ShieldAlert, User, BookOpen, MapPin, Calendar, Hash, Sparkles } from "lucide-react";
+import Spinner from "@components/common/Spinner";
+import Button from "@components/common/Button";
+import ThemeToggle from "@components/common/ThemeToggle";
+import { verifyCertificateSerial } from "@api/printedCertApi";
+import { normalizeCertificateSerial, isValidCertificateSerial, VERIFICATION_STATUS } from "@utils/certificateSerial";
+import { formatDate } from "@utils/formatters";
+import { HTTP_STATUS } from "@utils/constants";
+
+/**
+ * VerifyCertificate Page (public)
+ * Opened from the QR code printed on a certificate.
+ * Shows who the certificate was issued to, or reports the serial
+ * as unknown or revoked.
+ */
+const VerifyCertificate = () => {
+  const { serial: rawSerial } = useParams();
+  const serial = normalizeCertificateSerial(rawSerial);
+
+  // =====================================================
+  // STATE
+  // =====================================================
+
+  const [status, setStatus] = useState(null);
+  const [certificate, setCertificate] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // =====================================================
+  // VERIFY
+  // =====================================================
+
+  const verify = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    // Malformed serials cannot exist - skip the request
+    if (!isValidCertificateSerial(serial)) {
+      setStatus(VERIFICATION_STATUS.UNKNOWN);
+      setCertificate(null);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const response = await verifyCertificateSerial(serial);
+
+      if (response.success && response.data) {
+        setCertificate(response.data);
+        setStatus(response.data.status === VERIFICATION_STATUS.REVOKED ? VERIFICATION_STATUS.REVOKED : VERIFICATION_STATUS.VALID);
+      } else {
+        setCertificate(null);
+        setStatus(VERIFICATION_STATUS.UNKNOWN);
+      }
+    } catch (err) {
+      if (err.response?.status === HTTP_STATUS.NOT_FOUND) {
+        setCertificate(null);
+        setStatus(VERIFICATION_STATUS.UNKNOWN);
+      } else {
+        console.error("Failed to verify certificate:", err);
+        setError("Verification service is unavailable. Please try again later.");
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [serial]);
+
+  useEffect(() => {
+    verify();
+  }, [verify]);
+
+  // =====================================================
+  // STATUS CONFIG
+  // =====================================================
+
+  const statusConfig = {
+    [VERIFICATION_STATUS.VALID]: {
+      icon: ShieldCheck,
+      color: "from-green-500 to-emerald-500",
+      title: "Certificate Verified",
+      description: "This certificate was issued by our learning centre.",
+    },
+    [VERIFICATION_STATUS.REVOKED]: {
+      icon: ShieldAlert,
+      color: "from-orange-500 to-red-500",
+      title: "Certificate Revoked",
+      description: "This certificate was issued but has since been revoked and is no longer valid.",
+    },
+    [VERIFICATION_STATUS.UNKNOWN]: {
+      icon: ShieldX,
+      color: "from-gray-500 to-gray-600",
+      title: "Certificate Not Found",
+      description: "No certificate was issued with this serial number. Check the number and try again.",
+    },
+  };
+
+  const details = certificate
+    ? [
+        { icon: User, label: "Student", value: certificate.student_name },
+        { icon: BookOpen, label: "Module", value: certificate.module_name },
+        { icon: MapPin, label: "Branch", value: certificate.branch_name || certificate.branch_code },
+        { icon: Calendar, label: "PTC Date", value: certificate.ptc_date ? formatDate(certificate.ptc_date, "dd MMMM yyyy") : "-" },
+      ]
+    : [];
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+
+  const renderResult = () => {
+    if (loading) {
+      return (
+        <div className="flex items-center justify-center py-12">
+          <Spinner size="large" />
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="text-center py-6">
+          <p className="text-secondary mb-4">{error}</p>
+          <Button variant="primary" size="medium" onClick={verify}>
+            Retry
+          </Button>
+        </div>
+      );
+    }
+
+    const config = statusConfig[status];
+    const StatusIcon = config.icon;
+
+    return (
+      <div className="space-y-6">
+        <div className="text-center">
+          <div className={`inline-flex items-center justify-center w-16 h-16 rounded-full bg-gradient-to-br ${config.color} shadow-lg mb-4`}>
+            <StatusIcon className="w-8 h-8 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-primary mb-1">{config.title}</h2>
+          <p className="text-sm text-secondary">{config.description}</p>
+        </div>
+
+        {details.length > 0 && (
+          <div className="divide-y divide-gray-200/30 dark:divide-white/5 rounded-xl border border-gray-200/50 dark:border-white/10 bg-white/30 dark:bg-white/5">
+            {details.map(({ icon, label, value }) => {
+              const Icon = icon;
+
+              return (
+                <div key={label} className="flex items-center gap-3 px-4 py-3">
+                  <Icon className="w-4 h-4 text-secondary flex-shrink-0" />
+                  <span className="text-sm text-secondary w-24">{label}</span>
+                  <span className="text-sm font-semibold text-primary">{value || "-"}</span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {status === VERIFICATION_STATUS.REVOKED && certificate?.revoked_reason && (
+          <div className="p-3 rounded-xl bg-status-error/10 text-sm text-status-error">Reason: {certificate.revoked_reason}</div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-base flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-8 border border-gray-200/50 dark:border-white/10 shadow-2xl">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-6">
+            <div className="flex items-center gap-2">
+              <div className="p-2 rounded-xl bg-gradient-to-br from-blue-500 to-cyan-500 shadow-lg">
+                <Sparkles className="w-6 h-6 text-white" />
+              </div>
+              <div>
+                <h1 className="text-lg font-bold text-primary">Certificate Verification</h1>
+                <p className="text-xs text-secondary">Certificate Management System</p>
+              </div>
+            </div>
+            <ThemeToggle />
+          </div>
+
+          {/* Serial */}
+          <div className="flex items-center justify-center gap-2 mb-6 px-3 py-2 rounded-xl bg-white/30 dark:bg-white/5 border border-gray-200/50 dark:border-white/10">
+            <Hash className="w-4 h-4 text-secondary" />
+            <span className="font-mono text-sm text-primary">{serial || "-"}</span>
+          </div>
+
+          {renderResult()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyCertificate;
@@ -0,0 +1,880 @@
+import { useState, useEffect, useRef, useMemo } from "react";
+import { useReactToPrint } from "react-to-print";
+import { toast } from "react-hot-toast";
+import { Printer, Search, Calendar, Package, Users, BookOpen, AlertCircle, ClipboardList, Plus, Trash2, X, Tag } from "lucide-react";
+import { useAuth } from "@hooks/useAuth";
+import { useCertificateTemplate } from "@hooks/useCertificateTemplate";
+import { useCertificateFonts } from "@hooks/useCertificateFonts";
+import { usePrinterCalibration } from "@hooks/usePrinterCalibration";
+import { useBranchPaperSize } from "@hooks/useBranchPaperSize";
+import { useStockReservation } from "@hooks/useStockReservation";
+import { useDuplicateAwardCheck } from "@hooks/useDuplicateAwardCheck";
+import { useLocalStorage } from "@hooks/useLocalStorage";
+import { getModulesForPrint, saveBatchPrintRecords } from "@api/printedCertApi";
+import { getCertificates } from "@api/certificateApi";
+import CertificatePreview from "@components/certificates/CertificatePreview";
+import StudentAutocomplete from "@components/certificates/StudentAutocomplete";
+import CertificateLanguageSelect from "@components/certificates/CertificateLanguageSelect";
+import PrintConfirmModal from "@components/certificates/PrintConfirmModal";
+import ReservationBadge from "@components/certificates/ReservationBadge";
+import DuplicateAwardBatchModal from "@components/certificates/DuplicateAwardBatchModal";
+import MedalLabelModal from "@components/certificates/MedalLabelModal";
+import NameCaseOption from "@components/certificates/NameCaseOption";
+import { validateRequired, validateDate } from "@utils/validators";
+import { generateCertificateSerial } from "@utils/certificateSerial";
+import { resolveCertificateLanguage } from "@utils/certificateLanguage";
+import { PAPER_SIZE_LABELS, normalizeTemplateLayout } from "@utils/certificateTemplate";
+import { normalizeNameCase } from "@utils/formatters";
+import { STORAGE_KEYS, REPRINT_REASON_LABELS } from "@utils/constants";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+
+/**
+ * Parse a pasted class roster into student names
+ * Accepts one name per line, strips list numbering ("1.", "2)", "-", "•")
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parseRoster = (text) => {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(\d+[.)]|[-•*])\s*/, "").trim())
+    .filter((line) => line.length > 0);
+};
+
+const BatchPrintCertificate = () => {
+  const { user } = useAuth();
+  const printRef = useRef(null);
+
+  // Form state
+  const [formData, setFormData] = useState({
+    certificateId: "",
+    moduleId: "",
+    ptcDate: new Date().toISOString().split("T")[0],
+  });
+
+  // Roster state
+  const [students, setStudents] = useState([]);
+  const [studentInput, setStudentInput] = useState("");
+  const [rosterText, setRosterText] = useState("");
+
+  // Data states
+  const [modules, setModules] = useState([]);
+  const [availableBatches, setAvailableBatches] = useState([]);
+  const [selectedBatch, setSelectedBatch] = useState(null);
+
+  // UI states
+  const [loading, setLoading] = useState(false);
+  const [loadingModules, setLoadingModules] = useState(true);
+  const [loadingBatches, setLoadingBatches] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [showPreview, setShowPreview] = useState(false);
+  const [showConfirm, setShowConfirm] = useState(false);
+
+  // Names typed in lowercase / ALL CAPS are capitalised when added
+  const [fixNameCase, setFixNameCase] = useLocalStorage(STORAGE_KEYS.NORMALIZE_NAME_CASE, false);
+
+  // Certificates saved since the page was opened - one medal label each
+  const [sessionLabels, setSessionLabels] = useState([]);
+  const [showLabels, setShowLabels] = useState(false);
+
+  // Stock for the whole batch is reserved while the preview is open
+  const { reservation, secondsLeft, isExpired, isReserving, reserve, release, clear } = useStockReservation();
+
+  // Students who already have a certificate for the module need a reason to print again
+  const { checkDuplicate } = useDuplicateAwardCheck();
+  const [duplicates, setDuplicates] = useState([]);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+
+  // =====================================================
+  // FETCH MODULES ON MOUNT
+  // =====================================================
+  useEffect(() => {
+    const fetchModules = async () => {
+      try {
+        setLoadingModules(true);
+        const response = await getModulesForPrint();
+
+        if (response.success) {
+          setModules(response.data || []);
+        }
+      } catch (error) {
+        console.error("Failed to fetch modules:", error);
+        toast.error("Failed to load modules");
+      } finally {
+        setLoadingModules(false);
+      }
+    };
+
+    fetchModules();
+  }, []);
+
+  // =====================================================
+  // FETCH AVAILABLE BATCHES WHEN CERTIFICATE ID CHANGES
+  // =====================================================
+  useEffect(() => {
+    if (formData.certificateId.trim().length >= 3) {
+      fetchAvailableBatches();
+    } else {
+      setAvailableBatches([]);
+      setSelectedBatch(null);
+    }
+  }, [formData.certificateId]);
+
+  const fetchAvailableBatches = async () => {
+    try {
+      setLoadingBatches(true);
+      const response = await getCertificates({
+        search: formData.certificateId,
+        limit: 50,
+      });
+
+      if (response.success && response.data) {
+        const filtered = response.data.filter((batch) => {
+          const matchesId = batch.certificate_id.toLowerCase().includes(formData.certificateId.toLowerCase());
+          const userStock = batch.stock_distribution?.find((s) => s.branch_code === user.teacher_branch);
+          const hasStock = userStock && userStock.jumlah_sertifikat > 0 && userStock.jumlah_medali > 0;
+
+          return matchesId && hasStock;
+        });
+
+        setAvailableBatches(filtered);
+
+        const exactMatch = filtered.find((b) => b.certificate_id.toLowerCase() === formData.certificateId.toLowerCase());
+
+        if (exactMatch) {
+          setSelectedBatch(exactMatch);
+        } else if (filtered.length === 1) {
+          setSelectedBatch(filtered[0]);
+        } else {
+          setSelectedBatch(null);
+        }
+      }
+    } catch (error) {
+      console.error("Failed to fetch batches:", error);
+    } finally {
+      setLoadingBatches(false);
+    }
+  };
+
+  // =====================================================
+  // RELEASE RESERVATION WHEN THE PREVIEW IS INVALIDATED
+  // =====================================================
+  // Editing the roster or form hides the preview, so the reserved
+  // quantity no longer matches what would be printed
+  useEffect(() => {
+    if (!showPreview) {
+      release();
+    }
+  }, [showPreview, release]);
+
+  // =====================================================
+  // DERIVED VALUES
+  // =====================================================
+  const selectedModule = useMemo(() => {
+    if (!formData.moduleId) return null;
+    return modules.find((m) => m.id === parseInt(formData.moduleId)) || null;
+  }, [formData.moduleId, modules]);
+
+  // Certificate layout for the selected module
+  const { layout: templateLayout } = useCertificateTemplate(selectedModule);
+  const { fontsReady, waitForFonts } = useCertificateFonts(templateLayout);
+
+  // Certificate language - defaults from the module, then the template
+  const [certificateLanguage, setCertificateLanguage] = useState(() => resolveCertificateLanguage(null, null));
+  useEffect(() => {
+    setCertificateLanguage(resolveCertificateLanguage(selectedModule, templateLayout));
+  }, [selectedModule, templateLayout]);
+
+  const handleLanguageChange = (language) => {
+    setCertificateLanguage(language);
+    setShowPreview(false);
+  };
+
+  // Printer correction for this branch + on-screen stationery outline
+  const { calibration } = usePrinterCalibration(user.teacher_branch);
+
+  // Branch paper size overrides the template's
+  const branchPaperSize = useBranchPaperSize(user.teacher_branch);
+  const previewPaperSize = branchPaperSize || normalizeTemplateLayout(templateLayout).page.paper_size;
+  const [showStationery, setShowStationery] = useState(false);
+
+  // Each printed page consumes one certificate AND one medal,
+  // so the job is limited by whichever of the two runs out first
+  const branchStock = useMemo(() => {
+    const stock = selectedBatch?.stock_distribution?.find((s) => s.branch_code === user.teacher_branch);
+    const certificates = stock?.jumlah_sertifikat || 0;
+    const medals = stock?.jumlah_medali || 0;
+    const reservedCertificates = stock?.reserved_sertifikat || 0;
+    const reservedMedals = stock?.reserved_medali || 0;
+
+    return {
+      certificates,
+      medals,
+      reservedCertificates,
+      reservedMedals,
+      printable: Math.min(certificates, medals),
+    };
+  }, [selectedBatch, user.teacher_branch]);
+
+  const exceedsStock = selectedBatch && students.length > branchStock.printable;
+
+  // =====================================================
+  // FORM HANDLERS
+  // =====================================================
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    // A duplicate override only covers the module it was given for
+    if (name === "moduleId") {
+      setStudents((prev) => prev.map((s) => ({ ...s, duplicate_override: null })));
+    }
+
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: "",
+      }));
+    }
+
+    setShowPreview(false);
+  };
+
+  // =====================================================
+  // ROSTER HANDLERS
+  // =====================================================
+
+  /**
+   * Add students to the roster, skipping names that are already listed.
+   * Each student gets the serial number that will be printed on their certificate.
+   * @param {Array<{student_name: string, student_id: number|null}>} entries
+   * @returns {number} Number of students actually added
+   */
+  const addStudents = (entries) => {
+    const existing = new Set(students.map((s) => s.student_name.toLowerCase()));
+    const added = [];
+
+    entries.forEach((entry) => {
+      const name = fixNameCase ? normalizeNameCase(entry.student_name.trim()) : entry.student_name.trim();
+      if (name.length < 3 || existing.has(name.toLowerCase())) return;
+
+      existing.add(name.toLowerCase());
+      added.push({
+        student_name: name,
+        student_id: entry.student_id || null,
+        serial_number: generateCertificateSerial(),
+      });
+    });
+
+    setStudents((prev) => [...prev, ...added]);
+
+    if (errors.students) {
+      setErrors((prev) => ({ ...prev, students: "" }));
+    }
+    setShowPreview(false);
+
+    return added.length;
+  };
+
+  const handleStudentSelect = (student) => {
+    addStudents([{ student_name: student.student_name, student_id: student.id }]);
+    setStudentInput("");
+  };
+
+  const handleAddTypedStudent = () => {
+    if (studentInput.trim().length < 3) {
+      toast.error("Student name must be at least 3 characters");
+      return;
+    }
+
+    addStudents([{ student_name: studentInput, student_id: null }]);
+    setStudentInput("");
+  };
+
+  const handleImportRoster = () => {
+    const names = parseRoster(rosterText);
+
+    if (names.length === 0) {
+      toast.error("Paste at least one student name (one per line)");
+      return;
+    }
+
+    const added = addStudents(names.map((name) => ({ student_name: name, student_id: null })));
+    const skipped = names.length - added;
+
+    toast.success(`${added} student(s) added${skipped > 0 ? `, ${skipped} skipped (duplicate or too short)` : ""}`);
+    setRosterText("");
+  };
+
+  const handleRemoveStudent = (name) => {
+    setStudents((prev) => prev.filter((s) => s.student_name !== name));
+    setShowPreview(false);
+  };
+
+  const handleFixNameCaseChange = (checked) => {
+    setFixNameCase(checked);
+
+    // Apply to the students already on the roster
+    if (checked && students.some((s) => normalizeNameCase(s.student_name) !== s.student_name)) {
+      setStudents((prev) => prev.map((s) => ({ ...s, student_name: normalizeNameCase(s.student_name) })));
+      setShowPreview(false);
+    }
+  };
+
+  const handleClearStudents = () => {
+    setStudents([]);
+    setShowPreview(false);
+  };
+
+  // =====================================================
+  // VALIDATION
+  // =====================================================
+  const validateForm = () => {
+    const newErrors = {};
+
+    const certIdValidation = validateRequired(formData.certificateId, "Certificate ID");
+    if (!certIdValidation.valid) {
+      newErrors.certificateId = certIdValidation.message;
+    } else if (!selectedBatch) {
+      newErrors.certificateId = "No available batch found with stock for this ID";
+    }
+
+    const moduleValidation = validateRequired(formData.moduleId, "Module");
+    if (!moduleValidation.valid) {
+      newErrors.moduleId = moduleValidation.message;
+    }
+
+    const dateValidation = validateDate(formData.ptcDate, "PTC Date");
+    if (!dateValidation.valid) {
+      newErrors.ptcDate = dateValidation.message;
+    }
+
+    if (students.length === 0) {
+      newErrors.students = "Add at least one student to the batch";
+    } else if (selectedBatch && students.length > branchStock.printable) {
+      newErrors.students = `Batch needs ${students.length} certificates and medals, but only ${branchStock.printable} can be printed from ${user.teacher_branch} stock`;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // =====================================================
+  // PREVIEW HANDLER
+  // =====================================================
+  const handlePreview = async () => {
+    if (!validateForm()) {
+      toast.error("Please fix the errors before previewing");
+      return;
+    }
+
+    // Students already cleared with a reason are not checked again
+    const unchecked = students.filter((s) => !s.duplicate_override);
+    if (unchecked.length > 0) {
+      setCheckingDuplicates(true);
+      const moduleId = parseInt(formData.moduleId);
+      const results = await Promise.all(
+        unchecked.map(async (s) => ({
+          student_name: s.student_name,
+          existingRecord: await checkDuplicate({ studentId: s.student_id, studentName: s.student_name, moduleId }),
+        })),
+      );
+      setCheckingDuplicates(false);
+
+      const found = results.filter((r) => r.existingRecord);
+      if (found.length > 0) {
+        setDuplicates(found);
+        return;
+      }
+    }
+
+    await openPreview();
+  };
+
+  const openPreview = async () => {
+    // Hold one certificate + medal per student for the duration of the print job;
+    // an expired hold is no longer valid, so reserve again
+    if (!reservation || isExpired || reservation.certificate_id !== selectedBatch.certificate_id || reservation.quantity !== students.length) {
+      try {
+        await reserve({
+          certificate_id: selectedBatch.certificate_id,
+          branch_code: user.teacher_branch,
+          quantity: students.length,
+        });
+      } catch (error) {
+        console.error("Failed to reserve stock:", error);
+        fetchAvailableBatches();
+        return;
+      }
+    }
+
+    setShowPreview(true);
+    toast.success(`Preview ready: ${students.length} certificate(s) reserved. Review before printing.`, {
+      icon: "👀",
+    });
+  };
+
+  const handleDuplicateConfirm = async (override) => {
+    const byName = new Map(duplicates.map((d) => [d.student_name, d.existingRecord]));
+    const updated = students.map((s) => (byName.has(s.student_name) ? { ...s, duplicate_override: { existing_record_id: byName.get(s.student_name).id || null, ...override } } : s));
+
+    setStudents(updated);
+    setDuplicates([]);
+
+    // Every remaining student was checked in handlePreview
+    if (updated.length > 0) {
+      await openPreview();
+    }
+  };
+
+  const handleDuplicateRemove = () => {
+    const names = new Set(duplicates.map((d) => d.student_name));
+    const remaining = students.filter((s) => !names.has(s.student_name));
+
+    setStudents(remaining);
+    setDuplicates([]);
+    toast(`${names.size} student(s) removed from the batch`, { icon: "ℹ️" });
+  };
+
+  const handleDuplicateCancel = () => {
+    setDuplicates([]);
+  };
+
+  const handleCancelPreview = () => {
+    // The release itself happens in the effect above
+    setShowPreview(false);
+    fetchAvailableBatches();
+  };
+
+  // =====================================================
+  // PRINT HANDLER
+  // =====================================================
+  const handlePrint = useReactToPrint({
+    contentRef: printRef,
+    documentTitle: `Certificates_${formData.certificateId}_${students.length}_students`,
+    onBeforePrint: async () => {
+      if (!validateForm()) {
+        toast.error("Please fix the errors before printing");
+        throw new Error("Validation failed");
+      }
+
+      // A certificate printed in a fallback font is wasted
+      if (!(await waitForFonts())) {
+        toast.error("Certificate fonts are not loaded yet - check the connection and try again");
+        throw new Error("Fonts not ready");
+      }
+    },
+    onAfterPrint: () => {
+      // Also fires when the print dialog is cancelled - let the teacher confirm
+      setShowConfirm(true);
+    },
+    onPrintError: (errorLocation, error) => {
+      console.error("Print error:", errorLocation, error);
+      toast.error("Print cancelled or failed");
+    },
+  });
+
+  // =====================================================
+  // CONFIRM / RELEASE AFTER PRINT DIALOG
+  // =====================================================
+  const handleReleasePrint = () => {
+    setShowConfirm(false);
+    setShowPreview(false);
+    toast("Print cancelled - reserved stock released", { icon: "↩️" });
+    fetchAvailableBatches();
+  };
+
+  const handlePrintAgain = () => {
+    setShowConfirm(false);
+    handlePrint();
+  };
+
+  // =====================================================
+  // SAVE PRINT RECORDS (COMMITS THE RESERVATION)
+  // =====================================================
+  const handleSaveBatchRecords = async () => {
+    try {
+      setLoading(true);
+
+      const payload = {
+        certificate_id: selectedBatch.certificate_id,
+        module_id: parseInt(formData.moduleId),
+        ptc_date: formData.ptcDate,
+        language: certificateLanguage,
+        reservation_id: reservation?.id || null,
+        students: students.map((s) => ({
+          student_name: s.student_name,
+          student_id: s.student_id,
+          serial_number: s.serial_number,
+          duplicate_override: s.duplicate_override || null,
+        })),
+      };
+
+      const response = await saveBatchPrintRecords(payload);
+
+      // The backend commits the saved records and returns the rest of the reservation
+      clear();
+      setShowConfirm(false);
+      const results = response.data?.results || [];
+      const failed = results.filter((r) => !r.success);
+      const savedCount = results.length > 0 ? results.length - failed.length : students.length;
+
+      // One medal label per saved certificate of this session
+      const failedNames = new Set(failed.map((r) => r.student_name));
+      setSessionLabels((prev) => [
+        ...prev,
+        ...students.filter((s) => !failedNames.has(s.student_name)).map((s) => ({ student_name: s.student_name, module_name: selectedModule?.name || "", ptc_date: formData.ptcDate })),
+      ]);
+
+      if (failed.length === 0) {
+        toast.success(`${savedCount} certificate(s) recorded and stock updated`, { duration: 4000 });
+
+        setStudents([]);
+        setShowPreview(false);
+        setErrors({});
+      } else {
+        // Keep only the failed students so they can be retried
+        setStudents((prev) => prev.filter((s) => failedNames.has(s.student_name)));
+        setShowPreview(false);
+
+        toast.error(`${savedCount} saved, ${failed.length} failed: ${failed.map((r) => `${r.student_name} (${r.message || "error"})`).join(", ")}`, { duration: 8000 });
+      }
+
+      fetchAvailableBatches();
+    } catch (error) {
+      console.error("Failed to save batch print records:", error);
+      toast.error(error.response?.data?.message || "Failed to save print records", { duration: 5000 });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // =====================================================
+  // LOADING STATE
+  // =====================================================
+  if (loadingModules) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Spinner size="large" />
+      </div>
+    );
+  }
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-primary">Batch Print Certificates</h1>
+            <p className="text-secondary mt-1">Print certificates for a whole class in one job with automatic stock deduction per student</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Main Content Grid */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {/* LEFT: Form Section */}
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+          <h2 className="text-lg font-semibold text-primary mb-4 flex items-center gap-2">
+            <Package className="w-5 h-5 text-blue-600" />
+            Batch Details
+          </h2>
+
+          <form className="space-y-4" onSubmit={(e) => e.preventDefault()}>
+            {/* Certificate ID Input */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <Search className="inline mr-1 w-4 h-4" />
+                Certificate Batch ID <span className="text-status-error">*</span>
+              </label>
+              <input
+                type="text"
+                name="certificateId"
+                value={formData.certificateId}
+                onChange={handleInputChange}
+                placeholder="e.g., CERT-2024-001"
+                className={`w-full px-4 py-2 bg-white/50 dark:bg-white/5 border ${
+                  errors.certificateId ? "border-status-error" : "border-gray-200 dark:border-white/10"
+                } rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50`}
+                disabled={loading}
+              />
+              {errors.certificateId && <p className="text-sm text-status-error mt-1">{errors.certificateId}</p>}
+
+              {loadingBatches && <p className="text-sm text-secondary mt-2">Searching batches...</p>}
+
+              {!loadingBatches && formData.certificateId.length >= 3 && (
+                <div className="mt-2">
+                  {selectedBatch ? (
+                    <div className="backdrop-blur-sm bg-green-500/10 border border-green-500/30 rounded-xl p-3">
+                      <p className="text-sm font-medium text-green-600 dark:text-green-400">✓ Batch Found: {selectedBatch.certificate_id}</p>
+                      <p className="text-xs text-secondary mt-1">
+                        Stock at {user.teacher_branch}: {branchStock.certificates} certificates
+                        {branchStock.reservedCertificates > 0 && <span className="text-blue-600 dark:text-blue-400"> ({branchStock.reservedCertificates} reserved)</span>}, {branchStock.medals} medals
+                        {branchStock.reservedMedals > 0 && <span className="text-blue-600 dark:text-blue-400"> ({branchStock.reservedMedals} reserved)</span>} ({branchStock.printable} printable)
+                      </p>
+                    </div>
+                  ) : availableBatches.length > 0 ? (
+                    <div className="backdrop-blur-sm bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-3">
+                      <p className="text-sm font-medium text-yellow-600 dark:text-yellow-400">Multiple batches found ({availableBatches.length})</p>
+                      <select
+                        onChange={(e) => {
+                          const batch = availableBatches.find((b) => b.certificate_id === e.target.value);
+                          setSelectedBatch(batch);
+                          setFormData((prev) => ({
+                            ...prev,
+                            certificateId: e.target.value,
+                          }));
+                        }}
+                        className="w-full mt-2 px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary focus:outline-none focus:ring-2 focus:ring-primary/50"
+                      >
+                        <option value="">Select a batch...</option>
+                        {availableBatches.map((batch) => (
+                          <option key={batch.certificate_id} value={batch.certificate_id}>
+                            {batch.certificate_id} ({batch.stock_distribution?.find((s) => s.branch_code === user.teacher_branch)?.jumlah_sertifikat} certs,{" "}
+                            {batch.stock_distribution?.find((s) => s.branch_code === user.teacher_branch)?.jumlah_medali} medals)
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ) : (
+                    <div className="backdrop-blur-sm bg-red-500/10 border border-red-500/30 rounded-xl p-3">
+                      <p className="text-sm font-medium text-status-error">✗ No batch found with available stock</p>
+                      <p className="text-xs text-secondary mt-1">Check if batch exists and has stock at {user.teacher_branch}</p>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Module Dropdown */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <BookOpen className="inline mr-1 w-4 h-4" />
+                Module <span className="text-status-error">*</span>
+              </label>
+              <select
+                name="moduleId"
+                value={formData.moduleId}
+                onChange={handleInputChange}
+                className={`w-full px-4 py-2 bg-white dark:bg-gray-800 border ${
+                  errors.moduleId ? "border-status-error" : "border-gray-200 dark:border-white/10"
+                } rounded-xl text-primary focus:outline-none focus:ring-2 focus:ring-primary/50`}
+                disabled={loading}
+              >
+                <option value="" className="bg-white dark:bg-gray-800 text-gray-900 dark:text-white">
+                  Select module...
+                </option>
+                {modules.map((module) => (
+                  <option key={module.id} value={module.id} className="bg-white dark:bg-gray-800 text-gray-900 dark:text-white">
+                    {module.module_code || module.name} - {module.module_name}
+                  </option>
+                ))}
+              </select>
+              {errors.moduleId && <p className="text-sm text-status-error mt-1">{errors.moduleId}</p>}
+            </div>
+
+            {/* Certificate Language */}
+            <CertificateLanguageSelect value={certificateLanguage} onChange={handleLanguageChange} module={selectedModule} disabled={loading} />
+
+            {/* PTC Date */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <Calendar className="inline mr-1 w-4 h-4" />
+                PTC Date <span className="text-status-error">*</span>
+              </label>
+              <input
+                type="date"
+                name="ptcDate"
+                value={formData.ptcDate}
+                onChange={handleInputChange}
+                className={`w-full px-4 py-2 bg-white/50 dark:bg-white/5 border ${
+                  errors.ptcDate ? "border-status-error" : "border-gray-200 dark:border-white/10"
+                } rounded-xl text-primary focus:outline-none focus:ring-2 focus:ring-primary/50`}
+                disabled={loading}
+              />
+              {errors.ptcDate && <p className="text-sm text-status-error mt-1">{errors.ptcDate}</p>}
+            </div>
+
+            {/* Add Student */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <Users className="inline mr-1 w-4 h-4" />
+                Add Student <span className="text-status-error">*</span>
+              </label>
+              <div className="flex gap-2">
+                <div className="flex-1">
+                  <StudentAutocomplete value={studentInput} onChange={(e) => setStudentInput(e.target.value)} onSelect={handleStudentSelect} branchCode={user.teacher_branch} disabled={loading} />
+                </div>
+                <Button type="button" variant="ghost" size="medium" icon={<Plus className="w-4 h-4" />} onClick={handleAddTypedStudent} disabled={loading || !studentInput.trim()}>
+                  Add
+                </Button>
+              </div>
+              <NameCaseOption checked={fixNameCase} onChange={handleFixNameCaseChange} disabled={loading} />
+            </div>
+
+            {/* Paste Roster */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <ClipboardList className="inline mr-1 w-4 h-4" />
+                Paste Class Roster
+              </label>
+              <textarea
+                value={rosterText}
+                onChange={(e) => setRosterText(e.target.value)}
+                rows={4}
+                placeholder={"One student name per line\n1. Andi Pratama\n2. Siti Rahma"}
+                className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+                disabled={loading}
+              />
+              <div className="flex justify-end mt-2">
+                <Button type="button" variant="ghost" size="small" icon={<Plus className="w-4 h-4" />} onClick={handleImportRoster} disabled={loading || !rosterText.trim()}>
+                  Add from List
+                </Button>
+              </div>
+            </div>
+
+            {/* Student List */}
+            <div className={`backdrop-blur-sm bg-white/20 dark:bg-white/5 rounded-xl border ${errors.students || exceedsStock ? "border-status-error" : "border-gray-200/30 dark:border-white/5"}`}>
+              <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/30 dark:border-white/5">
+                <p className="text-sm font-semibold text-primary">
+                  Students in batch: {students.length}
+                  {selectedBatch && <span className="font-normal text-secondary"> / {branchStock.printable} available</span>}
+                </p>
+                {students.length > 0 && (
+                  <Button type="button" variant="ghost" size="small" icon={<Trash2 className="w-4 h-4" />} onClick={handleClearStudents} disabled={loading}>
+                    Clear
+                  </Button>
+                )}
+              </div>
+
+              {students.length === 0 ? (
+                <p className="text-sm text-secondary text-center py-6">No students added yet</p>
+              ) : (
+                <ul className="max-h-60 overflow-y-auto divide-y divide-gray-200/30 dark:divide-white/5">
+                  {students.map((student, index) => (
+                    <li key={student.student_name} className="flex items-center justify-between px-4 py-2">
+                      <div className="flex items-center gap-2 min-w-0">
+                        <span className="text-xs text-secondary w-6">{index + 1}.</span>
+                        <span className="text-sm text-primary truncate">{student.student_name}</span>
+                        {student.student_id && <span className="text-xs text-green-600 dark:text-green-400">✓ linked</span>}
+                        {student.duplicate_override && <span className="text-xs text-yellow-600 dark:text-yellow-400">duplicate - {REPRINT_REASON_LABELS[student.duplicate_override.reason]}</span>}
+                      </div>
+                      <button type="button" onClick={() => handleRemoveStudent(student.student_name)} className="p-1 rounded-lg text-secondary hover:text-status-error transition-colors" disabled={loading} aria-label={`Remove ${student.student_name}`}>
+                        <X className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            {errors.students && <p className="text-sm text-status-error">{errors.students}</p>}
+            {!errors.students && exceedsStock && (
+              <p className="text-sm text-status-error">
+                Not enough stock at {user.teacher_branch}: remove {students.length - branchStock.printable} student(s) or choose another batch
+              </p>
+            )}
+
+            {/* Action Buttons */}
+            <div className="flex gap-3 pt-4">
+              <Button type="button" onClick={handlePreview} disabled={loading || isReserving || checkingDuplicates} loading={isReserving || checkingDuplicates} variant="secondary" size="medium" className="flex-1">
+                Preview All ({students.length})
+              </Button>
+
+              <Button type="button" onClick={() => handlePrint()} disabled={loading || !showPreview || !reservation || isExpired || exceedsStock} variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} loading={loading} className="flex-1">
+                Print & Save All
+              </Button>
+            </div>
+
+            {!showPreview && <p className="text-sm text-secondary text-center">Preview all certificates before printing</p>}
+            {showPreview && !fontsReady && <p className="text-xs text-secondary text-center">Loading certificate fonts...</p>}
+            {showPreview && reservation && isExpired && <p className="text-xs text-status-error text-center">The reservation expired - preview again to reserve the stock</p>}
+            {sessionLabels.length > 0 && (
+              <Button type="button" variant="outline" size="medium" fullWidth icon={<Tag className="w-4 h-4" />} onClick={() => setShowLabels(true)}>
+                Medal Labels for this Session ({sessionLabels.length})
+              </Button>
+            )}
+            {showPreview && reservation && (
+              <div className="flex items-center justify-center gap-3">
+                <ReservationBadge quantity={reservation.quantity || students.length} secondsLeft={secondsLeft} />
+                <button type="button" onClick={handleCancelPreview} className="text-xs text-secondary hover:text-status-error underline" disabled={loading}>
+                  Cancel &amp; release
+                </button>
+              </div>
+            )}
+          </form>
+        </div>
+
+        {/* RIGHT: Preview Section */}
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-primary">
+              Print Preview ({PAPER_SIZE_LABELS[previewPaperSize]} Landscape){showPreview && ` - ${students.length} page(s)`}
+            </h2>
+            <label className="flex items-center gap-2 text-sm text-secondary">
+              <input type="checkbox" checked={showStationery} onChange={(e) => setShowStationery(e.target.checked)} className="rounded" />
+              Show stationery
+            </label>
+          </div>
+
+          {showPreview && selectedModule ? (
+            <div className="max-h-[80vh] overflow-auto border-2 border-gray-200/50 dark:border-white/10 rounded-xl bg-white/20 dark:bg-white/5">
+              <div ref={printRef}>
+                {students.map((student) => (
+                  <CertificatePreview key={student.student_name} studentName={student.student_name} moduleName={selectedModule.name} moduleCode={selectedModule.name} moduleNameTranslations={selectedModule.module_name_translations} division={selectedModule.division} ptcDate={formData.ptcDate} serialNumber={student.serial_number} language={certificateLanguage} layout={templateLayout} calibration={calibration} showStationery={showStationery} paperSize={branchPaperSize} />
+                ))}
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center h-96 bg-white/20 dark:bg-white/5 rounded-xl border-2 border-dashed border-gray-200/50 dark:border-white/10">
+              <div className="text-center text-secondary">
+                <Package className="mx-auto w-12 h-12 mb-3 opacity-50" />
+                <p className="text-lg font-medium">No Preview Yet</p>
+                <p className="text-sm mt-1">Add students and click Preview to see all certificates</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Medal Labels */}
+      <MedalLabelModal isOpen={showLabels} onClose={() => setShowLabels(false)} entries={sessionLabels} title="Medal Labels - This Session" />
+
+      {/* Duplicate Award Check */}
+      {duplicates.length > 0 && <DuplicateAwardBatchModal isOpen duplicates={duplicates} moduleName={selectedModule?.name} onCancel={handleDuplicateCancel} onRemove={handleDuplicateRemove} onConfirm={handleDuplicateConfirm} />}
+
+      {/* Print Confirmation */}
+      <PrintConfirmModal isOpen={showConfirm} quantity={students.length} secondsLeft={secondsLeft} onConfirm={handleSaveBatchRecords} onRelease={handleReleasePrint} onPrintAgain={handlePrintAgain} loading={loading} />
+
+      {/* Info Box */}
+      <div className="backdrop-blur-md bg-blue-500/10 border border-blue-500/30 rounded-2xl p-4 shadow-lg">
+        <div className="flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+          <div>
+            <h3 className="font-medium text-primary mb-2">ℹ️ Important Notes:</h3>
+            <ul className="text-sm text-secondary space-y-1">
+              <li>• Previewing reserves 1 certificate AND 1 medal per student; they are deducted once you confirm the print succeeded</li>
+              <li>• Changing the roster or cancelling the print releases the reservation</li>
+              <li>• The batch cannot contain more students than the stock available at {user.teacher_branch}</li>
+              <li>• Medal labels for every saved student can be printed on a sticker sheet afterwards</li>
+              <li>• Duplicate names in the roster are added only once</li>
+              <li>• Students who already have a certificate for the module are listed before preview; print them again only with a reason, which is logged</li>
+              <li>• If some records fail to save, only those students stay in the list so you can retry</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchPrintCertificate;
@@ -1,8 +1,1011 @@
+import { useEffect, useState, useCallback, useRef } from "react";
+import { useReactToPrint } from "react-to-print";
+import { toast } from "react-hot-toast";
+import { History, Search, X, Calendar, ChevronLeft, ChevronRight, AlertCircle, Award, Eye, Printer, User, BookOpen, MapPin, Package, Hash, Clock, Ban, Link2, RotateCcw, Tag } from "lucide-react";
+import { useAuth } from "@hooks/useAuth";
+import { useDebounce } from "@hooks/useDebounce";
+import { useCertificateTemplate } from "@hooks/useCertificateTemplate";
+import { useCertificateFonts } from "@hooks/useCertificateFonts";
+import { usePrinterCalibration } from "@hooks/usePrinterCalibration";
+import { useBranchPaperSize } from "@hooks/useBranchPaperSize";
+import { useStockReservation } from "@hooks/useStockReservation";
+import { getPrintHistory, getPrintRecordById, getModulesForPrint, voidPrintRecord, reprintPrintRecord, logPrintRecordReprint } from "@api/printedCertApi";
+import CertificatePreview from "@components/certificates/CertificatePreview";
+import ReprintReasonFields from "@components/certificates/ReprintReasonFields";
+import MedalLabelModal from "@components/certificates/MedalLabelModal";
+import PrintConfirmModal from "@components/certificates/PrintConfirmModal";
+import ReservationBadge from "@components/certificates/ReservationBadge";
+import Button from "@components/common/Button";
+import Spinner from "@components/common/Spinner";
+import Input from "@components/common/Input";
+import Modal from "@components/common/Modal";
+import Drawer from "@components/common/Drawer";
+import { formatDate, formatDateTime } from "@utils/formatters";
+import { validateRequired, validateDate, validateReprintReason } from "@utils/validators";
+import { generateCertificateSerial } from "@utils/certificateSerial";
+import { DATE_FORMATS, PRINT_STATUS, VOID_REASONS, VOID_REASON_LABELS, VOID_STOCK_ACTIONS, VOID_STOCK_ACTION_LABELS } from "@utils/constants";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
 const HistoryPrint = () => {
+  const { getUserBranches } = useAuth();
+  const branches = getUserBranches();
+  const printRef = useRef();
+
+  // =====================================================
+  // STATE MANAGEMENT
+  // =====================================================
+  const [records, setRecords] = useState([]);
+  const [modules, setModules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Pagination state
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    pageSize: 10,
+    total: 0,
+    totalPages: 0,
+  });
+
+  // Search & filter state
+  const [searchTerm, setSearchTerm] = useState("");
+  const debouncedSearch = useDebounce(searchTerm, 500);
+  const [batchSearch, setBatchSearch] = useState("");
+  const debouncedBatch = useDebounce(batchSearch, 500);
+  const [filters, setFilters] = useState({
+    moduleId: "",
+    branchCode: "",
+    startDate: "",
+    endDate: "",
+  });
+
+  // Detail drawer state
+  const [detailRecord, setDetailRecord] = useState(null);
+  const [loadingDetail, setLoadingDetail] = useState(false);
+
+  // Void state
+  const [voidTarget, setVoidTarget] = useState(null);
+  const [voidForm, setVoidForm] = useState({ reason: "", notes: "", stockAction: VOID_STOCK_ACTIONS.WASTE });
+  const [voidErrors, setVoidErrors] = useState({});
+  const [voiding, setVoiding] = useState(false);
+
+  // Medal labels for past sessions - selection is kept across pages (id => label)
+  const [labelSelection, setLabelSelection] = useState({});
+  const [showLabels, setShowLabels] = useState(false);
+
+  // Reprint state
+  // A voided record is reprinted as a linked replacement (new serial, stock deducted);
+  // an active record is reprinted as an identical copy (1 certificate deducted)
+  const [reprintRecord, setReprintRecord] = useState(null);
+  const [replacement, setReplacement] = useState({ studentName: "", ptcDate: "", serialNumber: "" });
+  const [replacementErrors, setReplacementErrors] = useState({});
+  const [savingReprint, setSavingReprint] = useState(false);
+  const isReplacement = reprintRecord?.status === PRINT_STATUS.VOIDED;
+
+  // The replacement's stock is reserved when it is sent to the printer and
+  // committed only once the teacher confirms the print came out
+  const { reservation, secondsLeft, isExpired, isReserving, reserve, release, clear } = useStockReservation();
+  const [showConfirm, setShowConfirm] = useState(false);
+
+  // Copies of an active record need a reason for the log
+  const [copyReason, setCopyReason] = useState({ reason: "", notes: "" });
+  const [copyReasonError, setCopyReasonError] = useState("");
+
+  // Template for the record being reprinted
+  const reprintModule = reprintRecord ? { id: reprintRecord.module_id, division: reprintRecord.module_division } : null;
+  const { layout: templateLayout } = useCertificateTemplate(reprintModule);
+  const { fontsReady, waitForFonts } = useCertificateFonts(templateLayout);
+
+  // Reprints come out of the record's branch printer
+  const { calibration } = usePrinterCalibration(reprintRecord?.branch_code);
+  const paperSize = useBranchPaperSize(reprintRecord?.branch_code);
+
+  // =====================================================
+  // DATA FETCHING
+  // =====================================================
+
+  useEffect(() => {
+    const fetchModules = async () => {
+      try {
+        const response = await getModulesForPrint();
+        if (response.success) {
+          setModules(response.data || []);
+        }
+      } catch (err) {
+        console.error("Failed to fetch modules:", err);
+      }
+    };
+
+    fetchModules();
+  }, []);
+
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = {
+        page: pagination.currentPage,
+        limit: pagination.pageSize,
+      };
+
+      if (debouncedSearch.trim()) params.search = debouncedSearch.trim();
+      if (debouncedBatch.trim()) params.certificate_id = debouncedBatch.trim();
+      if (filters.moduleId) params.module_id = filters.moduleId;
+      if (filters.branchCode) params.branch_code = filters.branchCode;
+      if (filters.startDate) params.start_date = filters.startDate;
+      if (filters.endDate) params.end_date = filters.endDate;
+
+      const response = await getPrintHistory(params);
+
+      if (response.success) {
+        setRecords(response.data || []);
+
+        const paginationData = response.pagination || response.meta?.pagination || {};
+        const total = paginationData.total || 0;
+
+        setPagination((prev) => ({
+          ...prev,
+          total,
+          totalPages: paginationData.totalPages || Math.ceil(total / prev.pageSize) || 1,
+        }));
+      }
+    } catch (err) {
+      console.error("Failed to fetch print history:", err);
+      setError("Failed to load print history. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.currentPage, pagination.pageSize, debouncedSearch, debouncedBatch, filters]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // =====================================================
+  // HANDLERS - SEARCH & FILTERS
+  // =====================================================
+
+  const resetToFirstPage = () => {
+    setPagination((prev) => ({ ...prev, currentPage: 1 }));
+  };
+
+  const handleSearchChange = (e) => {
+    setSearchTerm(e.target.value);
+    resetToFirstPage();
+  };
+
+  const handleBatchChange = (e) => {
+    setBatchSearch(e.target.value);
+    resetToFirstPage();
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    resetToFirstPage();
+  };
+
+  const handleClearFilters = () => {
+    setSearchTerm("");
+    setBatchSearch("");
+    setFilters({ moduleId: "", branchCode: "", startDate: "", endDate: "" });
+    resetToFirstPage();
+  };
+
+  const hasActiveFilters = searchTerm || batchSearch || filters.moduleId || filters.branchCode || filters.startDate || filters.endDate;
+
+  // =====================================================
+  // HANDLERS - PAGINATION
+  // =====================================================
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= pagination.totalPages) {
+      setPagination((prev) => ({ ...prev, currentPage: newPage }));
+    }
+  };
+
+  // =====================================================
+  // HANDLERS - MEDAL LABELS
+  // =====================================================
+
+  const toLabelEntry = (record) => ({
+    student_name: record.student_name,
+    module_name: record.module_name || record.module_code || "",
+    ptc_date: record.ptc_date,
+  });
+
+  const toggleLabel = (record) => {
+    setLabelSelection((prev) => {
+      const next = { ...prev };
+      if (next[record.id]) {
+        delete next[record.id];
+      } else {
+        next[record.id] = toLabelEntry(record);
+      }
+      return next;
+    });
+  };
+
+  const toggleAllLabels = (checked) => {
+    setLabelSelection((prev) => {
+      const next = { ...prev };
+      records
+        .filter((record) => !isVoided(record))
+        .forEach((record) => {
+          if (checked) {
+            next[record.id] = toLabelEntry(record);
+          } else {
+            delete next[record.id];
+          }
+        });
+      return next;
+    });
+  };
+
+  // =====================================================
+  // HANDLERS - DETAIL DRAWER
+  // =====================================================
+
+  const openDetail = async (record) => {
+    // Show the row data immediately, then replace with the full record
+    setDetailRecord(record);
+    setLoadingDetail(true);
+
+    try {
+      const response = await getPrintRecordById(record.id);
+      if (response.success && response.data) {
+        setDetailRecord(response.data);
+      }
+    } catch (err) {
+      console.error("Failed to fetch print record:", err);
+    } finally {
+      setLoadingDetail(false);
+    }
+  };
+
+  const closeDetail = useCallback(() => {
+    setDetailRecord(null);
+  }, []);
+
+  // =====================================================
+  // HANDLERS - REPRINT
+  // =====================================================
+
+  const openReprint = (record) => {
+    setDetailRecord(null);
+    setReprintRecord(record);
+    setReplacementErrors({});
+    setCopyReason({ reason: "", notes: "" });
+    setCopyReasonError("");
+
+    if (record.status === PRINT_STATUS.VOIDED) {
+      setReplacement({
+        studentName: record.student_name || "",
+        ptcDate: (record.ptc_date || "").split("T")[0],
+        serialNumber: generateCertificateSerial(),
+      });
+    }
+  };
+
+  const closeReprint = useCallback(() => {
+    setReprintRecord(null);
+    setShowConfirm(false);
+    release();
+  }, [release]);
+
+  const handleReplacementChange = (e) => {
+    const { name, value } = e.target;
+    setReplacement((prev) => ({ ...prev, [name]: value }));
+    setReplacementErrors((prev) => ({ ...prev, [name]: "" }));
+  };
+
+  const validateReplacement = () => {
+    const errors = {};
+
+    const nameValidation = validateRequired(replacement.studentName, "Student name");
+    if (!nameValidation.valid) {
+      errors.studentName = nameValidation.message;
+    } else if (replacement.studentName.trim().length < 3) {
+      errors.studentName = "Student name must be at least 3 characters";
+    }
+
+    const dateValidation = validateDate(replacement.ptcDate, "PTC Date");
+    if (!dateValidation.valid) {
+      errors.ptcDate = dateValidation.message;
+    }
+
+    setReplacementErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const saveReplacement = async () => {
+    try {
+      setSavingReprint(true);
+
+      const response = await reprintPrintRecord(reprintRecord.id, {
+        student_name: replacement.studentName.trim(),
+        ptc_date: replacement.ptcDate,
+        serial_number: replacement.serialNumber,
+        reservation_id: reservation?.id || null,
+      });
+
+      if (response.success) {
+        clear();
+        setShowConfirm(false);
+        toast.success("Replacement printed and linked to the voided record");
+        setReprintRecord(null);
+        fetchHistory();
+      }
+    } catch (err) {
+      console.error("Failed to save replacement print:", err);
+    } finally {
+      setSavingReprint(false);
+    }
+  };
+
+  const logCopyReprint = async () => {
+    try {
+      setSavingReprint(true);
+
+      const response = await logPrintRecordReprint(reprintRecord.id, {
+        reason: copyReason.reason,
+        notes: copyReason.notes.trim(),
+        reservation_id: reservation?.id || null,
+      });
+
+      if (response.success) {
+        clear();
+        setShowConfirm(false);
+        toast.success("Reprint logged and 1 certificate deducted");
+        fetchHistory();
+      }
+    } catch (err) {
+      console.error("Failed to log reprint:", err);
+    } finally {
+      setSavingReprint(false);
+    }
+  };
+
+  const handlePrint = useReactToPrint({
+    contentRef: printRef,
+    documentTitle: reprintRecord ? `Certificate_${(reprintRecord.student_name || "").replace(/\s+/g, "_")}_${reprintRecord.certificate_id}` : "Certificate",
+    onBeforePrint: async () => {
+      if (isReplacement && !validateReplacement()) {
+        toast.error("Please fix the errors before printing");
+        throw new Error("Validation failed");
+      }
+
+      if (!isReplacement) {
+        const reasonValidation = validateReprintReason(copyReason);
+        if (!reasonValidation.valid) {
+          setCopyReasonError(reasonValidation.message);
+          toast.error("Please give a reason for the reprint");
+          throw new Error("Validation failed");
+        }
+      }
+
+      // A certificate printed in a fallback font is wasted
+      if (!(await waitForFonts())) {
+        toast.error("Certificate fonts are not loaded yet - check the connection and try again");
+        throw new Error("Fonts not ready");
+      }
+
+      // Hold stock for the replacement or copy while it prints
+      // (a failed reservation cancels the print)
+      if (!reservation || isExpired) {
+        await reserve({
+          certificate_id: reprintRecord.certificate_id,
+          branch_code: reprintRecord.branch_code,
+          quantity: 1,
+        });
+      }
+    },
+    onAfterPrint: () => {
+      // Also fires when the print dialog is cancelled - let the teacher confirm
+      setShowConfirm(true);
+    },
+    onPrintError: (location, err) => {
+      console.error("Print error:", location, err);
+      toast.error("Print cancelled or failed");
+    },
+  });
+
+  // =====================================================
+  // CONFIRM / RELEASE AFTER PRINT DIALOG
+  // =====================================================
+
+  const handleConfirmPrint = async () => {
+    if (isReplacement) {
+      await saveReplacement();
+    } else {
+      await logCopyReprint();
+    }
+  };
+
+  const handleReleasePrint = async () => {
+    setShowConfirm(false);
+    await release();
+    toast(isReplacement ? "Print cancelled - reserved stock released" : "Print cancelled - reserved stock released, no reprint logged", { icon: "↩️" });
+  };
+
+  const handlePrintAgain = () => {
+    setShowConfirm(false);
+    handlePrint();
+  };
+
+  // =====================================================
+  // HANDLERS - VOID
+  // =====================================================
+
+  const openVoid = (record) => {
+    setDetailRecord(null);
+    setVoidTarget(record);
+    setVoidForm({ reason: "", notes: "", stockAction: VOID_STOCK_ACTIONS.WASTE });
+    setVoidErrors({});
+  };
+
+  const closeVoid = useCallback(() => {
+    setVoidTarget(null);
+  }, []);
+
+  const handleVoidChange = (name, value) => {
+    setVoidForm((prev) => ({ ...prev, [name]: value }));
+    setVoidErrors((prev) => ({ ...prev, [name]: "" }));
+  };
+
+  const handleVoid = async () => {
+    const errors = {};
+    if (!voidForm.reason) {
+      errors.reason = "Select a reason for voiding this print";
+    }
+    if (voidForm.notes.trim().length > 255) {
+      errors.notes = "Notes must not exceed 255 characters";
+    }
+    setVoidErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setVoiding(true);
+
+      const response = await voidPrintRecord(voidTarget.id, {
+        reason: voidForm.reason,
+        notes: voidForm.notes.trim() || null,
+        stock_action: voidForm.stockAction,
+      });
+
+      if (response.success) {
+        const voided = response.data || { ...voidTarget, status: PRINT_STATUS.VOIDED };
+        setVoidTarget(null);
+        fetchHistory();
+
+        // Offer the replacement straight away
+        if (window.confirm("Print record voided. Print the replacement certificate now?")) {
+          openReprint({ ...voidTarget, ...voided, status: PRINT_STATUS.VOIDED });
+        }
+      }
+    } catch (err) {
+      console.error("Failed to void print record:", err);
+    } finally {
+      setVoiding(false);
+    }
+  };
+
+  // =====================================================
+  // HELPER FUNCTIONS
+  // =====================================================
+
+  const getDivisionBadge = (division) => {
+    const badges = {
+      JK: "from-blue-500 to-cyan-500",
+      LK: "from-pink-500 to-purple-500",
+    };
+    return badges[division] || "from-gray-500 to-gray-600";
+  };
+
+  const isVoided = (record) => record?.status === PRINT_STATUS.VOIDED;
+
+  const labelEntries = Object.values(labelSelection);
+  const labelableRecords = records.filter((record) => !isVoided(record));
+  const allLabelsSelected = labelableRecords.length > 0 && labelableRecords.every((record) => labelSelection[record.id]);
+
+  const getBranchName = (code) => {
+    const branch = branches.find((b) => b.branch_code === code);
+    return branch?.branch_name || code || "-";
+  };
+
+  // =====================================================
+  // ERROR STATE
+  // =====================================================
+
+  if (error && records.length === 0) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center max-w-md">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-status-error/10 rounded-full mb-4">
+            <AlertCircle className="w-8 h-8 text-status-error" />
+          </div>
+          <h3 className="text-lg font-semibold text-primary mb-2">Failed to Load History</h3>
+          <p className="text-secondary mb-4">{error}</p>
+          <Button variant="primary" onClick={fetchHistory} size="medium">
+            Retry
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  // =====================================================
+  // MAIN RENDER
+  // =====================================================
+
+  const detailRows = detailRecord
+    ? [
+        { icon: User, label: "Student", value: detailRecord.student_name },
+        { icon: BookOpen, label: "Module", value: detailRecord.module_name || detailRecord.module_code },
+        { icon: Package, label: "Batch", value: detailRecord.certificate_id },
+        { icon: MapPin, label: "Branch", value: getBranchName(detailRecord.branch_code) },
+        { icon: Calendar, label: "PTC Date", value: formatDate(detailRecord.ptc_date, DATE_FORMATS.DISPLAY) },
+        { icon: Clock, label: "Printed At", value: formatDateTime(detailRecord.printed_at || detailRecord.created_at) },
+        { icon: User, label: "Printed By", value: detailRecord.teacher_name },
+        { icon: Hash, label: "Serial", value: detailRecord.serial_number },
+        ...(detailRecord.reprint_of ? [{ icon: Link2, label: "Reprint Of", value: `#${detailRecord.reprint_of}` }] : []),
+      ]
+    : [];
+
   return (
-    <div className="p-6">
-      <h1 className="text-2xl font-bold text-gray-800 mb-4">Print History</h1>
-      <p className="text-gray-600">Print history - Coming soon</p>
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-primary">Print History</h1>
+            <p className="text-secondary mt-1">Browse certificates you have printed and reprint them when needed</p>
+          </div>
+          <div className="flex items-center gap-2">
+            {labelEntries.length > 0 && (
+              <Button variant="ghost" size="medium" onClick={() => setLabelSelection({})}>
+                Clear Selection
+              </Button>
+            )}
+            <Button variant="outline" size="medium" icon={<Tag className="w-4 h-4" />} onClick={() => setShowLabels(true)} disabled={labelEntries.length === 0}>
+              Medal Labels ({labelEntries.length})
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      {/* Search and Filter Bar */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-4 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <div className="space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Input
+              name="search"
+              value={searchTerm}
+              onChange={handleSearchChange}
+              placeholder="Search by student name..."
+              prefixIcon={<Search className="w-5 h-5" />}
+              suffixIcon={
+                searchTerm ? (
+                  <button onClick={() => setSearchTerm("")} className="text-secondary hover:text-primary transition-colors">
+                    <X className="w-5 h-5" />
+                  </button>
+                ) : null
+              }
+            />
+            <Input name="batch" value={batchSearch} onChange={handleBatchChange} placeholder="Filter by batch ID..." prefixIcon={<Package className="w-5 h-5" />} />
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            <div className="flex-1 min-w-[180px]">
+              <select name="moduleId" value={filters.moduleId} onChange={handleFilterChange} className={selectClass}>
+                <option value="">All Modules</option>
+                {modules.map((module) => (
+                  <option key={module.id} value={module.id}>
+                    {module.name} ({module.division})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {branches.length > 1 && (
+              <div className="flex-1 min-w-[180px]">
+                <select name="branchCode" value={filters.branchCode} onChange={handleFilterChange} className={selectClass}>
+                  <option value="">All Branches</option>
+                  {branches.map((branch) => (
+                    <option key={branch.branch_code} value={branch.branch_code}>
+                      {branch.branch_name || branch.branch_code}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="flex items-center gap-2 min-w-[280px]">
+              <input type="date" name="startDate" value={filters.startDate} max={filters.endDate || undefined} onChange={handleFilterChange} className={selectClass} aria-label="From date" />
+              <span className="text-secondary text-sm">to</span>
+              <input type="date" name="endDate" value={filters.endDate} min={filters.startDate || undefined} onChange={handleFilterChange} className={selectClass} aria-label="To date" />
+            </div>
+
+            {hasActiveFilters && (
+              <Button variant="ghost" size="medium" onClick={handleClearFilters} icon={<X className="w-4 h-4" />}>
+                Clear All
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* History Table */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl border border-gray-200/50 dark:border-white/10 shadow-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          {loading && records.length === 0 ? (
+            <div className="flex items-center justify-center py-16">
+              <Spinner size="large" />
+            </div>
+          ) : records.length === 0 ? (
+            <div className="flex flex-col items-center justify-center py-16 px-4">
+              <div className="inline-flex items-center justify-center w-16 h-16 bg-primary/10 rounded-full mb-4">
+                <History className="w-8 h-8 text-primary" />
+              </div>
+              <h3 className="text-lg font-semibold text-primary mb-2">No Prints Found</h3>
+              <p className="text-secondary text-center max-w-md">{hasActiveFilters ? "Try adjusting your search or filters" : "Certificates you print will appear here"}</p>
+            </div>
+          ) : (
+            <>
+              <table className="w-full">
+                <thead className="bg-white/20 dark:bg-white/5 border-b border-gray-200/30 dark:border-white/5">
+                  <tr>
+                    <th className="pl-6 py-4 w-10">
+                      <input type="checkbox" checked={allLabelsSelected} onChange={(e) => toggleAllLabels(e.target.checked)} disabled={labelableRecords.length === 0} className="rounded" title="Select all for medal labels" />
+                    </th>
+                    <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Student</th>
+                    <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Module</th>
+                    <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Batch</th>
+                    <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">Branch</th>
+                    <th className="px-6 py-4 text-left text-sm font-semibold text-primary uppercase">PTC Date</th>
+                    <th className="px-6 py-4 text-center text-sm font-semibold text-primary uppercase">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className={`divide-y divide-gray-200/30 dark:divide-white/5 ${loading ? "opacity-50" : ""}`}>
+                  {records.map((record) => (
+                    <tr key={record.id} className="hover:bg-white/30 dark:hover:bg-white/10 transition-colors cursor-pointer" onClick={() => openDetail(record)}>
+                      <td className="pl-6 py-4" onClick={(e) => e.stopPropagation()}>
+                        <input type="checkbox" checked={!!labelSelection[record.id]} onChange={() => toggleLabel(record)} disabled={isVoided(record)} className="rounded" title="Select for medal labels" />
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-3">
+                          <div className="p-2 rounded-lg bg-gradient-to-br from-blue-500 to-cyan-500 shadow-md">
+                            <Award className="w-4 h-4 text-white" />
+                          </div>
+                          <div>
+                            <span className={`text-sm font-semibold text-primary ${isVoided(record) ? "line-through opacity-60" : ""}`}>{record.student_name}</span>
+                            {isVoided(record) && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-gradient-to-br from-red-500 to-rose-500">Voided</span>}
+                            {record.reprint_of && <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-gradient-to-br from-blue-500 to-cyan-500">Reprint</span>}
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-2">
+                          {record.module_division && <span className={`px-2 py-0.5 rounded-full text-xs font-semibold text-white bg-gradient-to-br ${getDivisionBadge(record.module_division)}`}>{record.module_division}</span>}
+                          <span className="text-sm text-primary">{record.module_name || record.module_code || "-"}</span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className="text-sm font-mono text-secondary">{record.certificate_id}</span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <span className="text-sm text-secondary">{getBranchName(record.branch_code)}</span>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-2">
+                          <Calendar className="w-4 h-4 text-secondary" />
+                          <span className="text-sm text-secondary">{formatDate(record.ptc_date, DATE_FORMATS.DISPLAY)}</span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4" onClick={(e) => e.stopPropagation()}>
+                        <div className="flex items-center justify-center gap-2">
+                          <button onClick={() => openDetail(record)} className="p-2 rounded-lg text-primary hover:bg-white/30 dark:hover:bg-white/10 transition-colors" title="View details">
+                            <Eye className="w-4 h-4" />
+                          </button>
+                          {isVoided(record) ? (
+                            !record.reprinted_by && (
+                              <button onClick={() => openReprint(record)} className="p-2 rounded-lg text-primary hover:bg-white/30 dark:hover:bg-white/10 transition-colors" title="Print replacement">
+                                <RotateCcw className="w-4 h-4" />
+                              </button>
+                            )
+                          ) : (
+                            <>
+                              <button onClick={() => openReprint(record)} className="p-2 rounded-lg text-primary hover:bg-white/30 dark:hover:bg-white/10 transition-colors" title="Reprint certificate">
+                                <Printer className="w-4 h-4" />
+                              </button>
+                              <button onClick={() => openVoid(record)} className="p-2 rounded-lg text-status-error hover:bg-status-error/10 transition-colors" title="Void print">
+                                <Ban className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {/* Pagination */}
+              <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200/30 dark:border-white/5">
+                <p className="text-sm text-secondary">
+                  Showing {(pagination.currentPage - 1) * pagination.pageSize + 1} - {Math.min(pagination.currentPage * pagination.pageSize, pagination.total)} of {pagination.total}
+                </p>
+                <div className="flex items-center gap-2">
+                  <Button variant="ghost" size="small" onClick={() => handlePageChange(pagination.currentPage - 1)} disabled={pagination.currentPage === 1} icon={<ChevronLeft className="w-4 h-4" />}>
+                    Prev
+                  </Button>
+                  <span className="text-sm text-primary">
+                    Page {pagination.currentPage} of {pagination.totalPages}
+                  </span>
+                  <Button variant="ghost" size="small" onClick={() => handlePageChange(pagination.currentPage + 1)} disabled={pagination.currentPage >= pagination.totalPages} icon={<ChevronRight className="w-4 h-4" />} iconPosition="right">
+                    Next
+                  </Button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* ===================================================== */}
+      {/* DETAIL DRAWER */}
+      {/* ===================================================== */}
+
+      <Drawer
+        isOpen={!!detailRecord}
+        onClose={closeDetail}
+        title="Print Details"
+        footer={
+          isVoided(detailRecord) ? (
+            !detailRecord.reprinted_by && (
+              <Button variant="primary" size="medium" fullWidth icon={<RotateCcw className="w-4 h-4" />} onClick={() => openReprint(detailRecord)}>
+                Print Replacement
+              </Button>
+            )
+          ) : (
+            <div className="flex items-center gap-3">
+              <Button variant="danger" size="medium" icon={<Ban className="w-4 h-4" />} onClick={() => openVoid(detailRecord)} className="flex-1">
+                Void
+              </Button>
+              <Button variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={() => openReprint(detailRecord)} className="flex-1">
+                Reprint
+              </Button>
+            </div>
+          )
+        }
+      >
+        {detailRecord && (
+          <div className="space-y-4">
+            {loadingDetail && (
+              <div className="flex justify-center">
+                <Spinner size="small" />
+              </div>
+            )}
+            {isVoided(detailRecord) && (
+              <div className="p-4 rounded-xl bg-status-error/10 space-y-1">
+                <p className="text-sm font-semibold text-status-error">Voided {detailRecord.voided_at ? `on ${formatDateTime(detailRecord.voided_at)}` : ""}</p>
+                <p className="text-sm text-primary">Reason: {VOID_REASON_LABELS[detailRecord.void_reason] || detailRecord.void_reason || "-"}</p>
+                {detailRecord.void_notes && <p className="text-sm text-secondary">{detailRecord.void_notes}</p>}
+                {detailRecord.stock_action && <p className="text-sm text-secondary">Stock: {VOID_STOCK_ACTION_LABELS[detailRecord.stock_action] || detailRecord.stock_action}</p>}
+                {detailRecord.reprinted_by && <p className="text-sm text-secondary">Replaced by record #{detailRecord.reprinted_by}</p>}
+              </div>
+            )}
+            <div className="divide-y divide-gray-200/30 dark:divide-white/5 rounded-xl border border-gray-200/50 dark:border-white/10">
+              {detailRows.map(({ icon, label, value }) => {
+                const Icon = icon;
+
+                return (
+                  <div key={label} className="flex items-center gap-3 px-4 py-3">
+                    <Icon className="w-4 h-4 text-secondary flex-shrink-0" />
+                    <span className="text-sm text-secondary w-24">{label}</span>
+                    <span className="text-sm font-semibold text-primary break-all">{value || "-"}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </Drawer>
+
+      {/* ===================================================== */}
+      {/* MEDAL LABELS MODAL */}
+      {/* ===================================================== */}
+
+      <MedalLabelModal isOpen={showLabels} onClose={() => setShowLabels(false)} entries={labelEntries} title="Medal Labels - Selected Prints" />
+
+      {/* ===================================================== */}
+      {/* REPRINT MODAL */}
+      {/* ===================================================== */}
+
+      <Modal
+        isOpen={!!reprintRecord}
+        onClose={closeReprint}
+        title={isReplacement ? "Print Replacement Certificate" : "Reprint Certificate"}
+        size="full"
+        footer={
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-sm text-secondary">
+              {isReplacement ? "The replacement deducts 1 certificate and 1 medal and is linked to the voided record." : "The reprint uses the original details and serial number. It deducts 1 certificate and the reason is logged."}
+              {!fontsReady && " Loading certificate fonts..."}
+            </p>
+            <div className="flex items-center gap-3">
+              {reservation && <ReservationBadge quantity={reservation.quantity || 1} secondsLeft={secondsLeft} />}
+              <Button variant="ghost" size="medium" onClick={closeReprint} disabled={savingReprint}>
+                Cancel
+              </Button>
+              <Button variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={handlePrint} loading={savingReprint || isReserving} disabled={savingReprint || isReserving}>
+                Print
+              </Button>
+            </div>
+          </div>
+        }
+      >
+        {reprintRecord && (
+          <div className="space-y-4">
+            {isReplacement && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-primary mb-2">
+                    Student Name <span className="text-status-error">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="studentName"
+                    value={replacement.studentName}
+                    onChange={handleReplacementChange}
+                    className={`w-full px-4 py-2 bg-white/50 dark:bg-white/5 border rounded-xl text-primary focus:outline-none focus:ring-2 focus:ring-primary/50 ${replacementErrors.studentName ? "border-status-error" : "border-gray-200 dark:border-white/10"}`}
+                  />
+                  {replacementErrors.studentName && <p className="text-sm text-status-error mt-1">{replacementErrors.studentName}</p>}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-primary mb-2">
+                    PTC Date <span className="text-status-error">*</span>
+                  </label>
+                  <input
+                    type="date"
+                    name="ptcDate"
+                    value={replacement.ptcDate}
+                    onChange={handleReplacementChange}
+                    className={`w-full px-4 py-2 bg-white/50 dark:bg-white/5 border rounded-xl text-primary focus:outline-none focus:ring-2 focus:ring-primary/50 ${replacementErrors.ptcDate ? "border-status-error" : "border-gray-200 dark:border-white/10"}`}
+                  />
+                  {replacementErrors.ptcDate && <p className="text-sm text-status-error mt-1">{replacementErrors.ptcDate}</p>}
+                </div>
+              </div>
+            )}
+
+            {!isReplacement && (
+              <div className="max-w-md">
+                <ReprintReasonFields
+                  value={copyReason}
+                  onChange={(next) => {
+                    setCopyReason(next);
+                    setCopyReasonError("");
+                  }}
+                  error={copyReasonError}
+                />
+              </div>
+            )}
+
+            <div className="overflow-auto">
+              <div className="inline-block border border-gray-200 dark:border-white/10 shadow-lg">
+                <CertificatePreview
+                  ref={printRef}
+                  studentName={isReplacement ? replacement.studentName : reprintRecord.student_name}
+                  moduleName={reprintRecord.module_name}
+                  moduleCode={reprintRecord.module_code}
+                  moduleNameTranslations={reprintRecord.module_name_translations}
+                  language={reprintRecord.language || undefined}
+                  division={reprintRecord.module_division || "JK"}
+                  ptcDate={isReplacement ? replacement.ptcDate : reprintRecord.ptc_date}
+                  serialNumber={isReplacement ? replacement.serialNumber : reprintRecord.serial_number || ""}
+                  layout={templateLayout}
+                  calibration={calibration}
+                  paperSize={paperSize}
+                  showStationery
+                />
+              </div>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <PrintConfirmModal
+        isOpen={showConfirm}
+        quantity={1}
+        secondsLeft={secondsLeft}
+        description={isReplacement ? null : "Confirm only if the copy was printed correctly. The reprint and its reason are then logged and the reserved certificate is deducted; otherwise it goes back to your branch."}
+        onConfirm={handleConfirmPrint}
+        onRelease={handleReleasePrint}
+        onPrintAgain={handlePrintAgain}
+        loading={savingReprint}
+      />
+
+      {/* ===================================================== */}
+      {/* VOID MODAL */}
+      {/* ===================================================== */}
+
+      <Modal
+        isOpen={!!voidTarget}
+        onClose={closeVoid}
+        title="Void Print Record"
+        size="medium"
+        footer={
+          <div className="flex items-center gap-3">
+            <Button variant="ghost" size="medium" onClick={closeVoid} disabled={voiding} className="flex-1">
+              Cancel
+            </Button>
+            <Button variant="danger" size="medium" icon={<Ban className="w-4 h-4" />} onClick={handleVoid} loading={voiding} disabled={voiding} className="flex-1">
+              Void Print
+            </Button>
+          </div>
+        }
+      >
+        {voidTarget && (
+          <div className="space-y-4">
+            <div className="p-3 rounded-xl bg-white/30 dark:bg-white/5 border border-gray-200/50 dark:border-white/10">
+              <p className="text-sm font-semibold text-primary">{voidTarget.student_name}</p>
+              <p className="text-sm text-secondary">
+                {voidTarget.module_name || voidTarget.module_code} • {voidTarget.certificate_id} • {formatDate(voidTarget.ptc_date, DATE_FORMATS.DISPLAY)}
+              </p>
+            </div>
+
+            {/* Reason */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                Reason <span className="text-status-error">*</span>
+              </label>
+              <select value={voidForm.reason} onChange={(e) => handleVoidChange("reason", e.target.value)} className={selectClass}>
+                <option value="">Select reason</option>
+                {Object.values(VOID_REASONS).map((reason) => (
+                  <option key={reason} value={reason}>
+                    {VOID_REASON_LABELS[reason]}
+                  </option>
+                ))}
+              </select>
+              {voidErrors.reason && <p className="text-sm text-status-error mt-1">{voidErrors.reason}</p>}
+            </div>
+
+            {/* Notes */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Notes</label>
+              <textarea
+                value={voidForm.notes}
+                onChange={(e) => handleVoidChange("notes", e.target.value)}
+                rows={3}
+                placeholder="e.g., Name spelled 'Jonh' instead of 'John'"
+                className="w-full px-4 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-xl text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50"
+              />
+              {voidErrors.notes && <p className="text-sm text-status-error mt-1">{voidErrors.notes}</p>}
+            </div>
+
+            {/* Stock Action */}
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">Certificate &amp; Medal Stock</label>
+              <div className="space-y-2">
+                {Object.values(VOID_STOCK_ACTIONS).map((action) => (
+                  <label key={action} className="flex items-start gap-2 text-sm text-primary cursor-pointer">
+                    <input type="radio" name="stockAction" value={action} checked={voidForm.stockAction === action} onChange={() => handleVoidChange("stockAction", action)} className="mt-1" />
+                    <span>
+                      {VOID_STOCK_ACTION_LABELS[action]}
+                      <span className="block text-xs text-secondary">
+                        {action === VOID_STOCK_ACTIONS.RETURN ? "The certificate was never printed or can be reused" : "The printed certificate is spoiled and will be discarded"}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
@@ -1,13 +1,33 @@
 import { useState, useEffect, useRef } from "react";
 import { useReactToPrint } from "react-to-print";
 import { toast } from "react-hot-toast";
-import { Printer, Search, Calendar, Package, User, BookOpen, AlertCircle } from "lucide-react";
+import { Printer, Search, Calendar, Package, User, BookOpen, AlertCircle, Tag } from "lucide-react";
 import { useAuth } from "@hooks/useAuth";
+import { useCertificateTemplate } from "@hooks/useCertificateTemplate";
+import { useCertificateFonts } from "@hooks/useCertificateFonts";
+import { usePrinterCalibration } from "@hooks/usePrinterCalibration";
+import { useBranchPaperSize } from "@hooks/useBranchPaperSize";
+import { useStockReservation } from "@hooks/useStockReservation";
+import { useDuplicateAwardCheck } from "@hooks/useDuplicateAwardCheck";
+import { useLocalStorage } from "@hooks/useLocalStorage";
 import { getModulesForPrint, savePrintRecord, searchStudentsForPrint } from "@api/printedCertApi";
 import { getCertificates } from "@api/certificateApi";
 import CertificatePreview from "@components/certificates/CertificatePreview";
 import StudentAutocomplete from "@components/certificates/StudentAutocomplete";
+import CertificateLanguageSelect from "@components/certificates/CertificateLanguageSelect";
+import PrintConfirmModal from "@components/certificates/PrintConfirmModal";
+import ReservationBadge from "@components/certificates/ReservationBadge";
+import DuplicateAwardModal from "@components/certificates/DuplicateAwardModal";
+import MedalLabelModal from "@components/certificates/MedalLabelModal";
+import NameCaseOption from "@components/certificates/NameCaseOption";
 import { validateRequired, validateDate } from "@utils/validators";
+import { generateCertificateSerial } from "@utils/certificateSerial";
+import { resolveCertificateLanguage } from "@utils/certificateLanguage";
+import { PAPER_SIZE_LABELS, normalizeTemplateLayout } from "@utils/certificateTemplate";
+import { normalizeNameCase } from "@utils/formatters";
+import { useNetworkStatus } from "@utils/networkMonitor";
+import { usePrintQueueStore } from "@store/printQueueStore";
+import { STORAGE_KEYS, REPRINT_REASON_LABELS } from "@utils/constants";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
 
@@ -30,6 +50,52 @@ const PrintCertificate = () => {
   const [selectedBatch, setSelectedBatch] = useState(null);
   const [selectedModule, setSelectedModule] = useState(null);
 
+  // Serial printed on the certificate, assigned when the preview is opened
+  const [serialNumber, setSerialNumber] = useState("");
+
+  // Certificate layout for the selected module
+  const { layout: templateLayout } = useCertificateTemplate(selectedModule);
+  const { fontsReady, waitForFonts } = useCertificateFonts(templateLayout);
+
+  // Certificate language - defaults from the module, then the template
+  const [certificateLanguage, setCertificateLanguage] = useState(() => resolveCertificateLanguage(null, null));
+  useEffect(() => {
+    setCertificateLanguage(resolveCertificateLanguage(selectedModule, templateLayout));
+  }, [selectedModule, templateLayout]);
+
+  const handleLanguageChange = (language) => {
+    setCertificateLanguage(language);
+    setShowPreview(false);
+  };
+
+  // Printer correction for this branch + on-screen stationery outline
+  const { calibration } = usePrinterCalibration(user.teacher_branch);
+
+  // Branch paper size overrides the template's
+  const branchPaperSize = useBranchPaperSize(user.teacher_branch);
+  const previewPaperSize = branchPaperSize || normalizeTemplateLayout(templateLayout).page.paper_size;
+  const [showStationery, setShowStationery] = useState(false);
+
+  // Stock is reserved while the preview is open and committed on confirmation
+  const { reservation, secondsLeft, isExpired, isReserving, reserve, release, clear } = useStockReservation();
+  const [showConfirm, setShowConfirm] = useState(false);
+
+  // Names typed in lowercase / ALL CAPS are capitalised before preview
+  const [fixNameCase, setFixNameCase] = useLocalStorage(STORAGE_KEYS.NORMALIZE_NAME_CASE, false);
+
+  // Second award for the same student + module needs a logged reason
+  const { checkDuplicate, isChecking } = useDuplicateAwardCheck();
+  const [duplicateRecord, setDuplicateRecord] = useState(null);
+  const [duplicateOverride, setDuplicateOverride] = useState(null);
+
+  // Certificates printed since the page was opened - one medal label each
+  const [sessionLabels, setSessionLabels] = useState([]);
+  const [showLabels, setShowLabels] = useState(false);
+
+  // Offline: records are queued locally and synced later
+  const online = useNetworkStatus({ notify: false });
+  const enqueuePrint = usePrintQueueStore((state) => state.enqueue);
+
   // UI states
   const [loading, setLoading] = useState(false);
   const [loadingModules, setLoadingModules] = useState(true);
@@ -51,10 +117,19 @@ const PrintCertificate = () => {
 
       if (response.success) {
         setModules(response.data || []);
+        localStorage.setItem(STORAGE_KEYS.PRINT_MODULES_CACHE, JSON.stringify(response.data || []));
       }
     } catch (error) {
       console.error("Failed to fetch modules:", error);
-      toast.error("Failed to load modules");
+
+      // Fall back to the last loaded list so printing works offline
+      const cached = localStorage.getItem(STORAGE_KEYS.PRINT_MODULES_CACHE);
+      if (cached) {
+        setModules(JSON.parse(cached));
+        toast("Offline - using the last loaded module list", { icon: "📡" });
+      } else {
+        toast.error("Failed to load modules");
+      }
     } finally {
       setLoadingModules(false);
     }
@@ -70,9 +145,23 @@ const PrintCertificate = () => {
       setAvailableBatches([]);
       setSelectedBatch(null);
     }
-  }, [formData.certificateId]);
+  }, [formData.certificateId, online]);
+
+  /**
+   * Offline the batch cannot be looked up - accept the typed ID as-is.
+   * The backend checks it (and the stock) when the queued record syncs.
+   */
+  const selectUnverifiedBatch = () => {
+    setAvailableBatches([]);
+    setSelectedBatch({ certificate_id: formData.certificateId.trim(), unverified: true });
+  };
 
   const fetchAvailableBatches = async () => {
+    if (!online) {
+      selectUnverifiedBatch();
+      return;
+    }
+
     try {
       setLoadingBatches(true);
       const response = await getCertificates({
@@ -109,6 +198,9 @@ const PrintCertificate = () => {
       }
     } catch (error) {
       console.error("Failed to fetch batches:", error);
+      if (error.isNetworkError) {
+        selectUnverifiedBatch();
+      }
     } finally {
       setLoadingBatches(false);
     }
@@ -132,6 +224,18 @@ const PrintCertificate = () => {
   const handleInputChange = (e) => {
     const { name, value } = e.target;
 
+    // The reservation belongs to the previewed batch
+    if (name === "certificateId" && reservation) {
+      release();
+      setShowPreview(false);
+    }
+
+    // A duplicate override only covers the student + module it was given for
+    if (name === "studentName" || name === "moduleId") {
+      setDuplicateOverride(null);
+      setShowPreview(false);
+    }
+
     setFormData((prev) => ({
       ...prev,
       [name]: value,
@@ -147,6 +251,8 @@ const PrintCertificate = () => {
   };
 
   const handleStudentSelect = (student) => {
+    setDuplicateOverride(null);
+    setShowPreview(false);
     setFormData((prev) => ({
       ...prev,
       studentName: student.student_name,
@@ -202,79 +308,219 @@ const PrintCertificate = () => {
   // =====================================================
   // PREVIEW HANDLER
   // =====================================================
-  const handlePreview = () => {
-    if (validateForm()) {
-      setShowPreview(true);
-      toast.success("Preview ready! Review before printing.", {
-        icon: "👀",
-      });
-    } else {
+  const handlePreview = async () => {
+    if (!validateForm()) {
       toast.error("Please fix the errors before previewing");
+      return;
+    }
+
+    const studentName = fixNameCase ? normalizeNameCase(formData.studentName.trim()) : formData.studentName;
+    if (studentName !== formData.studentName) {
+      setFormData((prev) => ({ ...prev, studentName }));
+    }
+
+    // Skipped offline - the history cannot be read without a connection
+    if (!duplicateOverride && online) {
+      const existing = await checkDuplicate({
+        studentId: formData.studentId,
+        studentName,
+        moduleId: parseInt(formData.moduleId),
+      });
+
+      if (existing) {
+        setDuplicateRecord(existing);
+        return;
+      }
     }
+
+    await openPreview();
+  };
+
+  const openPreview = async () => {
+    // Hold 1 certificate + 1 medal so nobody else can print from it meanwhile
+    // (not possible offline - the record is queued instead). An expired
+    // hold is no longer valid, so reserve again.
+    if (!selectedBatch.unverified && (!reservation || isExpired || reservation.certificate_id !== selectedBatch.certificate_id)) {
+      try {
+        await reserve({
+          certificate_id: selectedBatch.certificate_id,
+          branch_code: user.teacher_branch,
+          quantity: 1,
+        });
+      } catch (error) {
+        console.error("Failed to reserve stock:", error);
+        fetchAvailableBatches();
+        return;
+      }
+    }
+
+    // Keep the same serial while the certificate has not been saved yet
+    if (!serialNumber) {
+      setSerialNumber(generateCertificateSerial());
+    }
+    setShowPreview(true);
+    toast.success(selectedBatch.unverified ? "Preview ready! You are offline, the record will be queued." : "Preview ready! Stock is reserved while you print.", {
+      icon: "👀",
+    });
+  };
+
+  const handleDuplicateConfirm = async (override) => {
+    setDuplicateOverride({ existing_record_id: duplicateRecord.id || null, ...override });
+    setDuplicateRecord(null);
+    await openPreview();
+  };
+
+  const handleDuplicateCancel = () => {
+    setDuplicateRecord(null);
+    toast("Not printed - the student already has this certificate", { icon: "🚫" });
+  };
+
+  const handleCancelPreview = async () => {
+    setShowPreview(false);
+    await release();
+    fetchAvailableBatches();
   };
 
   // =====================================================
   // PRINT HANDLER
   // =====================================================
   const handlePrint = useReactToPrint({
-    content: () => printRef.current,
+    contentRef: printRef,
     documentTitle: `Certificate_${formData.studentName.replace(/\s+/g, "_")}_${formData.certificateId}`,
-    onBeforeGetContent: async () => {
+    onBeforePrint: async () => {
       if (!validateForm()) {
         toast.error("Please fix the errors before printing");
         throw new Error("Validation failed");
       }
+
+      // A certificate printed in a fallback font is wasted
+      if (!(await waitForFonts())) {
+        toast.error("Certificate fonts are not loaded yet - check the connection and try again");
+        throw new Error("Fonts not ready");
+      }
     },
-    onAfterPrint: async () => {
-      // Save record and deduct stock after successful print
-      await handleSavePrintRecord();
+    onAfterPrint: () => {
+      // Also fires when the print dialog is cancelled - let the teacher confirm
+      setShowConfirm(true);
     },
-    onPrintError: (error) => {
-      console.error("Print error:", error);
+    onPrintError: (location, error) => {
+      console.error("Print error:", location, error);
       toast.error("Print cancelled or failed");
     },
   });
 
   // =====================================================
-  // SAVE PRINT RECORD (AFTER PRINT)
+  // CONFIRM / RELEASE AFTER PRINT DIALOG
   // =====================================================
+  const handleConfirmPrint = async () => {
+    await handleSavePrintRecord();
+  };
+
+  const handleReleasePrint = async () => {
+    setShowConfirm(false);
+    await release();
+    toast("Print cancelled - reserved stock released", { icon: "↩️" });
+    setShowPreview(false);
+    fetchAvailableBatches();
+  };
+
+  const handlePrintAgain = () => {
+    setShowConfirm(false);
+    handlePrint();
+  };
+
+  // =====================================================
+  // SAVE PRINT RECORD (COMMITS THE RESERVATION)
+  // =====================================================
+  const addSessionLabel = (payload) => {
+    setSessionLabels((prev) => [...prev, { student_name: payload.student_name, module_name: selectedModule?.name || "", ptc_date: payload.ptc_date }]);
+  };
+
+  const resetForm = () => {
+    setFormData({
+      certificateId: "",
+      studentName: "",
+      studentId: null,
+      moduleId: "",
+      ptcDate: new Date().toISOString().split("T")[0],
+    });
+    setSelectedBatch(null);
+    setSelectedModule(null);
+    setSerialNumber("");
+    setDuplicateOverride(null);
+    setShowPreview(false);
+    setErrors({});
+  };
+
+  /**
+   * Keep the record on this device until the connection returns.
+   * The reservation cannot be committed later (it expires), so the
+   * queued record deducts stock when it syncs.
+   */
+  const queuePrintRecord = async (payload) => {
+    try {
+      await enqueuePrint({ ...payload, reservation_id: null }, { module_name: selectedModule?.name });
+    } catch (error) {
+      console.error("Failed to queue print record:", error);
+      toast.error("Could not store the print record on this device", { duration: 5000 });
+      return;
+    }
+
+    clear();
+    setShowConfirm(false);
+    addSessionLabel(payload);
+    toast.success("Offline - print record queued and will sync automatically", {
+      icon: "📥",
+      duration: 5000,
+    });
+    resetForm();
+  };
+
   const handleSavePrintRecord = async () => {
+    const payload = {
+      certificate_id: selectedBatch.certificate_id,
+      student_name: formData.studentName.trim(),
+      student_id: formData.studentId,
+      module_id: parseInt(formData.moduleId),
+      ptc_date: formData.ptcDate,
+      serial_number: serialNumber,
+      language: certificateLanguage,
+      reservation_id: reservation?.id || null,
+      duplicate_override: duplicateOverride,
+    };
+
     try {
       setLoading(true);
 
-      const payload = {
-        certificate_id: selectedBatch.certificate_id,
-        student_name: formData.studentName.trim(),
-        student_id: formData.studentId,
-        module_id: parseInt(formData.moduleId),
-        ptc_date: formData.ptcDate,
-      };
+      if (!online) {
+        await queuePrintRecord(payload);
+        return;
+      }
 
       const response = await savePrintRecord(payload);
 
       if (response.success) {
+        clear();
+        setShowConfirm(false);
+        addSessionLabel(payload);
         toast.success("Certificate printed and stock updated successfully!", {
           duration: 4000,
         });
 
-        // Reset form
-        setFormData({
-          certificateId: "",
-          studentName: "",
-          studentId: null,
-          moduleId: "",
-          ptcDate: new Date().toISOString().split("T")[0],
-        });
-        setSelectedBatch(null);
-        setSelectedModule(null);
-        setShowPreview(false);
-        setErrors({});
+        resetForm();
 
         // Refresh batches
         fetchAvailableBatches();
       }
     } catch (error) {
       console.error("Failed to save print record:", error);
+
+      // The certificate is already on paper - never lose the record
+      if (error.isNetworkError) {
+        await queuePrintRecord(payload);
+        return;
+      }
+
       toast.error(error.response?.data?.message || "Failed to save print record", { duration: 5000 });
     } finally {
       setLoading(false);
@@ -296,6 +542,9 @@ const PrintCertificate = () => {
   // RENDER
   // =====================================================
 
+  // Available stock excludes units reserved by open print jobs
+  const selectedBranchStock = selectedBatch?.stock_distribution?.find((s) => s.branch_code === user.teacher_branch);
+
   return (
     <div className="space-y-4">
       {/* Header */}
@@ -342,12 +591,18 @@ const PrintCertificate = () => {
 
               {!loadingBatches && formData.certificateId.length >= 3 && (
                 <div className="mt-2">
-                  {selectedBatch ? (
+                  {selectedBatch?.unverified ? (
+                    <div className="backdrop-blur-sm bg-yellow-500/10 border border-yellow-500/30 rounded-xl p-3">
+                      <p className="text-sm font-medium text-yellow-600 dark:text-yellow-400">📡 Offline: using batch {selectedBatch.certificate_id}</p>
+                      <p className="text-xs text-secondary mt-1">Stock cannot be checked right now. The record is queued and checked when it syncs.</p>
+                    </div>
+                  ) : selectedBatch ? (
                     <div className="backdrop-blur-sm bg-green-500/10 border border-green-500/30 rounded-xl p-3">
                       <p className="text-sm font-medium text-green-600 dark:text-green-400">✓ Batch Found: {selectedBatch.certificate_id}</p>
                       <p className="text-xs text-secondary mt-1">
-                        Stock at {user.teacher_branch}: {selectedBatch.stock_distribution?.find((s) => s.branch_code === user.teacher_branch)?.jumlah_sertifikat} certificates,{" "}
-                        {selectedBatch.stock_distribution?.find((s) => s.branch_code === user.teacher_branch)?.jumlah_medali} medals
+                        Stock at {user.teacher_branch}: {selectedBranchStock?.jumlah_sertifikat} certificates
+                        {selectedBranchStock?.reserved_sertifikat > 0 && <span className="text-blue-600 dark:text-blue-400"> ({selectedBranchStock.reserved_sertifikat} reserved)</span>}, {selectedBranchStock?.jumlah_medali} medals
+                        {selectedBranchStock?.reserved_medali > 0 && <span className="text-blue-600 dark:text-blue-400"> ({selectedBranchStock.reserved_medali} reserved)</span>}
                       </p>
                     </div>
                   ) : availableBatches.length > 0 ? (
@@ -392,6 +647,7 @@ const PrintCertificate = () => {
               <StudentAutocomplete value={formData.studentName} onChange={handleInputChange} onSelect={handleStudentSelect} branchCode={user.teacher_branch} error={errors.studentName} disabled={loading} />
               {errors.studentName && <p className="text-sm text-status-error mt-1">{errors.studentName}</p>}
               {formData.studentId && <p className="text-xs text-green-600 dark:text-green-400 mt-1">✓ Linked to student ID: {formData.studentId}</p>}
+              <NameCaseOption checked={fixNameCase} onChange={setFixNameCase} disabled={loading} />
             </div>
 
             {/* Module Dropdown */}
@@ -421,6 +677,9 @@ const PrintCertificate = () => {
               {errors.moduleId && <p className="text-sm text-status-error mt-1">{errors.moduleId}</p>}
             </div>
 
+            {/* Certificate Language */}
+            <CertificateLanguageSelect value={certificateLanguage} onChange={handleLanguageChange} module={selectedModule} disabled={loading} />
+
             {/* PTC Date */}
             <div>
               <label className="block text-sm font-medium text-primary mb-2">
@@ -442,26 +701,52 @@ const PrintCertificate = () => {
 
             {/* Action Buttons */}
             <div className="flex gap-3 pt-4">
-              <Button type="button" onClick={handlePreview} disabled={loading} variant="secondary" size="medium" className="flex-1">
+              <Button type="button" onClick={handlePreview} disabled={loading || isReserving || isChecking} loading={isReserving || isChecking} variant="secondary" size="medium" className="flex-1">
                 Preview Certificate
               </Button>
 
-              <Button type="button" onClick={handlePrint} disabled={loading || !showPreview} variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} loading={loading} className="flex-1">
+              <Button type="button" onClick={handlePrint} disabled={loading || !showPreview || (!reservation && !selectedBatch?.unverified) || (reservation && isExpired)} variant="primary" size="medium" icon={<Printer className="w-4 h-4" />} loading={loading} className="flex-1">
                 Print & Save
               </Button>
             </div>
 
             {!showPreview && <p className="text-sm text-secondary text-center">Preview certificate before printing</p>}
+            {showPreview && !fontsReady && <p className="text-xs text-secondary text-center">Loading certificate fonts...</p>}
+            {showPreview && reservation && isExpired && <p className="text-xs text-status-error text-center">The reservation expired - preview again to reserve the stock</p>}
+            {sessionLabels.length > 0 && (
+              <Button type="button" variant="outline" size="medium" fullWidth icon={<Tag className="w-4 h-4" />} onClick={() => setShowLabels(true)}>
+                Medal Labels for this Session ({sessionLabels.length})
+              </Button>
+            )}
+            {duplicateOverride && (
+              <p className="text-sm text-yellow-600 dark:text-yellow-400 text-center">
+                Duplicate award - reason: {REPRINT_REASON_LABELS[duplicateOverride.reason]}
+              </p>
+            )}
+            {showPreview && reservation && (
+              <div className="flex items-center justify-center gap-3">
+                <ReservationBadge quantity={reservation.quantity || 1} secondsLeft={secondsLeft} />
+                <button type="button" onClick={handleCancelPreview} className="text-xs text-secondary hover:text-status-error underline" disabled={loading}>
+                  Cancel &amp; release
+                </button>
+              </div>
+            )}
           </form>
         </div>
 
         {/* RIGHT: Preview Section */}
         <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
-          <h2 className="text-lg font-semibold text-primary mb-4">Print Preview (A4 Landscape)</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-primary">Print Preview ({PAPER_SIZE_LABELS[previewPaperSize]} Landscape)</h2>
+            <label className="flex items-center gap-2 text-sm text-secondary">
+              <input type="checkbox" checked={showStationery} onChange={(e) => setShowStationery(e.target.checked)} className="rounded" />
+              Show stationery
+            </label>
+          </div>
 
           {showPreview && selectedModule ? (
             <div className="border-2 border-gray-200/50 dark:border-white/10 rounded-xl overflow-hidden bg-white/20 dark:bg-white/5">
-              <CertificatePreview ref={printRef} studentName={formData.studentName} moduleName={selectedModule.name} moduleCode={selectedModule.name} division={selectedModule.division} ptcDate={formData.ptcDate} />
+              <CertificatePreview ref={printRef} studentName={formData.studentName} moduleName={selectedModule.name} moduleCode={selectedModule.name} moduleNameTranslations={selectedModule.module_name_translations} division={selectedModule.division} ptcDate={formData.ptcDate} serialNumber={serialNumber} language={certificateLanguage} layout={templateLayout} calibration={calibration} showStationery={showStationery} paperSize={branchPaperSize} />
             </div>
           ) : (
             <div className="flex items-center justify-center h-96 bg-white/20 dark:bg-white/5 rounded-xl border-2 border-dashed border-gray-200/50 dark:border-white/10">
@@ -475,6 +760,15 @@ const PrintCertificate = () => {
         </div>
       </div>
 
+      {/* Duplicate Award Check */}
+      <DuplicateAwardModal isOpen={!!duplicateRecord} existingRecord={duplicateRecord} moduleName={selectedModule?.name} onCancel={handleDuplicateCancel} onConfirm={handleDuplicateConfirm} />
+
+      {/* Medal Labels */}
+      <MedalLabelModal isOpen={showLabels} onClose={() => setShowLabels(false)} entries={sessionLabels} title="Medal Labels - This Session" />
+
+      {/* Print Confirmation */}
+      <PrintConfirmModal isOpen={showConfirm} quantity={1} secondsLeft={secondsLeft} onConfirm={handleConfirmPrint} onRelease={handleReleasePrint} onPrintAgain={handlePrintAgain} loading={loading} />
+
       {/* Info Box */}
       <div className="backdrop-blur-md bg-blue-500/10 border border-blue-500/30 rounded-2xl p-4 shadow-lg">
         <div className="flex items-start gap-3">
@@ -482,9 +776,13 @@ const PrintCertificate = () => {
           <div>
             <h3 className="font-medium text-primary mb-2">ℹ️ Important Notes:</h3>
             <ul className="text-sm text-secondary space-y-1">
-              <li>• Printing will automatically deduct 1 certificate AND 1 medal from stock</li>
+              <li>• Opening the preview reserves 1 certificate AND 1 medal; they are deducted once you confirm the print succeeded</li>
+              <li>• Cancelled prints release the reservation, and unconfirmed reservations expire automatically</li>
+              <li>• Without internet the record is queued on this device and synced later (see Print Queue)</li>
               <li>• Make sure to review the preview before printing to avoid wasted stock</li>
+              <li>• Medal labels for everything printed since opening this page can be printed on a sticker sheet</li>
               <li>• Student names are auto-linked if they exist in the system (by branch)</li>
+              <li>• A student who already has a certificate for the module can only get another one with a reason, which is logged</li>
               <li>• All print records are logged for tracking and auditing</li>
             </ul>
           </div>
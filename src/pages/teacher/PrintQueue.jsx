@@ -0,0 +1,229 @@
+import { useState } from "react";
+import { toast } from "react-hot-toast";
+import { UploadCloud, RefreshCw, Trash2, RotateCcw, WifiOff, AlertCircle, Package } from "lucide-react";
+import { useNetworkStatus } from "@utils/networkMonitor";
+import { usePrintQueueStore } from "@store/printQueueStore";
+import Button from "@components/common/Button";
+import Input from "@components/common/Input";
+import Modal from "@components/common/Modal";
+import { formatDate, formatDateTime } from "@utils/formatters";
+import { DATE_FORMATS, PRINT_QUEUE_STATUS, PRINT_QUEUE_STATUS_LABELS } from "@utils/constants";
+
+const statusBadgeClass = {
+  [PRINT_QUEUE_STATUS.PENDING]: "bg-blue-500/10 border-blue-500/30 text-blue-600 dark:text-blue-400",
+  [PRINT_QUEUE_STATUS.FAILED]: "bg-red-500/10 border-red-500/30 text-status-error",
+  [PRINT_QUEUE_STATUS.CONFLICT]: "bg-yellow-500/10 border-yellow-500/30 text-yellow-600 dark:text-yellow-400",
+};
+
+const PrintQueue = () => {
+  const online = useNetworkStatus({ notify: false });
+
+  const items = usePrintQueueStore((state) => state.items);
+  const isSyncing = usePrintQueueStore((state) => state.isSyncing);
+  const lastSyncAt = usePrintQueueStore((state) => state.lastSyncAt);
+  const syncQueue = usePrintQueueStore((state) => state.syncQueue);
+  const retryItem = usePrintQueueStore((state) => state.retryItem);
+  const discardItem = usePrintQueueStore((state) => state.discardItem);
+
+  // Change-batch state (stock conflicts)
+  const [batchTarget, setBatchTarget] = useState(null);
+  const [newBatchId, setNewBatchId] = useState("");
+
+  const pendingItems = items.filter((i) => i.status === PRINT_QUEUE_STATUS.PENDING);
+  const problemItems = items.filter((i) => i.status !== PRINT_QUEUE_STATUS.PENDING);
+
+  // =====================================================
+  // HANDLERS
+  // =====================================================
+
+  const reportResult = ({ synced, rejected }) => {
+    if (synced > 0) {
+      toast.success(`${synced} print record(s) synced`);
+    }
+    if (rejected > 0) {
+      toast.error(`${rejected} print record(s) were rejected`);
+    }
+  };
+
+  const handleSyncNow = async () => {
+    if (!online) {
+      toast.error("You are offline. The queue syncs automatically when the connection returns.");
+      return;
+    }
+
+    reportResult(await syncQueue());
+  };
+
+  const handleRetry = async (item) => {
+    reportResult(await retryItem(item.id));
+  };
+
+  const handleDiscard = async (item) => {
+    if (!window.confirm(`Discard the queued print record for "${item.payload.student_name}"? The printed certificate will have no record.`)) {
+      return;
+    }
+
+    await discardItem(item.id);
+    toast.success("Queued record discarded");
+  };
+
+  const handleOpenChangeBatch = (item) => {
+    setBatchTarget(item);
+    setNewBatchId(item.payload.certificate_id);
+  };
+
+  const handleChangeBatch = async () => {
+    if (!newBatchId.trim()) {
+      toast.error("Batch ID is required");
+      return;
+    }
+
+    const target = batchTarget;
+    setBatchTarget(null);
+    reportResult(await retryItem(target.id, { certificate_id: newBatchId.trim() }));
+  };
+
+  // =====================================================
+  // RENDER HELPERS
+  // =====================================================
+
+  const renderItem = (item) => (
+    <li key={item.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center gap-3">
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2 flex-wrap">
+          <span className="text-sm font-semibold text-primary">{item.payload.student_name}</span>
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-lg text-xs font-medium border ${statusBadgeClass[item.status]}`}>{PRINT_QUEUE_STATUS_LABELS[item.status]}</span>
+        </div>
+        <p className="text-xs text-secondary mt-1">
+          {item.details?.module_name || `Module #${item.payload.module_id}`} • Batch {item.payload.certificate_id} • PTC {formatDate(item.payload.ptc_date, DATE_FORMATS.DISPLAY)}
+        </p>
+        <p className="text-xs text-secondary">
+          Printed {formatDateTime(item.created_at)}
+          {item.attempts > 0 && ` • ${item.attempts} sync attempt(s)`}
+        </p>
+        {item.error && <p className="text-xs text-status-error mt-1">{item.error}</p>}
+      </div>
+
+      {item.status !== PRINT_QUEUE_STATUS.PENDING && (
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {item.status === PRINT_QUEUE_STATUS.CONFLICT && (
+            <Button variant="outline" size="small" icon={<Package className="w-4 h-4" />} onClick={() => handleOpenChangeBatch(item)} disabled={isSyncing || !online}>
+              Change Batch
+            </Button>
+          )}
+          <Button variant="secondary" size="small" icon={<RotateCcw className="w-4 h-4" />} onClick={() => handleRetry(item)} disabled={isSyncing || !online}>
+            Retry
+          </Button>
+          <Button variant="ghost" size="small" icon={<Trash2 className="w-4 h-4" />} onClick={() => handleDiscard(item)} disabled={isSyncing}>
+            Discard
+          </Button>
+        </div>
+      )}
+    </li>
+  );
+
+  // =====================================================
+  // MAIN RENDER
+  // =====================================================
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-primary">Print Queue</h1>
+            <p className="text-secondary mt-1">Certificates printed while offline, waiting to be recorded</p>
+            {lastSyncAt && <p className="text-xs text-secondary mt-1">Last sync: {formatDateTime(lastSyncAt)}</p>}
+          </div>
+          <Button variant="primary" size="medium" icon={<RefreshCw className={`w-4 h-4 ${isSyncing ? "animate-spin" : ""}`} />} onClick={handleSyncNow} disabled={isSyncing || pendingItems.length === 0}>
+            Sync Now
+          </Button>
+        </div>
+      </div>
+
+      {/* Offline Banner */}
+      {!online && (
+        <div className="backdrop-blur-md bg-red-500/10 border border-red-500/30 rounded-2xl p-4 shadow-lg flex items-start gap-3">
+          <WifiOff className="w-5 h-5 text-status-error flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-primary">You are offline. Queued records are kept on this device and synced automatically when the connection returns.</p>
+        </div>
+      )}
+
+      {items.length === 0 ? (
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl border border-gray-200/50 dark:border-white/10 shadow-lg flex flex-col items-center justify-center py-16 px-4">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-primary/10 rounded-full mb-4">
+            <UploadCloud className="w-8 h-8 text-primary" />
+          </div>
+          <h3 className="text-lg font-semibold text-primary mb-2">Queue is Empty</h3>
+          <p className="text-secondary text-center max-w-md">All print records have been saved</p>
+        </div>
+      ) : (
+        <>
+          {/* Needs Attention */}
+          {problemItems.length > 0 && (
+            <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl border border-gray-200/50 dark:border-white/10 shadow-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200/30 dark:border-white/5">
+                <h2 className="text-lg font-semibold text-primary">Needs Attention ({problemItems.length})</h2>
+                <p className="text-xs text-secondary mt-1">Rejected by the server. Stock conflicts can be retried after stock is added, or moved to another batch.</p>
+              </div>
+              <ul className="divide-y divide-gray-200/30 dark:divide-white/5">{problemItems.map(renderItem)}</ul>
+            </div>
+          )}
+
+          {/* Pending */}
+          {pendingItems.length > 0 && (
+            <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl border border-gray-200/50 dark:border-white/10 shadow-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200/30 dark:border-white/5">
+                <h2 className="text-lg font-semibold text-primary">Waiting to Sync ({pendingItems.length})</h2>
+              </div>
+              <ul className="divide-y divide-gray-200/30 dark:divide-white/5">{pendingItems.map(renderItem)}</ul>
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Info Box */}
+      <div className="backdrop-blur-md bg-blue-500/10 border border-blue-500/30 rounded-2xl p-4 shadow-lg">
+        <div className="flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+          <div>
+            <h3 className="font-medium text-primary mb-2">ℹ️ Important Notes:</h3>
+            <ul className="text-sm text-secondary space-y-1">
+              <li>• The queue is stored in this browser only - do not clear browser data while items are waiting</li>
+              <li>• Stock is deducted when a record syncs, not when it was printed</li>
+              <li>• Discarding a record leaves the printed certificate without a record or stock deduction</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      {/* Change Batch Modal */}
+      <Modal
+        isOpen={!!batchTarget}
+        onClose={() => setBatchTarget(null)}
+        title="Move to Another Batch"
+        size="small"
+        footer={
+          <div className="flex justify-end gap-3">
+            <Button variant="ghost" onClick={() => setBatchTarget(null)}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleChangeBatch}>
+              Retry with Batch
+            </Button>
+          </div>
+        }
+      >
+        <div className="space-y-3">
+          <p className="text-sm text-secondary">
+            Batch <span className="font-semibold text-primary">{batchTarget?.payload.certificate_id}</span> has no stock left for this record. Enter a batch that still has stock at your branch.
+          </p>
+          <Input name="newBatchId" value={newBatchId} onChange={(e) => setNewBatchId(e.target.value)} placeholder="Batch ID" prefixIcon={<Package className="w-5 h-5" />} />
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default PrintQueue;
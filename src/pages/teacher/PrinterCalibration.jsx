@@ -0,0 +1,187 @@
+import { useState, useEffect, useRef } from "react";
+import { useReactToPrint } from "react-to-print";
+import { toast } from "react-hot-toast";
+import { Crosshair, Printer, Save, RotateCcw, AlertCircle, MapPin, FileText } from "lucide-react";
+import { useAuth } from "@hooks/useAuth";
+import { usePrinterCalibration } from "@hooks/usePrinterCalibration";
+import CalibrationTestPage from "@components/certificates/CalibrationTestPage";
+import CertificatePreview from "@components/certificates/CertificatePreview";
+import Button from "@components/common/Button";
+import { CALIBRATION_LIMITS, normalizeCalibration } from "@utils/printerCalibration";
+import { formatDateTime } from "@utils/formatters";
+
+const selectClass =
+  "w-full px-4 py-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-white/10 rounded-xl text-gray-900 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const numberInputClass =
+  "w-full px-3 py-2 bg-white/50 dark:bg-white/5 border border-gray-200 dark:border-white/10 rounded-lg text-primary placeholder-secondary focus:outline-none focus:ring-2 focus:ring-primary/50";
+
+const PREVIEW_MODES = {
+  TEST_PAGE: "test_page",
+  CERTIFICATE: "certificate",
+};
+
+const PrinterCalibration = () => {
+  const { user, getUserBranches } = useAuth();
+  const branches = getUserBranches();
+  const printRef = useRef(null);
+
+  // =====================================================
+  // STATE
+  // =====================================================
+  const [branchCode, setBranchCode] = useState(user.teacher_branch || branches[0]?.branch_code || "");
+  const { calibration, save, reset } = usePrinterCalibration(branchCode);
+
+  // Draft values - printed on the test page before they are saved
+  const [draft, setDraft] = useState(calibration);
+  const [previewMode, setPreviewMode] = useState(PREVIEW_MODES.TEST_PAGE);
+
+  useEffect(() => {
+    setDraft(calibration);
+  }, [calibration]);
+
+  const hasChanges = JSON.stringify(normalizeCalibration(draft)) !== JSON.stringify(normalizeCalibration(calibration));
+
+  // =====================================================
+  // HANDLERS
+  // =====================================================
+  const handleDraftChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value === "" ? "" : parseFloat(value) }));
+  };
+
+  const handleSave = () => {
+    save(draft);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(`Reset the printer calibration of ${branchCode} to no correction?`)) {
+      return;
+    }
+    reset();
+  };
+
+  const handlePrint = useReactToPrint({
+    contentRef: printRef,
+    documentTitle: `Calibration_${branchCode}`,
+    onPrintError: (location, error) => {
+      console.error("Print error:", location, error);
+      toast.error("Print cancelled or failed");
+    },
+  });
+
+  // =====================================================
+  // RENDER
+  // =====================================================
+  const { OFFSET_MM, SCALE_MIN, SCALE_MAX } = CALIBRATION_LIMITS;
+
+  return (
+    <div className="space-y-4">
+      {/* Header */}
+      <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+        <h1 className="text-2xl font-bold text-primary">Printer Calibration</h1>
+        <p className="text-secondary mt-1">Line up printed text with your branch&apos;s pre-printed stationery</p>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-4">
+        {/* LEFT: Calibration Form */}
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg space-y-4">
+          {branches.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-primary mb-2">
+                <MapPin className="inline mr-1 w-4 h-4" />
+                Branch Printer
+              </label>
+              <select value={branchCode} onChange={(e) => setBranchCode(e.target.value)} className={selectClass}>
+                {branches.map((branch) => (
+                  <option key={branch.branch_code} value={branch.branch_code}>
+                    {branch.branch_name || branch.branch_code}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <ol className="text-sm text-secondary space-y-1 list-decimal list-inside">
+            <li>Print the test page on a sheet of stationery</li>
+            <li>Read the rulers at the paper edge, or measure how far each red crosshair is from where it should be</li>
+            <li>Enter the correction below (positive moves right / down) and print again to check</li>
+            <li>Save when the crosshairs land where they belong</li>
+          </ol>
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm text-secondary mb-1">X offset (mm)</label>
+              <input type="number" name="offset_x_mm" value={draft.offset_x_mm} onChange={handleDraftChange} step="0.5" min={-OFFSET_MM} max={OFFSET_MM} className={numberInputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-secondary mb-1">Y offset (mm)</label>
+              <input type="number" name="offset_y_mm" value={draft.offset_y_mm} onChange={handleDraftChange} step="0.5" min={-OFFSET_MM} max={OFFSET_MM} className={numberInputClass} />
+            </div>
+            <div>
+              <label className="block text-sm text-secondary mb-1">Scale</label>
+              <input type="number" name="scale" value={draft.scale} onChange={handleDraftChange} step="0.005" min={SCALE_MIN} max={SCALE_MAX} className={numberInputClass} />
+            </div>
+          </div>
+          <p className="text-xs text-secondary">
+            Offsets up to ±{OFFSET_MM} mm, scale between {SCALE_MIN} and {SCALE_MAX}. Saved for {branchCode || "this branch"} in this browser only.
+            {calibration.updated_at && ` Last saved ${formatDateTime(calibration.updated_at)}.`}
+          </p>
+
+          <div className="flex flex-wrap gap-3 pt-2">
+            <Button type="button" variant="secondary" size="medium" icon={<Printer className="w-4 h-4" />} onClick={() => handlePrint()} className="flex-1">
+              Print {previewMode === PREVIEW_MODES.TEST_PAGE ? "Test Page" : "Sample"}
+            </Button>
+            <Button type="button" variant="primary" size="medium" icon={<Save className="w-4 h-4" />} onClick={handleSave} disabled={!branchCode || !hasChanges} className="flex-1">
+              Save Calibration
+            </Button>
+            <Button type="button" variant="ghost" size="medium" icon={<RotateCcw className="w-4 h-4" />} onClick={handleReset} disabled={!branchCode}>
+              Reset
+            </Button>
+          </div>
+        </div>
+
+        {/* RIGHT: Preview */}
+        <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-primary">Preview</h2>
+            <div className="flex gap-2">
+              <Button type="button" variant={previewMode === PREVIEW_MODES.TEST_PAGE ? "primary" : "ghost"} size="small" icon={<Crosshair className="w-4 h-4" />} onClick={() => setPreviewMode(PREVIEW_MODES.TEST_PAGE)}>
+                Test Page
+              </Button>
+              <Button type="button" variant={previewMode === PREVIEW_MODES.CERTIFICATE ? "primary" : "ghost"} size="small" icon={<FileText className="w-4 h-4" />} onClick={() => setPreviewMode(PREVIEW_MODES.CERTIFICATE)}>
+                Sample Certificate
+              </Button>
+            </div>
+          </div>
+
+          <div className="max-h-[80vh] overflow-auto border-2 border-gray-200/50 dark:border-white/10 rounded-xl bg-white/20 dark:bg-white/5">
+            {previewMode === PREVIEW_MODES.TEST_PAGE ? (
+              <CalibrationTestPage ref={printRef} calibration={draft} branchCode={branchCode} />
+            ) : (
+              <CertificatePreview ref={printRef} studentName="Sample Student Name" moduleName="Sample Module" division="JK" ptcDate={new Date().toISOString().split("T")[0]} serialNumber="CRT-0000-0000-0000" calibration={draft} showStationery />
+            )}
+          </div>
+          {previewMode === PREVIEW_MODES.CERTIFICATE && <p className="text-xs text-secondary mt-2">The shaded band marks the stationery border. It is not printed.</p>}
+        </div>
+      </div>
+
+      {/* Info Box */}
+      <div className="backdrop-blur-md bg-blue-500/10 border border-blue-500/30 rounded-2xl p-4 shadow-lg">
+        <div className="flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+          <div>
+            <h3 className="font-medium text-primary mb-2">ℹ️ Important Notes:</h3>
+            <ul className="text-sm text-secondary space-y-1">
+              <li>• The correction is applied to every certificate printed from this browser for {branchCode || "the branch"}</li>
+              <li>• Set the browser print scale to 100% (&quot;Actual size&quot;) and margins to none before calibrating</li>
+              <li>• Recalibrate after changing printer, browser or paper tray</li>
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrinterCalibration;
@@ -9,10 +9,18 @@ import {
   TrendingUp,
   Award,
   AlertCircle,
+  Send,
 } from "lucide-react";
 import { useAuth } from "@hooks/useAuth";
+import { useStockAlert } from "@hooks/useStockAlert";
+import { useStockRequests } from "@hooks/useStockRequests";
+import { useStockForecast } from "@hooks/useStockForecast";
 import Button from "@components/common/Button";
 import Spinner from "@components/common/Spinner";
+import StockAlert from "@components/teachers/StockAlert";
+import StockRequestList from "@components/teachers/StockRequestList";
+import StockForecast from "@components/certificates/StockForecast";
+import StockRequestModal from "@components/teachers/StockRequestModal";
 import { getPrintHistory } from "@api/printedCertApi";
 import { formatNumber, formatDate } from "@utils/formatters";
 import { DATE_FORMATS } from "@utils/constants";
@@ -36,6 +44,28 @@ const TeacherDashboard = () => {
     recentHistory: [],
   });
 
+  // Stock alerts + requests to the admin
+  const {
+    alerts: stockAlerts,
+    isLoading: stockAlertsLoading,
+    refresh: refreshStockAlerts,
+  } = useStockAlert();
+  const {
+    requests: stockRequests,
+    isLoading: stockRequestsLoading,
+    refresh: refreshStockRequests,
+  } = useStockRequests({ limit: 5 });
+  const {
+    forecasts: stockForecasts,
+    failedBranches: stockForecastFailedBranches,
+    windowDays: forecastWindowDays,
+    isLoading: stockForecastLoading,
+    refresh: refreshStockForecast,
+  } = useStockForecast({
+    branchCodes: getUserBranches().map((branch) => branch.branch_code || branch),
+  });
+  const [requestBranch, setRequestBranch] = useState(null);
+
   useEffect(() => {
     const fetchDashboardData = async () => {
       setLoading(true);
@@ -151,12 +181,25 @@ const TeacherDashboard = () => {
     <div className="space-y-4">
       {/* Header */}
       <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
-        <h1 className="text-2xl font-bold text-primary">
-          Welcome, {getUserDisplayName()}! 👋
-        </h1>
-        <p className="text-secondary mt-1">
-          Ready to print some certificates today?
-        </p>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-primary">
+              Welcome, {getUserDisplayName()}! 👋
+            </h1>
+            <p className="text-secondary mt-1">
+              Ready to print some certificates today?
+            </p>
+          </div>
+          <Button
+            variant="secondary"
+            size="medium"
+            icon={<Send className="w-4 h-4" />}
+            onClick={() => setRequestBranch(branches[0]?.branch_code || "")}
+            disabled={branches.length === 0}
+          >
+            Request Stock
+          </Button>
+        </div>
       </div>
 
       {/* Teacher Info Card */}
@@ -274,6 +317,31 @@ const TeacherDashboard = () => {
         })}
       </div>
 
+      {/* Stock Alerts */}
+      <StockAlert
+        alerts={stockAlerts}
+        isLoading={stockAlertsLoading}
+        onRefresh={refreshStockAlerts}
+        onRequestStock={setRequestBranch}
+      />
+
+      {/* Stock Forecast */}
+      <StockForecast
+        forecasts={stockForecasts}
+        failedBranches={stockForecastFailedBranches}
+        windowDays={forecastWindowDays}
+        isLoading={stockForecastLoading}
+        onRefresh={refreshStockForecast}
+        onRequestStock={setRequestBranch}
+      />
+
+      {/* Stock Requests */}
+      <StockRequestList
+        requests={stockRequests}
+        isLoading={stockRequestsLoading}
+        onRefresh={refreshStockRequests}
+      />
+
       {/* Recent Print History */}
       <div className="backdrop-blur-md bg-white/40 dark:bg-white/5 rounded-2xl p-6 border border-gray-200/50 dark:border-white/10 shadow-lg">
         <h2 className="text-lg font-semibold text-primary mb-4">
@@ -343,6 +411,14 @@ const TeacherDashboard = () => {
           </div>
         )}
       </div>
+
+      <StockRequestModal
+        isOpen={requestBranch !== null}
+        onClose={() => setRequestBranch(null)}
+        branches={branches}
+        defaultBranch={requestBranch || ""}
+        onCreated={refreshStockRequests}
+      />
     </div>
   );
 };
@@ -8,6 +8,9 @@ import Spinner from "../components/common/Spinner";
 const Login = lazy(() => import("../pages/auth/Login"));
 const Profile = lazy(() => import("../pages/auth/Profile"));
 
+// Public pages
+const VerifyCertificate = lazy(() => import("../pages/public/VerifyCertificate"));
+
 // Admin pages
 const AdminDashboard = lazy(() => import("../pages/admin/Dashboard"));
 const Branches = lazy(() => import("../pages/admin/Branches"));
@@ -15,11 +18,15 @@ const Certificates = lazy(() => import("../pages/admin/Certificates"));
 const Teachers = lazy(() => import("../pages/admin/Teachers"));
 const Modules = lazy(() => import("../pages/admin/Modules"));
 const Logs = lazy(() => import("../pages/admin/Logs"));
+const CertificateTemplates = lazy(() => import("../pages/admin/CertificateTemplates"));
 
 // Teacher pages
 const TeacherDashboard = lazy(() => import("../pages/teacher/TeacherDashboard"));
 const PrintCertificate = lazy(() => import("../pages/teacher/PrintCertificate"));
+const BatchPrintCertificate = lazy(() => import("../pages/teacher/BatchPrintCertificate"));
 const HistoryPrint = lazy(() => import("../pages/teacher/HistoryPrint"));
+const PrintQueue = lazy(() => import("../pages/teacher/PrintQueue"));
+const PrinterCalibration = lazy(() => import("../pages/teacher/PrinterCalibration"));
 
 // Loading fallback
 const PageLoader = () => (
@@ -34,6 +41,7 @@ const AppRoutes = () => {
       <Routes>
         {/* Public Routes */}
         <Route path="/login" element={<Login />} />
+        <Route path="/verify/:serial" element={<VerifyCertificate />} />
 
         {/* Protected Routes - All authenticated users */}
         <Route element={<PrivateRoute />}>
@@ -47,6 +55,7 @@ const AppRoutes = () => {
           <Route path="/admin/certificates" element={<Certificates />} />
           <Route path="/admin/teachers" element={<Teachers />} />
           <Route path="/admin/modules" element={<Modules />} />
+          <Route path="/admin/templates" element={<CertificateTemplates />} />
           <Route path="/admin/logs" element={<Logs />} />
         </Route>
 
@@ -54,7 +63,10 @@ const AppRoutes = () => {
         <Route element={<PrivateRoute allowedRoles={["teacher"]} />}>
           <Route path="/teacher/dashboard" element={<TeacherDashboard />} />
           <Route path="/teacher/print" element={<PrintCertificate />} />
+          <Route path="/teacher/print/batch" element={<BatchPrintCertificate />} />
           <Route path="/teacher/history" element={<HistoryPrint />} />
+          <Route path="/teacher/print/queue" element={<PrintQueue />} />
+          <Route path="/teacher/print/calibration" element={<PrinterCalibration />} />
         </Route>
 
         {/* Redirects */}
@@ -0,0 +1,150 @@
+import { create } from "zustand";
+import { replayPrintRecord } from "@api/printedCertApi";
+import { addQueuedPrint, getQueuedPrints, updateQueuedPrint, removeQueuedPrint, ensureRequestId } from "@utils/offlinePrintQueue";
+import { isOnline } from "@utils/networkMonitor";
+import { PRINT_QUEUE_STATUS, ERROR_CODES } from "@utils/constants";
+import { ENV } from "@config/env";
+
+/**
+ * A rejected replay is a stock conflict when the batch ran out
+ * (or was moved) at the branch while the record sat in the queue.
+ * Other rejections (duplicate serial, duplicate award, ...) are failures.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isStockConflict = (error) => error.response?.data?.errorCode === ERROR_CODES.INSUFFICIENT_STOCK;
+
+/**
+ * The server already saved this record - an earlier replay got through
+ * but its response was lost
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isAlreadySaved = (error) => error.response?.data?.errorCode === ERROR_CODES.DUPLICATE_REQUEST;
+
+/**
+ * Print Queue Store
+ * In-memory view of the offline print queue (IndexedDB) of the logged-in
+ * teacher, plus the replay logic. Items are replayed oldest first; a
+ * network error stops the run and leaves the rest pending. Each replay
+ * carries the item's client_request_id so a retry cannot save it twice.
+ */
+export const usePrintQueueStore = create((set, get) => ({
+  // State
+  username: null,
+  items: [],
+  isSyncing: false,
+  lastSyncAt: null,
+
+  // Actions
+  loadQueue: async (username) => {
+    try {
+      const items = await getQueuedPrints(username);
+      set({ username, items });
+    } catch (error) {
+      ENV.ENABLE_LOGGING && console.error("❌ Failed to load print queue:", error);
+      set({ username, items: [] });
+    }
+  },
+
+  enqueue: async (payload, details = {}) => {
+    const item = await addQueuedPrint(get().username, payload, details);
+    set((state) => ({ items: [...state.items, item] }));
+    return item;
+  },
+
+  /**
+   * Replay all pending items
+   * @returns {Promise<{synced: number, rejected: number}>}
+   */
+  syncQueue: async () => {
+    if (get().isSyncing || !isOnline()) {
+      return { synced: 0, rejected: 0 };
+    }
+
+    set({ isSyncing: true });
+    let synced = 0;
+    let rejected = 0;
+
+    try {
+      const pending = get().items.filter((item) => item.status === PRINT_QUEUE_STATUS.PENDING);
+
+      const markSynced = async (item) => {
+        await removeQueuedPrint(item.id);
+        set((state) => ({ items: state.items.filter((i) => i.id !== item.id) }));
+        synced += 1;
+      };
+
+      for (const queued of pending) {
+        const item = await ensureRequestId(queued);
+
+        try {
+          await replayPrintRecord({ ...item.payload, queued_at: item.created_at, client_request_id: item.client_request_id });
+          await markSynced(item);
+        } catch (error) {
+          if (isAlreadySaved(error)) {
+            await markSynced(item);
+            continue;
+          }
+
+          // Connection dropped again - keep this and the rest pending
+          if (error.isNetworkError) {
+            const updated = await updateQueuedPrint({ ...item, attempts: item.attempts + 1 });
+            set((state) => ({ items: state.items.map((i) => (i.id === item.id ? updated : i)) }));
+            break;
+          }
+
+          const updated = await updateQueuedPrint({
+            ...item,
+            attempts: item.attempts + 1,
+            status: isStockConflict(error) ? PRINT_QUEUE_STATUS.CONFLICT : PRINT_QUEUE_STATUS.FAILED,
+            error: error.response?.data?.message || error.message,
+          });
+          set((state) => ({ items: state.items.map((i) => (i.id === item.id ? updated : i)) }));
+          rejected += 1;
+        }
+      }
+    } finally {
+      set({ isSyncing: false, lastSyncAt: new Date().toISOString() });
+    }
+
+    ENV.ENABLE_LOGGING && console.log(`🔄 Print queue synced: ${synced} saved, ${rejected} rejected`);
+    return { synced, rejected };
+  },
+
+  /**
+   * Put a failed or conflicting item back in the queue, optionally
+   * changing its payload (e.g. another batch), and replay it
+   * @param {number} id
+   * @param {Object} changes - Payload fields to override
+   */
+  retryItem: async (id, changes = {}) => {
+    const item = get().items.find((i) => i.id === id);
+    if (!item) return { synced: 0, rejected: 0 };
+
+    const updated = await updateQueuedPrint({
+      ...item,
+      payload: { ...item.payload, ...changes },
+      status: PRINT_QUEUE_STATUS.PENDING,
+      error: null,
+    });
+    set((state) => ({ items: state.items.map((i) => (i.id === id ? updated : i)) }));
+
+    return get().syncQueue();
+  },
+
+  discardItem: async (id) => {
+    await removeQueuedPrint(id);
+    set((state) => ({ items: state.items.filter((i) => i.id !== id) }));
+  },
+
+  // Reset store
+  reset: () => {
+    set({
+      username: null,
+      items: [],
+      isSyncing: false,
+      lastSyncAt: null,
+    });
+  },
+}));
@@ -0,0 +1,229 @@
+/**
+ * Batch ID Pattern Helpers
+ * Batch IDs follow a configurable pattern, e.g. "{HUB}-{YYYY}-{SEQ:4}" ->
+ * "SND-2026-0007". Tokens:
+ * - {HUB}    head branch (regional hub) code
+ * - {YYYY}   4-digit year, {YY} 2-digit year, {MM} 2-digit month
+ * - {SEQ:n}  sequence, zero-padded to n digits (required, exactly once)
+ * Anything else is literal text (letters, numbers, dashes, underscores).
+ *
+ * The sequence counts per hub - and per year/month when the pattern has
+ * them - so each hub starts at 1 every year with {YYYY} in the pattern.
+ */
+
+import { validateCertificateId } from "@utils/validators";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const BATCH_ID_TOKENS = [
+  { token: "{HUB}", description: "Head branch code" },
+  { token: "{YYYY}", description: "Year (4 digits)" },
+  { token: "{YY}", description: "Year (2 digits)" },
+  { token: "{MM}", description: "Month (2 digits)" },
+  { token: "{SEQ:n}", description: "Sequence padded to n digits" },
+];
+
+const TOKEN_REGEX = /\{([A-Z]+)(?::(\d+))?\}/g;
+const LITERAL_REGEX = /^[A-Za-z0-9_-]*$/;
+const MAX_SEQ_DIGITS = 8;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const pad = (value, length) => String(value).padStart(length, "0");
+
+/**
+ * Split a pattern into literal and token parts
+ * @param {string} pattern
+ * @returns {Array<{literal?: string, token?: string, digits?: number}>}
+ */
+const tokenize = (pattern) => {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of pattern.matchAll(TOKEN_REGEX)) {
+    if (match.index > lastIndex) {
+      parts.push({ literal: pattern.slice(lastIndex, match.index) });
+    }
+    parts.push({ token: match[1], digits: match[2] ? parseInt(match[2]) : null });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < pattern.length) {
+    parts.push({ literal: pattern.slice(lastIndex) });
+  }
+
+  return parts;
+};
+
+const getDateValues = (date) => ({
+  YYYY: String(date.getFullYear()),
+  YY: String(date.getFullYear()).slice(-2),
+  MM: pad(date.getMonth() + 1, 2),
+});
+
+// =====================================================
+// PATTERN
+// =====================================================
+
+/**
+ * Validate a pattern
+ * @param {string} pattern
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateBatchIdPattern = (pattern) => {
+  if (!pattern || !pattern.trim()) {
+    return "Pattern is required";
+  }
+
+  const parts = tokenize(pattern.trim());
+  const sequences = parts.filter((part) => part.token === "SEQ");
+
+  if (sequences.length !== 1) {
+    return "Pattern must contain {SEQ:n} exactly once";
+  }
+
+  if (!sequences[0].digits || sequences[0].digits > MAX_SEQ_DIGITS) {
+    return `Sequence needs 1 to ${MAX_SEQ_DIGITS} digits, e.g. {SEQ:4}`;
+  }
+
+  const unknown = parts.find((part) => part.token && !["HUB", "YYYY", "YY", "MM", "SEQ"].includes(part.token));
+  if (unknown) {
+    return `Unknown token {${unknown.token}}`;
+  }
+
+  if (parts.some((part) => part.literal !== undefined && !LITERAL_REGEX.test(part.literal))) {
+    return "Text between tokens can only contain letters, numbers, dashes, and underscores";
+  }
+
+  const sample = formatBatchId(pattern.trim(), { hub: "SND", seq: 1 });
+  const check = validateCertificateId(sample);
+  return check.valid ? null : `Generated IDs would be invalid: ${check.message}`;
+};
+
+/**
+ * Build a batch ID from a pattern
+ * @param {string} pattern
+ * @param {Object} values - { hub, seq, date } (seq null leaves "*" in its place)
+ * @returns {string}
+ */
+export const formatBatchId = (pattern, { hub, seq, date = new Date() }) => {
+  const dateValues = getDateValues(date);
+
+  return tokenize(pattern)
+    .map((part) => {
+      if (part.literal !== undefined) return part.literal;
+      if (part.token === "HUB") return hub;
+      if (part.token === "SEQ") return seq === null ? "*" : pad(seq, part.digits || 1);
+      return dateValues[part.token] ?? "";
+    })
+    .join("");
+};
+
+/**
+ * Regular expression for IDs of a pattern; the sequence is group "seq"
+ * and the hub group "hub". Pass hub/date to only match that scope.
+ * @param {string} pattern
+ * @param {Object} scope - { hub, date } (optional)
+ * @returns {RegExp}
+ */
+export const getBatchIdRegex = (pattern, scope = {}) => {
+  const dateValues = scope.date ? getDateValues(scope.date) : null;
+  let hubSeen = false;
+
+  const source = tokenize(pattern)
+    .map((part) => {
+      if (part.literal !== undefined) return escapeRegex(part.literal);
+
+      if (part.token === "SEQ") return `(?<seq>\\d{${part.digits || 1},})`;
+
+      if (part.token === "HUB") {
+        if (scope.hub) return escapeRegex(scope.hub);
+        // A repeated {HUB} must match the same code
+        if (hubSeen) return "\\k<hub>";
+        hubSeen = true;
+        return "(?<hub>[A-Za-z0-9]+)";
+      }
+
+      if (dateValues) return dateValues[part.token];
+      return part.token === "YYYY" ? "\\d{4}" : "\\d{2}";
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`, "i");
+};
+
+// =====================================================
+// SEQUENCE
+// =====================================================
+
+/**
+ * Key of the sequence counter an ID counts in: the ID with "*" in place of
+ * the sequence ("SND-2026-*"), so each hub and period has its own counter
+ * @param {string} pattern
+ * @param {string} hub
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getSequenceScope = (pattern, hub, date = new Date()) => formatBatchId(pattern, { hub, seq: null, date }).toUpperCase();
+
+/**
+ * Next free batch ID for a hub
+ * The sequence continues from the highest of the existing IDs and the
+ * stored counter, so numbers of archived batches are not handed out again
+ * @param {string} pattern
+ * @param {string} hub - Head branch code
+ * @param {Array<string>} existingIds - Batch IDs already in use
+ * @param {Object} options - { date, counters } (counters: { [scope]: last sequence })
+ * @returns {string}
+ */
+export const getNextBatchId = (pattern, hub, existingIds = [], options = {}) => {
+  const { date = new Date(), counters = {} } = options;
+  const regex = getBatchIdRegex(pattern, { hub, date });
+  const lastSequence = parseInt(counters[getSequenceScope(pattern, hub, date)]) || 0;
+
+  const highest = existingIds.reduce((max, id) => {
+    const match = regex.exec(id);
+    return match ? Math.max(max, parseInt(match.groups.seq)) : max;
+  }, lastSequence);
+
+  return formatBatchId(pattern, { hub, seq: highest + 1, date });
+};
+
+// =====================================================
+// CONFORMANCE
+// =====================================================
+
+/**
+ * Find batch IDs that do not follow the pattern
+ * @param {string} pattern
+ * @param {Array} batches - [{ certificate_id, regional_hub }]
+ * @returns {Array} [{ certificate_id, regional_hub, reason }]
+ */
+export const findNonConformingIds = (pattern, batches) => {
+  const regex = getBatchIdRegex(pattern);
+  const hasHub = pattern.includes("{HUB}");
+
+  return batches.reduce((result, batch) => {
+    const match = regex.exec(batch.certificate_id);
+
+    if (!match) {
+      result.push({ ...batch, reason: "Does not match the pattern" });
+    } else if (hasHub && batch.regional_hub && match.groups.hub.toUpperCase() !== batch.regional_hub.toUpperCase()) {
+      result.push({ ...batch, reason: `Hub code ${match.groups.hub} but stored in ${batch.regional_hub}` });
+    }
+
+    return result;
+  }, []);
+};
+
+export default {
+  BATCH_ID_TOKENS,
+  validateBatchIdPattern,
+  formatBatchId,
+  getBatchIdRegex,
+  getSequenceScope,
+  getNextBatchId,
+  findNonConformingIds,
+};
@@ -0,0 +1,125 @@
+/**
+ * Batch Import Helpers
+ * Turns spreadsheet rows (see spreadsheetReader) into certificate batches
+ * and validates each row the same way as the Add Batch modal: batch ID
+ * format, an active head branch, and at least one certificate or medal.
+ */
+
+import { validateCertificateId } from "@utils/validators";
+
+// =====================================================
+// COLUMNS
+// =====================================================
+
+// Accepted header names per field (compared lowercase, spaces as "_")
+export const BATCH_IMPORT_COLUMNS = {
+  certificate_id: ["certificate_id", "batch_id", "batch"],
+  branch_code: ["head_branch", "branch_code", "regional_hub", "branch"],
+  jumlah_sertifikat: ["certificates", "certificate_count", "jumlah_sertifikat"],
+  jumlah_medali: ["medals", "medal_count", "jumlah_medali"],
+};
+
+export const BATCH_IMPORT_TEMPLATE = "certificate_id,head_branch,certificates,medals\nSND-2026-0001,SND,100,100\n";
+
+const normalizeHeader = (value) => value.trim().toLowerCase().replace(/\s+/g, "_");
+
+/**
+ * Find the column of each field in the header row
+ * @param {Array<string>} header
+ * @returns {{columns: Object, missing: Array<string>}}
+ */
+export const mapBatchImportColumns = (header) => {
+  const normalized = header.map(normalizeHeader);
+  const columns = {};
+  const missing = [];
+
+  Object.entries(BATCH_IMPORT_COLUMNS).forEach(([field, names]) => {
+    const index = normalized.findIndex((name) => names.includes(name));
+    if (index === -1) {
+      missing.push(names[0]);
+    } else {
+      columns[field] = index;
+    }
+  });
+
+  return { columns, missing };
+};
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+const parseCount = (value) => {
+  if (value === undefined || value === "") return 0;
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+};
+
+/**
+ * Build and validate import rows
+ * @param {Array<Array<string>>} rows - Spreadsheet rows, header first
+ * @param {Array} headBranches - Active head branches ({ branch_code })
+ * @returns {{rows: Array, missing: Array<string>}}
+ *   rows: [{ rowNumber, certificate_id, branch_code, jumlah_sertifikat, jumlah_medali, errors: [] }]
+ */
+export const buildBatchImportRows = (rows, headBranches) => {
+  const [header = [], ...body] = rows;
+  const { columns, missing } = mapBatchImportColumns(header);
+
+  if (missing.length > 0) {
+    return { rows: [], missing };
+  }
+
+  const headCodes = headBranches.map((branch) => branch.branch_code.toUpperCase());
+  const seen = new Map();
+
+  const result = body
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => cells.some((cell) => cell !== ""))
+    .map(({ cells, rowNumber }) => {
+      const certificateId = (cells[columns.certificate_id] || "").trim();
+      const branchCode = (cells[columns.branch_code] || "").trim().toUpperCase();
+      const certificates = parseCount((cells[columns.jumlah_sertifikat] || "").trim());
+      const medals = parseCount((cells[columns.jumlah_medali] || "").trim());
+      const errors = [];
+
+      const idCheck = validateCertificateId(certificateId);
+      const idKey = certificateId.toUpperCase();
+      if (!idCheck.valid) {
+        errors.push(idCheck.message);
+      } else if (seen.has(idKey)) {
+        errors.push(`Duplicate of row ${seen.get(idKey)}`);
+      } else {
+        seen.set(idKey, rowNumber);
+      }
+
+      if (!branchCode) {
+        errors.push("Head branch is required");
+      } else if (!headCodes.includes(branchCode)) {
+        errors.push(`${branchCode} is not an active head branch`);
+      }
+
+      if (Number.isNaN(certificates) || Number.isNaN(medals)) {
+        errors.push("Certificate and medal counts must be whole numbers");
+      } else if (certificates + medals === 0) {
+        errors.push("At least one certificate or medal must be greater than 0");
+      }
+
+      return {
+        rowNumber,
+        certificate_id: certificateId,
+        branch_code: branchCode,
+        jumlah_sertifikat: Number.isNaN(certificates) ? 0 : certificates,
+        jumlah_medali: Number.isNaN(medals) ? 0 : medals,
+        errors,
+      };
+    });
+
+  return { rows: result, missing };
+};
+
+export default {
+  BATCH_IMPORT_COLUMNS,
+  BATCH_IMPORT_TEMPLATE,
+  mapBatchImportColumns,
+  buildBatchImportRows,
+};
@@ -0,0 +1,165 @@
+/**
+ * Batch Ledger Helpers
+ * Rebuilds how the stock of one batch moved between branches, in time
+ * order, from its activity log (getLogsByCertificate) and its print
+ * records (getPrintHistory). Every entry carries the change per branch and
+ * the running balance of every branch after it.
+ *
+ * Effect of each entry on branch stock:
+ * - CREATE: adds the batch to the head branch
+ * - MIGRATE / TRANSFER_*: moves from from_branch to to_branch
+ * - STOCK_ADJUSTED: signed amounts at branch_code
+ * - Print: 1 certificate + 1 medal from the printing branch (voided prints
+ *   included - the void is a separate entry)
+ * - STOCK_RETURNED: a voided print's units go back to the branch
+ * - PRINT_VOIDED, STOCK_WASTED, PRINT_REPRINTED, PRINT_DUPLICATE: no change
+ *   (a wasted void stays deducted)
+ */
+
+import { LOG_ACTION_TYPES, LOG_ACTION_LABELS } from "@utils/constants";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Print records are not activity logs; they get their own entry type
+export const LEDGER_PRINT_ENTRY = "PRINT";
+
+const TRANSFER_ACTIONS = [LOG_ACTION_TYPES.MIGRATE, LOG_ACTION_TYPES.TRANSFER_RETURN, LOG_ACTION_TYPES.TRANSFER_BRANCH, LOG_ACTION_TYPES.TRANSFER_CROSS_HUB];
+
+// Same-timestamp entries: stock must arrive before it can leave
+const ENTRY_ORDER = {
+  [LOG_ACTION_TYPES.CREATE]: 0,
+  [LOG_ACTION_TYPES.MIGRATE]: 1,
+};
+
+// =====================================================
+// ENTRY EFFECTS
+// =====================================================
+
+const toAmount = (value) => Number(value) || 0;
+
+/**
+ * Branch changes caused by one activity log entry
+ * @param {Object} log - Log entry ({ action_type, from_branch, to_branch, branch_code, certificate_amount, medal_amount })
+ * @param {string} headBranch - Head branch of the batch (fallback for CREATE)
+ * @returns {Array} [{ branch_code, certificates, medals }]
+ */
+export const getLogStockChanges = (log, headBranch) => {
+  const certificates = toAmount(log.certificate_amount);
+  const medals = toAmount(log.medal_amount);
+
+  if (log.action_type === LOG_ACTION_TYPES.CREATE) {
+    return [{ branch_code: log.to_branch || log.branch_code || headBranch, certificates, medals }];
+  }
+
+  if (TRANSFER_ACTIONS.includes(log.action_type)) {
+    return [
+      { branch_code: log.from_branch, certificates: -Math.abs(certificates), medals: -Math.abs(medals) },
+      { branch_code: log.to_branch, certificates: Math.abs(certificates), medals: Math.abs(medals) },
+    ];
+  }
+
+  if (log.action_type === LOG_ACTION_TYPES.STOCK_ADJUSTED) {
+    return [{ branch_code: log.branch_code, certificates, medals }];
+  }
+
+  if (log.action_type === LOG_ACTION_TYPES.STOCK_RETURNED) {
+    return [{ branch_code: log.branch_code || log.to_branch, certificates: Math.abs(certificates), medals: Math.abs(medals) }];
+  }
+
+  return [];
+};
+
+/**
+ * Group print records into one entry per branch and day
+ * @param {Array} prints - getPrintHistory records ({ branch_code, printed_at, created_at, status })
+ * @returns {Array} Ledger entries
+ */
+const groupPrints = (prints) => {
+  const groups = new Map();
+
+  prints.forEach((record) => {
+    const date = record.printed_at || record.created_at;
+    const day = String(date).slice(0, 10);
+    const key = `${record.branch_code}|${day}`;
+    const group = groups.get(key) || { key, branch_code: record.branch_code, date, count: 0 };
+
+    group.count += 1;
+    // Place the group at its last print of the day
+    if (new Date(date) > new Date(group.date)) {
+      group.date = date;
+    }
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map((group) => ({
+    key: `print-${group.key}`,
+    date: group.date,
+    type: LEDGER_PRINT_ENTRY,
+    label: "Printed",
+    description: `${group.count} certificate(s) printed at ${group.branch_code}`,
+    performed_by: "",
+    changes: [{ branch_code: group.branch_code, certificates: -group.count, medals: -group.count }],
+  }));
+};
+
+// =====================================================
+// LEDGER
+// =====================================================
+
+/**
+ * Build the movement ledger of one batch
+ * @param {Array} logs - getLogsByCertificate entries
+ * @param {Array} prints - getPrintHistory records of the batch
+ * @param {string} headBranch - Head branch the batch was created in
+ * @returns {{entries: Array, branches: Array<string>, balances: Object}}
+ *   entries: [{ key, date, type, label, description, performed_by, changes, balances }]
+ *   balances: final { [branch_code]: { certificates, medals } }
+ */
+export const buildBatchLedger = (logs = [], prints = [], headBranch = "") => {
+  const logEntries = logs.map((log) => ({
+    key: `log-${log.id}`,
+    date: log.created_at,
+    type: log.action_type,
+    label: LOG_ACTION_LABELS[log.action_type] || log.action_type,
+    description: log.description || "",
+    performed_by: log.performed_by || "",
+    changes: getLogStockChanges(log, headBranch).filter((change) => change.branch_code && (change.certificates !== 0 || change.medals !== 0)),
+  }));
+
+  const sorted = [...logEntries, ...groupPrints(prints)].sort((a, b) => {
+    const diff = new Date(a.date) - new Date(b.date);
+    if (diff !== 0) return diff;
+    return (ENTRY_ORDER[a.type] ?? 2) - (ENTRY_ORDER[b.type] ?? 2);
+  });
+
+  const balances = {};
+  const branches = headBranch ? [headBranch] : [];
+
+  const entries = sorted.map((entry) => {
+    entry.changes.forEach((change) => {
+      if (!balances[change.branch_code]) {
+        balances[change.branch_code] = { certificates: 0, medals: 0 };
+        if (!branches.includes(change.branch_code)) {
+          branches.push(change.branch_code);
+        }
+      }
+      balances[change.branch_code].certificates += change.certificates;
+      balances[change.branch_code].medals += change.medals;
+    });
+
+    return {
+      ...entry,
+      balances: Object.fromEntries(Object.entries(balances).map(([code, balance]) => [code, { ...balance }])),
+    };
+  });
+
+  return { entries, branches, balances };
+};
+
+export default {
+  LEDGER_PRINT_ENTRY,
+  getLogStockChanges,
+  buildBatchLedger,
+};
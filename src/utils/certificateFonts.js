@@ -0,0 +1,121 @@
+/**
+ * Certificate Font Helpers
+ * The certificate fonts are bundled with the app (@fontsource packages)
+ * instead of being fetched from Google Fonts, so printing works on slow or
+ * blocked networks. Importing this module registers the @font-face rules;
+ * the font files themselves are only downloaded once text uses them.
+ *
+ * Printing waits for loadCertificateFonts() - a certificate printed
+ * before its fonts have loaded comes out in a fallback font and is wasted.
+ */
+
+import "@fontsource/montserrat/400.css";
+import "@fontsource/montserrat/400-italic.css";
+import "@fontsource/montserrat/600.css";
+import "@fontsource/montserrat/700.css";
+import "@fontsource/playfair-display/400.css";
+import "@fontsource/playfair-display/400-italic.css";
+import "@fontsource/playfair-display/600.css";
+import "@fontsource/playfair-display/700.css";
+
+import { TEMPLATE_FONTS, normalizeTemplateLayout } from "@utils/certificateTemplate";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+// Families bundled above (kept in sync with TEMPLATE_FONTS)
+export const BUNDLED_FONTS = TEMPLATE_FONTS;
+
+export const FONT_LOAD_TIMEOUT_MS = 10000;
+
+// Includes Indonesian / Latin-extended letters so every subset is loaded
+const SAMPLE_TEXT = "AaBbÉé 0123";
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Font faces (family + weight + style) a template needs
+ * @param {Object|null} layout - Template layout
+ * @returns {Array<{family: string, weight: number, style: string}>}
+ */
+export const getTemplateFontFaces = (layout) => {
+  const { fields } = normalizeTemplateLayout(layout);
+  const faces = new Map();
+
+  Object.values(fields).forEach((field) => {
+    faces.set(`${field.font_family}|${field.font_weight}|normal`, { family: field.font_family, weight: field.font_weight, style: "normal" });
+    // Bilingual certificates print the second language in italic
+    faces.set(`${field.font_family}|400|italic`, { family: field.font_family, weight: 400, style: "italic" });
+  });
+
+  return [...faces.values()];
+};
+
+/**
+ * Whether a font that is not bundled is installed on this computer
+ * (text measured in the font differs from the fallback fonts)
+ * @param {string} family
+ * @returns {boolean}
+ */
+const isSystemFontInstalled = (family) => {
+  const context = document.createElement("canvas").getContext("2d");
+  if (!context) return false;
+
+  return ["monospace", "serif", "sans-serif"].some((fallback) => {
+    context.font = `32px ${fallback}`;
+    const fallbackWidth = context.measureText(SAMPLE_TEXT).width;
+    context.font = `32px '${family}', ${fallback}`;
+    return context.measureText(SAMPLE_TEXT).width !== fallbackWidth;
+  });
+};
+
+/**
+ * Fonts referenced by a template that are neither bundled nor installed
+ * @param {Object|null} layout - Template layout
+ * @returns {Array<string>} Missing font families
+ */
+export const getMissingTemplateFonts = (layout) => {
+  const families = [...new Set(getTemplateFontFaces(layout).map((face) => face.family))];
+  return families.filter((family) => !BUNDLED_FONTS.includes(family) && !isSystemFontInstalled(family));
+};
+
+/**
+ * Load every bundled font face a template uses
+ * @param {Object|null} layout - Template layout
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} Whether all fonts are ready
+ */
+export const loadCertificateFonts = async (layout, timeoutMs = FONT_LOAD_TIMEOUT_MS) => {
+  if (!document.fonts) return true;
+
+  const faces = getTemplateFontFaces(layout).filter((face) => BUNDLED_FONTS.includes(face.family));
+  const descriptors = faces.map((face) => `${face.style} ${face.weight} 16px '${face.family}'`);
+
+  const load = Promise.all(descriptors.map((descriptor) => document.fonts.load(descriptor, SAMPLE_TEXT)));
+  let timerId = null;
+  const timeout = new Promise((resolve) => {
+    timerId = setTimeout(() => resolve(null), timeoutMs);
+  });
+
+  try {
+    const loaded = await Promise.race([load, timeout]);
+    if (!loaded) return false;
+
+    return descriptors.every((descriptor) => document.fonts.check(descriptor, SAMPLE_TEXT));
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timerId);
+  }
+};
+
+export default {
+  BUNDLED_FONTS,
+  FONT_LOAD_TIMEOUT_MS,
+  getTemplateFontFaces,
+  getMissingTemplateFonts,
+  loadCertificateFonts,
+};
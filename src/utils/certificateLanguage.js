@@ -0,0 +1,136 @@
+/**
+ * Certificate Language Helpers
+ * Certificates are printed in English, Indonesian, or both (bilingual:
+ * Indonesian first, English underneath). The language comes from the
+ * print form, which defaults to the module's language, then the
+ * template's, then English.
+ *
+ * Module name translations are stored alongside module_name as
+ * module_name_translations, e.g. { id: "Pengenalan Pemrograman Scratch" }.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const CERTIFICATE_LANGUAGES = {
+  EN: "en",
+  ID: "id",
+  BILINGUAL: "id_en",
+};
+
+export const CERTIFICATE_LANGUAGE_LABELS = {
+  [CERTIFICATE_LANGUAGES.EN]: "English",
+  [CERTIFICATE_LANGUAGES.ID]: "Bahasa Indonesia",
+  [CERTIFICATE_LANGUAGES.BILINGUAL]: "Bilingual (Indonesian + English)",
+};
+
+export const DEFAULT_CERTIFICATE_LANGUAGE = CERTIFICATE_LANGUAGES.EN;
+
+const DATE_LOCALES = {
+  [CERTIFICATE_LANGUAGES.EN]: "en-GB",
+  [CERTIFICATE_LANGUAGES.ID]: "id-ID",
+};
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * @param {string} language
+ * @returns {boolean}
+ */
+export const isValidCertificateLanguage = (language) => Object.values(CERTIFICATE_LANGUAGES).includes(language);
+
+/**
+ * Pick the default certificate language for the print form
+ * @param {Object|null} module - Module with optional certificate_language
+ * @param {Object|null} layout - Template layout with optional language
+ * @returns {string} Certificate language
+ */
+export const resolveCertificateLanguage = (module, layout) => {
+  if (isValidCertificateLanguage(module?.certificate_language)) return module.certificate_language;
+  if (isValidCertificateLanguage(layout?.language)) return layout.language;
+  return DEFAULT_CERTIFICATE_LANGUAGE;
+};
+
+/**
+ * Format a date for a single language, e.g. "10 February 2026" / "10 Februari 2026"
+ * @param {string} dateString
+ * @param {string} language - en / id
+ * @returns {string}
+ */
+const formatDateForLanguage = (dateString, language) => {
+  const date = new Date(dateString);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return date.toLocaleDateString(DATE_LOCALES[language] || DATE_LOCALES[DEFAULT_CERTIFICATE_LANGUAGE], {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+};
+
+/**
+ * Module name in one language, falling back to module_name
+ * @param {string} moduleName - Default (English) name
+ * @param {Object} translations - { id: "..." }
+ * @param {string} language - en / id
+ * @returns {string}
+ */
+const getModuleNameForLanguage = (moduleName, translations, language) => {
+  if (language === CERTIFICATE_LANGUAGES.EN) return moduleName;
+  return translations?.[language] || moduleName;
+};
+
+/**
+ * Texts printed on the certificate for a language.
+ * "secondary" is only set for bilingual certificates (and only when it
+ * differs from the primary text).
+ * @param {Object} params - { moduleName, translations, ptcDate, language }
+ * @returns {Object} { moduleName: {primary, secondary}, ptcDate: {primary, secondary} }
+ */
+export const getCertificateTexts = ({ moduleName, translations, ptcDate, language }) => {
+  if (language === CERTIFICATE_LANGUAGES.BILINGUAL) {
+    const localName = getModuleNameForLanguage(moduleName, translations, CERTIFICATE_LANGUAGES.ID);
+
+    return {
+      moduleName: {
+        primary: localName,
+        secondary: localName !== moduleName ? moduleName : null,
+      },
+      ptcDate: {
+        primary: formatDateForLanguage(ptcDate, CERTIFICATE_LANGUAGES.ID),
+        secondary: formatDateForLanguage(ptcDate, CERTIFICATE_LANGUAGES.EN),
+      },
+    };
+  }
+
+  const single = isValidCertificateLanguage(language) ? language : DEFAULT_CERTIFICATE_LANGUAGE;
+
+  return {
+    moduleName: { primary: getModuleNameForLanguage(moduleName, translations, single), secondary: null },
+    ptcDate: { primary: formatDateForLanguage(ptcDate, single), secondary: null },
+  };
+};
+
+/**
+ * Whether a module still needs an Indonesian name for the chosen language
+ * @param {Object} translations
+ * @param {string} language
+ * @returns {boolean}
+ */
+export const isMissingTranslation = (translations, language) => {
+  if (language === CERTIFICATE_LANGUAGES.EN) return false;
+  return !translations?.[CERTIFICATE_LANGUAGES.ID];
+};
+
+export default {
+  CERTIFICATE_LANGUAGES,
+  CERTIFICATE_LANGUAGE_LABELS,
+  DEFAULT_CERTIFICATE_LANGUAGE,
+  isValidCertificateLanguage,
+  resolveCertificateLanguage,
+  getCertificateTexts,
+  isMissingTranslation,
+};
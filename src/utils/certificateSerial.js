@@ -0,0 +1,95 @@
+/**
+ * Certificate Serial Helpers
+ * Every printed certificate carries a unique serial number and a QR code
+ * pointing at the public verification page (/verify/:serial).
+ *
+ * Serials are generated in the browser before printing (they must be on
+ * the paper) and sent with the print record; the backend enforces
+ * uniqueness.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const SERIAL_PREFIX = "CRT";
+
+// Crockford base32 - no I, L, O, U so serials are easy to read back
+const SERIAL_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const SERIAL_GROUPS = 3;
+const SERIAL_GROUP_LENGTH = 4;
+
+const SERIAL_PATTERN = new RegExp(
+  `^${SERIAL_PREFIX}(-[${SERIAL_ALPHABET}]{${SERIAL_GROUP_LENGTH}}){${SERIAL_GROUPS}}$`,
+);
+
+export const VERIFICATION_STATUS = {
+  VALID: "valid",
+  REVOKED: "revoked",
+  UNKNOWN: "unknown",
+};
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Generate a new certificate serial, e.g. "CRT-7K2M-Q9XD-04HT"
+ * @returns {string} Serial number
+ */
+export const generateCertificateSerial = () => {
+  const length = SERIAL_GROUPS * SERIAL_GROUP_LENGTH;
+  const bytes = new Uint8Array(length);
+  window.crypto.getRandomValues(bytes);
+
+  const chars = Array.from(bytes, (byte) => SERIAL_ALPHABET[byte % SERIAL_ALPHABET.length]);
+
+  const groups = [];
+  for (let i = 0; i < length; i += SERIAL_GROUP_LENGTH) {
+    groups.push(chars.slice(i, i + SERIAL_GROUP_LENGTH).join(""));
+  }
+
+  return [SERIAL_PREFIX, ...groups].join("-");
+};
+
+/**
+ * Normalise a typed or scanned serial (case, whitespace, look-alike characters)
+ * @param {string} serial
+ * @returns {string} Normalised serial
+ */
+export const normalizeCertificateSerial = (serial) => {
+  if (!serial) return "";
+  return serial
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, "")
+    .replace(/[IL]/g, "1")
+    .replace(/O/g, "0");
+};
+
+/**
+ * Check serial format
+ * @param {string} serial
+ * @returns {boolean} True when the serial is well-formed
+ */
+export const isValidCertificateSerial = (serial) => {
+  return SERIAL_PATTERN.test(normalizeCertificateSerial(serial));
+};
+
+/**
+ * Public verification URL encoded in the certificate QR code
+ * @param {string} serial
+ * @returns {string} Absolute URL
+ */
+export const getVerificationUrl = (serial) => {
+  return `${window.location.origin}/verify/${encodeURIComponent(serial)}`;
+};
+
+export default {
+  SERIAL_PREFIX,
+  VERIFICATION_STATUS,
+  generateCertificateSerial,
+  normalizeCertificateSerial,
+  isValidCertificateSerial,
+  getVerificationUrl,
+};
@@ -0,0 +1,318 @@
+/**
+ * Certificate Template Helpers
+ * Shared definitions for the data-driven certificate layout used by
+ * CertificatePreview and the admin template designer.
+ *
+ * All positions and sizes are in millimetres relative to the top-left
+ * corner of the page; font sizes are in points.
+ *
+ * Coordinates belong to the template's paper size. A branch printing on
+ * different paper gets the layout scaled to its size (see applyPaperSize).
+ *
+ * Fields listed in TEMPLATE_FIT_FIELDS shrink to fit long texts, down to
+ * min_font_size_pt, within max_lines lines of the field width.
+ */
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const TEMPLATE_SCOPES = {
+  DEFAULT: "default",
+  DIVISION: "division",
+  MODULE: "module",
+};
+
+export const TEMPLATE_SCOPE_LABELS = {
+  [TEMPLATE_SCOPES.DEFAULT]: "Default",
+  [TEMPLATE_SCOPES.DIVISION]: "Division",
+  [TEMPLATE_SCOPES.MODULE]: "Module",
+};
+
+export const TEMPLATE_FIELDS = {
+  STUDENT_NAME: "student_name",
+  MODULE_NAME: "module_name",
+  PTC_DATE: "ptc_date",
+  SERIAL_NUMBER: "serial_number",
+};
+
+export const TEMPLATE_FIELD_LABELS = {
+  [TEMPLATE_FIELDS.STUDENT_NAME]: "Student Name",
+  [TEMPLATE_FIELDS.MODULE_NAME]: "Module Name",
+  [TEMPLATE_FIELDS.PTC_DATE]: "PTC Date",
+  [TEMPLATE_FIELDS.SERIAL_NUMBER]: "Serial Number",
+};
+
+// Fields whose font shrinks to fit long names
+export const TEMPLATE_FIT_FIELDS = [TEMPLATE_FIELDS.STUDENT_NAME, TEMPLATE_FIELDS.MODULE_NAME];
+
+// Key of the verification QR code block (positioned like a field)
+export const TEMPLATE_QR_CODE = "qr_code";
+
+export const TEMPLATE_FONTS = ["Playfair Display", "Montserrat"];
+
+export const TEMPLATE_ALIGNMENTS = ["left", "center", "right"];
+
+// Supported stationery, landscape dimensions
+export const PAPER_SIZES = {
+  A4: "A4",
+  F4: "F4",
+  LETTER: "LETTER",
+};
+
+export const PAPER_SIZE_DIMENSIONS = {
+  [PAPER_SIZES.A4]: { width_mm: 297, height_mm: 210 },
+  [PAPER_SIZES.F4]: { width_mm: 330, height_mm: 215 },
+  [PAPER_SIZES.LETTER]: { width_mm: 279.4, height_mm: 215.9 },
+};
+
+export const PAPER_SIZE_LABELS = {
+  [PAPER_SIZES.A4]: "A4",
+  [PAPER_SIZES.F4]: "F4 / Folio",
+  [PAPER_SIZES.LETTER]: "Letter",
+};
+
+export const DEFAULT_PAPER_SIZE = PAPER_SIZES.A4;
+
+// =====================================================
+// DEFAULT TEMPLATE
+// =====================================================
+
+/**
+ * Default layout - matches the original DOCX stationery
+ * (A4 landscape, 25.4mm side margins)
+ */
+export const DEFAULT_TEMPLATE = {
+  page: {
+    paper_size: DEFAULT_PAPER_SIZE,
+    width_mm: 297,
+    height_mm: 210,
+    // Pre-printed stationery, shown as an on-screen overlay only
+    stationery_url: "",
+    border_mm: 15,
+  },
+  division_colors: {
+    JK: "#FF00FF",
+    LK: "#0066CC",
+  },
+  // Default certificate language for modules without their own (null = English)
+  language: null,
+  fields: {
+    [TEMPLATE_FIELDS.STUDENT_NAME]: {
+      x_mm: 25.4,
+      y_mm: 95,
+      width_mm: 246.2,
+      font_family: "Playfair Display",
+      font_size_pt: 34,
+      min_font_size_pt: 20,
+      max_lines: 1,
+      font_weight: 700,
+      color: "#000000",
+      align: "center",
+    },
+    [TEMPLATE_FIELDS.MODULE_NAME]: {
+      x_mm: 25.4,
+      y_mm: 130,
+      width_mm: 246.2,
+      font_family: "Montserrat",
+      font_size_pt: 28,
+      min_font_size_pt: 16,
+      max_lines: 2,
+      font_weight: 700,
+      // null = use the division colour
+      color: null,
+      align: "center",
+    },
+    [TEMPLATE_FIELDS.PTC_DATE]: {
+      x_mm: 25.4,
+      y_mm: 170,
+      width_mm: 120,
+      font_family: "Montserrat",
+      font_size_pt: 18,
+      font_weight: 400,
+      color: "#000000",
+      align: "left",
+    },
+    [TEMPLATE_FIELDS.SERIAL_NUMBER]: {
+      x_mm: 197,
+      y_mm: 188,
+      width_mm: 80,
+      font_family: "Montserrat",
+      font_size_pt: 9,
+      font_weight: 400,
+      color: "#555555",
+      align: "right",
+    },
+  },
+  [TEMPLATE_QR_CODE]: {
+    x_mm: 252,
+    y_mm: 160,
+    size_mm: 25,
+  },
+};
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+/**
+ * Merge a (possibly partial) template layout with the default layout
+ * so missing fields or properties never break rendering
+ * @param {Object|null} layout - Template layout JSON
+ * @returns {Object} Complete template layout
+ */
+export const normalizeTemplateLayout = (layout) => {
+  const source = layout || {};
+
+  const fields = {};
+  Object.keys(DEFAULT_TEMPLATE.fields).forEach((key) => {
+    fields[key] = {
+      ...DEFAULT_TEMPLATE.fields[key],
+      ...(source.fields?.[key] || {}),
+    };
+  });
+
+  const page = { ...DEFAULT_TEMPLATE.page, ...(source.page || {}) };
+  if (!PAPER_SIZE_DIMENSIONS[page.paper_size]) {
+    page.paper_size = DEFAULT_PAPER_SIZE;
+  }
+
+  return {
+    page: { ...page, ...PAPER_SIZE_DIMENSIONS[page.paper_size] },
+    division_colors: {
+      ...DEFAULT_TEMPLATE.division_colors,
+      ...(source.division_colors || {}),
+    },
+    language: source.language || DEFAULT_TEMPLATE.language,
+    fields,
+    [TEMPLATE_QR_CODE]: {
+      ...DEFAULT_TEMPLATE[TEMPLATE_QR_CODE],
+      ...(source[TEMPLATE_QR_CODE] || {}),
+    },
+  };
+};
+
+/**
+ * Resolve the colour of a field, falling back to the division colour
+ * @param {Object} field - Field definition
+ * @param {Object} layout - Complete template layout
+ * @param {string} division - JK / LK
+ * @returns {string} CSS colour
+ */
+export const getFieldColor = (field, layout, division) => {
+  if (field.color) return field.color;
+  return layout.division_colors?.[division?.toUpperCase()] || "#000000";
+};
+
+/**
+ * Build the absolute-position inline style for a template field
+ * @param {Object} field - Field definition
+ * @param {Object} layout - Complete template layout
+ * @param {string} division - JK / LK
+ * @returns {Object} React style object
+ */
+export const getFieldStyle = (field, layout, division) => ({
+  position: "absolute",
+  left: `${field.x_mm}mm`,
+  top: `${field.y_mm}mm`,
+  width: `${field.width_mm}mm`,
+  fontFamily: `'${field.font_family}', ${field.font_family === "Playfair Display" ? "serif" : "sans-serif"}`,
+  fontSize: `${field.font_size_pt}pt`,
+  fontWeight: field.font_weight,
+  textAlign: field.align,
+  color: getFieldColor(field, layout, division),
+  lineHeight: 1.2,
+});
+
+/**
+ * Build the absolute-position inline style for the QR code block
+ * @param {Object} qrCode - { x_mm, y_mm, size_mm }
+ * @returns {Object} React style object
+ */
+export const getQrCodeStyle = (qrCode) => ({
+  position: "absolute",
+  left: `${qrCode.x_mm}mm`,
+  top: `${qrCode.y_mm}mm`,
+  width: `${qrCode.size_mm}mm`,
+  height: `${qrCode.size_mm}mm`,
+});
+
+/**
+ * Scale a complete layout to another paper size. Positions and field
+ * widths follow the page proportionally; font sizes stay the same and
+ * the QR code keeps its square shape.
+ * @param {Object} layout - Complete template layout
+ * @param {string|null} paperSize - Target PAPER_SIZES key (null = keep)
+ * @returns {Object} Layout on the target paper
+ */
+export const applyPaperSize = (layout, paperSize) => {
+  const target = PAPER_SIZE_DIMENSIONS[paperSize];
+  if (!target || paperSize === layout.page.paper_size) return layout;
+
+  const scaleX = target.width_mm / layout.page.width_mm;
+  const scaleY = target.height_mm / layout.page.height_mm;
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const fields = {};
+  Object.entries(layout.fields).forEach(([key, field]) => {
+    fields[key] = {
+      ...field,
+      x_mm: round(field.x_mm * scaleX),
+      y_mm: round(field.y_mm * scaleY),
+      width_mm: round(field.width_mm * scaleX),
+    };
+  });
+
+  const qrCode = layout[TEMPLATE_QR_CODE];
+
+  return {
+    ...layout,
+    page: { ...layout.page, paper_size: paperSize, ...target },
+    fields,
+    [TEMPLATE_QR_CODE]: {
+      ...qrCode,
+      x_mm: round(qrCode.x_mm * scaleX),
+      y_mm: round(qrCode.y_mm * scaleY),
+      size_mm: round(qrCode.size_mm * Math.min(scaleX, scaleY)),
+    },
+  };
+};
+
+/**
+ * Clamp a field position so the field box stays on the page
+ * @param {Object} field - Field definition or QR code block
+ * @param {Object} page - { width_mm, height_mm }
+ * @returns {Object} Field with clamped x_mm / y_mm
+ */
+export const clampFieldToPage = (field, page) => {
+  const width = field.width_mm ?? field.size_mm;
+  const height = field.size_mm ?? 5;
+
+  return {
+    ...field,
+    x_mm: Math.round(Math.min(Math.max(field.x_mm, 0), page.width_mm - width) * 10) / 10,
+    y_mm: Math.round(Math.min(Math.max(field.y_mm, 0), page.height_mm - height) * 10) / 10,
+  };
+};
+
+export default {
+  TEMPLATE_SCOPES,
+  TEMPLATE_SCOPE_LABELS,
+  TEMPLATE_FIELDS,
+  TEMPLATE_FIELD_LABELS,
+  TEMPLATE_FONTS,
+  TEMPLATE_ALIGNMENTS,
+  TEMPLATE_FIT_FIELDS,
+  TEMPLATE_QR_CODE,
+  PAPER_SIZES,
+  PAPER_SIZE_DIMENSIONS,
+  PAPER_SIZE_LABELS,
+  DEFAULT_PAPER_SIZE,
+  DEFAULT_TEMPLATE,
+  normalizeTemplateLayout,
+  getFieldColor,
+  getFieldStyle,
+  getQrCodeStyle,
+  applyPaperSize,
+  clampFieldToPage,
+};
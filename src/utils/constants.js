@@ -22,6 +22,10 @@ export const STORAGE_KEYS = {
   THEME: "theme-storage",
   SIDEBAR_STATE: "sidebar_state",
   TABLE_PREFERENCES: "table_preferences",
+  PRINT_MODULES_CACHE: "print_modules_cache",
+  PRINTER_CALIBRATION: "printer_calibration",
+  MEDAL_LABEL_SHEET: "medal_label_sheet",
+  NORMALIZE_NAME_CASE: "normalize_name_case",
 };
 
 // =====================================================
@@ -129,6 +133,15 @@ export const LOG_ACTION_TYPES = {
   TEACHER_UPDATED: "TEACHER_UPDATED",
   TEACHER_DELETED: "TEACHER_DELETED",
   TEACHER_RESIGNED: "TEACHER_RESIGNED", // NEW
+  PRINT_VOIDED: "PRINT_VOIDED",
+  PRINT_REPRINTED: "PRINT_REPRINTED",
+  PRINT_DUPLICATE: "PRINT_DUPLICATE",
+  STOCK_RETURNED: "STOCK_RETURNED",
+  STOCK_WASTED: "STOCK_WASTED",
+  TRANSFER_RETURN: "TRANSFER_RETURN",
+  TRANSFER_BRANCH: "TRANSFER_BRANCH",
+  TRANSFER_CROSS_HUB: "TRANSFER_CROSS_HUB",
+  STOCK_ADJUSTED: "STOCK_ADJUSTED",
 };
 
 export const LOG_ACTION_LABELS = {
@@ -144,6 +157,197 @@ export const LOG_ACTION_LABELS = {
   [LOG_ACTION_TYPES.TEACHER_UPDATED]: "Teacher Updated",
   [LOG_ACTION_TYPES.TEACHER_DELETED]: "Teacher Deleted",
   [LOG_ACTION_TYPES.TEACHER_RESIGNED]: "Teacher Resigned", // NEW
+  [LOG_ACTION_TYPES.PRINT_VOIDED]: "Print Voided",
+  [LOG_ACTION_TYPES.PRINT_REPRINTED]: "Reprinted",
+  [LOG_ACTION_TYPES.PRINT_DUPLICATE]: "Duplicate Award",
+  [LOG_ACTION_TYPES.STOCK_RETURNED]: "Stock Returned",
+  [LOG_ACTION_TYPES.STOCK_WASTED]: "Stock Wasted",
+  [LOG_ACTION_TYPES.TRANSFER_RETURN]: "Returned to Head Branch",
+  [LOG_ACTION_TYPES.TRANSFER_BRANCH]: "Branch Transfer",
+  [LOG_ACTION_TYPES.TRANSFER_CROSS_HUB]: "Cross-Hub Transfer",
+  [LOG_ACTION_TYPES.STOCK_ADJUSTED]: "Stock Adjusted",
+};
+
+// =====================================================
+// STOCK TRANSFERS
+// =====================================================
+
+export const TRANSFER_TYPES = {
+  MIGRATE: "migrate", // head branch -> branch (same regional hub)
+  RETURN: "return", // branch -> head branch (same regional hub)
+  BRANCH: "branch_to_branch", // branch -> branch (same regional hub)
+  CROSS_HUB: "cross_hub", // head branch -> head branch of another hub
+};
+
+export const TRANSFER_TYPE_LABELS = {
+  [TRANSFER_TYPES.MIGRATE]: "Migrate to Branch",
+  [TRANSFER_TYPES.RETURN]: "Return to Head Branch",
+  [TRANSFER_TYPES.BRANCH]: "Branch to Branch",
+  [TRANSFER_TYPES.CROSS_HUB]: "Cross-Hub",
+};
+
+// =====================================================
+// STOCK ADJUSTMENTS & WRITE-OFFS
+// =====================================================
+
+export const ADJUSTMENT_REASONS = {
+  DAMAGED: "damaged",
+  LOST: "lost",
+  FOUND: "found",
+  COUNT_CORRECTION: "count_correction",
+};
+
+export const ADJUSTMENT_REASON_LABELS = {
+  [ADJUSTMENT_REASONS.DAMAGED]: "Damaged",
+  [ADJUSTMENT_REASONS.LOST]: "Lost",
+  [ADJUSTMENT_REASONS.FOUND]: "Found",
+  [ADJUSTMENT_REASONS.COUNT_CORRECTION]: "Count Correction",
+};
+
+// =====================================================
+// STOCK-TAKE (PHYSICAL COUNT)
+// =====================================================
+
+export const STOCK_TAKE_STATUS = {
+  OPEN: "open",
+  APPROVED: "approved",
+  CANCELLED: "cancelled",
+};
+
+export const STOCK_TAKE_STATUS_LABELS = {
+  [STOCK_TAKE_STATUS.OPEN]: "Counting",
+  [STOCK_TAKE_STATUS.APPROVED]: "Approved",
+  [STOCK_TAKE_STATUS.CANCELLED]: "Cancelled",
+};
+
+// =====================================================
+// CERTIFICATE ARCHIVES
+// =====================================================
+
+// Archived batches can be restored for this many days, then they are purged
+export const ARCHIVE_RETENTION_DAYS = 90;
+
+export const getArchiveConfirmPhrase = (year) => `ARCHIVE ${year}`;
+
+// =====================================================
+// BATCH ID PATTERN
+// =====================================================
+
+// Used until an admin saves a pattern (see utils/batchIdPattern for tokens)
+export const DEFAULT_BATCH_ID_PATTERN = "{HUB}-{YYYY}-{SEQ:4}";
+
+// =====================================================
+// STOCK FORECAST
+// =====================================================
+
+export const STOCK_FORECAST = {
+  WINDOW_DAYS: 30, // Print rate is measured over this many recent days
+  LEAD_TIME_DAYS: 7, // Days for a head-branch migration to reach a branch
+  COVER_DAYS: 60, // Suggested reorder covers this many days after arrival
+};
+
+// =====================================================
+// STOCK ALLOCATION
+// =====================================================
+
+export const STOCK_ALLOCATION = {
+  PERIOD_OPTIONS: [30, 90, 180], // Print history periods to split by (days)
+  DEFAULT_PERIOD_DAYS: 90,
+  HEAD_RESERVE_PERCENT: 10, // Share of head-branch stock kept back by default
+};
+
+// =====================================================
+// STOCK REQUESTS (TEACHER -> ADMIN)
+// =====================================================
+
+export const STOCK_REQUEST_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  PARTIALLY_APPROVED: "partially_approved",
+  REJECTED: "rejected",
+};
+
+export const STOCK_REQUEST_STATUS_LABELS = {
+  [STOCK_REQUEST_STATUS.PENDING]: "Pending",
+  [STOCK_REQUEST_STATUS.APPROVED]: "Approved",
+  [STOCK_REQUEST_STATUS.PARTIALLY_APPROVED]: "Partially Approved",
+  [STOCK_REQUEST_STATUS.REJECTED]: "Rejected",
+};
+
+export const STOCK_REQUEST_NOTE_MAX_LENGTH = 500;
+
+// =====================================================
+// STOCK RESERVATION (PRINT)
+// =====================================================
+
+// Stock is reserved when the preview opens and committed when the
+// teacher confirms the print; the backend releases expired reservations
+export const STOCK_RESERVATION = {
+  // Warn the teacher when this many seconds are left
+  EXPIRY_WARNING_SECONDS: 60,
+};
+
+// =====================================================
+// PRINT RECORD STATUS (VOID & REPRINT)
+// =====================================================
+
+export const PRINT_STATUS = {
+  ACTIVE: "active",
+  VOIDED: "voided",
+};
+
+export const VOID_REASONS = {
+  MISPRINT: "misprint",
+  TYPO: "typo",
+  DAMAGED: "damaged",
+};
+
+export const VOID_REASON_LABELS = {
+  [VOID_REASONS.MISPRINT]: "Misprint / Paper Jam",
+  [VOID_REASONS.TYPO]: "Typo in Certificate",
+  [VOID_REASONS.DAMAGED]: "Damaged",
+};
+
+// What happens to the certificate + medal deducted by the voided print
+export const VOID_STOCK_ACTIONS = {
+  RETURN: "return",
+  WASTE: "waste",
+};
+
+export const VOID_STOCK_ACTION_LABELS = {
+  [VOID_STOCK_ACTIONS.RETURN]: "Return to branch stock",
+  [VOID_STOCK_ACTIONS.WASTE]: "Book as waste",
+};
+
+// Required (and logged) when printing the same student + module again
+export const REPRINT_REASONS = {
+  LOST: "lost",
+  DAMAGED: "damaged",
+  EXTRA_COPY: "extra_copy",
+  OTHER: "other",
+};
+
+export const REPRINT_REASON_LABELS = {
+  [REPRINT_REASONS.LOST]: "Lost by student",
+  [REPRINT_REASONS.DAMAGED]: "Damaged after printing",
+  [REPRINT_REASONS.EXTRA_COPY]: "Extra copy requested",
+  [REPRINT_REASONS.OTHER]: "Other (explain in notes)",
+};
+
+// =====================================================
+// OFFLINE PRINT QUEUE
+// =====================================================
+
+export const PRINT_QUEUE_STATUS = {
+  PENDING: "pending",
+  FAILED: "failed",
+  CONFLICT: "conflict",
+};
+
+export const PRINT_QUEUE_STATUS_LABELS = {
+  [PRINT_QUEUE_STATUS.PENDING]: "Waiting to sync",
+  [PRINT_QUEUE_STATUS.FAILED]: "Failed",
+  [PRINT_QUEUE_STATUS.CONFLICT]: "Stock conflict",
 };
 
 // =====================================================
@@ -166,7 +370,18 @@ export const ENDPOINTS = {
   CERTIFICATE_SUMMARY: "/certificates/summary",
   CERTIFICATE_HISTORY: "/certificates/history",
   CERTIFICATE_MIGRATE: "/certificates/migrate",
-  CERTIFICATE_CLEAR: "/certificates/clear-all",
+
+  // ========== STOCK-TAKES ==========
+  STOCK_TAKES: "/stock-takes",
+  STOCK_TAKE_BY_ID: (id) => `/stock-takes/${id}`,
+  STOCK_TAKE_COUNTS: (id) => `/stock-takes/${id}/counts`,
+  STOCK_TAKE_APPROVE: (id) => `/stock-takes/${id}/approve`,
+  STOCK_TAKE_CANCEL: (id) => `/stock-takes/${id}/cancel`,
+
+  // ========== STOCK REQUESTS ==========
+  STOCK_REQUESTS: "/stock-requests",
+  STOCK_REQUEST_APPROVE: (id) => `/stock-requests/${id}/approve`,
+  STOCK_REQUEST_REJECT: (id) => `/stock-requests/${id}/reject`,
 
   // ========== TEACHERS ==========
   TEACHERS: "/teachers",
@@ -194,6 +409,18 @@ export const ENDPOINTS = {
   PRINTED_CERTS: "/printed-certificates",
   PRINTED_CERT_MODULES: "/printed-certificates/modules",
   PRINTED_CERT_HISTORY: "/printed-certificates/history",
+  PRINTED_CERT_BATCH: "/printed-certificates/batch",
+  PRINTED_CERT_RESERVATIONS: "/printed-certificates/reservations",
+  PRINTED_CERT_RESERVATION_RELEASE: (id) => `/printed-certificates/reservations/${id}/release`,
+  PRINTED_CERT_VOID: (id) => `/printed-certificates/${id}/void`,
+  PRINTED_CERT_REPRINT: (id) => `/printed-certificates/${id}/reprint`,
+  PRINTED_CERT_REPRINT_LOG: (id) => `/printed-certificates/${id}/reprint-log`,
+  PRINTED_CERT_VERIFY: (serial) => `/printed-certificates/verify/${encodeURIComponent(serial)}`,
+
+  // ========== CERTIFICATE TEMPLATES ==========
+  TEMPLATES: "/certificate-templates",
+  TEMPLATE_BY_ID: (id) => `/certificate-templates/${id}`,
+  TEMPLATE_RESOLVE: "/certificate-templates/resolve",
 
   // ========== LOGS ==========
   LOGS: "/logs",
@@ -207,6 +434,7 @@ export const ENDPOINTS = {
   EXPORT_MODULES: "/export/modules",
   EXPORT_PRINTED: "/export/printed-certificates",
   EXPORT_STUDENTS: "/export/students",
+  EXPORT_STOCK_TAKE: (id) => `/export/stock-takes/${id}`,
 };
 
 // =====================================================
@@ -241,6 +469,7 @@ export const ERROR_CODES = {
   UNAUTHORIZED: "UNAUTHORIZED",
   FORBIDDEN: "FORBIDDEN",
   INSUFFICIENT_STOCK: "INSUFFICIENT_STOCK",
+  DUPLICATE_REQUEST: "DUPLICATE_REQUEST", // replay of a request the server already saved
   INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
   SERVER_ERROR: "SERVER_ERROR",
   DATABASE_ERROR: "DATABASE_ERROR",
@@ -342,6 +571,9 @@ export const ROUTES = {
   LOGIN: "/login",
   PROFILE: "/profile",
 
+  // Public
+  VERIFY_CERTIFICATE: "/verify",
+
   // Admin
   ADMIN_DASHBOARD: "/admin/dashboard",
   ADMIN_BRANCHES: "/admin/branches",
@@ -350,11 +582,15 @@ export const ROUTES = {
   ADMIN_MODULES: "/admin/modules",
   ADMIN_STUDENTS: "/admin/students",
   ADMIN_LOGS: "/admin/logs",
+  ADMIN_TEMPLATES: "/admin/templates",
 
   // Teacher
   TEACHER_DASHBOARD: "/teacher/dashboard",
   TEACHER_PRINT: "/teacher/print",
+  TEACHER_BATCH_PRINT: "/teacher/print/batch",
   TEACHER_HISTORY: "/teacher/history",
+  TEACHER_PRINT_QUEUE: "/teacher/print/queue",
+  TEACHER_CALIBRATION: "/teacher/print/calibration",
 };
 
 // =====================================================
@@ -34,6 +34,17 @@ export const formatDateTime = (date) => {
   return formatDate(date, "dd MMM yyyy HH:mm");
 };
 
+/**
+ * Format a countdown in seconds as m:ss
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+export const formatCountdown = (seconds) => {
+  if (seconds === null || seconds === undefined) return "-";
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
 /**
  * Capitalize first letter
  * @param {string} str
@@ -44,6 +55,27 @@ export const capitalize = (str) => {
   return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
 };
 
+/**
+ * Whether a name was typed in all lowercase or ALL CAPS
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const needsNameCaseFix = (name) => {
+  if (!name || !/[a-z]/i.test(name)) return false;
+  return name === name.toLowerCase() || name === name.toUpperCase();
+};
+
+/**
+ * Capitalize each part of a name typed in one case ("SITI NURHALIZA" or
+ * "siti nurhaliza" becomes "Siti Nurhaliza"). Mixed-case names are kept.
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeNameCase = (name) => {
+  if (!needsNameCaseFix(name)) return name;
+  return name.toLowerCase().replace(/(^|[\s\-.])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+};
+
 /**
  * Format branch name (single)
  * @param {string} branch
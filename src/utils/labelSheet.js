@@ -0,0 +1,236 @@
+/**
+ * Medal Label Sheet Helpers
+ * Every certificate comes with a medal, labelled on an A4 sheet of
+ * self-adhesive stickers. A sheet layout is a grid: rows x columns inside
+ * the page margins, with optional gaps between labels. The label size is
+ * derived from the grid, so any sticker sheet can be matched by measuring
+ * its margins. The layout is kept in this browser's localStorage, like the
+ * printer calibration.
+ *
+ * All measurements are in millimetres on an A4 portrait page.
+ */
+
+import { STORAGE_KEYS } from "@utils/constants";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const LABEL_PAGE = {
+  WIDTH_MM: 210,
+  HEIGHT_MM: 297,
+};
+
+export const LABEL_SHEET_LIMITS = {
+  MAX_ROWS: 20,
+  MAX_COLUMNS: 8,
+  MAX_MARGIN_MM: 50,
+  MAX_GAP_MM: 20,
+  MIN_LABEL_MM: 15,
+};
+
+// Common A4 sticker sheets
+export const LABEL_SHEET_PRESETS = {
+  A4_21: {
+    label: "21 per sheet (63.5 x 38.1 mm)",
+    grid: {
+      rows: 7,
+      columns: 3,
+      margin_top_mm: 15.1,
+      margin_bottom_mm: 15.1,
+      margin_left_mm: 7.2,
+      margin_right_mm: 7.2,
+      gap_x_mm: 2.5,
+      gap_y_mm: 0,
+    },
+  },
+  A4_24: {
+    label: "24 per sheet (64 x 33.9 mm)",
+    grid: {
+      rows: 8,
+      columns: 3,
+      margin_top_mm: 12.9,
+      margin_bottom_mm: 12.9,
+      margin_left_mm: 6.5,
+      margin_right_mm: 6.5,
+      gap_x_mm: 2.5,
+      gap_y_mm: 0,
+    },
+  },
+  A4_14: {
+    label: "14 per sheet (99.1 x 38.1 mm)",
+    grid: {
+      rows: 7,
+      columns: 2,
+      margin_top_mm: 15.1,
+      margin_bottom_mm: 15.1,
+      margin_left_mm: 4.65,
+      margin_right_mm: 4.65,
+      gap_x_mm: 2.5,
+      gap_y_mm: 0,
+    },
+  },
+};
+
+export const CUSTOM_LABEL_PRESET = "CUSTOM";
+
+export const DEFAULT_LABEL_SHEET = {
+  preset: "A4_21",
+  ...LABEL_SHEET_PRESETS.A4_21.grid,
+};
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Coerce a (possibly partial or stale) layout into a valid one
+ * @param {Object|null} sheet
+ * @returns {Object} Label sheet layout
+ */
+export const normalizeLabelSheet = (sheet) => {
+  const source = { ...DEFAULT_LABEL_SHEET, ...(sheet || {}) };
+  const { MAX_ROWS, MAX_COLUMNS, MAX_MARGIN_MM, MAX_GAP_MM } = LABEL_SHEET_LIMITS;
+  const margin = (value) => clamp(toNumber(value, 0), 0, MAX_MARGIN_MM);
+  const gap = (value) => clamp(toNumber(value, 0), 0, MAX_GAP_MM);
+
+  return {
+    preset: LABEL_SHEET_PRESETS[source.preset] ? source.preset : CUSTOM_LABEL_PRESET,
+    rows: clamp(Math.round(toNumber(source.rows, 1)), 1, MAX_ROWS),
+    columns: clamp(Math.round(toNumber(source.columns, 1)), 1, MAX_COLUMNS),
+    margin_top_mm: margin(source.margin_top_mm),
+    margin_bottom_mm: margin(source.margin_bottom_mm),
+    margin_left_mm: margin(source.margin_left_mm),
+    margin_right_mm: margin(source.margin_right_mm),
+    gap_x_mm: gap(source.gap_x_mm),
+    gap_y_mm: gap(source.gap_y_mm),
+  };
+};
+
+/**
+ * Apply a preset's grid to a layout
+ * @param {string} preset - Key of LABEL_SHEET_PRESETS, or CUSTOM
+ * @param {Object} current - Current layout (kept for CUSTOM)
+ * @returns {Object} Label sheet layout
+ */
+export const applyLabelPreset = (preset, current) => {
+  if (!LABEL_SHEET_PRESETS[preset]) {
+    return { ...current, preset: CUSTOM_LABEL_PRESET };
+  }
+
+  return { preset, ...LABEL_SHEET_PRESETS[preset].grid };
+};
+
+/**
+ * Size of one label
+ * @param {Object} sheet
+ * @returns {Object} { width_mm, height_mm }
+ */
+export const getLabelSize = (sheet) => {
+  const { rows, columns, margin_top_mm, margin_bottom_mm, margin_left_mm, margin_right_mm, gap_x_mm, gap_y_mm } = normalizeLabelSheet(sheet);
+
+  return {
+    width_mm: (LABEL_PAGE.WIDTH_MM - margin_left_mm - margin_right_mm - gap_x_mm * (columns - 1)) / columns,
+    height_mm: (LABEL_PAGE.HEIGHT_MM - margin_top_mm - margin_bottom_mm - gap_y_mm * (rows - 1)) / rows,
+  };
+};
+
+/**
+ * Check that the grid leaves room for readable labels
+ * @param {Object} sheet
+ * @returns {string} Error message, empty when valid
+ */
+export const validateLabelSheet = (sheet) => {
+  const { width_mm, height_mm } = getLabelSize(sheet);
+  const { MIN_LABEL_MM } = LABEL_SHEET_LIMITS;
+
+  if (width_mm < MIN_LABEL_MM || height_mm < MIN_LABEL_MM) {
+    return `Labels would be ${width_mm.toFixed(1)} x ${height_mm.toFixed(1)} mm - reduce rows/columns or margins (minimum ${MIN_LABEL_MM} mm)`;
+  }
+  return "";
+};
+
+/**
+ * Position (mm from the top-left corner of the page) of a label slot
+ * @param {Object} sheet
+ * @param {number} index - Slot index on the page, row by row
+ * @returns {Object} { left_mm, top_mm }
+ */
+export const getLabelPosition = (sheet, index) => {
+  const grid = normalizeLabelSheet(sheet);
+  const { width_mm, height_mm } = getLabelSize(grid);
+  const row = Math.floor(index / grid.columns);
+  const column = index % grid.columns;
+
+  return {
+    left_mm: grid.margin_left_mm + column * (width_mm + grid.gap_x_mm),
+    top_mm: grid.margin_top_mm + row * (height_mm + grid.gap_y_mm),
+  };
+};
+
+/**
+ * Split labels into sheets. startPosition (1-based) skips stickers that
+ * were already used on a partly used first sheet.
+ * @param {Array} entries - Label entries
+ * @param {Object} sheet
+ * @param {number} startPosition
+ * @returns {Array<Array<Object|null>>} Pages of slots (null = skipped)
+ */
+export const buildLabelPages = (entries, sheet, startPosition = 1) => {
+  const { rows, columns } = normalizeLabelSheet(sheet);
+  const perPage = rows * columns;
+  const skipped = clamp(Math.round(toNumber(startPosition, 1)), 1, perPage) - 1;
+  const slots = [...Array(skipped).fill(null), ...entries];
+
+  const pages = [];
+  for (let i = 0; i < slots.length; i += perPage) {
+    pages.push(slots.slice(i, i + perPage));
+  }
+  return pages;
+};
+
+/**
+ * Get the saved label sheet layout of this browser
+ * @returns {Object} Label sheet layout
+ */
+export const getLabelSheet = () => {
+  try {
+    return normalizeLabelSheet(JSON.parse(localStorage.getItem(STORAGE_KEYS.MEDAL_LABEL_SHEET)));
+  } catch {
+    return { ...DEFAULT_LABEL_SHEET };
+  }
+};
+
+/**
+ * Save the label sheet layout in this browser
+ * @param {Object} sheet
+ * @returns {Object} Saved (normalized) layout
+ */
+export const saveLabelSheet = (sheet) => {
+  const layout = normalizeLabelSheet(sheet);
+  localStorage.setItem(STORAGE_KEYS.MEDAL_LABEL_SHEET, JSON.stringify(layout));
+  return layout;
+};
+
+export default {
+  LABEL_PAGE,
+  LABEL_SHEET_LIMITS,
+  LABEL_SHEET_PRESETS,
+  CUSTOM_LABEL_PRESET,
+  DEFAULT_LABEL_SHEET,
+  normalizeLabelSheet,
+  applyLabelPreset,
+  getLabelSize,
+  validateLabelSheet,
+  getLabelPosition,
+  buildLabelPages,
+  getLabelSheet,
+  saveLabelSheet,
+};
@@ -1,12 +1,19 @@
-import { useEffect } from "react";
+import { useState, useEffect } from "react";
 import toast from "react-hot-toast";
 
 /**
  * Hook to monitor network status
+ * @param {Object} options
+ * @param {boolean} options.notify - Show toasts on connection changes (App-level only)
+ * @returns {boolean} Whether the browser is online
  */
-export const useNetworkStatus = () => {
+export const useNetworkStatus = ({ notify = true } = {}) => {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
   useEffect(() => {
     const handleOnline = () => {
+      setOnline(true);
+      if (!notify) return;
       toast.success("Back online!", {
         icon: "🌐",
         duration: 3000,
@@ -14,6 +21,8 @@ export const useNetworkStatus = () => {
     };
 
     const handleOffline = () => {
+      setOnline(false);
+      if (!notify) return;
       toast.error("No internet connection", {
         icon: "📡",
         duration: 10000,
@@ -32,7 +41,9 @@ export const useNetworkStatus = () => {
       window.removeEventListener("online", handleOnline);
       window.removeEventListener("offline", handleOffline);
     };
-  }, []);
+  }, [notify]);
+
+  return online;
 };
 
 /**
@@ -0,0 +1,151 @@
+/**
+ * Offline Print Queue
+ * Print records that could not reach the backend are kept in IndexedDB
+ * and replayed when the connection returns (see store/printQueueStore.js).
+ *
+ * Each item: { id, username, client_request_id, payload, details, status, error, attempts, created_at, updated_at }
+ * - client_request_id is sent with every replay, so a record the server
+ *   saved but whose response was lost is not saved twice
+ * - payload is exactly what savePrintRecord would have received
+ * - details holds display-only data for the queue screen (e.g. module name)
+ * - status is one of PRINT_QUEUE_STATUS
+ */
+
+import { PRINT_QUEUE_STATUS } from "@utils/constants";
+
+// =====================================================
+// DATABASE
+// =====================================================
+
+const DB_NAME = "certificate-print-queue";
+const DB_VERSION = 1;
+const STORE_NAME = "print_records";
+
+let dbPromise = null;
+
+/**
+ * Unique id for a queued record
+ * @returns {string}
+ */
+const createRequestId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`);
+
+/**
+ * Open (and create on first use) the queue database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not supported in this browser"));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+        store.createIndex("username", "username", { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a single request against the object store
+ * @param {"readonly"|"readwrite"} mode
+ * @param {Function} callback - (store) => IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+const runRequest = async (mode, callback) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// =====================================================
+// QUEUE OPERATIONS
+// =====================================================
+
+/**
+ * Add a print record to the queue
+ * @param {string} username - Teacher who printed the certificate
+ * @param {Object} payload - savePrintRecord payload
+ * @param {Object} details - Display-only data
+ * @returns {Promise<Object>} Queued item
+ */
+export const addQueuedPrint = async (username, payload, details = {}) => {
+  const now = new Date().toISOString();
+  const item = {
+    username,
+    client_request_id: createRequestId(),
+    payload,
+    details,
+    status: PRINT_QUEUE_STATUS.PENDING,
+    error: null,
+    attempts: 0,
+    created_at: now,
+    updated_at: now,
+  };
+
+  const id = await runRequest("readwrite", (store) => store.add(item));
+  return { ...item, id };
+};
+
+/**
+ * Get all queued items of a teacher, oldest first
+ * @param {string} username
+ * @returns {Promise<Array>} Queued items
+ */
+export const getQueuedPrints = async (username) => {
+  const items = await runRequest("readonly", (store) => store.index("username").getAll(username));
+  return items.sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Update a queued item
+ * @param {Object} item - Full item with changes applied
+ * @returns {Promise<Object>} Updated item
+ */
+export const updateQueuedPrint = async (item) => {
+  const updated = { ...item, updated_at: new Date().toISOString() };
+  await runRequest("readwrite", (store) => store.put(updated));
+  return updated;
+};
+
+/**
+ * Give an item queued before request ids existed its own id
+ * @param {Object} item
+ * @returns {Promise<Object>} Item with client_request_id
+ */
+export const ensureRequestId = async (item) => {
+  if (item.client_request_id) return item;
+  return updateQueuedPrint({ ...item, client_request_id: createRequestId() });
+};
+
+/**
+ * Remove an item (synced or discarded)
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export const removeQueuedPrint = async (id) => {
+  await runRequest("readwrite", (store) => store.delete(id));
+};
@@ -0,0 +1,140 @@
+/**
+ * Printer Calibration Helpers
+ * Every branch printer feeds the pre-printed stationery slightly off.
+ * A calibration profile moves (and optionally scales) the printed
+ * content to compensate. Profiles depend on the physical printer and
+ * the browser's print pipeline, so they are kept per branch in this
+ * browser's localStorage rather than on the server.
+ *
+ * Offsets are in millimetres (positive = right / down); scale is a
+ * factor applied from the top-left corner of the page.
+ */
+
+import { STORAGE_KEYS } from "@utils/constants";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const DEFAULT_CALIBRATION = {
+  offset_x_mm: 0,
+  offset_y_mm: 0,
+  scale: 1,
+};
+
+export const CALIBRATION_LIMITS = {
+  OFFSET_MM: 20,
+  SCALE_MIN: 0.9,
+  SCALE_MAX: 1.1,
+};
+
+// Crosshair positions on the test page (mm from the top-left corner)
+export const CALIBRATION_TARGETS = [
+  { x_mm: 20, y_mm: 20 },
+  { x_mm: 277, y_mm: 20 },
+  { x_mm: 148.5, y_mm: 105 },
+  { x_mm: 20, y_mm: 190 },
+  { x_mm: 277, y_mm: 190 },
+];
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Coerce a (possibly partial or stale) profile into a valid one
+ * @param {Object|null} calibration
+ * @returns {Object} { offset_x_mm, offset_y_mm, scale }
+ */
+export const normalizeCalibration = (calibration) => {
+  const source = { ...DEFAULT_CALIBRATION, ...(calibration || {}) };
+  const { OFFSET_MM, SCALE_MIN, SCALE_MAX } = CALIBRATION_LIMITS;
+
+  return {
+    offset_x_mm: clamp(Number(source.offset_x_mm) || 0, -OFFSET_MM, OFFSET_MM),
+    offset_y_mm: clamp(Number(source.offset_y_mm) || 0, -OFFSET_MM, OFFSET_MM),
+    scale: clamp(Number(source.scale) || 1, SCALE_MIN, SCALE_MAX),
+  };
+};
+
+/**
+ * @param {Object} calibration
+ * @returns {boolean} Whether the profile changes the printed output
+ */
+export const isCalibrated = (calibration) => {
+  const { offset_x_mm, offset_y_mm, scale } = normalizeCalibration(calibration);
+  return offset_x_mm !== 0 || offset_y_mm !== 0 || scale !== 1;
+};
+
+const readProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.PRINTER_CALIBRATION)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Get the calibration profile of a branch in this browser
+ * @param {string} branchCode
+ * @returns {Object} Calibration profile
+ */
+export const getCalibration = (branchCode) => {
+  return normalizeCalibration(readProfiles()[branchCode]);
+};
+
+/**
+ * Save the calibration profile of a branch in this browser
+ * @param {string} branchCode
+ * @param {Object} calibration
+ * @returns {Object} Saved (normalized) profile
+ */
+export const saveCalibration = (branchCode, calibration) => {
+  const profile = { ...normalizeCalibration(calibration), updated_at: new Date().toISOString() };
+  localStorage.setItem(STORAGE_KEYS.PRINTER_CALIBRATION, JSON.stringify({ ...readProfiles(), [branchCode]: profile }));
+  return profile;
+};
+
+/**
+ * CSS custom properties consumed by the print stylesheet of
+ * CertificatePreview / CalibrationTestPage (applied only when printing)
+ * @param {Object} calibration
+ * @returns {Object} React style object
+ */
+export const getCalibrationStyle = (calibration) => {
+  const { offset_x_mm, offset_y_mm, scale } = normalizeCalibration(calibration);
+
+  return {
+    "--calibration-x": `${offset_x_mm}mm`,
+    "--calibration-y": `${offset_y_mm}mm`,
+    "--calibration-scale": scale,
+  };
+};
+
+/**
+ * Print CSS rule that applies the calibration variables to a selector
+ * @param {string} selector
+ * @returns {string} CSS
+ */
+export const getCalibrationPrintCss = (selector) => `
+  @media print {
+    ${selector} {
+      transform: translate(var(--calibration-x, 0), var(--calibration-y, 0)) scale(var(--calibration-scale, 1));
+      transform-origin: top left;
+    }
+  }
+`;
+
+export default {
+  DEFAULT_CALIBRATION,
+  CALIBRATION_LIMITS,
+  CALIBRATION_TARGETS,
+  normalizeCalibration,
+  isCalibrated,
+  getCalibration,
+  saveCalibration,
+  getCalibrationStyle,
+  getCalibrationPrintCss,
+};
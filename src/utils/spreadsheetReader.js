@@ -0,0 +1,267 @@
+/**
+ * Spreadsheet Reader
+ * Reads the first sheet of a .csv or .xlsx file into rows of strings in
+ * the browser. XLSX files are zip archives of XML; entries are inflated
+ * with the native DecompressionStream, so no spreadsheet library is needed.
+ */
+
+// =====================================================
+// CSV
+// =====================================================
+
+/**
+ * Parse CSV text (comma or semicolon separated, quoted fields allowed)
+ * Excel with a comma decimal locale saves CSV with semicolons
+ * @param {string} text
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map((cells) => cells.map((value) => value.trim()));
+};
+
+// =====================================================
+// XLSX (ZIP + XML)
+// =====================================================
+
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_CENTRAL_DIR_ENTRY = 0x02014b50;
+
+/**
+ * List the entries of a zip archive from its central directory
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, {method: number, offset: number, compressedSize: number}>}
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let end = -1;
+
+  // The end record sits in the last 22 bytes plus an optional comment
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new Error("The file is not a valid .xlsx workbook");
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let pointer = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pointer, true) !== ZIP_CENTRAL_DIR_ENTRY) break;
+
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+    entries.set(name, {
+      method: view.getUint16(pointer + 10, true),
+      compressedSize: view.getUint32(pointer + 20, true),
+      offset: view.getUint32(pointer + 42, true),
+    });
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Read one zip entry as text
+ * @param {ArrayBuffer} buffer
+ * @param {Object} entry - From readZipEntries
+ * @returns {Promise<string>}
+ */
+const readZipText = async (buffer, entry) => {
+  const view = new DataView(buffer);
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return new TextDecoder().decode(data);
+  }
+
+  if (entry.method !== 8) {
+    throw new Error("Unsupported compression in .xlsx file");
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, "application/xml");
+
+const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS("*", tag));
+
+/**
+ * Column index from a cell reference ("C7" -> 2)
+ * @param {string} ref
+ * @returns {number}
+ */
+const columnIndex = (ref) => {
+  const letters = (ref.match(/^[A-Z]+/) || ["A"])[0];
+  return letters.split("").reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Path of the first worksheet in the workbook
+ * @param {ArrayBuffer} buffer
+ * @param {Map} entries
+ * @returns {Promise<string>}
+ */
+const getFirstSheetPath = async (buffer, entries) => {
+  const fallback = "xl/worksheets/sheet1.xml";
+  if (!entries.has("xl/workbook.xml") || !entries.has("xl/_rels/workbook.xml.rels")) return fallback;
+
+  const workbook = parseXml(await readZipText(buffer, entries.get("xl/workbook.xml")));
+  const firstSheet = byTag(workbook, "sheet")[0];
+  const relationId = firstSheet?.getAttribute("r:id");
+  if (!relationId) return fallback;
+
+  const rels = parseXml(await readZipText(buffer, entries.get("xl/_rels/workbook.xml.rels")));
+  const target = byTag(rels, "Relationship")
+    .find((rel) => rel.getAttribute("Id") === relationId)
+    ?.getAttribute("Target");
+  if (!target) return fallback;
+
+  return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Read the first sheet of an .xlsx workbook
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<Array<string>>>} Rows of cell values
+ */
+export const parseXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sheetPath = await getFirstSheetPath(buffer, entries);
+
+  if (!entries.has(sheetPath)) {
+    throw new Error("The workbook has no worksheet");
+  }
+
+  let sharedStrings = [];
+  if (entries.has("xl/sharedStrings.xml")) {
+    const doc = parseXml(await readZipText(buffer, entries.get("xl/sharedStrings.xml")));
+    // Rich text splits a string over several <t> runs
+    sharedStrings = byTag(doc, "si").map((item) =>
+      byTag(item, "t")
+        .map((t) => t.textContent)
+        .join(""),
+    );
+  }
+
+  const sheet = parseXml(await readZipText(buffer, entries.get(sheetPath)));
+
+  const rows = [];
+
+  byTag(sheet, "row").forEach((rowNode) => {
+    const row = [];
+
+    byTag(rowNode, "c").forEach((cellNode) => {
+      const type = cellNode.getAttribute("t");
+      const value = byTag(cellNode, "v")[0]?.textContent ?? "";
+      let text = value;
+
+      if (type === "s") {
+        text = sharedStrings[parseInt(value)] ?? "";
+      } else if (type === "inlineStr") {
+        text = byTag(cellNode, "t")
+          .map((t) => t.textContent)
+          .join("");
+      }
+
+      const ref = cellNode.getAttribute("r");
+      row[ref ? columnIndex(ref) : row.length] = text.trim();
+    });
+
+    // Keep the sheet's row numbers; skipped (empty) rows stay as holes
+    const rowNumber = parseInt(rowNode.getAttribute("r")) || rows.length + 1;
+    rows[rowNumber - 1] = Array.from(row, (cell) => cell ?? "");
+  });
+
+  return Array.from(rows, (row) => row ?? []);
+};
+
+// =====================================================
+// FILE
+// =====================================================
+
+export const SPREADSHEET_ACCEPT = ".csv,.xlsx";
+
+/**
+ * Read a .csv or .xlsx file into rows
+ * Empty rows are kept so row positions match the spreadsheet
+ * @param {File} file
+ * @returns {Promise<Array<Array<string>>>}
+ */
+export const readSpreadsheet = async (file) => {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith(".csv")) {
+    return parseCsv(await file.text());
+  }
+
+  if (name.endsWith(".xlsx")) {
+    return parseXlsx(await file.arrayBuffer());
+  }
+
+  throw new Error("Please upload a .csv or .xlsx file");
+};
+
+export default {
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet,
+  SPREADSHEET_ACCEPT,
+};
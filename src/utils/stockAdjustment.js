@@ -0,0 +1,173 @@
+/**
+ * Stock Adjustment Helpers
+ * Adjustments correct the stock of one batch at one branch: write-offs
+ * (damaged, lost) remove stock, found stock is added back, and count
+ * corrections go either way. Every adjustment needs a reason code and a
+ * note, and is logged as STOCK_ADJUSTED with signed amounts.
+ *
+ * The waste report adds up stock removed by adjustments and by voided
+ * prints booked as waste (STOCK_WASTED).
+ */
+
+import { ADJUSTMENT_REASONS, LOG_ACTION_TYPES } from "@utils/constants";
+
+// =====================================================
+// CONSTANTS
+// =====================================================
+
+export const ADJUSTMENT_DIRECTIONS = {
+  REMOVE: "remove",
+  ADD: "add",
+};
+
+// Reasons allowed for each direction
+export const ADJUSTMENT_DIRECTION_REASONS = {
+  [ADJUSTMENT_DIRECTIONS.REMOVE]: [ADJUSTMENT_REASONS.DAMAGED, ADJUSTMENT_REASONS.LOST, ADJUSTMENT_REASONS.COUNT_CORRECTION],
+  [ADJUSTMENT_DIRECTIONS.ADD]: [ADJUSTMENT_REASONS.FOUND, ADJUSTMENT_REASONS.COUNT_CORRECTION],
+};
+
+// Voided prints booked as waste have no adjustment reason of their own
+export const VOIDED_PRINT_WASTE = "voided_print";
+
+export const WASTE_ACTION_TYPES = [LOG_ACTION_TYPES.STOCK_ADJUSTED, LOG_ACTION_TYPES.STOCK_WASTED];
+
+const MIN_NOTE_LENGTH = 5;
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+/**
+ * Validate an adjustment before it is sent
+ * @param {Object} adjustment
+ * @param {string} adjustment.direction - One of ADJUSTMENT_DIRECTIONS
+ * @param {string} adjustment.reason - One of ADJUSTMENT_REASONS
+ * @param {string} adjustment.notes
+ * @param {number} adjustment.certificateAmount - Unsigned amount
+ * @param {number} adjustment.medalAmount - Unsigned amount
+ * @param {{certificates: number, medals: number}} adjustment.available - Current branch stock of the batch
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateStockAdjustment = ({ direction, reason, notes, certificateAmount, medalAmount, available }) => {
+  if (!ADJUSTMENT_DIRECTION_REASONS[direction]) {
+    return "Please choose whether stock is removed or added";
+  }
+
+  if (!reason) {
+    return "Reason is required";
+  }
+
+  if (!ADJUSTMENT_DIRECTION_REASONS[direction].includes(reason)) {
+    return "This reason does not match the adjustment direction";
+  }
+
+  if (!notes || notes.trim().length < MIN_NOTE_LENGTH) {
+    return `Note must be at least ${MIN_NOTE_LENGTH} characters`;
+  }
+
+  if (certificateAmount < 0 || medalAmount < 0) {
+    return "Amounts cannot be negative";
+  }
+
+  if (certificateAmount === 0 && medalAmount === 0) {
+    return "At least one certificate or medal amount must be greater than 0";
+  }
+
+  if (direction === ADJUSTMENT_DIRECTIONS.REMOVE) {
+    if (certificateAmount > available.certificates) {
+      return `Cannot remove more certificates than in stock. Available: ${available.certificates}`;
+    }
+    if (medalAmount > available.medals) {
+      return `Cannot remove more medals than in stock. Available: ${available.medals}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Signed amount sent to the API for an unsigned amount and direction
+ * @param {number} amount
+ * @param {string} direction - One of ADJUSTMENT_DIRECTIONS
+ * @returns {number}
+ */
+export const toSignedAmount = (amount, direction) => (direction === ADJUSTMENT_DIRECTIONS.REMOVE ? -amount : amount);
+
+// =====================================================
+// WASTE REPORT
+// =====================================================
+
+/**
+ * Summarise written-off and recovered stock from transaction history
+ * @param {Array} transactions - getTransactionHistory entries (STOCK_ADJUSTED / STOCK_WASTED)
+ * @returns {Object} { totals, byReason, byBranch }
+ *   totals: { wasted_certificates, wasted_medals, recovered_certificates, recovered_medals }
+ *   byReason / byBranch: [{ key, certificates, medals, entries }] (wasted stock only)
+ */
+export const buildWasteReport = (transactions = []) => {
+  const totals = {
+    wasted_certificates: 0,
+    wasted_medals: 0,
+    recovered_certificates: 0,
+    recovered_medals: 0,
+  };
+  const byReason = new Map();
+  const byBranch = new Map();
+
+  const addTo = (map, key, certificates, medals) => {
+    const row = map.get(key) || { key, certificates: 0, medals: 0, entries: 0 };
+    row.certificates += certificates;
+    row.medals += medals;
+    row.entries += 1;
+    map.set(key, row);
+  };
+
+  transactions.forEach((entry) => {
+    if (!WASTE_ACTION_TYPES.includes(entry.action_type)) return;
+
+    const certificates = Number(entry.certificate_amount) || 0;
+    const medals = Number(entry.medal_amount) || 0;
+    const branch = entry.branch_code || entry.from_branch || "-";
+
+    // Voided prints booked as waste are logged with unsigned amounts
+    if (entry.action_type === LOG_ACTION_TYPES.STOCK_WASTED) {
+      const wastedCerts = Math.abs(certificates);
+      const wastedMedals = Math.abs(medals);
+      totals.wasted_certificates += wastedCerts;
+      totals.wasted_medals += wastedMedals;
+      addTo(byReason, VOIDED_PRINT_WASTE, wastedCerts, wastedMedals);
+      addTo(byBranch, branch, wastedCerts, wastedMedals);
+      return;
+    }
+
+    const wastedCerts = Math.max(0, -certificates);
+    const wastedMedals = Math.max(0, -medals);
+    totals.recovered_certificates += Math.max(0, certificates);
+    totals.recovered_medals += Math.max(0, medals);
+
+    if (wastedCerts > 0 || wastedMedals > 0) {
+      totals.wasted_certificates += wastedCerts;
+      totals.wasted_medals += wastedMedals;
+      addTo(byReason, entry.reason || ADJUSTMENT_REASONS.COUNT_CORRECTION, wastedCerts, wastedMedals);
+      addTo(byBranch, branch, wastedCerts, wastedMedals);
+    }
+  });
+
+  const sortRows = (map) => [...map.values()].sort((a, b) => b.certificates + b.medals - (a.certificates + a.medals));
+
+  return {
+    totals,
+    byReason: sortRows(byReason),
+    byBranch: sortRows(byBranch),
+  };
+};
+
+export default {
+  ADJUSTMENT_DIRECTIONS,
+  ADJUSTMENT_DIRECTION_REASONS,
+  VOIDED_PRINT_WASTE,
+  WASTE_ACTION_TYPES,
+  validateStockAdjustment,
+  toSignedAmount,
+  buildWasteReport,
+};
@@ -0,0 +1,91 @@
+/**
+ * Stock Allocation Helpers
+ * Suggests how to split head-branch stock across the branches of a hub in
+ * proportion to what each branch printed over a past period. Every print
+ * uses 1 certificate and 1 medal, so both are split by the same shares.
+ * A reserve is kept back at the head branch before splitting.
+ */
+
+import { STOCK_ALLOCATION } from "@utils/constants";
+
+/**
+ * Units kept at the head branch
+ * @param {number} available - Head-branch stock
+ * @param {number} reservePercent - 0-100
+ * @returns {number}
+ */
+export const getHeadReserve = (available, reservePercent = STOCK_ALLOCATION.HEAD_RESERVE_PERCENT) => {
+  const percent = Math.min(100, Math.max(0, reservePercent || 0));
+  return Math.min(available, Math.ceil((available * percent) / 100));
+};
+
+/**
+ * Split a whole amount by weights; rounding leftovers go to the largest
+ * remainders so the parts add up exactly
+ * @param {number} amount
+ * @param {Object} weights - { [key]: weight }
+ * @returns {Object} { [key]: part }
+ */
+export const splitByWeight = (amount, weights) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const parts = Object.fromEntries(Object.keys(weights).map((key) => [key, 0]));
+
+  if (amount <= 0 || totalWeight === 0) return parts;
+
+  const shares = entries.map(([key, weight]) => {
+    const exact = (amount * weight) / totalWeight;
+    return { key, floor: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = amount - shares.reduce((sum, share) => sum + share.floor, 0);
+
+  shares
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach((share) => {
+      parts[share.key] = share.floor + (leftover > 0 ? 1 : 0);
+      leftover -= 1;
+    });
+
+  return parts;
+};
+
+/**
+ * Suggested distribution amounts per branch
+ * @param {Object} params
+ * @param {Object} params.available - Head-branch stock { certificates, medals }
+ * @param {Object} params.printsByBranch - { [branch_code]: prints in the period }
+ * @param {number} params.reservePercent - Share kept at the head branch
+ * @returns {{amounts: Object, reserve: Object, totalPrints: number}}
+ *   amounts: { [branch_code]: { certificates, medals } } (empty when no branch printed)
+ */
+export const suggestAllocation = ({ available, printsByBranch, reservePercent }) => {
+  const reserve = {
+    certificates: getHeadReserve(available.certificates, reservePercent),
+    medals: getHeadReserve(available.medals, reservePercent),
+  };
+  const totalPrints = Object.values(printsByBranch).reduce((sum, count) => sum + count, 0);
+
+  if (totalPrints === 0) {
+    return { amounts: {}, reserve, totalPrints };
+  }
+
+  const certificates = splitByWeight(available.certificates - reserve.certificates, printsByBranch);
+  const medals = splitByWeight(available.medals - reserve.medals, printsByBranch);
+
+  const amounts = Object.keys(printsByBranch).reduce((map, branchCode) => {
+    map[branchCode] = {
+      certificates: certificates[branchCode],
+      medals: medals[branchCode],
+    };
+    return map;
+  }, {});
+
+  return { amounts, reserve, totalPrints };
+};
+
+export default {
+  getHeadReserve,
+  splitByWeight,
+  suggestAllocation,
+};
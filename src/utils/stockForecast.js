@@ -0,0 +1,130 @@
+/**
+ * Stock Forecast Helpers
+ * Estimates when a branch runs out from its recent print rate instead of
+ * fixed thresholds. Every print uses 1 certificate and 1 medal, so both
+ * run down at the same daily rate from different starting stock.
+ *
+ * - critical: out of stock, or runs out before a migration could arrive
+ * - warning: runs out within twice the lead time
+ * - ok: enough stock, or no recent prints to forecast from
+ * - unknown: the print count could not be loaded (printed: null)
+ */
+
+import { STOCK_FORECAST } from "@utils/constants";
+
+/**
+ * Days until a stock runs out at a daily rate
+ * @param {number} stock
+ * @param {number} dailyRate
+ * @returns {number|null} Whole days, or null when nothing is being used
+ */
+export const getDaysLeft = (stock, dailyRate) => {
+  if (stock <= 0) return 0;
+  if (!dailyRate) return null;
+  return Math.floor(stock / dailyRate);
+};
+
+/**
+ * Quantity to send so the branch lasts the lead time plus the cover period
+ * @param {number} stock
+ * @param {number} dailyRate
+ * @param {number} leadTimeDays
+ * @param {number} coverDays
+ * @returns {number}
+ */
+export const getReorderQuantity = (stock, dailyRate, leadTimeDays, coverDays) => Math.max(0, Math.ceil(dailyRate * (leadTimeDays + coverDays)) - stock);
+
+/**
+ * Forecast for one branch
+ * @param {Object} branch
+ * @param {string} branch.branchCode
+ * @param {string} branch.branchName
+ * @param {number} branch.certificates - Current stock
+ * @param {number} branch.medals - Current stock
+ * @param {number|null} branch.printed - Prints in the window (null: could not be loaded)
+ * @param {Object} options - { windowDays, leadTimeDays, coverDays }
+ * @returns {Object} Forecast ({ ...branch, dailyRate, daysLeftCertificates, daysLeftMedals, daysLeft, reorderCertificates, reorderMedals, leadTimeExceeded, level, message })
+ */
+export const buildBranchForecast = (branch, options = {}) => {
+  const { windowDays = STOCK_FORECAST.WINDOW_DAYS, leadTimeDays = STOCK_FORECAST.LEAD_TIME_DAYS, coverDays = STOCK_FORECAST.COVER_DAYS } = options;
+
+  // Without a print count only an empty stock is certain
+  if (branch.printed === null) {
+    const emptyItem = branch.certificates <= 0 ? "certificates" : branch.medals <= 0 ? "medals" : null;
+
+    return {
+      ...branch,
+      dailyRate: null,
+      daysLeftCertificates: branch.certificates <= 0 ? 0 : null,
+      daysLeftMedals: branch.medals <= 0 ? 0 : null,
+      daysLeft: emptyItem ? 0 : null,
+      reorderCertificates: 0,
+      reorderMedals: 0,
+      leadTimeExceeded: false,
+      level: emptyItem ? "critical" : "unknown",
+      message: emptyItem ? `${branch.branchCode} is out of ${emptyItem}` : `Print history of ${branch.branchCode} could not be loaded - no forecast`,
+    };
+  }
+
+  const dailyRate = windowDays > 0 ? branch.printed / windowDays : 0;
+  const daysLeftCertificates = getDaysLeft(branch.certificates, dailyRate);
+  const daysLeftMedals = getDaysLeft(branch.medals, dailyRate);
+
+  // The item that runs out first decides
+  const known = [daysLeftCertificates, daysLeftMedals].filter((days) => days !== null);
+  const daysLeft = known.length > 0 ? Math.min(...known) : null;
+  const limitingItem = daysLeft === null ? null : daysLeftCertificates === daysLeft ? "certificates" : "medals";
+
+  const leadTimeExceeded = daysLeft !== null && daysLeft < leadTimeDays;
+
+  let level = "ok";
+  let message = "";
+
+  if (daysLeft === 0) {
+    level = "critical";
+    message = `${branch.branchCode} is out of ${limitingItem}`;
+  } else if (leadTimeExceeded) {
+    level = "critical";
+    message = `${branch.branchCode} runs out of ${limitingItem} in ~${daysLeft} day(s), before a migration (${leadTimeDays} days) can arrive`;
+  } else if (daysLeft !== null && daysLeft < leadTimeDays * 2) {
+    level = "warning";
+    message = `${branch.branchCode} runs out of ${limitingItem} in ~${daysLeft} days - request a migration now`;
+  } else if (daysLeft === null) {
+    message = `No prints at ${branch.branchCode} in the last ${windowDays} days`;
+  } else {
+    message = `${branch.branchCode} has stock for ~${daysLeft} days`;
+  }
+
+  return {
+    ...branch,
+    dailyRate,
+    daysLeftCertificates,
+    daysLeftMedals,
+    daysLeft,
+    reorderCertificates: getReorderQuantity(branch.certificates, dailyRate, leadTimeDays, coverDays),
+    reorderMedals: getReorderQuantity(branch.medals, dailyRate, leadTimeDays, coverDays),
+    leadTimeExceeded,
+    level,
+    message,
+  };
+};
+
+/**
+ * Sort forecasts so the branch running out first comes first
+ * @param {Array} forecasts
+ * @returns {Array}
+ */
+export const sortForecasts = (forecasts) =>
+  [...forecasts].sort((a, b) => {
+    if (a.daysLeft === null && b.daysLeft === null) return a.branchCode.localeCompare(b.branchCode);
+    if (a.daysLeft === null) return 1;
+    if (b.daysLeft === null) return -1;
+    return a.daysLeft - b.daysLeft;
+  });
+
+export default {
+  getDaysLeft,
+  getReorderQuantity,
+  buildBranchForecast,
+  sortForecasts,
+};
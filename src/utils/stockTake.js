@@ -0,0 +1,142 @@
+/**
+ * Stock-Take Helpers
+ * A stock-take freezes the stock of one branch when it starts (branch
+ * totals from getStockSummary plus the per-batch split from the batch
+ * list). Staff enter what they counted per batch; the variance is always
+ * measured against the frozen snapshot, so prints made during the count
+ * show up as differences - pause printing at the branch while counting.
+ *
+ * Approving posts each difference as a count-correction adjustment.
+ */
+
+import { ADJUSTMENT_REASONS } from "@utils/constants";
+import { getBranchBatchStock } from "@utils/stockTransfer";
+
+// =====================================================
+// SNAPSHOT
+// =====================================================
+
+/**
+ * Freeze the expected stock of a branch
+ * @param {Object} summary - getStockSummary() data ({ stock_by_branch: { [code]: { certificates, medals } } })
+ * @param {Array} certificates - Batches of the regional hub (with stock_by_branch)
+ * @param {string} branchCode
+ * @returns {{snapshot: {certificates: number, medals: number}, lines: Array}}
+ */
+export const buildStockTakeSnapshot = (summary, certificates, branchCode) => {
+  const branchTotals = summary?.stock_by_branch?.[branchCode] || {};
+
+  const lines = certificates
+    .map((cert) => {
+      const stock = getBranchBatchStock(cert, branchCode);
+      return {
+        certificate_id: cert.certificate_id,
+        expected_certificates: stock.certificates,
+        expected_medals: stock.medals,
+      };
+    })
+    .filter((line) => line.expected_certificates > 0 || line.expected_medals > 0)
+    .sort((a, b) => a.certificate_id.localeCompare(b.certificate_id));
+
+  return {
+    snapshot: {
+      certificates: branchTotals.certificates || 0,
+      medals: branchTotals.medals || 0,
+    },
+    lines,
+  };
+};
+
+// =====================================================
+// VARIANCE
+// =====================================================
+
+/**
+ * Parse a counted quantity; empty means "not counted yet"
+ * @param {string|number|null} value
+ * @returns {number|null}
+ */
+export const parseCount = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) || count < 0 ? null : count;
+};
+
+/**
+ * Counted minus expected for one batch (null while not counted)
+ * @param {Object} line - { expected_certificates, expected_medals, counted_certificates, counted_medals }
+ * @returns {{certificates: number|null, medals: number|null}}
+ */
+export const getLineVariance = (line) => {
+  const certificates = parseCount(line.counted_certificates);
+  const medals = parseCount(line.counted_medals);
+
+  return {
+    certificates: certificates === null ? null : certificates - line.expected_certificates,
+    medals: medals === null ? null : medals - line.expected_medals,
+  };
+};
+
+/**
+ * Totals for the variance report
+ * @param {Array} lines
+ * @returns {Object} { expected, counted, variance, uncounted, withVariance }
+ */
+export const summarizeStockTake = (lines) => {
+  const result = {
+    expected: { certificates: 0, medals: 0 },
+    counted: { certificates: 0, medals: 0 },
+    variance: { certificates: 0, medals: 0 },
+    uncounted: 0,
+    withVariance: 0,
+  };
+
+  lines.forEach((line) => {
+    const variance = getLineVariance(line);
+    result.expected.certificates += line.expected_certificates;
+    result.expected.medals += line.expected_medals;
+
+    if (variance.certificates === null || variance.medals === null) {
+      result.uncounted += 1;
+      return;
+    }
+
+    result.counted.certificates += parseCount(line.counted_certificates);
+    result.counted.medals += parseCount(line.counted_medals);
+    result.variance.certificates += variance.certificates;
+    result.variance.medals += variance.medals;
+    if (variance.certificates !== 0 || variance.medals !== 0) {
+      result.withVariance += 1;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Adjustments that bring the stock in line with the count
+ * @param {Array} lines - Fully counted lines
+ * @param {string} branchCode
+ * @param {number} stockTakeId
+ * @returns {Array} [{ certificate_id, branch_code, certificate_amount, medal_amount, reason, notes }]
+ */
+export const buildCountAdjustments = (lines, branchCode, stockTakeId) =>
+  lines
+    .map((line) => ({ line, variance: getLineVariance(line) }))
+    .filter(({ variance }) => variance.certificates || variance.medals)
+    .map(({ line, variance }) => ({
+      certificate_id: line.certificate_id,
+      branch_code: branchCode,
+      certificate_amount: variance.certificates || 0,
+      medal_amount: variance.medals || 0,
+      reason: ADJUSTMENT_REASONS.COUNT_CORRECTION,
+      notes: `Stock-take #${stockTakeId}`,
+    }));
+
+export default {
+  buildStockTakeSnapshot,
+  parseCount,
+  getLineVariance,
+  summarizeStockTake,
+  buildCountAdjustments,
+};
@@ -0,0 +1,223 @@
+/**
+ * Stock Transfer Helpers
+ * Which branches a transfer type may move stock from and to, and the
+ * checks run before the transfer is sent:
+ *
+ *   migrate           head branch -> branch in the same regional hub
+ *   return            branch -> its head branch (e.g. surplus after a term)
+ *   branch_to_branch  branch -> another branch in the same regional hub
+ *   cross_hub         head branch -> head branch of another regional hub
+ *
+ * A distribution plan is a set of migrations of one batch to several
+ * branches of the hub, sent together.
+ *
+ * Branch stock from the API already excludes units reserved by open print
+ * jobs, so it can be compared with the transfer amount directly.
+ */
+
+import { TRANSFER_TYPES } from "@utils/constants";
+
+// =====================================================
+// BRANCH ROUTES
+// =====================================================
+
+/**
+ * Active non-head branches of a regional hub
+ * @param {Object|null} headBranch - Head branch of the hub
+ * @param {Array} branches - All branches
+ * @returns {Array}
+ */
+const getHubBranches = (headBranch, branches) => {
+  if (!headBranch) return [];
+
+  return branches.filter(
+    (branch) =>
+      branch.regional_hub === headBranch.branch_code &&
+      branch.branch_code !== headBranch.branch_code &&
+      !branch.is_head_branch &&
+      branch.is_active,
+  );
+};
+
+/**
+ * Branches a transfer type may take stock from
+ * @param {string} transferType - One of TRANSFER_TYPES
+ * @param {Object|null} headBranch - Head branch of the hub being managed
+ * @param {Array} branches - All branches
+ * @returns {Array}
+ */
+export const getTransferSources = (transferType, headBranch, branches) => {
+  if (!headBranch) return [];
+
+  switch (transferType) {
+    case TRANSFER_TYPES.RETURN:
+    case TRANSFER_TYPES.BRANCH:
+      return getHubBranches(headBranch, branches);
+    default:
+      return [headBranch];
+  }
+};
+
+/**
+ * Branches a transfer type may send stock to
+ * @param {string} transferType - One of TRANSFER_TYPES
+ * @param {Object|null} headBranch - Head branch of the hub being managed
+ * @param {Array} branches - All branches
+ * @param {string} sourceBranch - Selected source branch code
+ * @returns {Array}
+ */
+export const getTransferDestinations = (transferType, headBranch, branches, sourceBranch = "") => {
+  if (!headBranch) return [];
+
+  switch (transferType) {
+    case TRANSFER_TYPES.RETURN:
+      return [headBranch];
+    case TRANSFER_TYPES.BRANCH:
+      return getHubBranches(headBranch, branches).filter((branch) => branch.branch_code !== sourceBranch);
+    case TRANSFER_TYPES.CROSS_HUB:
+      return branches.filter((branch) => branch.is_head_branch && branch.is_active && branch.branch_code !== headBranch.branch_code);
+    default:
+      return getHubBranches(headBranch, branches);
+  }
+};
+
+// =====================================================
+// VALIDATION
+// =====================================================
+
+/**
+ * Stock of a batch held by one branch
+ * @param {Object|null} certificate - Certificate batch (with stock_by_branch)
+ * @param {string} branchCode
+ * @returns {{certificates: number, medals: number}}
+ */
+export const getBranchBatchStock = (certificate, branchCode) => {
+  const stock = certificate?.stock_by_branch?.find((s) => s.branch_code === branchCode);
+
+  return {
+    certificates: stock?.certificates || 0,
+    medals: stock?.medals || 0,
+  };
+};
+
+/**
+ * Validate a transfer against the route rules and the source branch stock
+ * @param {Object} transfer
+ * @param {string} transfer.transferType - One of TRANSFER_TYPES
+ * @param {Object|null} transfer.certificate - Certificate batch being transferred
+ * @param {Object|null} transfer.headBranch - Head branch of the hub being managed
+ * @param {Array} transfer.branches - All branches
+ * @param {string} transfer.sourceBranch - Source branch code
+ * @param {string} transfer.destinationBranch - Destination branch code
+ * @param {number} transfer.certificateAmount
+ * @param {number} transfer.medalAmount
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateStockTransfer = ({ transferType, certificate, headBranch, branches, sourceBranch, destinationBranch, certificateAmount, medalAmount }) => {
+  if (!Object.values(TRANSFER_TYPES).includes(transferType)) {
+    return "Unknown transfer type";
+  }
+
+  if (!certificate) {
+    return "Certificate batch not found";
+  }
+
+  const source = getTransferSources(transferType, headBranch, branches).find((branch) => branch.branch_code === sourceBranch);
+  if (!source) {
+    return "Source branch is not allowed for this transfer type";
+  }
+
+  const destination = getTransferDestinations(transferType, headBranch, branches, sourceBranch).find((branch) => branch.branch_code === destinationBranch);
+  if (!destination) {
+    return "Destination branch is not allowed for this transfer type";
+  }
+
+  if (certificateAmount < 0 || medalAmount < 0) {
+    return "Amounts cannot be negative";
+  }
+
+  if (certificateAmount === 0 && medalAmount === 0) {
+    return "At least one certificate or medal amount must be greater than 0";
+  }
+
+  const available = getBranchBatchStock(certificate, sourceBranch);
+
+  if (certificateAmount > available.certificates) {
+    return `Insufficient ${source.branch_name} certificates. Available: ${available.certificates}`;
+  }
+
+  if (medalAmount > available.medals) {
+    return `Insufficient ${source.branch_name} medals. Available: ${available.medals}`;
+  }
+
+  return null;
+};
+
+// =====================================================
+// DISTRIBUTION PLAN
+// =====================================================
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value) : NaN;
+};
+
+/**
+ * Validate a distribution plan: one migration per hub branch, all from the
+ * head branch stock of a single batch
+ * @param {Object} plan
+ * @param {Object|null} plan.certificate - Certificate batch being distributed
+ * @param {Object|null} plan.headBranch - Head branch of the hub being managed
+ * @param {Object} plan.amounts - { [branch_code]: { certificates, medals } } as typed
+ * @returns {{allocations: Array, totals: Object, available: Object, rowErrors: Object, error: string|null}}
+ *   allocations: [{ destination_branch, certificate_amount, medal_amount }] for branches with an amount
+ */
+export const validateDistributionPlan = ({ certificate, headBranch, amounts }) => {
+  const available = getBranchBatchStock(certificate, headBranch?.branch_code);
+  const totals = { certificates: 0, medals: 0 };
+  const rowErrors = {};
+  const allocations = [];
+
+  Object.entries(amounts).forEach(([branchCode, amount]) => {
+    const certificateAmount = parseAmount(amount.certificates);
+    const medalAmount = parseAmount(amount.medals);
+
+    if (Number.isNaN(certificateAmount) || Number.isNaN(medalAmount)) {
+      rowErrors[branchCode] = "Amounts must be whole numbers";
+      return;
+    }
+
+    if (certificateAmount === 0 && medalAmount === 0) return;
+
+    totals.certificates += certificateAmount;
+    totals.medals += medalAmount;
+    allocations.push({
+      destination_branch: branchCode,
+      certificate_amount: certificateAmount,
+      medal_amount: medalAmount,
+    });
+  });
+
+  let error = null;
+  if (!certificate) {
+    error = "Select a batch to distribute";
+  } else if (Object.keys(rowErrors).length > 0) {
+    error = "Fix the highlighted rows";
+  } else if (allocations.length === 0) {
+    error = "Enter an amount for at least one branch";
+  } else if (totals.certificates > available.certificates) {
+    error = `Plan needs ${totals.certificates} certificates but ${headBranch.branch_code} has ${available.certificates}`;
+  } else if (totals.medals > available.medals) {
+    error = `Plan needs ${totals.medals} medals but ${headBranch.branch_code} has ${available.medals}`;
+  }
+
+  return { allocations, totals, available, rowErrors, error };
+};
+
+export default {
+  getTransferSources,
+  getTransferDestinations,
+  getBranchBatchStock,
+  validateStockTransfer,
+  validateDistributionPlan,
+};
@@ -1,3 +1,5 @@
+import { REPRINT_REASONS } from "@utils/constants";
+
 /**
  * Validate email format
  */
@@ -542,6 +544,23 @@ export const validateDate = (date, fieldName = "Date") => {
   return { valid: true, message: "" };
 };
 
+/**
+ * Validate a reprint reason ("other" needs notes)
+ * @param {Object} value - { reason, notes }
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export const validateReprintReason = (value) => {
+  if (!value.reason) {
+    return { valid: false, message: "Please choose a reason" };
+  }
+
+  if (value.reason === REPRINT_REASONS.OTHER && value.notes.trim().length < 5) {
+    return { valid: false, message: "Please explain the reason in the notes" };
+  }
+
+  return { valid: true, message: "" };
+};
+
 /**
  * Batch validate multiple fields
  */